@@ -0,0 +1,245 @@
+import http from "http";
+import crypto from "crypto";
+import jwt from "jsonwebtoken";
+
+/**
+ * Minimal OpenID Connect provider for local SSO testing
+ * Supports discovery, JWKS, and the authorization code flow with PKCE (S256)
+ *
+ *   npm run mock-idp
+ *   OIDC_ISSUER=http://localhost:4000 OIDC_CLIENT_ID=dtms npm run dev
+ *
+ * The login form lets you pick the email (and whether it is verified), name,
+ * groups and authentication methods (amr) of the user.
+ * Keys and codes live in memory - restarting the provider rotates the key.
+ */
+
+const PORT = Number(process.env.MOCK_IDP_PORT) || 4000;
+const ISSUER = process.env.MOCK_IDP_ISSUER || `http://localhost:${PORT}`;
+const CLIENT_ID = process.env.MOCK_IDP_CLIENT_ID || "dtms";
+const CLIENT_SECRET = process.env.MOCK_IDP_CLIENT_SECRET || "";
+const CODE_TTL_MS = 60 * 1000;
+
+const { privateKey, publicKey } = crypto.generateKeyPairSync("rsa", {
+  modulusLength: 2048,
+});
+const kid = crypto.randomBytes(8).toString("hex");
+
+// code -> { clientId, redirectUri, codeChallenge, nonce, user, expiresAt }
+const codes = new Map();
+
+const escapeHtml = (value = "") =>
+  String(value).replace(/[&<>"']/g, (c) => `&#${c.charCodeAt(0)};`);
+
+const sendJson = (res, status, body) => {
+  res.writeHead(status, {
+    "Content-Type": "application/json",
+    "Cache-Control": "no-store",
+  });
+  res.end(JSON.stringify(body));
+};
+
+const readForm = (req) =>
+  new Promise((resolve, reject) => {
+    let data = "";
+    req.on("data", (chunk) => {
+      data += chunk;
+    });
+    req.on("end", () => resolve(Object.fromEntries(new URLSearchParams(data))));
+    req.on("error", reject);
+  });
+
+const discovery = () => ({
+  issuer: ISSUER,
+  authorization_endpoint: `${ISSUER}/authorize`,
+  token_endpoint: `${ISSUER}/token`,
+  jwks_uri: `${ISSUER}/jwks`,
+  response_types_supported: ["code"],
+  subject_types_supported: ["public"],
+  id_token_signing_alg_values_supported: ["RS256"],
+  scopes_supported: ["openid", "email", "profile"],
+  token_endpoint_auth_methods_supported: ["client_secret_basic", "none"],
+  code_challenge_methods_supported: ["S256"],
+  claims_supported: ["sub", "email", "email_verified", "name", "groups"],
+});
+
+const renderLoginForm = (params) => `<!doctype html>
+<html>
+  <head><title>Mock IdP</title></head>
+  <body style="font-family: sans-serif; max-width: 360px; margin: 60px auto">
+    <h2>Mock identity provider</h2>
+    <form method="post" action="/authorize">
+      ${Object.entries(params)
+        .map(
+          ([key, value]) =>
+            `<input type="hidden" name="${escapeHtml(key)}" value="${escapeHtml(value)}">`
+        )
+        .join("\n      ")}
+      <p><label>Email<br><input name="email" value="${escapeHtml(process.env.MOCK_IDP_EMAIL || "sso.user@example.com")}" required></label></p>
+      <p><label>Email verified (true, false, or empty to leave the claim out)<br><input name="email_verified" value="${escapeHtml(process.env.MOCK_IDP_EMAIL_VERIFIED || "true")}"></label></p>
+      <p><label>Name<br><input name="name" value="${escapeHtml(process.env.MOCK_IDP_NAME || "SSO User")}"></label></p>
+      <p><label>Groups (comma separated)<br><input name="groups" value="${escapeHtml(process.env.MOCK_IDP_GROUPS || "")}"></label></p>
+      <p><label>Authentication methods (amr, comma separated)<br><input name="amr" value="${escapeHtml(process.env.MOCK_IDP_AMR || "pwd")}"></label></p>
+      <button type="submit">Sign in</button>
+    </form>
+  </body>
+</html>`;
+
+// Validate the parameters shared by GET and POST /authorize
+const validateAuthorizeParams = (params) => {
+  if (params.response_type !== "code") return "unsupported_response_type";
+  if (params.client_id !== CLIENT_ID) return "unauthorized_client";
+  if (!params.redirect_uri) return "invalid_request";
+  if (params.code_challenge_method !== "S256" || !params.code_challenge) {
+    return "invalid_request";
+  }
+  return null;
+};
+
+const handleAuthorize = async (req, res, url) => {
+  if (req.method === "GET") {
+    const params = Object.fromEntries(url.searchParams);
+    const error = validateAuthorizeParams(params);
+    if (error) return sendJson(res, 400, { error });
+
+    res.writeHead(200, { "Content-Type": "text/html" });
+    return res.end(renderLoginForm(params));
+  }
+
+  const form = await readForm(req);
+  const error = validateAuthorizeParams(form);
+  if (error) return sendJson(res, 400, { error });
+
+  const code = crypto.randomBytes(24).toString("base64url");
+  codes.set(code, {
+    clientId: form.client_id,
+    redirectUri: form.redirect_uri,
+    codeChallenge: form.code_challenge,
+    nonce: form.nonce,
+    user: {
+      email: form.email.trim().toLowerCase(),
+      emailVerified: form.email_verified?.trim()
+        ? form.email_verified.trim() === "true"
+        : undefined,
+      name: form.name?.trim() || form.email,
+      groups: (form.groups || "")
+        .split(",")
+        .map((group) => group.trim())
+        .filter(Boolean),
+      amr: (form.amr || "pwd")
+        .split(",")
+        .map((method) => method.trim())
+        .filter(Boolean),
+    },
+    expiresAt: Date.now() + CODE_TTL_MS,
+  });
+
+  const redirect = new URL(form.redirect_uri);
+  redirect.searchParams.set("code", code);
+  if (form.state) redirect.searchParams.set("state", form.state);
+
+  res.writeHead(302, { Location: redirect.toString() });
+  return res.end();
+};
+
+const handleToken = async (req, res) => {
+  const form = await readForm(req);
+
+  if (CLIENT_SECRET) {
+    const expected = `Basic ${Buffer.from(
+      `${encodeURIComponent(CLIENT_ID)}:${encodeURIComponent(CLIENT_SECRET)}`
+    ).toString("base64")}`;
+    if (req.headers.authorization !== expected) {
+      return sendJson(res, 401, { error: "invalid_client" });
+    }
+  }
+
+  if (form.grant_type !== "authorization_code") {
+    return sendJson(res, 400, { error: "unsupported_grant_type" });
+  }
+
+  // Codes are single use
+  const grant = codes.get(form.code);
+  codes.delete(form.code);
+
+  if (!grant || grant.expiresAt < Date.now()) {
+    return sendJson(res, 400, { error: "invalid_grant" });
+  }
+  if (
+    grant.clientId !== form.client_id ||
+    grant.redirectUri !== form.redirect_uri
+  ) {
+    return sendJson(res, 400, { error: "invalid_grant" });
+  }
+
+  const challenge = crypto
+    .createHash("sha256")
+    .update(form.code_verifier || "")
+    .digest("base64url");
+  if (challenge !== grant.codeChallenge) {
+    return sendJson(res, 400, {
+      error: "invalid_grant",
+      error_description: "PKCE verification failed",
+    });
+  }
+
+  const { email, emailVerified, name, groups, amr } = grant.user;
+  const idToken = jwt.sign(
+    {
+      sub: crypto.createHash("sha256").update(email).digest("hex").slice(0, 24),
+      email,
+      email_verified: emailVerified,
+      name,
+      groups,
+      nonce: grant.nonce,
+      amr,
+    },
+    privateKey,
+    {
+      algorithm: "RS256",
+      keyid: kid,
+      issuer: ISSUER,
+      audience: grant.clientId,
+      expiresIn: "5m",
+    }
+  );
+
+  return sendJson(res, 200, {
+    access_token: crypto.randomBytes(24).toString("base64url"),
+    token_type: "Bearer",
+    expires_in: 300,
+    id_token: idToken,
+  });
+};
+
+const server = http.createServer(async (req, res) => {
+  const url = new URL(req.url, ISSUER);
+
+  try {
+    if (url.pathname === "/.well-known/openid-configuration") {
+      return sendJson(res, 200, discovery());
+    }
+    if (url.pathname === "/jwks") {
+      const jwk = publicKey.export({ format: "jwk" });
+      return sendJson(res, 200, {
+        keys: [{ ...jwk, kid, use: "sig", alg: "RS256" }],
+      });
+    }
+    if (url.pathname === "/authorize") {
+      return await handleAuthorize(req, res, url);
+    }
+    if (url.pathname === "/token" && req.method === "POST") {
+      return await handleToken(req, res);
+    }
+
+    return sendJson(res, 404, { error: "not_found" });
+  } catch (err) {
+    console.error("Mock IdP error:", err);
+    return sendJson(res, 500, { error: "server_error" });
+  }
+});
+
+server.listen(PORT, () => {
+  console.log(`✓ Mock OIDC provider running at ${ISSUER}`);
+  console.log(`  Client ID: ${CLIENT_ID}${CLIENT_SECRET ? " (secret required)" : ""}`);
+});
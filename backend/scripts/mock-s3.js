@@ -0,0 +1,104 @@
+import http from "http";
+import crypto from "crypto";
+
+/**
+ * Minimal S3-compatible object store for local attachment testing
+ * Supports path-style PUT, GET, HEAD and DELETE of objects - what the
+ * attachment storage uses. Any bucket name works and signatures are not
+ * checked.
+ *
+ *   npm run mock-s3
+ *   STORAGE_DRIVER=s3 S3_BUCKET=dtms S3_ENDPOINT=http://localhost:4566 \
+ *     S3_ACCESS_KEY_ID=test S3_SECRET_ACCESS_KEY=test npm run dev
+ *
+ * Objects live in memory - restarting the store empties it.
+ */
+
+const PORT = Number(process.env.MOCK_S3_PORT) || 4566;
+
+// "bucket/key" -> { body, contentType, etag, lastModified }
+const objects = new Map();
+
+const readBody = (req) =>
+  new Promise((resolve, reject) => {
+    const chunks = [];
+    req.on("data", (chunk) => chunks.push(chunk));
+    req.on("end", () => resolve(Buffer.concat(chunks)));
+    req.on("error", reject);
+  });
+
+const sendError = (res, status, code, message) => {
+  res.writeHead(status, { "Content-Type": "application/xml" });
+  res.end(
+    `<?xml version="1.0" encoding="UTF-8"?>` +
+      `<Error><Code>${code}</Code><Message>${message}</Message></Error>`
+  );
+};
+
+const server = http.createServer(async (req, res) => {
+  const url = new URL(req.url, `http://localhost:${PORT}`);
+  const [bucket, ...keyParts] = url.pathname.slice(1).split("/");
+  const key = keyParts.map(decodeURIComponent).join("/");
+
+  if (!bucket || !key) {
+    return sendError(
+      res,
+      400,
+      "InvalidRequest",
+      "Only object requests are supported"
+    );
+  }
+  const id = `${bucket}/${key}`;
+
+  try {
+    switch (req.method) {
+      case "PUT": {
+        const body = await readBody(req);
+        const etag = `"${crypto.createHash("md5").update(body).digest("hex")}"`;
+        objects.set(id, {
+          body,
+          contentType: req.headers["content-type"] || "application/octet-stream",
+          etag,
+          lastModified: new Date(),
+        });
+        res.writeHead(200, { ETag: etag });
+        return res.end();
+      }
+
+      case "GET":
+      case "HEAD": {
+        const object = objects.get(id);
+        if (!object) {
+          return sendError(
+            res,
+            404,
+            "NoSuchKey",
+            "The specified key does not exist."
+          );
+        }
+        res.writeHead(200, {
+          "Content-Type": object.contentType,
+          "Content-Length": object.body.length,
+          ETag: object.etag,
+          "Last-Modified": object.lastModified.toUTCString(),
+        });
+        return res.end(req.method === "GET" ? object.body : undefined);
+      }
+
+      case "DELETE":
+        objects.delete(id);
+        res.writeHead(204);
+        return res.end();
+
+      default:
+        return sendError(res, 405, "MethodNotAllowed", "Method not allowed");
+    }
+  } catch (err) {
+    console.error("Mock S3 error:", err);
+    return sendError(res, 500, "InternalError", "Internal error");
+  }
+});
+
+server.listen(PORT, () => {
+  console.log(`✓ Mock S3 store running at http://localhost:${PORT}`);
+});
@@ -0,0 +1,28 @@
+import { connectDB, disconnectDB } from "../src/db.js";
+import { rotateSigningKeys } from "../src/services/signingKey.service.js";
+
+/**
+ * Rotate the JWT signing key ahead of schedule
+ *
+ *   npm run rotate-keys             # successor signs now, old key keeps verifying
+ *   npm run rotate-keys -- --revoke # discard every key - all sessions end
+ *
+ * Other instances pick up the change within a minute.
+ */
+
+const revoke = process.argv.includes("--revoke");
+
+const run = async () => {
+  await connectDB();
+  const { currentKid } = await rotateSigningKeys({ revoke });
+  console.log(
+    `✓ Signing keys ${revoke ? "revoked and regenerated" : "rotated"}; now signing with ${currentKid}`
+  );
+  await disconnectDB();
+};
+
+run().catch(async (err) => {
+  console.error("✗ Key rotation failed:", err.message);
+  await disconnectDB();
+  process.exit(1);
+});
@@ -4,9 +4,14 @@ import dotenv from "dotenv";
 import path from "path";
 import { fileURLToPath } from "url";
 import { connectDB } from "./db.js";
+import { getRedisClient } from "./utils/redis.js";
+import { initializeQueues } from "./utils/jobs.js";
 import { errorHandler } from "./utils/errors.js";
 import authRoutes from "./routes/auth.routes.js";
 import projectRoutes from "./routes/projects.routes.js";
+import taskRoutes from "./routes/tasks.routes.js";
+import invitationRoutes from "./routes/invitations.routes.js";
+import wellKnownRoutes from "./routes/wellKnown.routes.js";
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -15,14 +20,32 @@ dotenv.config({ path: path.join(__dirname, "..", ".env") });
 
 const app = express();
 
+// Behind a reverse proxy req.ip must come from X-Forwarded-For,
+// otherwise every client shares the proxy's login rate limit
+if (process.env.TRUST_PROXY) {
+  const trustProxy = process.env.TRUST_PROXY;
+  if (/^\d+$/.test(trustProxy)) {
+    app.set("trust proxy", Number(trustProxy));
+  } else {
+    app.set("trust proxy", trustProxy === "true" ? true : trustProxy);
+  }
+}
+
 // Middleware
-app.use(cors());
+// ETag carries task/project versions for If-Match updates
+app.use(cors({ exposedHeaders: ["ETag"] }));
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 
 // Connect to MongoDB on startup
 connectDB();
 
+// Connect to Redis in the background; login counters fall back to memory until it is up
+getRedisClient();
+
+// Background jobs; without Redis, repeating tasks only advance on completion
+initializeQueues();
+
 // Routes
 app.get("/health", (req, res) => {
   res.json({
@@ -32,8 +55,11 @@ app.get("/health", (req, res) => {
   });
 });
 
+app.use("/.well-known", wellKnownRoutes);
 app.use("/auth", authRoutes);
 app.use("/projects", projectRoutes);
+app.use("/invitations", invitationRoutes);
+app.use("/", taskRoutes);
 
 // 404 handler
 app.use((req, res) => {
@@ -0,0 +1,185 @@
+import * as accessTokenService from "../services/accessToken.service.js";
+
+const MAX_TOKEN_LIFETIME_DAYS = 365;
+
+// Validate the body shared by the token creation endpoints
+const validateTokenInput = ({ name, scopes, expiresInDays }) => {
+  if (!name || typeof name !== "string" || !name.trim()) {
+    return "Token name is required";
+  }
+
+  if (name.length > 100) {
+    return "Token name cannot exceed 100 characters";
+  }
+
+  if (!Array.isArray(scopes) || scopes.length === 0) {
+    return "Scopes must be a non-empty array";
+  }
+
+  if (
+    expiresInDays !== undefined &&
+    expiresInDays !== null &&
+    (!Number.isInteger(expiresInDays) ||
+      expiresInDays < 1 ||
+      expiresInDays > MAX_TOKEN_LIFETIME_DAYS)
+  ) {
+    return `expiresInDays must be an integer between 1 and ${MAX_TOKEN_LIFETIME_DAYS}`;
+  }
+
+  return null;
+};
+
+// POST /auth/tokens
+export const createToken = async (req, res) => {
+  try {
+    const validationError = validateTokenInput(req.body);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const { name, scopes, expiresInDays } = req.body;
+    const { token, accessToken } =
+      await accessTokenService.createPersonalAccessToken(
+        req.user.id,
+        req.user.role,
+        req.user.mfa,
+        { name: name.trim(), scopes, expiresInDays }
+      );
+
+    return res.status(201).json({
+      message: "Access token created. Copy it now - it will not be shown again",
+      token,
+      accessToken,
+    });
+  } catch (err) {
+    return res.status(err.statusCode || 400).json({ error: err.message });
+  }
+};
+
+// GET /auth/tokens
+export const listTokens = async (req, res) => {
+  try {
+    const tokens = await accessTokenService.listPersonalAccessTokens(
+      req.user.id
+    );
+
+    return res.status(200).json({
+      message: "Access tokens retrieved successfully",
+      tokens,
+      count: tokens.length,
+    });
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+};
+
+// DELETE /auth/tokens/:tokenId
+export const revokeToken = async (req, res) => {
+  try {
+    const accessToken = await accessTokenService.revokeAccessToken(
+      req.params.tokenId,
+      req.user.id,
+      req.user.role,
+      req.user.orgId
+    );
+
+    return res.status(200).json({
+      message: "Access token revoked successfully",
+      accessToken,
+    });
+  } catch (err) {
+    return res.status(err.statusCode || 400).json({ error: err.message });
+  }
+};
+
+// POST /auth/service-accounts (admin-only route)
+export const createServiceAccount = async (req, res) => {
+  try {
+    const { name, role = "MEMBER" } = req.body;
+
+    if (!name || typeof name !== "string" || !name.trim()) {
+      return res.status(400).json({ error: "Name is required" });
+    }
+
+    const validRoles = ["ADMIN", "MANAGER", "MEMBER"];
+    if (!validRoles.includes(role)) {
+      return res.status(400).json({
+        error: `Invalid role. Must be one of: ${validRoles.join(", ")}`,
+      });
+    }
+
+    const serviceAccount = await accessTokenService.createServiceAccount(
+      req.user.orgId,
+      { name: name.trim(), role }
+    );
+
+    return res.status(201).json({
+      message: "Service account created successfully",
+      serviceAccount,
+    });
+  } catch (err) {
+    return res.status(err.statusCode || 400).json({ error: err.message });
+  }
+};
+
+// GET /auth/service-accounts (admin-only route)
+export const listServiceAccounts = async (req, res) => {
+  try {
+    const serviceAccounts = await accessTokenService.listServiceAccounts(
+      req.user.orgId
+    );
+
+    return res.status(200).json({
+      message: "Service accounts retrieved successfully",
+      serviceAccounts,
+      count: serviceAccounts.length,
+    });
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+};
+
+// POST /auth/service-accounts/:userId/tokens (admin-only route)
+export const createServiceAccountToken = async (req, res) => {
+  try {
+    const validationError = validateTokenInput(req.body);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const { name, scopes, expiresInDays } = req.body;
+    const { token, accessToken } =
+      await accessTokenService.createServiceAccountToken(
+        req.params.userId,
+        req.user.id,
+        req.user.orgId,
+        { name: name.trim(), scopes, expiresInDays }
+      );
+
+    return res.status(201).json({
+      message: "Access token created. Copy it now - it will not be shown again",
+      token,
+      accessToken,
+    });
+  } catch (err) {
+    return res.status(err.statusCode || 400).json({ error: err.message });
+  }
+};
+
+// GET /auth/service-accounts/:userId/tokens (admin-only route)
+export const listServiceAccountTokens = async (req, res) => {
+  try {
+    const tokens = await accessTokenService.listServiceAccountTokens(
+      req.params.userId,
+      req.user.orgId
+    );
+
+    return res.status(200).json({
+      message: "Access tokens retrieved successfully",
+      tokens,
+      count: tokens.length,
+    });
+  } catch (err) {
+    return res.status(err.statusCode || 400).json({ error: err.message });
+  }
+};
@@ -0,0 +1,108 @@
+import { pipeline } from "stream/promises";
+import * as attachmentService from "../services/attachment.service.js";
+import { asyncHandler } from "../utils/errors.js";
+
+/**
+ * Upload a file to a task (multipart: file, optional commentId)
+ * POST /tasks/:taskId/attachments
+ */
+export const uploadAttachment = asyncHandler(async (req, res) => {
+  const attachment = await attachmentService.uploadAttachment(
+    req.validated.params.taskId,
+    req.user.id,
+    req.user.role,
+    req.user.orgId,
+    req.file,
+    req.validated.body
+  );
+
+  res.status(201).json({
+    success: true,
+    message: "File attached successfully",
+    data: attachment,
+  });
+});
+
+/**
+ * List a task's attachments
+ * GET /tasks/:taskId/attachments
+ */
+export const getTaskAttachments = asyncHandler(async (req, res) => {
+  const attachments = await attachmentService.getTaskAttachments(
+    req.validated.params.taskId,
+    req.user.id,
+    req.user.role,
+    req.user.orgId
+  );
+
+  res.status(200).json({
+    success: true,
+    message: "Attachments retrieved successfully",
+    data: attachments,
+  });
+});
+
+/**
+ * Download an attachment
+ * GET /tasks/:taskId/attachments/:attachmentId
+ * Always sent as a download, and never sniffed into something runnable
+ */
+export const downloadAttachment = asyncHandler(async (req, res) => {
+  const { attachment, stream } = await attachmentService.getAttachmentFile(
+    req.validated.params.taskId,
+    req.validated.params.attachmentId,
+    req.user.id,
+    req.user.role,
+    req.user.orgId
+  );
+
+  res.attachment(attachment.fileName);
+  res.set({
+    "Content-Type": attachment.contentType,
+    "Content-Length": attachment.size,
+    "X-Content-Type-Options": "nosniff",
+    "Cache-Control": "private, max-age=0",
+  });
+  await pipeline(stream, res);
+});
+
+/**
+ * Download an image attachment's thumbnail (WebP)
+ * GET /tasks/:taskId/attachments/:attachmentId/thumbnail
+ */
+export const downloadThumbnail = asyncHandler(async (req, res) => {
+  const { stream } = await attachmentService.getAttachmentFile(
+    req.validated.params.taskId,
+    req.validated.params.attachmentId,
+    req.user.id,
+    req.user.role,
+    req.user.orgId,
+    { thumbnail: true }
+  );
+
+  res.set({
+    "Content-Type": "image/webp",
+    "X-Content-Type-Options": "nosniff",
+    "Cache-Control": "private, max-age=0",
+  });
+  await pipeline(stream, res);
+});
+
+/**
+ * Delete an attachment
+ * DELETE /tasks/:taskId/attachments/:attachmentId
+ */
+export const deleteAttachment = asyncHandler(async (req, res) => {
+  const result = await attachmentService.deleteAttachment(
+    req.validated.params.taskId,
+    req.validated.params.attachmentId,
+    req.user.id,
+    req.user.role,
+    req.user.orgId
+  );
+
+  res.status(200).json({
+    success: true,
+    message: result.message,
+  });
+});
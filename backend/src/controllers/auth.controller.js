@@ -1,10 +1,29 @@
 import * as authService from "../services/auth.service.js";
+import * as loginProtectionService from "../services/loginProtection.service.js";
+import * as organizationService from "../services/organization.service.js";
+import * as oidcService from "../services/oidc.service.js";
+import * as signingKeyService from "../services/signingKey.service.js";
 import { validateEmail, validatePassword } from "../middleware/validation.middleware.js";
 
+// Send a throttled login back with a Retry-After hint
+const sendLoginError = (res, err) => {
+  if (err.retryAfter) {
+    res.set("Retry-After", String(err.retryAfter));
+  }
+  return res.status(err.statusCode || 401).json({ error: err.message });
+};
+
 // POST /auth/register
 export const register = async (req, res) => {
   try {
-    const { name, email, password, confirmPassword } = req.body;
+    const {
+      name,
+      email,
+      password,
+      confirmPassword,
+      inviteToken,
+      organizationName,
+    } = req.body;
 
     // Validation
     if (!name || !email || !password || !confirmPassword) {
@@ -23,8 +42,24 @@ export const register = async (req, res) => {
       return res.status(400).json({ error: "Passwords do not match" });
     }
 
-    // Register user (default role is MEMBER)
-    const user = await authService.registerUser(name, email, password);
+    if (
+      organizationName !== undefined &&
+      (typeof organizationName !== "string" ||
+        organizationName.trim().length < 2)
+    ) {
+      return res
+        .status(400)
+        .json({ error: "Organization name must be at least 2 characters" });
+    }
+
+    // Invited users join as MEMBER; everyone else founds a new organization
+    const user = await authService.registerUser(
+      name,
+      email,
+      password,
+      "MEMBER",
+      { inviteToken, organizationName: organizationName?.trim() }
+    );
 
     return res.status(201).json({
       message: "User registered successfully",
@@ -53,15 +88,313 @@ export const login = async (req, res) => {
     }
 
     // Login user
-    const { token, user } = await authService.loginUser(email, password);
+    const { token, refreshToken, user, mfaRequired, mfaToken } =
+      await authService.loginUser(email, password, {
+        ip: req.ip,
+        userAgent: req.get("user-agent"),
+      });
+
+    // Password accepted - client must complete the second step
+    if (mfaRequired) {
+      return res.status(200).json({
+        message: "MFA verification required",
+        mfaRequired,
+        mfaToken,
+      });
+    }
 
     return res.status(200).json({
       message: "Login successful",
       token,
+      refreshToken,
+      user,
+    });
+  } catch (err) {
+    return sendLoginError(res, err);
+  }
+};
+
+// POST /auth/refresh
+export const refresh = async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    if (!refreshToken) {
+      return res.status(400).json({ error: "Refresh token is required" });
+    }
+
+    const { token, refreshToken: nextRefreshToken, user } =
+      await authService.refreshSession(refreshToken, {
+        ip: req.ip,
+        userAgent: req.get("user-agent"),
+      });
+
+    return res.status(200).json({
+      message: "Token refreshed successfully",
+      token,
+      refreshToken: nextRefreshToken,
+      user,
+    });
+  } catch (err) {
+    return res.status(err.statusCode || 401).json({ error: err.message });
+  }
+};
+
+// POST /auth/logout
+export const logout = async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    if (!refreshToken) {
+      return res.status(400).json({ error: "Refresh token is required" });
+    }
+
+    await authService.logoutSession(refreshToken);
+
+    return res.status(200).json({ message: "Logout successful" });
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+};
+
+// Send the browser back to the app; tokens travel in the fragment so they
+// never reach server logs or Referer headers
+const redirectToFrontend = (res, params) => {
+  const baseUrl = process.env.FRONTEND_URL || "http://localhost:5173";
+  return res.redirect(`${baseUrl}/#${new URLSearchParams(params)}`);
+};
+
+// Cookie that ties an SSO login to the browser that started it
+const OIDC_STATE_COOKIE = "oidc_state";
+
+const oidcStateCookieOptions = (req) => ({
+  httpOnly: true,
+  // Sent on the provider's top-level redirect back, not on cross-site requests
+  sameSite: "lax",
+  secure: req.secure,
+  path: "/",
+});
+
+// Read a cookie from the request (the API has no cookie parser otherwise)
+const readCookie = (req, name) => {
+  for (const part of (req.headers.cookie || "").split(";")) {
+    const [key, ...value] = part.trim().split("=");
+    if (key === name) return decodeURIComponent(value.join("="));
+  }
+  return null;
+};
+
+// GET /auth/oidc
+export const oidcStatus = async (req, res) => {
+  return res.status(200).json({ enabled: oidcService.isOidcEnabled() });
+};
+
+// GET /auth/oidc/login (browser redirect to the identity provider)
+export const oidcLogin = async (req, res) => {
+  try {
+    const { authorizationUrl, state, expiresAt } =
+      await oidcService.startOidcLogin();
+    res.cookie(OIDC_STATE_COOKIE, state, {
+      ...oidcStateCookieOptions(req),
+      expires: expiresAt,
+    });
+    return res.redirect(authorizationUrl);
+  } catch (err) {
+    return redirectToFrontend(res, { error: err.message });
+  }
+};
+
+// GET /auth/oidc/callback (identity provider redirects back here)
+export const oidcCallback = async (req, res) => {
+  try {
+    const { code, state, error, error_description } = req.query;
+    const browserState = readCookie(req, OIDC_STATE_COOKIE);
+    res.clearCookie(OIDC_STATE_COOKIE, oidcStateCookieOptions(req));
+
+    const { token, refreshToken, mfaRequired, mfaToken } =
+      await oidcService.completeOidcLogin(
+        {
+          code,
+          state,
+          error,
+          errorDescription: error_description,
+          browserState,
+        },
+        { ip: req.ip, userAgent: req.get("user-agent") }
+      );
+
+    if (mfaRequired) {
+      return redirectToFrontend(res, { mfaToken });
+    }
+
+    return redirectToFrontend(res, { token, refreshToken });
+  } catch (err) {
+    return redirectToFrontend(res, { error: err.message });
+  }
+};
+
+// POST /auth/mfa/verify (second login step)
+export const verifyMfa = async (req, res) => {
+  try {
+    const { mfaToken, code, recoveryCode } = req.body;
+
+    if (!mfaToken) {
+      return res.status(400).json({ error: "MFA token is required" });
+    }
+
+    const { token, refreshToken, user } = await authService.verifyMfaLogin(
+      mfaToken,
+      { code, recoveryCode },
+      { ip: req.ip, userAgent: req.get("user-agent") }
+    );
+
+    return res.status(200).json({
+      message: "Login successful",
+      token,
+      refreshToken,
+      user,
+    });
+  } catch (err) {
+    return sendLoginError(res, err);
+  }
+};
+
+// POST /auth/mfa/setup (protected route)
+export const setupMfa = async (req, res) => {
+  try {
+    const { secret, otpauthUri } = await authService.setupMfa(req.user.id);
+
+    return res.status(200).json({
+      message: "Scan the QR code with your authenticator app, then confirm with a code",
+      secret,
+      otpauthUri,
+    });
+  } catch (err) {
+    return res.status(err.statusCode || 400).json({ error: err.message });
+  }
+};
+
+// POST /auth/mfa/enable (protected route)
+export const enableMfa = async (req, res) => {
+  try {
+    const { code } = req.body;
+
+    if (!code) {
+      return res.status(400).json({ error: "Authentication code is required" });
+    }
+
+    const { recoveryCodes, token } = await authService.enableMfa(
+      req.user.id,
+      req.user.sid,
+      code
+    );
+
+    return res.status(200).json({
+      message: "MFA enabled. Store your recovery codes somewhere safe - they are shown only once",
+      recoveryCodes,
+      token,
+    });
+  } catch (err) {
+    return res.status(err.statusCode || 400).json({ error: err.message });
+  }
+};
+
+// POST /auth/mfa/disable (protected route)
+export const disableMfa = async (req, res) => {
+  try {
+    const { code, recoveryCode } = req.body;
+
+    await authService.disableMfa(req.user.id, { code, recoveryCode });
+
+    return res.status(200).json({ message: "MFA disabled" });
+  } catch (err) {
+    return res.status(err.statusCode || 400).json({ error: err.message });
+  }
+};
+
+// POST /auth/forgot-password
+export const forgotPassword = async (req, res) => {
+  try {
+    const { email } = req.body;
+
+    if (!email || !validateEmail(email)) {
+      return res.status(400).json({ error: "A valid email is required" });
+    }
+
+    await authService.requestPasswordReset(email);
+
+    // Same response whether or not the account exists
+    return res.status(200).json({
+      message: "If an account exists for this email, a reset link has been sent",
+    });
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+};
+
+// POST /auth/reset-password
+export const resetPassword = async (req, res) => {
+  try {
+    const { token, password, confirmPassword } = req.body;
+
+    if (!token || !password || !confirmPassword) {
+      return res.status(400).json({ error: "All fields are required" });
+    }
+
+    if (!validatePassword(password)) {
+      return res.status(400).json({ error: "Password must be at least 6 characters" });
+    }
+
+    if (password !== confirmPassword) {
+      return res.status(400).json({ error: "Passwords do not match" });
+    }
+
+    await authService.resetPassword(token, password);
+
+    return res.status(200).json({
+      message: "Password reset successfully. Please log in with your new password",
+    });
+  } catch (err) {
+    return res.status(err.statusCode || 400).json({ error: err.message });
+  }
+};
+
+// POST /auth/verify-email
+export const verifyEmail = async (req, res) => {
+  try {
+    const { token } = req.body;
+
+    if (!token) {
+      return res.status(400).json({ error: "Verification token is required" });
+    }
+
+    const user = await authService.verifyEmail(token);
+
+    return res.status(200).json({
+      message: "Email verified successfully",
       user,
     });
   } catch (err) {
-    return res.status(401).json({ error: err.message });
+    return res.status(err.statusCode || 400).json({ error: err.message });
+  }
+};
+
+// POST /auth/resend-verification
+export const resendVerification = async (req, res) => {
+  try {
+    const { email } = req.body;
+
+    if (!email || !validateEmail(email)) {
+      return res.status(400).json({ error: "A valid email is required" });
+    }
+
+    await authService.resendVerificationEmail(email);
+
+    return res.status(200).json({
+      message: "If this email needs verification, a new link has been sent",
+    });
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
   }
 };
 
@@ -80,10 +413,74 @@ export const getMe = async (req, res) => {
   }
 };
 
+// PATCH /auth/me (protected route)
+export const updateMe = async (req, res) => {
+  try {
+    const { name, email, currentPassword } = req.body;
+
+    if (name === undefined && email === undefined) {
+      return res.status(400).json({ error: "Nothing to update" });
+    }
+
+    if (name !== undefined && (typeof name !== "string" || !name.trim())) {
+      return res.status(400).json({ error: "Name cannot be empty" });
+    }
+
+    if (email !== undefined && !validateEmail(email)) {
+      return res.status(400).json({ error: "Invalid email format" });
+    }
+
+    const user = await authService.updateProfile(req.user.id, {
+      name: name?.trim(),
+      email,
+      currentPassword,
+    });
+
+    return res.status(200).json({
+      message: "Profile updated successfully",
+      user,
+    });
+  } catch (err) {
+    return res.status(err.statusCode || 400).json({ error: err.message });
+  }
+};
+
+// PUT /auth/me/password (protected route)
+export const changePassword = async (req, res) => {
+  try {
+    const { currentPassword, newPassword, confirmPassword } = req.body;
+
+    if (!currentPassword || !newPassword || !confirmPassword) {
+      return res.status(400).json({ error: "All fields are required" });
+    }
+
+    if (!validatePassword(newPassword)) {
+      return res.status(400).json({ error: "Password must be at least 6 characters" });
+    }
+
+    if (newPassword !== confirmPassword) {
+      return res.status(400).json({ error: "Passwords do not match" });
+    }
+
+    await authService.changePassword(
+      req.user.id,
+      req.user.sid,
+      currentPassword,
+      newPassword
+    );
+
+    return res.status(200).json({
+      message: "Password changed successfully. Other sessions have been signed out",
+    });
+  } catch (err) {
+    return res.status(err.statusCode || 400).json({ error: err.message });
+  }
+};
+
 // GET /auth/users (admin-only route)
 export const getAllUsers = async (req, res) => {
   try {
-    const users = await authService.getAllUsers();
+    const users = await authService.getAllUsers(req.user.orgId);
 
     return res.status(200).json({
       message: "Users retrieved successfully",
@@ -112,13 +509,143 @@ export const updateUserRole = async (req, res) => {
       });
     }
 
-    const user = await authService.updateUserRole(userId, role);
+    const user = await authService.updateUserRole(
+      userId,
+      role,
+      req.user.orgId
+    );
 
     return res.status(200).json({
       message: "User role updated successfully",
       user,
     });
+  } catch (err) {
+    return res.status(err.statusCode || 400).json({ error: err.message });
+  }
+};
+
+// POST /auth/users/:userId/deactivate (admin-only route)
+export const deactivateUser = async (req, res) => {
+  try {
+    const user = await authService.deactivateUser(
+      req.params.userId,
+      req.user.id,
+      req.user.orgId
+    );
+
+    return res.status(200).json({
+      message: "User deactivated successfully",
+      user,
+    });
+  } catch (err) {
+    return res.status(err.statusCode || 400).json({ error: err.message });
+  }
+};
+
+// POST /auth/users/:userId/reactivate (admin-only route)
+export const reactivateUser = async (req, res) => {
+  try {
+    const user = await authService.reactivateUser(
+      req.params.userId,
+      req.user.orgId
+    );
+
+    return res.status(200).json({
+      message: "User reactivated successfully",
+      user,
+    });
+  } catch (err) {
+    return res.status(err.statusCode || 400).json({ error: err.message });
+  }
+};
+
+// POST /auth/users/:userId/unlock (admin-only route)
+export const unlockUser = async (req, res) => {
+  try {
+    const user = await loginProtectionService.unlockAccount(
+      req.params.userId,
+      req.user.orgId
+    );
+
+    return res.status(200).json({
+      message: "Account unlocked successfully",
+      user,
+    });
+  } catch (err) {
+    return res.status(err.statusCode || 400).json({ error: err.message });
+  }
+};
+
+// GET /auth/login-attempts (admin-only route)
+export const getLoginAttempts = async (req, res) => {
+  try {
+    const { email, ip, userId, reason, from, to } = req.query;
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 200);
+
+    const result = await loginProtectionService.getLoginAttempts(
+      req.user.orgId,
+      { email, ip, userId, reason, from, to, page, limit }
+    );
+
+    return res.status(200).json({
+      message: "Login attempts retrieved successfully",
+      attempts: result.data,
+      pagination: result.pagination,
+    });
   } catch (err) {
     return res.status(400).json({ error: err.message });
   }
 };
+
+// GET /auth/organization (protected route)
+export const getOrganization = async (req, res) => {
+  try {
+    const organization = await organizationService.getOrganization(
+      req.user.orgId
+    );
+
+    return res.status(200).json({
+      message: "Organization retrieved successfully",
+      organization,
+    });
+  } catch (err) {
+    return res.status(err.statusCode || 400).json({ error: err.message });
+  }
+};
+
+// PUT /auth/organization (admin-only route)
+export const updateOrganization = async (req, res) => {
+  try {
+    const { name } = req.body;
+
+    if (!name || typeof name !== "string" || name.trim().length < 2) {
+      return res
+        .status(400)
+        .json({ error: "Organization name must be at least 2 characters" });
+    }
+
+    const organization = await organizationService.updateOrganization(
+      req.user.orgId,
+      { name: name.trim() }
+    );
+
+    return res.status(200).json({
+      message: "Organization updated successfully",
+      organization,
+    });
+  } catch (err) {
+    return res.status(err.statusCode || 400).json({ error: err.message });
+  }
+};
+
+// GET /.well-known/jwks.json (public keys for verifying our access tokens)
+export const getJwks = async (req, res) => {
+  try {
+    const jwks = await signingKeyService.getJwks();
+    res.set("Cache-Control", "public, max-age=300");
+    return res.status(200).json(jwks);
+  } catch (err) {
+    return res.status(err.statusCode || 500).json({ error: err.message });
+  }
+};
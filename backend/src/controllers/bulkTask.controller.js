@@ -0,0 +1,52 @@
+import * as bulkTaskService from "../services/bulkTask.service.js";
+import { asyncHandler } from "../utils/errors.js";
+
+/**
+ * Apply one change to many tasks
+ * POST /projects/:projectId/tasks/bulk
+ * 200 with the report when it ran during the request, 202 when it was
+ * queued; poll GET /projects/:projectId/tasks/bulk/:bulkOperationId
+ */
+export const startBulkOperation = asyncHandler(async (req, res) => {
+  const { taskIds, filter, operation } = req.validated.body;
+  const { label, ...filters } = filter || {};
+
+  const bulkOperation = await bulkTaskService.startBulkOperation(
+    req.validated.params.projectId,
+    req.user.id,
+    req.user.role,
+    req.user.orgId,
+    {
+      taskIds,
+      filter: filter && { ...filters, labels: label },
+      operation,
+    }
+  );
+
+  const queued = bulkOperation.status === "QUEUED";
+  res.status(queued ? 202 : 200).json({
+    success: true,
+    message: queued ? "Bulk operation started" : "Bulk operation finished",
+    data: bulkOperation,
+  });
+});
+
+/**
+ * Get a bulk operation's progress and results
+ * GET /projects/:projectId/tasks/bulk/:bulkOperationId
+ */
+export const getBulkOperation = asyncHandler(async (req, res) => {
+  const bulkOperation = await bulkTaskService.getBulkOperation(
+    req.validated.params.projectId,
+    req.validated.params.bulkOperationId,
+    req.user.id,
+    req.user.role,
+    req.user.orgId
+  );
+
+  res.status(200).json({
+    success: true,
+    message: "Bulk operation retrieved successfully",
+    data: bulkOperation,
+  });
+});
@@ -0,0 +1,83 @@
+import * as checklistService from "../services/checklist.service.js";
+import { asyncHandler } from "../utils/errors.js";
+
+/**
+ * Add an item to a task's checklist
+ * POST /tasks/:taskId/checklist
+ */
+export const addChecklistItem = asyncHandler(async (req, res) => {
+  const task = await checklistService.addChecklistItem(
+    req.validated.params.taskId,
+    req.user.id,
+    req.user.role,
+    req.user.orgId,
+    req.validated.body
+  );
+
+  res.status(201).json({
+    success: true,
+    message: "Checklist item added successfully",
+    data: task,
+  });
+});
+
+/**
+ * Reorder a task's checklist
+ * PUT /tasks/:taskId/checklist/order
+ */
+export const reorderChecklist = asyncHandler(async (req, res) => {
+  const task = await checklistService.reorderChecklist(
+    req.validated.params.taskId,
+    req.user.id,
+    req.user.role,
+    req.user.orgId,
+    req.validated.body
+  );
+
+  res.status(200).json({
+    success: true,
+    message: "Checklist reordered successfully",
+    data: task,
+  });
+});
+
+/**
+ * Edit, check/uncheck or assign a checklist item
+ * PATCH /tasks/:taskId/checklist/:itemId
+ */
+export const updateChecklistItem = asyncHandler(async (req, res) => {
+  const task = await checklistService.updateChecklistItem(
+    req.validated.params.taskId,
+    req.validated.params.itemId,
+    req.user.id,
+    req.user.role,
+    req.user.orgId,
+    req.validated.body
+  );
+
+  res.status(200).json({
+    success: true,
+    message: "Checklist item updated successfully",
+    data: task,
+  });
+});
+
+/**
+ * Remove a checklist item
+ * DELETE /tasks/:taskId/checklist/:itemId
+ */
+export const deleteChecklistItem = asyncHandler(async (req, res) => {
+  const task = await checklistService.deleteChecklistItem(
+    req.validated.params.taskId,
+    req.validated.params.itemId,
+    req.user.id,
+    req.user.role,
+    req.user.orgId
+  );
+
+  res.status(200).json({
+    success: true,
+    message: "Checklist item deleted successfully",
+    data: task,
+  });
+});
@@ -0,0 +1,146 @@
+import * as commentService from "../services/comment.service.js";
+import { asyncHandler } from "../utils/errors.js";
+
+/**
+ * List a task's comments, or the replies of one (?parentId)
+ * GET /tasks/:taskId/comments
+ */
+export const getTaskComments = asyncHandler(async (req, res) => {
+  const result = await commentService.getTaskComments(
+    req.validated.params.taskId,
+    req.user.id,
+    req.user.role,
+    req.user.orgId,
+    req.validated.query
+  );
+
+  res.status(200).json({
+    success: true,
+    message: "Comments retrieved successfully",
+    ...result,
+  });
+});
+
+/**
+ * Comment on a task, or reply to a comment
+ * POST /tasks/:taskId/comments
+ */
+export const createComment = asyncHandler(async (req, res) => {
+  const comment = await commentService.createComment(
+    req.validated.params.taskId,
+    req.user.id,
+    req.user.role,
+    req.user.orgId,
+    req.validated.body
+  );
+
+  res.status(201).json({
+    success: true,
+    message: "Comment added successfully",
+    data: comment,
+  });
+});
+
+/**
+ * Edit a comment
+ * PATCH /tasks/:taskId/comments/:commentId
+ */
+export const updateComment = asyncHandler(async (req, res) => {
+  const comment = await commentService.updateComment(
+    req.validated.params.taskId,
+    req.validated.params.commentId,
+    req.user.id,
+    req.user.role,
+    req.user.orgId,
+    req.validated.body
+  );
+
+  res.status(200).json({
+    success: true,
+    message: "Comment updated successfully",
+    data: comment,
+  });
+});
+
+/**
+ * Get the earlier versions of a comment
+ * GET /tasks/:taskId/comments/:commentId/edits
+ */
+export const getCommentEdits = asyncHandler(async (req, res) => {
+  const edits = await commentService.getCommentEdits(
+    req.validated.params.taskId,
+    req.validated.params.commentId,
+    req.user.id,
+    req.user.role,
+    req.user.orgId
+  );
+
+  res.status(200).json({
+    success: true,
+    message: "Comment edits retrieved successfully",
+    data: edits,
+  });
+});
+
+/**
+ * Delete a comment
+ * DELETE /tasks/:taskId/comments/:commentId
+ */
+export const deleteComment = asyncHandler(async (req, res) => {
+  await commentService.deleteComment(
+    req.validated.params.taskId,
+    req.validated.params.commentId,
+    req.user.id,
+    req.user.role,
+    req.user.orgId
+  );
+
+  res.status(200).json({
+    success: true,
+    message: "Comment deleted successfully",
+  });
+});
+
+/**
+ * React to a comment
+ * PUT /tasks/:taskId/comments/:commentId/reactions/:emoji
+ */
+export const addReaction = asyncHandler(async (req, res) => {
+  const comment = await commentService.setCommentReaction(
+    req.validated.params.taskId,
+    req.validated.params.commentId,
+    req.user.id,
+    req.user.role,
+    req.user.orgId,
+    req.validated.params.emoji,
+    true
+  );
+
+  res.status(200).json({
+    success: true,
+    message: "Reaction added successfully",
+    data: comment,
+  });
+});
+
+/**
+ * Take back a reaction to a comment
+ * DELETE /tasks/:taskId/comments/:commentId/reactions/:emoji
+ */
+export const removeReaction = asyncHandler(async (req, res) => {
+  const comment = await commentService.setCommentReaction(
+    req.validated.params.taskId,
+    req.validated.params.commentId,
+    req.user.id,
+    req.user.role,
+    req.user.orgId,
+    req.validated.params.emoji,
+    false
+  );
+
+  res.status(200).json({
+    success: true,
+    message: "Reaction removed successfully",
+    data: comment,
+  });
+});
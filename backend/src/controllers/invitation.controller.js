@@ -0,0 +1,95 @@
+import * as invitationService from "../services/invitation.service.js";
+import { asyncHandler } from "../utils/errors.js";
+
+/**
+ * Invite someone to a project by email
+ * POST /projects/:projectId/invitations
+ */
+export const createInvitation = asyncHandler(async (req, res) => {
+  const invitation = await invitationService.createInvitation(
+    req.validated.params.projectId,
+    req.user.id,
+    req.user.role,
+    req.user.orgId,
+    req.validated.body
+  );
+
+  res.status(201).json({
+    success: true,
+    message: "Invitation sent successfully",
+    data: invitation,
+  });
+});
+
+/**
+ * List project invitations
+ * GET /projects/:projectId/invitations
+ */
+export const getProjectInvitations = asyncHandler(async (req, res) => {
+  const invitations = await invitationService.getProjectInvitations(
+    req.validated.params.projectId,
+    req.user.id,
+    req.user.role,
+    req.user.orgId,
+    req.validated.query
+  );
+
+  res.status(200).json({
+    success: true,
+    message: "Invitations retrieved successfully",
+    data: invitations,
+  });
+});
+
+/**
+ * Revoke a pending invitation
+ * DELETE /projects/:projectId/invitations/:invitationId
+ */
+export const revokeInvitation = asyncHandler(async (req, res) => {
+  const invitation = await invitationService.revokeInvitation(
+    req.validated.params.projectId,
+    req.validated.params.invitationId,
+    req.user.id,
+    req.user.role,
+    req.user.orgId
+  );
+
+  res.status(200).json({
+    success: true,
+    message: "Invitation revoked successfully",
+    data: invitation,
+  });
+});
+
+/**
+ * Accept an invitation as the logged-in user
+ * POST /invitations/accept
+ */
+export const acceptInvitation = asyncHandler(async (req, res) => {
+  const project = await invitationService.acceptInvitation(
+    req.validated.body.token,
+    req.user.id
+  );
+
+  res.status(200).json({
+    success: true,
+    message: "Invitation accepted successfully",
+    data: project,
+  });
+});
+
+/**
+ * Decline an invitation
+ * POST /invitations/decline
+ */
+export const declineInvitation = asyncHandler(async (req, res) => {
+  const invitation = await invitationService.declineInvitation(
+    req.validated.body.token
+  );
+
+  res.status(200).json({
+    success: true,
+    message: "Invitation declined",
+    data: invitation,
+  });
+});
@@ -0,0 +1,81 @@
+import * as labelService from "../services/label.service.js";
+import { asyncHandler } from "../utils/errors.js";
+
+/**
+ * Create a label in a project
+ * POST /projects/:projectId/labels
+ */
+export const createLabel = asyncHandler(async (req, res) => {
+  const label = await labelService.createLabel(
+    req.validated.params.projectId,
+    req.user.id,
+    req.user.role,
+    req.user.orgId,
+    req.validated.body
+  );
+
+  res.status(201).json({
+    success: true,
+    message: "Label created successfully",
+    data: label,
+  });
+});
+
+/**
+ * Get the labels of a project
+ * GET /projects/:projectId/labels
+ */
+export const getLabels = asyncHandler(async (req, res) => {
+  const labels = await labelService.getProjectLabels(
+    req.validated.params.projectId,
+    req.user.id,
+    req.user.role,
+    req.user.orgId
+  );
+
+  res.status(200).json({
+    success: true,
+    message: "Labels retrieved successfully",
+    data: labels,
+  });
+});
+
+/**
+ * Update a label
+ * PUT /projects/:projectId/labels/:labelId
+ */
+export const updateLabel = asyncHandler(async (req, res) => {
+  const label = await labelService.updateLabel(
+    req.validated.params.projectId,
+    req.validated.params.labelId,
+    req.user.id,
+    req.user.role,
+    req.user.orgId,
+    req.validated.body
+  );
+
+  res.status(200).json({
+    success: true,
+    message: "Label updated successfully",
+    data: label,
+  });
+});
+
+/**
+ * Delete a label (removes it from every task)
+ * DELETE /projects/:projectId/labels/:labelId
+ */
+export const deleteLabel = asyncHandler(async (req, res) => {
+  await labelService.deleteLabel(
+    req.validated.params.projectId,
+    req.validated.params.labelId,
+    req.user.id,
+    req.user.role,
+    req.user.orgId
+  );
+
+  res.status(200).json({
+    success: true,
+    message: "Label deleted successfully",
+  });
+});
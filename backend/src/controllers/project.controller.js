@@ -1,5 +1,6 @@
 import * as projectService from "../services/project.service.js";
 import { asyncHandler, errors } from "../utils/errors.js";
+import { versionEtag } from "../middleware/concurrency.middleware.js";
 
 /**
  * Create a new project
@@ -8,6 +9,7 @@ import { asyncHandler, errors } from "../utils/errors.js";
 export const createProject = asyncHandler(async (req, res) => {
   const project = await projectService.createProject(
     req.user.id,
+    req.user.orgId,
     req.validated.body
   );
 
@@ -28,6 +30,7 @@ export const getProjects = asyncHandler(async (req, res) => {
   const result = await projectService.getUserProjects(
     req.user.id,
     req.user.role,
+    req.user.orgId,
     {
       page: parseInt(page),
       limit: parseInt(limit),
@@ -50,9 +53,11 @@ export const getProject = asyncHandler(async (req, res) => {
   const project = await projectService.getProjectById(
     req.validated.params.projectId,
     req.user.id,
-    req.user.role
+    req.user.role,
+    req.user.orgId
   );
 
+  res.set("ETag", versionEtag(project));
   res.status(200).json({
     success: true,
     message: "Project retrieved successfully",
@@ -62,16 +67,19 @@ export const getProject = asyncHandler(async (req, res) => {
 
 /**
  * Update a project
- * PUT /projects/:projectId
+ * PUT /projects/:projectId (If-Match: "<version>" guards against lost updates)
  */
 export const updateProject = asyncHandler(async (req, res) => {
   const project = await projectService.updateProject(
     req.validated.params.projectId,
     req.user.id,
     req.user.role,
-    req.validated.body
+    req.user.orgId,
+    req.validated.body,
+    { expectedVersion: req.expectedVersion }
   );
 
+  res.set("ETag", versionEtag(project));
   res.status(200).json({
     success: true,
     message: "Project updated successfully",
@@ -79,6 +87,84 @@ export const updateProject = asyncHandler(async (req, res) => {
   });
 });
 
+/**
+ * Get a project's workflow
+ * GET /projects/:projectId/workflow
+ */
+export const getWorkflow = asyncHandler(async (req, res) => {
+  const workflow = await projectService.getProjectWorkflow(
+    req.validated.params.projectId,
+    req.user.id,
+    req.user.role,
+    req.user.orgId
+  );
+
+  res.status(200).json({
+    success: true,
+    message: "Workflow retrieved successfully",
+    data: workflow,
+  });
+});
+
+/**
+ * Replace a project's workflow
+ * PUT /projects/:projectId/workflow
+ */
+export const updateWorkflow = asyncHandler(async (req, res) => {
+  const workflow = await projectService.updateProjectWorkflow(
+    req.validated.params.projectId,
+    req.user.id,
+    req.user.role,
+    req.user.orgId,
+    req.validated.body
+  );
+
+  res.status(200).json({
+    success: true,
+    message: "Workflow updated successfully",
+    data: workflow,
+  });
+});
+
+/**
+ * Get a project's custom field definitions
+ * GET /projects/:projectId/custom-fields
+ */
+export const getCustomFields = asyncHandler(async (req, res) => {
+  const fields = await projectService.getProjectCustomFields(
+    req.validated.params.projectId,
+    req.user.id,
+    req.user.role,
+    req.user.orgId
+  );
+
+  res.status(200).json({
+    success: true,
+    message: "Custom fields retrieved successfully",
+    data: fields,
+  });
+});
+
+/**
+ * Replace a project's custom field definitions
+ * PUT /projects/:projectId/custom-fields
+ */
+export const updateCustomFields = asyncHandler(async (req, res) => {
+  const fields = await projectService.updateProjectCustomFields(
+    req.validated.params.projectId,
+    req.user.id,
+    req.user.role,
+    req.user.orgId,
+    req.validated.body
+  );
+
+  res.status(200).json({
+    success: true,
+    message: "Custom fields updated successfully",
+    data: fields,
+  });
+});
+
 /**
  * Delete a project
  * DELETE /projects/:projectId
@@ -87,7 +173,8 @@ export const deleteProject = asyncHandler(async (req, res) => {
   await projectService.deleteProject(
     req.validated.params.projectId,
     req.user.id,
-    req.user.role
+    req.user.role,
+    req.user.orgId
   );
 
   res.status(200).json({
@@ -105,6 +192,7 @@ export const addMember = asyncHandler(async (req, res) => {
     req.validated.params.projectId,
     req.user.id,
     req.user.role,
+    req.user.orgId,
     req.validated.body
   );
 
@@ -124,6 +212,7 @@ export const removeMember = asyncHandler(async (req, res) => {
     req.validated.params.projectId,
     req.user.id,
     req.user.role,
+    req.user.orgId,
     req.validated.params.memberId
   );
 
@@ -141,7 +230,8 @@ export const getProjectMembers = asyncHandler(async (req, res) => {
   const members = await projectService.getProjectMembers(
     req.validated.params.projectId,
     req.user.id,
-    req.user.role
+    req.user.role,
+    req.user.orgId
   );
 
   res.status(200).json({
@@ -159,6 +249,7 @@ export const updateMemberRole = asyncHandler(async (req, res) => {
     req.validated.params.projectId,
     req.user.id,
     req.user.role,
+    req.user.orgId,
     req.validated.params.memberId,
     req.validated.body
   );
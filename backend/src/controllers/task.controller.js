@@ -1,5 +1,7 @@
 import * as taskService from "../services/task.service.js";
 import { asyncHandler, errors } from "../utils/errors.js";
+import { toCsv } from "../utils/csv.js";
+import { versionEtag } from "../middleware/concurrency.middleware.js";
 
 /**
  * Create a new task in a project
@@ -10,6 +12,7 @@ export const createTask = asyncHandler(async (req, res) => {
     req.validated.params.projectId,
     req.user.id,
     req.user.role,
+    req.user.orgId,
     req.validated.body
   );
 
@@ -31,10 +34,16 @@ export const getProjectTasks = asyncHandler(async (req, res) => {
     req.validated.params.projectId,
     req.user.id,
     req.user.role,
+    req.user.orgId,
     {
       status: validated.status,
+      statusCategory: validated.statusCategory,
       priority: validated.priority,
       assignedTo: validated.assignedTo,
+      parentId: validated.parentId,
+      labels: validated.label,
+      labelMode: validated.labelMode,
+      customFieldFilters: validated.customFieldFilters,
       page: validated.page,
       limit: validated.limit,
       sortBy: validated.sortBy,
@@ -57,7 +66,8 @@ export const getTaskStats = asyncHandler(async (req, res) => {
   const stats = await taskService.getProjectTaskStats(
     req.validated.params.projectId,
     req.user.id,
-    req.user.role
+    req.user.role,
+    req.user.orgId
   );
 
   res.status(200).json({
@@ -67,6 +77,56 @@ export const getTaskStats = asyncHandler(async (req, res) => {
   });
 });
 
+/**
+ * Export a project's tasks as CSV or JSON
+ * GET /projects/:projectId/tasks/export
+ */
+export const exportTasks = asyncHandler(async (req, res) => {
+  const { format, label, ...filters } = req.validated.query;
+
+  const { project, fields, tasks } = await taskService.exportProjectTasks(
+    req.validated.params.projectId,
+    req.user.id,
+    req.user.role,
+    req.user.orgId,
+    { ...filters, labels: label }
+  );
+
+  const date = new Date().toISOString().slice(0, 10);
+  const filename = `tasks-${project.id}-${date}.${format}`;
+  res.setHeader("Content-Disposition", `attachment; filename="${filename}"`);
+
+  if (format === "json") {
+    return res.status(200).json({ project, fields, tasks });
+  }
+
+  const columns = [
+    { header: "ID", value: (task) => task.id },
+    { header: "Title", value: (task) => task.title },
+    { header: "Description", value: (task) => task.description },
+    { header: "Status", value: (task) => task.status },
+    { header: "Status Category", value: (task) => task.statusCategory },
+    { header: "Priority", value: (task) => task.priority },
+    { header: "Assigned To", value: (task) => task.assignedTo },
+    { header: "Created By", value: (task) => task.createdBy },
+    { header: "Labels", value: (task) => task.labels.join("; ") },
+    { header: "Parent ID", value: (task) => task.parentId },
+    { header: "Due Date", value: (task) => task.dueDate },
+    { header: "Completed At", value: (task) => task.completedAt },
+    { header: "Created At", value: (task) => task.createdAt },
+    ...fields.map((field) => ({
+      header: field.name,
+      value: (task) => {
+        const value = task.customFields[field.key];
+        return Array.isArray(value) ? value.join("; ") : value;
+      },
+    })),
+  ];
+
+  res.setHeader("Content-Type", "text/csv; charset=utf-8");
+  res.status(200).send(toCsv(columns, tasks));
+});
+
 /**
  * Get a specific task
  * GET /tasks/:taskId
@@ -75,9 +135,11 @@ export const getTask = asyncHandler(async (req, res) => {
   const task = await taskService.getTaskById(
     req.validated.params.taskId,
     req.user.id,
-    req.user.role
+    req.user.role,
+    req.user.orgId
   );
 
+  res.set("ETag", versionEtag(task));
   res.status(200).json({
     success: true,
     message: "Task retrieved successfully",
@@ -85,18 +147,41 @@ export const getTask = asyncHandler(async (req, res) => {
   });
 });
 
+/**
+ * Get the subtasks of a task
+ * GET /tasks/:taskId/subtasks
+ */
+export const getSubtasks = asyncHandler(async (req, res) => {
+  const subtasks = await taskService.getSubtasks(
+    req.validated.params.taskId,
+    req.user.id,
+    req.user.role,
+    req.user.orgId,
+    req.validated.query
+  );
+
+  res.status(200).json({
+    success: true,
+    message: "Subtasks retrieved successfully",
+    data: subtasks,
+  });
+});
+
 /**
  * Update a task
- * PUT /tasks/:taskId
+ * PUT /tasks/:taskId (If-Match: "<version>" guards against lost updates)
  */
 export const updateTask = asyncHandler(async (req, res) => {
   const task = await taskService.updateTask(
     req.validated.params.taskId,
     req.user.id,
     req.user.role,
-    req.validated.body
+    req.user.orgId,
+    req.validated.body,
+    { expectedVersion: req.expectedVersion }
   );
 
+  res.set("ETag", versionEtag(task));
   res.status(200).json({
     success: true,
     message: "Task updated successfully",
@@ -113,9 +198,12 @@ export const updateTaskStatus = asyncHandler(async (req, res) => {
     req.validated.params.taskId,
     req.user.id,
     req.user.role,
-    req.validated.body
+    req.user.orgId,
+    req.validated.body,
+    { expectedVersion: req.expectedVersion }
   );
 
+  res.set("ETag", versionEtag(task));
   res.status(200).json({
     success: true,
     message: "Task status updated successfully",
@@ -132,6 +220,7 @@ export const assignTask = asyncHandler(async (req, res) => {
     req.validated.params.taskId,
     req.user.id,
     req.user.role,
+    req.user.orgId,
     req.validated.body
   );
 
@@ -150,7 +239,9 @@ export const deleteTask = asyncHandler(async (req, res) => {
   await taskService.deleteTask(
     req.validated.params.taskId,
     req.user.id,
-    req.user.role
+    req.user.role,
+    req.user.orgId,
+    req.validated.query
   );
 
   res.status(200).json({
@@ -158,22 +249,3 @@ export const deleteTask = asyncHandler(async (req, res) => {
     message: "Task deleted successfully",
   });
 });
-
-/**
- * Add comment to task
- * POST /tasks/:taskId/comments
- */
-export const addTaskComment = asyncHandler(async (req, res) => {
-  const task = await taskService.addTaskComment(
-    req.validated.params.taskId,
-    req.user.id,
-    req.user.role,
-    { text: req.body.text }
-  );
-
-  res.status(201).json({
-    success: true,
-    message: "Comment added successfully",
-    data: task,
-  });
-});
@@ -0,0 +1,22 @@
+import * as taskHistoryService from "../services/taskHistory.service.js";
+import { asyncHandler } from "../utils/errors.js";
+
+/**
+ * Get the change history of a task, newest first
+ * GET /tasks/:taskId/history
+ */
+export const getTaskHistory = asyncHandler(async (req, res) => {
+  const result = await taskHistoryService.getTaskHistory(
+    req.validated.params.taskId,
+    req.user.id,
+    req.user.role,
+    req.user.orgId,
+    req.validated.query
+  );
+
+  res.status(200).json({
+    success: true,
+    message: "Task history retrieved successfully",
+    ...result,
+  });
+});
@@ -0,0 +1,79 @@
+import * as taskLinkService from "../services/taskLink.service.js";
+import { asyncHandler } from "../utils/errors.js";
+
+/**
+ * Link a task to another task
+ * POST /tasks/:taskId/links
+ */
+export const createTaskLink = asyncHandler(async (req, res) => {
+  const link = await taskLinkService.createTaskLink(
+    req.validated.params.taskId,
+    req.user.id,
+    req.user.role,
+    req.user.orgId,
+    req.validated.body
+  );
+
+  res.status(201).json({
+    success: true,
+    message: "Task link created successfully",
+    data: link,
+  });
+});
+
+/**
+ * Get the links of a task
+ * GET /tasks/:taskId/links
+ */
+export const getTaskLinks = asyncHandler(async (req, res) => {
+  const links = await taskLinkService.getTaskLinks(
+    req.validated.params.taskId,
+    req.user.id,
+    req.user.role,
+    req.user.orgId
+  );
+
+  res.status(200).json({
+    success: true,
+    message: "Task links retrieved successfully",
+    data: links,
+  });
+});
+
+/**
+ * Remove a task link
+ * DELETE /tasks/:taskId/links/:linkId
+ */
+export const deleteTaskLink = asyncHandler(async (req, res) => {
+  await taskLinkService.deleteTaskLink(
+    req.validated.params.taskId,
+    req.validated.params.linkId,
+    req.user.id,
+    req.user.role,
+    req.user.orgId
+  );
+
+  res.status(200).json({
+    success: true,
+    message: "Task link deleted successfully",
+  });
+});
+
+/**
+ * Get the dependency graph of a project
+ * GET /projects/:projectId/dependency-graph
+ */
+export const getDependencyGraph = asyncHandler(async (req, res) => {
+  const graph = await taskLinkService.getProjectDependencyGraph(
+    req.validated.params.projectId,
+    req.user.id,
+    req.user.role,
+    req.user.orgId
+  );
+
+  res.status(200).json({
+    success: true,
+    message: "Dependency graph retrieved successfully",
+    data: graph,
+  });
+});
@@ -0,0 +1,60 @@
+import * as taskSeriesService from "../services/taskSeries.service.js";
+import { asyncHandler } from "../utils/errors.js";
+
+/**
+ * Get the series a repeating task belongs to
+ * GET /tasks/:taskId/series
+ */
+export const getTaskSeries = asyncHandler(async (req, res) => {
+  const series = await taskSeriesService.getTaskSeries(
+    req.validated.params.taskId,
+    req.user.id,
+    req.user.role,
+    req.user.orgId
+  );
+
+  res.status(200).json({
+    success: true,
+    message: "Task series retrieved successfully",
+    data: series,
+  });
+});
+
+/**
+ * Edit the whole series (or make a task repeat)
+ * PUT /tasks/:taskId/series
+ */
+export const updateTaskSeries = asyncHandler(async (req, res) => {
+  const series = await taskSeriesService.updateTaskSeries(
+    req.validated.params.taskId,
+    req.user.id,
+    req.user.role,
+    req.user.orgId,
+    req.validated.body
+  );
+
+  res.status(200).json({
+    success: true,
+    message: "Task series updated successfully",
+    data: series,
+  });
+});
+
+/**
+ * Stop a series repeating
+ * DELETE /tasks/:taskId/series
+ */
+export const stopTaskSeries = asyncHandler(async (req, res) => {
+  const series = await taskSeriesService.stopTaskSeries(
+    req.validated.params.taskId,
+    req.user.id,
+    req.user.role,
+    req.user.orgId
+  );
+
+  res.status(200).json({
+    success: true,
+    message: "Task series stopped",
+    data: series,
+  });
+});
@@ -0,0 +1,42 @@
+import * as taskTransferService from "../services/taskTransfer.service.js";
+import { asyncHandler } from "../utils/errors.js";
+
+/**
+ * Move a task, with its subtasks, to another project
+ * POST /tasks/:taskId/move
+ */
+export const moveTask = asyncHandler(async (req, res) => {
+  const task = await taskTransferService.moveTask(
+    req.validated.params.taskId,
+    req.user.id,
+    req.user.role,
+    req.user.orgId,
+    req.validated.body
+  );
+
+  res.status(200).json({
+    success: true,
+    message: "Task moved successfully",
+    data: task,
+  });
+});
+
+/**
+ * Copy a task, optionally with its subtasks
+ * POST /tasks/:taskId/clone
+ */
+export const cloneTask = asyncHandler(async (req, res) => {
+  const task = await taskTransferService.cloneTask(
+    req.validated.params.taskId,
+    req.user.id,
+    req.user.role,
+    req.user.orgId,
+    req.validated.body
+  );
+
+  res.status(201).json({
+    success: true,
+    message: "Task copied successfully",
+    data: task,
+  });
+});
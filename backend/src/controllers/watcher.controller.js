@@ -0,0 +1,61 @@
+import * as watcherService from "../services/watcher.service.js";
+import { asyncHandler } from "../utils/errors.js";
+
+/**
+ * Get who watches a task
+ * GET /tasks/:taskId/watchers
+ */
+export const getTaskWatchers = asyncHandler(async (req, res) => {
+  const watchers = await watcherService.getTaskWatchers(
+    req.validated.params.taskId,
+    req.user.id,
+    req.user.role,
+    req.user.orgId
+  );
+
+  res.status(200).json({
+    success: true,
+    message: "Watchers retrieved successfully",
+    data: watchers,
+  });
+});
+
+/**
+ * Start watching a task
+ * POST /tasks/:taskId/watch
+ */
+export const watchTask = asyncHandler(async (req, res) => {
+  const watchers = await watcherService.setTaskWatching(
+    req.validated.params.taskId,
+    req.user.id,
+    req.user.role,
+    req.user.orgId,
+    true
+  );
+
+  res.status(200).json({
+    success: true,
+    message: "You are now watching this task",
+    data: watchers,
+  });
+});
+
+/**
+ * Stop watching a task
+ * DELETE /tasks/:taskId/watch
+ */
+export const unwatchTask = asyncHandler(async (req, res) => {
+  const watchers = await watcherService.setTaskWatching(
+    req.validated.params.taskId,
+    req.user.id,
+    req.user.role,
+    req.user.orgId,
+    false
+  );
+
+  res.status(200).json({
+    success: true,
+    message: "You are no longer watching this task",
+    data: watchers,
+  });
+});
@@ -0,0 +1,158 @@
+import * as worklogService from "../services/worklog.service.js";
+import { asyncHandler } from "../utils/errors.js";
+
+/**
+ * Get the caller's running timer
+ * GET /timer
+ */
+export const getRunningTimer = asyncHandler(async (req, res) => {
+  const timer = await worklogService.getRunningTimer(
+    req.user.id,
+    req.user.orgId
+  );
+
+  res.status(200).json({
+    success: true,
+    message: timer ? "Timer is running" : "No timer is running",
+    data: timer,
+  });
+});
+
+/**
+ * Start a timer on a task (stops any other running timer)
+ * POST /tasks/:taskId/timer
+ */
+export const startTimer = asyncHandler(async (req, res) => {
+  const result = await worklogService.startTimer(
+    req.validated.params.taskId,
+    req.user.id,
+    req.user.role,
+    req.user.orgId,
+    req.validated.body
+  );
+
+  res.status(201).json({
+    success: true,
+    message: "Timer started",
+    data: result,
+  });
+});
+
+/**
+ * Stop the caller's running timer
+ * POST /timer/stop
+ */
+export const stopTimer = asyncHandler(async (req, res) => {
+  const worklog = await worklogService.stopTimer(
+    req.user.id,
+    req.user.orgId,
+    req.validated.body
+  );
+
+  res.status(200).json({
+    success: true,
+    message: worklog
+      ? "Timer stopped"
+      : "Timer stopped; it ran too briefly to log any time",
+    data: worklog,
+  });
+});
+
+/**
+ * Get a task's worklogs and time totals
+ * GET /tasks/:taskId/worklogs
+ */
+export const getTaskWorklogs = asyncHandler(async (req, res) => {
+  const result = await worklogService.getTaskWorklogs(
+    req.validated.params.taskId,
+    req.user.id,
+    req.user.role,
+    req.user.orgId
+  );
+
+  res.status(200).json({
+    success: true,
+    message: "Worklogs retrieved successfully",
+    data: result,
+  });
+});
+
+/**
+ * Log time on a task by hand
+ * POST /tasks/:taskId/worklogs
+ */
+export const addWorklog = asyncHandler(async (req, res) => {
+  const worklog = await worklogService.addWorklog(
+    req.validated.params.taskId,
+    req.user.id,
+    req.user.role,
+    req.user.orgId,
+    req.validated.body
+  );
+
+  res.status(201).json({
+    success: true,
+    message: "Time logged successfully",
+    data: worklog,
+  });
+});
+
+/**
+ * Correct a worklog
+ * PUT /tasks/:taskId/worklogs/:worklogId
+ */
+export const updateWorklog = asyncHandler(async (req, res) => {
+  const worklog = await worklogService.updateWorklog(
+    req.validated.params.taskId,
+    req.validated.params.worklogId,
+    req.user.id,
+    req.user.role,
+    req.user.orgId,
+    req.validated.body
+  );
+
+  res.status(200).json({
+    success: true,
+    message: "Worklog updated successfully",
+    data: worklog,
+  });
+});
+
+/**
+ * Delete a worklog
+ * DELETE /tasks/:taskId/worklogs/:worklogId
+ */
+export const deleteWorklog = asyncHandler(async (req, res) => {
+  const result = await worklogService.deleteWorklog(
+    req.validated.params.taskId,
+    req.validated.params.worklogId,
+    req.user.id,
+    req.user.role,
+    req.user.orgId
+  );
+
+  res.status(200).json({
+    success: true,
+    message: result.message,
+  });
+});
+
+/**
+ * Time logged on a project, by user, task and day
+ * GET /projects/:projectId/timesheet
+ */
+export const getProjectTimesheet = asyncHandler(async (req, res) => {
+  const timesheet = await worklogService.getProjectTimesheet(
+    req.validated.params.projectId,
+    req.user.id,
+    req.user.role,
+    req.user.orgId,
+    req.validated.query
+  );
+
+  res.status(200).json({
+    success: true,
+    message: "Timesheet retrieved successfully",
+    data: timesheet,
+  });
+});
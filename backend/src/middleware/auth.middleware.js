@@ -1,7 +1,12 @@
-import jwt from "jsonwebtoken";
+import { isSessionActive } from "../services/auth.service.js";
+import { verifyJwt } from "../services/signingKey.service.js";
+import {
+  ACCESS_TOKEN_PREFIX,
+  authenticateAccessToken,
+} from "../services/accessToken.service.js";
 
 // Middleware to verify JWT token
-export const verifyToken = (req, res, next) => {
+export const verifyToken = async (req, res, next) => {
   try {
     // Extract token from Authorization header (Bearer <token>)
     const authHeader = req.headers.authorization;
@@ -11,8 +16,32 @@ export const verifyToken = (req, res, next) => {
 
     const token = authHeader.split(" ")[1];
 
-    // Verify token
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    // Personal access tokens are opaque; everything else is a session JWT
+    if (token.startsWith(ACCESS_TOKEN_PREFIX)) {
+      const identity = await authenticateAccessToken(token);
+      if (!identity) {
+        return res
+          .status(401)
+          .json({ error: "Invalid, expired or revoked access token" });
+      }
+
+      req.user = identity;
+      return next();
+    }
+
+    // Verify token against the key named by its kid
+    const decoded = await verifyJwt(token);
+
+    // Reject tokens whose session was logged out or revoked
+    if (!decoded.sid || !(await isSessionActive(decoded.sid))) {
+      return res.status(401).json({ error: "Session has been revoked" });
+    }
+
+    // Tokens issued before organizations existed carry no tenant; make the client refresh
+    if (!decoded.orgId) {
+      return res.status(401).json({ error: "Token has expired" });
+    }
+
     req.user = decoded; // Attach decoded user to request object
 
     next();
@@ -26,3 +55,14 @@ export const verifyToken = (req, res, next) => {
     return res.status(401).json({ error: "Authentication failed" });
   }
 };
+
+// Middleware to keep personal access tokens away from account-security routes
+export const requireSessionToken = (req, res, next) => {
+  if (req.user?.tokenType === "pat") {
+    return res.status(403).json({
+      error: "This endpoint requires a login session, not an access token",
+    });
+  }
+
+  next();
+};
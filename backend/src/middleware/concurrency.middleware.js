@@ -0,0 +1,26 @@
+/**
+ * Optimistic concurrency over HTTP
+ * A document's version (__v) is sent as a strong ETag ("3"). Clients send
+ * it back in If-Match so an update made against an older version is
+ * refused instead of silently overwriting someone else's changes
+ */
+
+export const versionEtag = (doc) => `"${doc.__v}"`;
+
+// Read If-Match into req.expectedVersion ("*" or no header: any version)
+export const readIfMatch = (req, res, next) => {
+  const header = req.get("If-Match")?.trim();
+  if (!header || header === "*") return next();
+
+  const match = /^"(\d+)"$/.exec(header);
+  if (!match) {
+    return res.status(400).json({
+      success: false,
+      error: "Validation failed",
+      details: 'If-Match must be a single ETag such as "3"',
+    });
+  }
+
+  req.expectedVersion = Number(match[1]);
+  next();
+};
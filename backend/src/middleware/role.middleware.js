@@ -1,3 +1,5 @@
+import { isMfaRequiredForRole } from "../services/auth.service.js";
+
 // Role-based access control middleware
 export const authorizeRole = (...allowedRoles) => {
   return (req, res, next) => {
@@ -13,6 +15,13 @@ export const authorizeRole = (...allowedRoles) => {
         });
       }
 
+      // Privileged roles must have completed a second factor for this session
+      if (isMfaRequiredForRole(req.user.role) && !req.user.mfa) {
+        return res.status(403).json({
+          error: "Multi-factor authentication required. Enable MFA and sign in again",
+        });
+      }
+
       next();
     } catch (err) {
       return res.status(500).json({ error: "Authorization error" });
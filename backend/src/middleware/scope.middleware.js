@@ -0,0 +1,46 @@
+/**
+ * Scopes that can be granted to personal access tokens
+ */
+export const SCOPES = [
+  "projects:read",
+  "projects:write",
+  "projects:admin",
+  "tasks:read",
+  "tasks:write",
+  "users:admin",
+];
+
+// Broader scopes include the narrower ones
+const IMPLIED_SCOPES = {
+  "projects:admin": ["projects:write", "projects:read"],
+  "projects:write": ["projects:read"],
+  "tasks:write": ["tasks:read"],
+};
+
+/**
+ * Check whether a scope list grants a scope (directly or implied)
+ */
+export const hasScope = (grantedScopes, scope) => {
+  return grantedScopes.some(
+    (granted) =>
+      granted === scope || IMPLIED_SCOPES[granted]?.includes(scope)
+  );
+};
+
+// Scope enforcement middleware
+// Login sessions carry no scopes and are limited by RBAC alone
+export const requireScope = (scope) => {
+  return (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({ error: "Unauthorized - No user" });
+    }
+
+    if (req.user.scopes && !hasScope(req.user.scopes, scope)) {
+      return res.status(403).json({
+        error: `Forbidden - Token is missing required scope: ${scope}`,
+      });
+    }
+
+    next();
+  };
+};
@@ -0,0 +1,88 @@
+import multer from "multer";
+import { errors } from "../utils/errors.js";
+
+/**
+ * Multipart upload of one attachment (form field "file")
+ * ATTACHMENT_MAX_MB caps its size (default 10) and ATTACHMENT_ALLOWED_TYPES
+ * lists the accepted MIME types, comma separated ("image/*" wildcards work)
+ */
+
+// Documents and images browsers cannot run as pages (no HTML or SVG)
+const DEFAULT_ALLOWED_TYPES = [
+  "image/png",
+  "image/jpeg",
+  "image/gif",
+  "image/webp",
+  "application/pdf",
+  "text/plain",
+  "text/csv",
+  "application/zip",
+  "application/vnd.openxmlformats-officedocument.wordprocessingml.document",
+  "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+  "application/vnd.openxmlformats-officedocument.presentationml.presentation",
+];
+
+let upload = null;
+
+const getMaxMegabytes = () => Number(process.env.ATTACHMENT_MAX_MB) || 10;
+
+const getAllowedTypes = () =>
+  process.env.ATTACHMENT_ALLOWED_TYPES
+    ? process.env.ATTACHMENT_ALLOWED_TYPES.split(",")
+        .map((type) => type.trim().toLowerCase())
+        .filter(Boolean)
+    : DEFAULT_ALLOWED_TYPES;
+
+const isAllowedType = (allowedTypes, type) =>
+  allowedTypes.some((allowed) =>
+    allowed.endsWith("/*")
+      ? type.startsWith(allowed.slice(0, -1))
+      : type === allowed
+  );
+
+// Created on first use, once the environment is loaded
+const getUpload = () => {
+  if (upload) return upload;
+
+  const allowedTypes = getAllowedTypes();
+  upload = multer({
+    storage: multer.memoryStorage(),
+    // Browsers send UTF-8 file names without saying so
+    defParamCharset: "utf8",
+    limits: {
+      fileSize: getMaxMegabytes() * 1024 * 1024,
+      files: 1,
+      fields: 5,
+    },
+    fileFilter: (req, file, cb) => {
+      if (isAllowedType(allowedTypes, file.mimetype.toLowerCase())) {
+        return cb(null, true);
+      }
+      cb(
+        errors.unsupportedMediaType(
+          `Files of type ${file.mimetype} cannot be attached`
+        )
+      );
+    },
+  });
+
+  return upload;
+};
+
+export const uploadAttachment = (req, res, next) => {
+  getUpload().single("file")(req, res, (err) => {
+    if (!err) return next();
+
+    if (err.code === "LIMIT_FILE_SIZE") {
+      return next(
+        errors.payloadTooLarge(
+          `Attachments cannot exceed ${getMaxMegabytes()} MB`
+        )
+      );
+    }
+    if (err instanceof multer.MulterError) {
+      return next(errors.badRequest(err.message));
+    }
+    next(err);
+  });
+};
@@ -0,0 +1,47 @@
+import Organization from "../models/Organization.js";
+import User from "../models/User.js";
+import Project from "../models/Project.js";
+import Task from "../models/Task.js";
+import { createOrganization } from "../services/organization.service.js";
+
+/**
+ * Move pre-organization data into a default organization
+ * Users, projects and tasks without an organizationId join it;
+ * tasks take the organization of their project
+ */
+export const up = async () => {
+  const pending =
+    (await User.exists({ organizationId: null })) ||
+    (await Project.exists({ organizationId: null })) ||
+    (await Task.exists({ organizationId: null }));
+  if (!pending) return;
+
+  const name = process.env.DEFAULT_ORGANIZATION_NAME || "Default Organization";
+  const organization =
+    (await Organization.findOne({ name })) ||
+    (await createOrganization({ name }));
+
+  const users = await User.updateMany(
+    { organizationId: null },
+    { $set: { organizationId: organization._id } }
+  );
+  const projects = await Project.updateMany(
+    { organizationId: null },
+    { $set: { organizationId: organization._id } }
+  );
+
+  let tasks = 0;
+  const projectIds = await Task.distinct("projectId", { organizationId: null });
+  for (const projectId of projectIds) {
+    const project = await Project.findById(projectId).select("organizationId");
+    const result = await Task.updateMany(
+      { projectId, organizationId: null },
+      { $set: { organizationId: project?.organizationId || organization._id } }
+    );
+    tasks += result.modifiedCount;
+  }
+
+  console.log(
+    `  ${users.modifiedCount} users, ${projects.modifiedCount} projects and ${tasks} tasks moved to "${organization.name}"`
+  );
+};
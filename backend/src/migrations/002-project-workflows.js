@@ -0,0 +1,36 @@
+import Project from "../models/Project.js";
+import Task from "../models/Task.js";
+import { DEFAULT_WORKFLOW, getStatusCategory } from "../utils/workflow.js";
+import { refreshProjectRollups } from "../services/task.service.js";
+
+/**
+ * Give existing projects the default workflow and existing tasks the
+ * category of their status, then rebuild subtask rollups (which are now
+ * keyed by workflow status and category)
+ */
+export const up = async () => {
+  const projects = await Project.updateMany(
+    { "workflow.statuses.0": { $exists: false } },
+    { $set: { workflow: DEFAULT_WORKFLOW } }
+  );
+
+  let tasks = 0;
+  for (const { key } of DEFAULT_WORKFLOW.statuses) {
+    const result = await Task.updateMany(
+      { status: key, statusCategory: { $exists: false } },
+      { $set: { statusCategory: getStatusCategory(DEFAULT_WORKFLOW, key) } }
+    );
+    tasks += result.modifiedCount;
+  }
+
+  const projectIds = await Task.distinct("projectId", {
+    parentId: { $ne: null },
+  });
+  for (const projectId of projectIds) {
+    await refreshProjectRollups(projectId);
+  }
+
+  console.log(
+    `  ${projects.modifiedCount} projects given the default workflow, ${tasks} tasks categorized`
+  );
+};
@@ -0,0 +1,30 @@
+import Task from "../models/Task.js";
+
+/**
+ * Make existing tasks watched by the users who now watch new ones
+ * automatically: their creator, assignee and commenters
+ */
+export const up = async () => {
+  const result = await Task.updateMany({}, [
+    {
+      $set: {
+        watchers: {
+          $setUnion: [
+            { $ifNull: ["$watchers", []] },
+            ["$createdBy"],
+            {
+              $cond: [
+                { $ifNull: ["$assignedTo", false] },
+                ["$assignedTo"],
+                [],
+              ],
+            },
+            { $ifNull: ["$comments.userId", []] },
+          ],
+        },
+      },
+    },
+  ]);
+
+  console.log(`  ${result.modifiedCount} tasks given their watchers`);
+};
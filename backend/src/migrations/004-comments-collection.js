@@ -0,0 +1,70 @@
+import Task from "../models/Task.js";
+import Comment from "../models/Comment.js";
+import { sanitizeMarkdown } from "../utils/markdown.js";
+
+/**
+ * Move comments embedded in tasks into the comments collection
+ * Comments keep their _id, so attachments made to them stay attached.
+ * The Task model no longer has the field, so tasks are read raw
+ */
+export const up = async () => {
+  const tasks = Task.collection.find(
+    { "comments.0": { $exists: true } },
+    { projection: { projectId: 1, organizationId: 1, comments: 1 } }
+  );
+
+  let moved = 0;
+  let skipped = 0;
+  for await (const task of tasks) {
+    const writes = [];
+    for (const comment of task.comments) {
+      const text = sanitizeMarkdown(comment.text || "");
+      // Nothing left once sanitized (it was only HTML)
+      if (!text) {
+        skipped += 1;
+        continue;
+      }
+
+      const createdAt = comment.createdAt || task._id.getTimestamp();
+      writes.push({
+        // Upserts, so a rerun after a failure doesn't duplicate
+        updateOne: {
+          filter: { _id: comment._id },
+          update: {
+            $setOnInsert: {
+              taskId: task._id,
+              projectId: task.projectId,
+              organizationId: task.organizationId,
+              userId: comment.userId,
+              parentId: null,
+              text,
+              mentions: comment.mentions || [],
+              edits: [],
+              editedAt: null,
+              replyCount: 0,
+              reactions: [],
+              deletedAt: null,
+              deletedBy: null,
+              createdAt,
+              updatedAt: createdAt,
+            },
+          },
+          upsert: true,
+        },
+      });
+    }
+
+    if (writes.length) await Comment.collection.bulkWrite(writes);
+    moved += writes.length;
+  }
+
+  const result = await Task.collection.updateMany(
+    { comments: { $exists: true } },
+    { $unset: { comments: "" } }
+  );
+
+  console.log(
+    `  ${moved} comments moved from ${result.modifiedCount} tasks` +
+      (skipped ? `, ${skipped} empty ones dropped` : "")
+  );
+};
@@ -0,0 +1,41 @@
+import { readdirSync } from "fs";
+import path from "path";
+import { fileURLToPath, pathToFileURL } from "url";
+import mongoose from "mongoose";
+import { connectDB, disconnectDB } from "../db.js";
+
+/**
+ * Migration runner
+ * Applies every NNN-name.js file in this directory once, in order,
+ * and records it in the "migrations" collection
+ */
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const runMigrations = async () => {
+  await connectDB();
+  const applied = mongoose.connection.collection("migrations");
+
+  const files = readdirSync(__dirname)
+    .filter((file) => /^\d{3}-.+\.js$/.test(file))
+    .sort();
+
+  for (const file of files) {
+    if (await applied.findOne({ name: file })) continue;
+
+    console.log(`→ Running migration ${file}`);
+    const migration = await import(pathToFileURL(path.join(__dirname, file)));
+    await migration.up();
+    await applied.insertOne({ name: file, appliedAt: new Date() });
+    console.log(`✓ Migration ${file} applied`);
+  }
+
+  await disconnectDB();
+};
+
+runMigrations().catch(async (err) => {
+  console.error("✗ Migration failed:", err.message);
+  await disconnectDB();
+  process.exit(1);
+});
@@ -0,0 +1,55 @@
+import mongoose from "mongoose";
+
+// Personal access tokens for API automation (stored hashed, shown once)
+const accessTokenSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+    name: {
+      type: String,
+      required: [true, "Token name is required"],
+      trim: true,
+      maxlength: [100, "Token name cannot exceed 100 characters"],
+    },
+    tokenHash: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    // First characters of the token so users can recognise it in lists
+    tokenPrefix: {
+      type: String,
+      required: true,
+    },
+    scopes: {
+      type: [String],
+      default: [],
+    },
+    expiresAt: {
+      type: Date,
+      default: null, // null = never expires
+    },
+    lastUsedAt: {
+      type: Date,
+      default: null,
+    },
+    revokedAt: {
+      type: Date,
+      default: null,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+  },
+  { timestamps: true }
+);
+
+const AccessToken = mongoose.model("AccessToken", accessTokenSchema);
+
+export default AccessToken;
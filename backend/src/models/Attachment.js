@@ -0,0 +1,72 @@
+import mongoose from "mongoose";
+
+// A file uploaded to a task, or to one of its comments
+// The bytes live in file storage (utils/storage.js) under storageKey
+const attachmentSchema = new mongoose.Schema(
+  {
+    taskId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Task",
+      required: true,
+      index: true,
+    },
+    // Copied from the task so project deletion needs no join
+    projectId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Project",
+      required: true,
+      index: true,
+    },
+    organizationId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Organization",
+      required: true,
+      index: true,
+    },
+    // Set when the file belongs to a comment rather than the task itself
+    commentId: {
+      type: mongoose.Schema.Types.ObjectId,
+      default: null,
+    },
+    uploadedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    fileName: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: [255, "File name cannot exceed 255 characters"],
+    },
+    contentType: {
+      type: String,
+      required: true,
+    },
+    // Bytes
+    size: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    storageKey: {
+      type: String,
+      required: true,
+    },
+    // Images get a small preview, made by a background job
+    thumbnailStatus: {
+      type: String,
+      enum: ["NONE", "PENDING", "READY", "FAILED"],
+      default: "NONE",
+    },
+    thumbnailKey: {
+      type: String,
+      default: null,
+    },
+  },
+  { timestamps: true }
+);
+
+const Attachment = mongoose.model("Attachment", attachmentSchema);
+
+export default Attachment;
@@ -0,0 +1,94 @@
+import mongoose from "mongoose";
+
+export const BULK_OPERATION_TYPES = [
+  "SET_STATUS",
+  "SET_PRIORITY",
+  "SET_ASSIGNEE",
+  "SET_DUE_DATE",
+  "SET_LABELS",
+  "MOVE",
+  "DELETE",
+];
+
+// One change applied to many tasks of a project, task by task, with the
+// outcome for each. Large batches run as a job and report progress here
+const bulkOperationSchema = new mongoose.Schema(
+  {
+    projectId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Project",
+      required: true,
+    },
+    organizationId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Organization",
+      required: true,
+    },
+    // Runs with this user's permissions, as they are when it runs
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    type: {
+      type: String,
+      enum: BULK_OPERATION_TYPES,
+      required: true,
+    },
+    // What the operation sets, e.g. { status, force } for SET_STATUS
+    params: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {},
+    },
+    // The tasks, fixed when the operation is created, in the order they run
+    taskIds: [{ type: mongoose.Schema.Types.ObjectId, ref: "Task" }],
+    status: {
+      type: String,
+      enum: ["QUEUED", "RUNNING", "COMPLETED", "FAILED"],
+      default: "QUEUED",
+    },
+    // One entry per task processed, in taskIds order
+    results: [
+      {
+        taskId: { type: mongoose.Schema.Types.ObjectId, required: true },
+        success: { type: Boolean, required: true },
+        error: { type: String, default: null },
+        _id: false,
+      },
+    ],
+    succeeded: {
+      type: Number,
+      default: 0,
+    },
+    failed: {
+      type: Number,
+      default: 0,
+    },
+    // Why the run stopped early (status FAILED)
+    error: {
+      type: String,
+      default: null,
+    },
+    startedAt: {
+      type: Date,
+      default: null,
+    },
+    finishedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  { timestamps: true }
+);
+
+bulkOperationSchema.index({ projectId: 1, createdAt: -1 });
+
+// Reports are kept for a week
+bulkOperationSchema.index(
+  { createdAt: 1 },
+  { expireAfterSeconds: 7 * 24 * 60 * 60 }
+);
+
+const BulkOperation = mongoose.model("BulkOperation", bulkOperationSchema);
+
+export default BulkOperation;
@@ -0,0 +1,95 @@
+import mongoose from "mongoose";
+
+// A comment on a task, or a reply in a comment's thread
+// Deleting only marks it deleted so its thread keeps its place
+const commentSchema = new mongoose.Schema(
+  {
+    taskId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Task",
+      required: true,
+    },
+    // Copied from the task so project deletion needs no join
+    projectId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Project",
+      required: true,
+      index: true,
+    },
+    organizationId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Organization",
+      required: true,
+      index: true,
+    },
+    // Author
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    // The thread a reply belongs to; threads are one level deep
+    parentId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Comment",
+      default: null,
+    },
+    // Sanitized markdown (utils/markdown.js)
+    text: {
+      type: String,
+      required: true,
+      maxlength: [5000, "Comment cannot exceed 5000 characters"],
+    },
+    // Project members the comment @mentions
+    mentions: {
+      type: [{ type: mongoose.Schema.Types.ObjectId, ref: "User" }],
+      default: [],
+    },
+    // Earlier versions of the text, oldest first, with when each was replaced
+    edits: [
+      {
+        text: { type: String, required: true },
+        editedAt: { type: Date, required: true },
+        _id: false,
+      },
+    ],
+    editedAt: {
+      type: Date,
+      default: null,
+    },
+    // Visible replies, kept up to date on writes
+    replyCount: {
+      type: Number,
+      default: 0,
+    },
+    // One entry per user and emoji
+    reactions: [
+      {
+        emoji: { type: String, required: true },
+        userId: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "User",
+          required: true,
+        },
+        _id: false,
+      },
+    ],
+    deletedAt: {
+      type: Date,
+      default: null,
+    },
+    deletedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+  },
+  { timestamps: true }
+);
+
+// Listing a task's comments, or a thread's replies, in order
+commentSchema.index({ taskId: 1, parentId: 1, _id: 1 });
+
+const Comment = mongoose.model("Comment", commentSchema);
+
+export default Comment;
@@ -0,0 +1,64 @@
+import mongoose from "mongoose";
+
+// Invitation to join a project, addressed to an email (the user may not exist yet)
+const invitationSchema = new mongoose.Schema(
+  {
+    projectId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Project",
+      required: true,
+      index: true,
+    },
+    email: {
+      type: String,
+      required: [true, "Email is required"],
+      lowercase: true,
+      trim: true,
+      index: true,
+    },
+    role: {
+      type: String,
+      enum: ["MANAGER", "MEMBER"],
+      default: "MEMBER",
+    },
+    invitedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: ["PENDING", "ACCEPTED", "DECLINED", "REVOKED", "EXPIRED"],
+      default: "PENDING",
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    respondedAt: {
+      type: Date,
+      default: null,
+    },
+    acceptedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    revokedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+  },
+  { timestamps: true }
+);
+
+// At most one pending invitation per project and email
+invitationSchema.index(
+  { projectId: 1, email: 1 },
+  { unique: true, partialFilterExpression: { status: "PENDING" } }
+);
+
+const Invitation = mongoose.model("Invitation", invitationSchema);
+
+export default Invitation;
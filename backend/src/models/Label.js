@@ -0,0 +1,46 @@
+import mongoose from "mongoose";
+
+// Tag that tasks of a project can carry ("bug", "frontend", ...)
+const labelSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, "Label name is required"],
+      trim: true,
+      maxlength: [50, "Label name cannot exceed 50 characters"],
+    },
+    color: {
+      type: String,
+      required: true,
+      match: [/^#[0-9a-fA-F]{6}$/, "Label color must be a hex color"],
+    },
+    projectId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Project",
+      required: true,
+      index: true,
+    },
+    organizationId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Organization",
+      required: true,
+      index: true,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+  },
+  { timestamps: true }
+);
+
+// Label names are unique within a project, ignoring case
+labelSchema.index(
+  { projectId: 1, name: 1 },
+  { unique: true, collation: { locale: "en", strength: 2 } }
+);
+
+const Label = mongoose.model("Label", labelSchema);
+
+export default Label;
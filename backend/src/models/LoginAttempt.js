@@ -0,0 +1,57 @@
+import mongoose from "mongoose";
+
+// Audit record of a failed or blocked login
+const loginAttemptSchema = new mongoose.Schema(
+  {
+    email: {
+      type: String,
+      lowercase: true,
+      trim: true,
+      index: true,
+    },
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+      index: true,
+    },
+    // Known only when the email matched an account
+    organizationId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Organization",
+      default: null,
+      index: true,
+    },
+    ip: {
+      type: String,
+      default: null,
+      index: true,
+    },
+    userAgent: {
+      type: String,
+      default: null,
+    },
+    reason: {
+      type: String,
+      enum: [
+        "UNKNOWN_ACCOUNT",
+        "INVALID_PASSWORD",
+        "INVALID_MFA_CODE",
+        "ACCOUNT_LOCKED",
+        "IP_BLOCKED",
+      ],
+      required: true,
+    },
+  },
+  { timestamps: { createdAt: true, updatedAt: false } }
+);
+
+// Keep audit records for 90 days (also serves date-range queries)
+loginAttemptSchema.index(
+  { createdAt: 1 },
+  { expireAfterSeconds: 90 * 24 * 60 * 60 }
+);
+
+const LoginAttempt = mongoose.model("LoginAttempt", loginAttemptSchema);
+
+export default LoginAttempt;
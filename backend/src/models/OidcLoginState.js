@@ -0,0 +1,32 @@
+import mongoose from "mongoose";
+
+// Pending OIDC authorization request (state, nonce and PKCE verifier)
+const oidcLoginStateSchema = new mongoose.Schema(
+  {
+    state: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    nonce: {
+      type: String,
+      required: true,
+    },
+    codeVerifier: {
+      type: String,
+      required: true,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  { timestamps: { createdAt: true, updatedAt: false } }
+);
+
+// MongoDB removes abandoned login attempts automatically
+oidcLoginStateSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const OidcLoginState = mongoose.model("OidcLoginState", oidcLoginStateSchema);
+
+export default OidcLoginState;
@@ -0,0 +1,31 @@
+import mongoose from "mongoose";
+
+// Tenant that owns users and projects; nothing is shared across organizations
+const organizationSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, "Organization name is required"],
+      trim: true,
+      minlength: [2, "Organization name must be at least 2 characters"],
+      maxlength: [100, "Organization name cannot exceed 100 characters"],
+    },
+    slug: {
+      type: String,
+      required: true,
+      unique: true,
+      lowercase: true,
+      trim: true,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+  },
+  { timestamps: true }
+);
+
+const Organization = mongoose.model("Organization", organizationSchema);
+
+export default Organization;
@@ -1,4 +1,50 @@
 import mongoose from "mongoose";
+import {
+  DEFAULT_WORKFLOW,
+  STATUS_CATEGORIES,
+  TRANSITION_ROLES,
+} from "../utils/workflow.js";
+import { CUSTOM_FIELD_TYPES } from "../utils/customFields.js";
+
+// Task statuses and the transitions allowed between them
+const workflowSchema = new mongoose.Schema(
+  {
+    statuses: [
+      {
+        _id: false,
+        key: { type: String, required: true },
+        name: { type: String, required: true, trim: true },
+        category: { type: String, enum: STATUS_CATEGORIES, required: true },
+      },
+    ],
+    transitions: [
+      {
+        _id: false,
+        from: { type: String, required: true },
+        to: { type: String, required: true },
+        roles: { type: [{ type: String, enum: TRANSITION_ROLES }] },
+      },
+    ],
+    initialStatus: {
+      type: String,
+      required: true,
+    },
+  },
+  { _id: false }
+);
+
+// Extra typed fields the project's tasks carry values for
+const customFieldSchema = new mongoose.Schema(
+  {
+    key: { type: String, required: true },
+    name: { type: String, required: true, trim: true },
+    type: { type: String, enum: CUSTOM_FIELD_TYPES, required: true },
+    // Choices for SELECT and MULTI_SELECT fields
+    options: { type: [String], default: [] },
+    required: { type: Boolean, default: false },
+  },
+  { _id: false }
+);
 
 const projectSchema = new mongoose.Schema(
   {
@@ -15,6 +61,12 @@ const projectSchema = new mongoose.Schema(
       default: "",
       maxlength: [500, "Project description cannot exceed 500 characters"],
     },
+    organizationId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Organization",
+      required: [true, "Organization is required"],
+      index: true,
+    },
     ownerId: {
       type: mongoose.Schema.Types.ObjectId,
       ref: "User",
@@ -44,12 +96,27 @@ const projectSchema = new mongoose.Schema(
       enum: ["ACTIVE", "ARCHIVED"],
       default: "ACTIVE",
     },
+    workflow: {
+      type: workflowSchema,
+      default: () => DEFAULT_WORKFLOW,
+    },
+    customFields: {
+      type: [customFieldSchema],
+      default: [],
+    },
+    // Tasks can't reach a done status while required checklist items are open
+    requireChecklistForDone: {
+      type: Boolean,
+      default: false,
+    },
   },
-  { timestamps: true }
+  // Every save bumps __v and fails if the project was saved meanwhile
+  { timestamps: true, optimisticConcurrency: true }
 );
 
 // Compound index for efficient filtering
 projectSchema.index({ ownerId: 1, status: 1 });
+projectSchema.index({ organizationId: 1, status: 1 });
 
 // Virtuals for task count
 projectSchema.virtual("taskCount", {
@@ -0,0 +1,57 @@
+import mongoose from "mongoose";
+
+// Asymmetric key pair used to sign JWTs, published by kid in the JWKS
+const signingKeySchema = new mongoose.Schema(
+  {
+    kid: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    // Position in the rotation chain; unique, so two instances that race to
+    // add the same key can't both store one
+    generation: {
+      type: Number,
+      required: true,
+      unique: true,
+    },
+    algorithm: {
+      type: String,
+      enum: ["RS256", "ES256"],
+      required: true,
+    },
+    publicJwk: {
+      type: Object,
+      required: true,
+    },
+    // PKCS#8 PEM; never returned by default
+    privateKey: {
+      type: String,
+      required: true,
+      select: false,
+    },
+    // Signs new tokens from activatesAt until retiresAt...
+    activatesAt: {
+      type: Date,
+      required: true,
+      index: true,
+    },
+    retiresAt: {
+      type: Date,
+      required: true,
+    },
+    // ...and keeps verifying them until expiresAt
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  { timestamps: { createdAt: true, updatedAt: false } }
+);
+
+// Expired keys can no longer verify anything - let MongoDB drop them
+signingKeySchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const SigningKey = mongoose.model("SigningKey", signingKeySchema);
+
+export default SigningKey;
@@ -1,4 +1,5 @@
 import mongoose from "mongoose";
+import { STATUS_CATEGORIES } from "../utils/workflow.js";
 
 const taskSchema = new mongoose.Schema(
   {
@@ -15,9 +16,16 @@ const taskSchema = new mongoose.Schema(
       default: "",
       maxlength: [1000, "Task description cannot exceed 1000 characters"],
     },
+    // One of the project workflow's status keys
     status: {
       type: String,
-      enum: ["TODO", "IN_PROGRESS", "DONE"],
+      default: "TODO",
+      index: true,
+    },
+    // Category of the status, copied so queries don't need the workflow
+    statusCategory: {
+      type: String,
+      enum: STATUS_CATEGORIES,
       default: "TODO",
       index: true,
     },
@@ -33,6 +41,41 @@ const taskSchema = new mongoose.Schema(
       required: [true, "Project ID is required"],
       index: true,
     },
+    // Copied from the project so tenant filters don't need a join
+    organizationId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Organization",
+      required: [true, "Organization is required"],
+      index: true,
+    },
+    // Subtask hierarchy: direct parent plus the full path (root first)
+    parentId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Task",
+      default: null,
+      index: true,
+    },
+    ancestors: {
+      type: [{ type: mongoose.Schema.Types.ObjectId, ref: "Task" }],
+      default: [],
+      index: true,
+    },
+    // Direct subtask counts and progress (0-100), kept up to date on writes
+    rollup: {
+      total: { type: Number, default: 0 },
+      byStatus: { type: Map, of: Number, default: {} },
+      byCategory: {
+        TODO: { type: Number, default: 0 },
+        ACTIVE: { type: Number, default: 0 },
+        DONE: { type: Number, default: 0 },
+      },
+      progress: { type: Number, default: 0 },
+    },
+    labels: {
+      type: [{ type: mongoose.Schema.Types.ObjectId, ref: "Label" }],
+      default: [],
+      index: true,
+    },
     assignedTo: {
       type: mongoose.Schema.Types.ObjectId,
       ref: "User",
@@ -44,39 +87,103 @@ const taskSchema = new mongoose.Schema(
       ref: "User",
       required: [true, "Creator is required"],
     },
+    // Users told about changes to the task
+    watchers: {
+      type: [{ type: mongoose.Schema.Types.ObjectId, ref: "User" }],
+      default: [],
+      index: true,
+    },
     dueDate: {
       type: Date,
       default: null,
     },
+    // Set on occurrences of a recurring task, with the date they are for
+    seriesId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "TaskSeries",
+      default: null,
+      index: true,
+    },
+    occurrenceDate: {
+      type: Date,
+      default: null,
+    },
     completedAt: {
       type: Date,
       default: null,
     },
-    comments: [
+    // Estimates in minutes; remaining goes down as time is logged
+    originalEstimate: {
+      type: Number,
+      min: 0,
+      default: null,
+    },
+    remainingEstimate: {
+      type: Number,
+      min: 0,
+      default: null,
+    },
+    // Minutes logged in finished worklogs, kept up to date on writes
+    timeSpent: {
+      type: Number,
+      default: 0,
+    },
+    // Values of the project's custom fields, keyed by field key
+    customFields: {
+      type: Map,
+      of: mongoose.Schema.Types.Mixed,
+      default: {},
+    },
+    // Ordered steps of the task; required ones can hold back completion
+    checklist: [
       {
-        userId: {
-          type: mongoose.Schema.Types.ObjectId,
-          ref: "User",
-          required: true,
-        },
         text: {
           type: String,
           required: true,
+          trim: true,
+          maxlength: [200, "Checklist item cannot exceed 200 characters"],
+        },
+        done: {
+          type: Boolean,
+          default: false,
         },
-        createdAt: {
+        required: {
+          type: Boolean,
+          default: false,
+        },
+        assignedTo: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "User",
+          default: null,
+        },
+        completedBy: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "User",
+          default: null,
+        },
+        completedAt: {
           type: Date,
-          default: Date.now,
+          default: null,
         },
       },
     ],
   },
-  { timestamps: true }
+  // Every save bumps __v and fails if the task was saved meanwhile
+  { timestamps: true, optimisticConcurrency: true }
 );
 
 // Compound index for efficient filtering
 taskSchema.index({ projectId: 1, status: 1, priority: 1 });
 taskSchema.index({ assignedTo: 1, status: 1 });
 
+// Creators watch their tasks, and assignees the tasks given to them
+taskSchema.pre("save", function () {
+  if (this.isNew) this.watchers.addToSet(this.createdBy);
+  if (this.assignedTo && (this.isNew || this.isModified("assignedTo"))) {
+    this.watchers.addToSet(this.assignedTo);
+  }
+});
+
 const Task = mongoose.model("Task", taskSchema);
 
 export default Task;
@@ -0,0 +1,90 @@
+import mongoose from "mongoose";
+
+export const TASK_HISTORY_ACTIONS = [
+  "CREATED",
+  "UPDATED",
+  "STATUS_CHANGED",
+  "ASSIGNED",
+  "COMMENTED",
+  "COMMENT_DELETED",
+  "ATTACHED",
+  "DETACHED",
+  "CHECKLIST_UPDATED",
+  "MOVED",
+  "DELETED",
+];
+
+// One recorded mutation of a task; entries are never changed once written,
+// except to follow the task when it moves to another project
+const taskHistorySchema = new mongoose.Schema(
+  {
+    taskId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Task",
+      required: true,
+    },
+    projectId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Project",
+      required: true,
+      index: true,
+    },
+    organizationId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Organization",
+      required: true,
+      index: true,
+    },
+    // Who made the change
+    actorId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    action: {
+      type: String,
+      enum: TASK_HISTORY_ACTIONS,
+      required: true,
+    },
+    // Before/after value of every field the mutation changed
+    changes: [
+      {
+        _id: false,
+        field: { type: String, required: true },
+        from: { type: mongoose.Schema.Types.Mixed, default: null },
+        to: { type: mongoose.Schema.Types.Mixed, default: null },
+      },
+    ],
+    // Extra context, e.g. the comment text or the task title on delete
+    details: {
+      type: mongoose.Schema.Types.Mixed,
+      default: null,
+    },
+  },
+  { timestamps: { createdAt: true, updatedAt: false } }
+);
+
+taskHistorySchema.index({ taskId: 1, createdAt: -1 });
+
+// The audit trail is append-only. The one exception is moving a task to
+// another project (taskTransfer.service.js), which re-points projectId
+// through TaskHistory.collection so the entries follow the task
+const refuseChange = function () {
+  throw new Error("Task history entries cannot be changed");
+};
+for (const operation of [
+  "updateOne",
+  "updateMany",
+  "findOneAndUpdate",
+  "replaceOne",
+  "findOneAndReplace",
+]) {
+  taskHistorySchema.pre(operation, refuseChange);
+}
+taskHistorySchema.pre("save", function () {
+  if (!this.isNew) refuseChange();
+});
+
+const TaskHistory = mongoose.model("TaskHistory", taskHistorySchema);
+
+export default TaskHistory;
@@ -0,0 +1,46 @@
+import mongoose from "mongoose";
+
+// Typed link between two tasks of an organization
+// BLOCKS reads "source blocks target"; the target is blocked by the source
+const taskLinkSchema = new mongoose.Schema(
+  {
+    sourceTaskId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Task",
+      required: true,
+      index: true,
+    },
+    targetTaskId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Task",
+      required: true,
+      index: true,
+    },
+    type: {
+      type: String,
+      enum: ["BLOCKS", "RELATES_TO", "DUPLICATES"],
+      required: true,
+    },
+    organizationId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Organization",
+      required: true,
+      index: true,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+  },
+  { timestamps: { createdAt: true, updatedAt: false } }
+);
+
+taskLinkSchema.index(
+  { sourceTaskId: 1, targetTaskId: 1, type: 1 },
+  { unique: true }
+);
+
+const TaskLink = mongoose.model("TaskLink", taskLinkSchema);
+
+export default TaskLink;
@@ -0,0 +1,85 @@
+import mongoose from "mongoose";
+
+// A repeating task: a recurrence rule plus the fields every occurrence
+// starts with. Occurrences are ordinary tasks that point back here
+const taskSeriesSchema = new mongoose.Schema(
+  {
+    projectId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Project",
+      required: true,
+      index: true,
+    },
+    organizationId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Organization",
+      required: true,
+      index: true,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    // Canonical RRULE (see utils/recurrence.js)
+    rrule: {
+      type: String,
+      required: true,
+    },
+    // Due date of the first occurrence; the rule counts from here
+    startsAt: {
+      type: Date,
+      required: true,
+    },
+    // Copied onto each new occurrence
+    template: {
+      title: { type: String, required: true, trim: true },
+      description: { type: String, default: "" },
+      priority: {
+        type: String,
+        enum: ["LOW", "MEDIUM", "HIGH"],
+        default: "MEDIUM",
+      },
+      assignedTo: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+        default: null,
+      },
+      labels: {
+        type: [{ type: mongoose.Schema.Types.ObjectId, ref: "Label" }],
+        default: [],
+      },
+      customFields: {
+        type: Map,
+        of: mongoose.Schema.Types.Mixed,
+        default: {},
+      },
+    },
+    // Occurrences created so far (for COUNT) and the due date of the latest
+    occurrenceCount: {
+      type: Number,
+      default: 1,
+    },
+    lastOccurrenceAt: {
+      type: Date,
+      required: true,
+    },
+    // Due date of the next occurrence to create; null once the rule ran out
+    nextOccurrenceAt: {
+      type: Date,
+      default: null,
+    },
+    active: {
+      type: Boolean,
+      default: true,
+    },
+  },
+  { timestamps: true }
+);
+
+// The recurring job looks for active series whose next date has arrived
+taskSeriesSchema.index({ active: 1, nextOccurrenceAt: 1 });
+
+const TaskSeries = mongoose.model("TaskSeries", taskSeriesSchema);
+
+export default TaskSeries;
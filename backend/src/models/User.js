@@ -16,15 +16,97 @@ const userSchema = new mongoose.Schema(
     },
     password: {
       type: String,
-      required: [true, "Password is required"],
+      // Service accounts use access tokens and SSO users their identity provider
+      required: [
+        function () {
+          return this.accountType !== "SERVICE" && !this.oidc?.subject;
+        },
+        "Password is required",
+      ],
       minlength: 6,
       select: false, // Don't return password by default
     },
+    organizationId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Organization",
+      required: [true, "Organization is required"],
+      index: true,
+    },
+    // Role within the organization (ADMIN powers never cross organizations)
     role: {
       type: String,
       enum: ["ADMIN", "MANAGER", "MEMBER"],
       default: "MEMBER",
     },
+    accountType: {
+      type: String,
+      enum: ["USER", "SERVICE"],
+      default: "USER",
+    },
+    emailVerified: {
+      type: Boolean,
+      default: false,
+    },
+    emailVerifiedAt: {
+      type: Date,
+      default: null,
+    },
+    // Identity at the OpenID Connect provider (SSO users)
+    oidc: {
+      issuer: {
+        type: String,
+        default: null,
+      },
+      subject: {
+        type: String,
+        default: null,
+      },
+    },
+    // Deactivated users cannot sign in but keep their task history
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+    deactivatedAt: {
+      type: Date,
+      default: null,
+    },
+    deactivatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    // TOTP two-factor authentication (secrets never returned by default)
+    mfa: {
+      enabled: {
+        type: Boolean,
+        default: false,
+      },
+      secret: {
+        type: String,
+        default: null,
+        select: false,
+      },
+      pendingSecret: {
+        type: String,
+        default: null,
+        select: false,
+      },
+      recoveryCodes: {
+        type: [String], // SHA-256 hashes
+        default: [],
+        select: false,
+      },
+      lastUsedStep: {
+        type: Number,
+        default: null,
+        select: false,
+      },
+      enabledAt: {
+        type: Date,
+        default: null,
+      },
+    },
     createdAt: {
       type: Date,
       default: Date.now,
@@ -35,6 +117,14 @@ const userSchema = new mongoose.Schema(
 
 // Index on email for faster queries
 userSchema.index({ email: 1 });
+// One account per identity-provider subject
+userSchema.index(
+  { "oidc.issuer": 1, "oidc.subject": 1 },
+  {
+    unique: true,
+    partialFilterExpression: { "oidc.subject": { $type: "string" } },
+  }
+);
 
 const User = mongoose.model("User", userSchema);
 
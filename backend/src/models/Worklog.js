@@ -0,0 +1,69 @@
+import mongoose from "mongoose";
+
+// Time spent on a task by one user, logged by hand or by a timer
+// A running timer is a worklog without an end yet (running: true)
+const worklogSchema = new mongoose.Schema(
+  {
+    taskId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Task",
+      required: true,
+      index: true,
+    },
+    // Copied from the task so timesheets need no join
+    projectId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Project",
+      required: true,
+    },
+    organizationId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Organization",
+      required: true,
+      index: true,
+    },
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    source: {
+      type: String,
+      enum: ["TIMER", "MANUAL"],
+      required: true,
+    },
+    startedAt: {
+      type: Date,
+      required: true,
+    },
+    // Whole minutes; set when a timer stops
+    minutes: {
+      type: Number,
+      min: 0,
+      default: null,
+    },
+    note: {
+      type: String,
+      trim: true,
+      default: "",
+      maxlength: [500, "Worklog note cannot exceed 500 characters"],
+    },
+    running: {
+      type: Boolean,
+      default: false,
+    },
+  },
+  { timestamps: true }
+);
+
+// One running timer per user
+worklogSchema.index(
+  { userId: 1 },
+  { unique: true, partialFilterExpression: { running: true } }
+);
+// Timesheets: a project's worklogs in a date range
+worklogSchema.index({ projectId: 1, startedAt: 1 });
+
+const Worklog = mongoose.model("Worklog", worklogSchema);
+
+export default Worklog;
@@ -1,30 +1,177 @@
 import express from "express";
 import * as authController from "../controllers/auth.controller.js";
-import { verifyToken } from "../middleware/auth.middleware.js";
+import * as accessTokenController from "../controllers/accessToken.controller.js";
+import {
+  verifyToken,
+  requireSessionToken,
+} from "../middleware/auth.middleware.js";
 import { authorizeRole } from "../middleware/role.middleware.js";
+import { requireScope } from "../middleware/scope.middleware.js";
 
 const router = express.Router();
 
 // Public routes
 router.post("/register", authController.register);
 router.post("/login", authController.login);
+router.post("/refresh", authController.refresh);
+router.post("/logout", authController.logout);
+router.post("/forgot-password", authController.forgotPassword);
+router.post("/reset-password", authController.resetPassword);
+router.post("/verify-email", authController.verifyEmail);
+router.post("/resend-verification", authController.resendVerification);
+router.post("/mfa/verify", authController.verifyMfa);
+router.get("/oidc", authController.oidcStatus);
+router.get("/oidc/login", authController.oidcLogin);
+router.get("/oidc/callback", authController.oidcCallback);
 
 // Protected routes
 router.get("/me", verifyToken, authController.getMe);
+router.patch(
+  "/me",
+  verifyToken,
+  requireSessionToken,
+  authController.updateMe
+);
+
+router.put(
+  "/me/password",
+  verifyToken,
+  requireSessionToken,
+  authController.changePassword
+);
+
+router.post(
+  "/mfa/setup",
+  verifyToken,
+  requireSessionToken,
+  authController.setupMfa
+);
+
+router.post(
+  "/mfa/enable",
+  verifyToken,
+  requireSessionToken,
+  authController.enableMfa
+);
+
+router.post(
+  "/mfa/disable",
+  verifyToken,
+  requireSessionToken,
+  authController.disableMfa
+);
+
+router.get("/organization", verifyToken, authController.getOrganization);
+
+// Personal access tokens (managed from a login session only)
+router.get(
+  "/tokens",
+  verifyToken,
+  requireSessionToken,
+  accessTokenController.listTokens
+);
+
+router.post(
+  "/tokens",
+  verifyToken,
+  requireSessionToken,
+  accessTokenController.createToken
+);
+
+router.delete(
+  "/tokens/:tokenId",
+  verifyToken,
+  requireSessionToken,
+  accessTokenController.revokeToken
+);
 
 // Admin-only routes
 router.get(
   "/users",
   verifyToken,
+  requireScope("users:admin"),
   authorizeRole("ADMIN"),
   authController.getAllUsers
 );
 
+router.put(
+  "/organization",
+  verifyToken,
+  requireScope("users:admin"),
+  authorizeRole("ADMIN"),
+  authController.updateOrganization
+);
+
 router.put(
   "/users/:userId/role",
   verifyToken,
+  requireScope("users:admin"),
   authorizeRole("ADMIN"),
   authController.updateUserRole
 );
 
+router.post(
+  "/users/:userId/deactivate",
+  verifyToken,
+  requireScope("users:admin"),
+  authorizeRole("ADMIN"),
+  authController.deactivateUser
+);
+
+router.post(
+  "/users/:userId/reactivate",
+  verifyToken,
+  requireScope("users:admin"),
+  authorizeRole("ADMIN"),
+  authController.reactivateUser
+);
+
+router.post(
+  "/users/:userId/unlock",
+  verifyToken,
+  requireScope("users:admin"),
+  authorizeRole("ADMIN"),
+  authController.unlockUser
+);
+
+router.get(
+  "/login-attempts",
+  verifyToken,
+  requireScope("users:admin"),
+  authorizeRole("ADMIN"),
+  authController.getLoginAttempts
+);
+
+router.get(
+  "/service-accounts",
+  verifyToken,
+  requireSessionToken,
+  authorizeRole("ADMIN"),
+  accessTokenController.listServiceAccounts
+);
+
+router.post(
+  "/service-accounts",
+  verifyToken,
+  requireSessionToken,
+  authorizeRole("ADMIN"),
+  accessTokenController.createServiceAccount
+);
+
+router.get(
+  "/service-accounts/:userId/tokens",
+  verifyToken,
+  requireSessionToken,
+  authorizeRole("ADMIN"),
+  accessTokenController.listServiceAccountTokens
+);
+
+router.post(
+  "/service-accounts/:userId/tokens",
+  verifyToken,
+  requireSessionToken,
+  authorizeRole("ADMIN"),
+  accessTokenController.createServiceAccountToken
+);
+
 export default router;
@@ -0,0 +1,30 @@
+import express from "express";
+import * as invitationController from "../controllers/invitation.controller.js";
+import {
+  verifyToken,
+  requireSessionToken,
+} from "../middleware/auth.middleware.js";
+import {
+  validateRequest,
+  invitationTokenSchema,
+} from "../validators/project.validator.js";
+
+const router = express.Router();
+
+// POST /invitations/accept - Join the project as the logged-in user
+router.post(
+  "/accept",
+  verifyToken,
+  requireSessionToken,
+  validateRequest(invitationTokenSchema),
+  invitationController.acceptInvitation
+);
+
+// POST /invitations/decline - Holding the invite link is enough
+router.post(
+  "/decline",
+  validateRequest(invitationTokenSchema),
+  invitationController.declineInvitation
+);
+
+export default router;
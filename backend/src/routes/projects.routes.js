@@ -1,7 +1,11 @@
 import express from "express";
 import * as projectController from "../controllers/project.controller.js";
 import * as taskController from "../controllers/task.controller.js";
+import * as invitationController from "../controllers/invitation.controller.js";
+import * as labelController from "../controllers/label.controller.js";
 import { verifyToken } from "../middleware/auth.middleware.js";
+import { requireScope } from "../middleware/scope.middleware.js";
+import { readIfMatch } from "../middleware/concurrency.middleware.js";
 import { validateRequest } from "../validators/project.validator.js";
 import {
   createProjectSchema,
@@ -9,6 +13,14 @@ import {
   projectIdSchema,
   addProjectMemberSchema,
   updateProjectMemberSchema,
+  createInvitationSchema,
+  invitationListQuerySchema,
+  invitationIdSchema,
+  updateWorkflowSchema,
+  updateCustomFieldsSchema,
+  createLabelSchema,
+  updateLabelSchema,
+  labelIdSchema,
 } from "../validators/project.validator.js";
 import {
   createTaskSchema,
@@ -28,14 +40,20 @@ router.use(verifyToken);
  */
 
 // POST /projects - Create a new project
-router.post("/", validateRequest(createProjectSchema), projectController.createProject);
+router.post(
+  "/",
+  requireScope("projects:write"),
+  validateRequest(createProjectSchema),
+  projectController.createProject
+);
 
 // GET /projects - Get all projects
-router.get("/", projectController.getProjects);
+router.get("/", requireScope("projects:read"), projectController.getProjects);
 
 // GET /projects/:projectId - Get a specific project
 router.get(
   "/:projectId",
+  requireScope("projects:read"),
   validateRequest(projectIdSchema),
   projectController.getProject
 );
@@ -43,7 +61,8 @@ router.get(
 // PUT /projects/:projectId - Update a project
 router.put(
   "/:projectId",
-  validateRequest(projectIdSchema),
+  requireScope("projects:write"),
+  readIfMatch,
   validateRequest(updateProjectSchema),
   projectController.updateProject
 );
@@ -51,6 +70,7 @@ router.put(
 // DELETE /projects/:projectId - Delete a project
 router.delete(
   "/:projectId",
+  requireScope("projects:admin"),
   validateRequest(projectIdSchema),
   projectController.deleteProject
 );
@@ -62,6 +82,7 @@ router.delete(
 // GET /projects/:projectId/members - Get project members for task assignment
 router.get(
   "/:projectId/members",
+  requireScope("projects:read"),
   validateRequest(projectIdSchema),
   projectController.getProjectMembers
 );
@@ -69,7 +90,7 @@ router.get(
 // POST /projects/:projectId/members - Add member
 router.post(
   "/:projectId/members",
-  validateRequest(projectIdSchema),
+  requireScope("projects:admin"),
   validateRequest(addProjectMemberSchema),
   projectController.addMember
 );
@@ -77,6 +98,7 @@ router.post(
 // DELETE /projects/:projectId/members/:memberId - Remove member
 router.delete(
   "/:projectId/members/:memberId",
+  requireScope("projects:admin"),
   (req, res, next) => {
     // Validate both IDs
     try {
@@ -101,7 +123,7 @@ router.delete(
       return res.status(400).json({
         success: false,
         error: "Validation failed",
-        details: error.errors
+        details: error.issues
           .map((e) => `${e.path.join(".")}: ${e.message}`)
           .join("; "),
       });
@@ -113,6 +135,7 @@ router.delete(
 // PUT /projects/:projectId/members/:memberId - Update member role
 router.put(
   "/:projectId/members/:memberId",
+  requireScope("projects:admin"),
   (req, res, next) => {
     // Validate IDs and body
     try {
@@ -143,7 +166,7 @@ router.put(
       return res.status(400).json({
         success: false,
         error: "Validation failed",
-        details: error.errors
+        details: error.issues
           ?.map((e) => `${e.path.join(".")}: ${e.message}`)
           .join("; ") || error.message,
       });
@@ -152,6 +175,102 @@ router.put(
   projectController.updateMemberRole
 );
 
+/**
+ * Project Invitations (by email, for users who may not exist yet)
+ */
+
+// POST /projects/:projectId/invitations - Invite by email
+router.post(
+  "/:projectId/invitations",
+  requireScope("projects:admin"),
+  validateRequest(createInvitationSchema),
+  invitationController.createInvitation
+);
+
+// GET /projects/:projectId/invitations - List invitations
+router.get(
+  "/:projectId/invitations",
+  requireScope("projects:admin"),
+  validateRequest(invitationListQuerySchema),
+  invitationController.getProjectInvitations
+);
+
+// DELETE /projects/:projectId/invitations/:invitationId - Revoke invitation
+router.delete(
+  "/:projectId/invitations/:invitationId",
+  requireScope("projects:admin"),
+  validateRequest(invitationIdSchema),
+  invitationController.revokeInvitation
+);
+
+// GET /projects/:projectId/workflow - Statuses and transitions for tasks
+router.get(
+  "/:projectId/workflow",
+  requireScope("projects:read"),
+  validateRequest(projectIdSchema),
+  projectController.getWorkflow
+);
+
+// PUT /projects/:projectId/workflow - Replace the workflow (statusMapping moves tasks out of removed statuses)
+router.put(
+  "/:projectId/workflow",
+  requireScope("projects:write"),
+  validateRequest(updateWorkflowSchema),
+  projectController.updateWorkflow
+);
+
+// GET /projects/:projectId/custom-fields - Extra fields tasks of the project carry
+router.get(
+  "/:projectId/custom-fields",
+  requireScope("projects:read"),
+  validateRequest(projectIdSchema),
+  projectController.getCustomFields
+);
+
+// PUT /projects/:projectId/custom-fields - Replace the custom field definitions
+router.put(
+  "/:projectId/custom-fields",
+  requireScope("projects:write"),
+  validateRequest(updateCustomFieldsSchema),
+  projectController.updateCustomFields
+);
+
+/**
+ * Project Labels
+ */
+
+// GET /projects/:projectId/labels - Labels with their task counts
+router.get(
+  "/:projectId/labels",
+  requireScope("projects:read"),
+  validateRequest(projectIdSchema),
+  labelController.getLabels
+);
+
+// POST /projects/:projectId/labels - Create a label
+router.post(
+  "/:projectId/labels",
+  requireScope("projects:write"),
+  validateRequest(createLabelSchema),
+  labelController.createLabel
+);
+
+// PUT /projects/:projectId/labels/:labelId - Rename or recolor a label
+router.put(
+  "/:projectId/labels/:labelId",
+  requireScope("projects:write"),
+  validateRequest(updateLabelSchema),
+  labelController.updateLabel
+);
+
+// DELETE /projects/:projectId/labels/:labelId - Delete a label and remove it from tasks
+router.delete(
+  "/:projectId/labels/:labelId",
+  requireScope("projects:write"),
+  validateRequest(labelIdSchema),
+  labelController.deleteLabel
+);
+
 /**
  * Task Management Routes (nested under projects)
  */
@@ -159,6 +278,7 @@ router.put(
 // POST /projects/:projectId/tasks - Create a new task
 router.post(
   "/:projectId/tasks",
+  requireScope("tasks:write"),
   validateRequest(createTaskSchema),
   taskController.createTask
 );
@@ -166,6 +286,7 @@ router.post(
 // GET /projects/:projectId/tasks - Get tasks for a project
 router.get(
   "/:projectId/tasks",
+  requireScope("tasks:read"),
   (req, res, next) => {
     // Validate project ID and query params
     try {
@@ -191,7 +312,7 @@ router.get(
       return res.status(400).json({
         success: false,
         error: "Validation failed",
-        details: error.errors
+        details: error.issues
           .map((e) => `${e.path.join(".")}: ${e.message}`)
           .join("; "),
       });
@@ -203,41 +324,16 @@ router.get(
 // PUT /projects/:projectId/tasks/:taskId - Update a task
 router.put(
   "/:projectId/tasks/:taskId",
-  (req, res, next) => {
-    try {
-      if (!/^[0-9a-fA-F]{24}$/.test(req.params.taskId)) {
-        return res.status(400).json({
-          success: false,
-          error: "Validation failed",
-          details: "Invalid task ID format",
-        });
-      }
-      updateTaskSchema.parse({
-        body: req.body,
-        params: {},
-        query: {},
-      });
-      req.validated = {
-        params: { taskId: req.params.taskId },
-        body: req.body,
-      };
-      next();
-    } catch (error) {
-      return res.status(400).json({
-        success: false,
-        error: "Validation failed",
-        details: error.errors
-          ?.map((e) => `${e.path.join(".")}: ${e.message}`)
-          .join("; ") || error.message,
-      });
-    }
-  },
+  requireScope("tasks:write"),
+  readIfMatch,
+  validateRequest(updateTaskSchema),
   taskController.updateTask
 );
 
 // DELETE /projects/:projectId/tasks/:taskId - Delete a task
 router.delete(
   "/:projectId/tasks/:taskId",
+  requireScope("tasks:write"),
   (req, res, next) => {
     try {
       if (!/^[0-9a-fA-F]{24}$/.test(req.params.taskId)) {
@@ -1,19 +1,63 @@
 import express from "express";
 import * as taskController from "../controllers/task.controller.js";
+import * as taskLinkController from "../controllers/taskLink.controller.js";
+import * as taskHistoryController from "../controllers/taskHistory.controller.js";
+import * as taskSeriesController from "../controllers/taskSeries.controller.js";
+import * as worklogController from "../controllers/worklog.controller.js";
+import * as attachmentController from "../controllers/attachment.controller.js";
+import * as checklistController from "../controllers/checklist.controller.js";
+import * as watcherController from "../controllers/watcher.controller.js";
+import * as commentController from "../controllers/comment.controller.js";
+import * as bulkTaskController from "../controllers/bulkTask.controller.js";
+import * as taskTransferController from "../controllers/taskTransfer.controller.js";
 import { verifyToken } from "../middleware/auth.middleware.js";
+import { requireScope } from "../middleware/scope.middleware.js";
+import { readIfMatch } from "../middleware/concurrency.middleware.js";
+import { uploadAttachment } from "../middleware/upload.middleware.js";
 import {
   createTaskSchema,
   updateTaskSchema,
   taskIdSchema,
+  subtaskListQuerySchema,
+  deleteTaskSchema,
+  taskHistoryQuerySchema,
+  updateTaskSeriesSchema,
+  startTimerSchema,
+  stopTimerSchema,
+  createWorklogSchema,
+  updateWorklogSchema,
+  worklogIdSchema,
+  timesheetQuerySchema,
+  uploadAttachmentSchema,
+  attachmentIdSchema,
+  createChecklistItemSchema,
+  updateChecklistItemSchema,
+  checklistItemIdSchema,
+  reorderChecklistSchema,
+  commentListQuerySchema,
+  createCommentSchema,
+  updateCommentSchema,
+  commentIdSchema,
+  commentReactionSchema,
+  createTaskLinkSchema,
+  taskLinkIdSchema,
+  dependencyGraphSchema,
   taskListQuerySchema,
+  taskExportQuerySchema,
+  bulkTaskOperationSchema,
+  moveTaskSchema,
+  cloneTaskSchema,
+  bulkOperationIdSchema,
   updateTaskStatusSchema,
   validateRequest,
 } from "../validators/task.validator.js";
 
 const router = express.Router();
 
-// All task routes require authentication
-router.use(verifyToken);
+// All task routes require authentication. The router is mounted at the
+// root, so only its own paths are checked - anything else reaches the 404
+const TASK_ROUTE_PREFIXES = ["/tasks", "/projects", "/timer"];
+router.use(TASK_ROUTE_PREFIXES, verifyToken);
 
 /**
  * Task CRUD Operations
@@ -22,6 +66,7 @@ router.use(verifyToken);
 // POST /projects/:projectId/tasks - Create a new task
 router.post(
   "/projects/:projectId/tasks",
+  requireScope("tasks:write"),
   validateRequest(createTaskSchema),
   taskController.createTask
 );
@@ -29,6 +74,7 @@ router.post(
 // GET /projects/:projectId/tasks - Get tasks for a project
 router.get(
   "/projects/:projectId/tasks",
+  requireScope("tasks:read"),
   (req, res, next) => {
     // Validate project ID and query params
     try {
@@ -54,7 +100,7 @@ router.get(
       return res.status(400).json({
         success: false,
         error: "Validation failed",
-        details: error.errors
+        details: error.issues
           .map((e) => `${e.path.join(".")}: ${e.message}`)
           .join("; "),
       });
@@ -66,6 +112,7 @@ router.get(
 // GET /projects/:projectId/tasks/stats - Get task statistics
 router.get(
   "/projects/:projectId/tasks/stats",
+  requireScope("tasks:read"),
   (req, res, next) => {
     // Validate project ID
     try {
@@ -91,17 +138,59 @@ router.get(
   taskController.getTaskStats
 );
 
+// GET /projects/:projectId/tasks/export - Download tasks (?format=csv|json, same filters as the list)
+router.get(
+  "/projects/:projectId/tasks/export",
+  requireScope("tasks:read"),
+  validateRequest(taskExportQuerySchema),
+  taskController.exportTasks
+);
+
+// POST /projects/:projectId/tasks/bulk - Apply one change to many tasks (taskIds or filter); large batches run as a job
+router.post(
+  "/projects/:projectId/tasks/bulk",
+  requireScope("tasks:write"),
+  validateRequest(bulkTaskOperationSchema),
+  bulkTaskController.startBulkOperation
+);
+
+// GET /projects/:projectId/tasks/bulk/:bulkOperationId - Progress and per-task results
+router.get(
+  "/projects/:projectId/tasks/bulk/:bulkOperationId",
+  requireScope("tasks:read"),
+  validateRequest(bulkOperationIdSchema),
+  bulkTaskController.getBulkOperation
+);
+
+// GET /projects/:projectId/dependency-graph - Task links as nodes and edges
+router.get(
+  "/projects/:projectId/dependency-graph",
+  requireScope("tasks:read"),
+  validateRequest(dependencyGraphSchema),
+  taskLinkController.getDependencyGraph
+);
+
 // GET /tasks/:taskId - Get a specific task
 router.get(
   "/tasks/:taskId",
+  requireScope("tasks:read"),
   validateRequest(taskIdSchema),
   taskController.getTask
 );
 
+// GET /tasks/:taskId/subtasks - Direct subtasks (?recursive=true for the whole tree)
+router.get(
+  "/tasks/:taskId/subtasks",
+  requireScope("tasks:read"),
+  validateRequest(subtaskListQuerySchema),
+  taskController.getSubtasks
+);
+
 // PUT /tasks/:taskId - Update a task
 router.put(
   "/tasks/:taskId",
-  validateRequest(taskIdSchema),
+  requireScope("tasks:write"),
+  readIfMatch,
   validateRequest(updateTaskSchema),
   taskController.updateTask
 );
@@ -109,36 +198,17 @@ router.put(
 // PATCH /tasks/:taskId - Update task (with or without status change)
 router.patch(
   "/tasks/:taskId",
-  (req, res, next) => {
-    // Validate task ID
-    try {
-      if (!/^[0-9a-fA-F]{24}$/.test(req.params.taskId)) {
-        return res.status(400).json({
-          success: false,
-          error: "Validation failed",
-          details: "Invalid task ID format",
-        });
-      }
-      req.validated = {
-        params: { taskId: req.params.taskId },
-        body: req.body,
-      };
-      next();
-    } catch (error) {
-      return res.status(400).json({
-        success: false,
-        error: "Validation failed",
-        details: error.message,
-      });
-    }
-  },
+  requireScope("tasks:write"),
+  readIfMatch,
+  validateRequest(updateTaskSchema),
   taskController.updateTask
 );
 
 // PATCH /tasks/:taskId/status - Update task status (legacy endpoint)
 router.patch(
   "/tasks/:taskId/status",
-  validateRequest(taskIdSchema),
+  requireScope("tasks:write"),
+  readIfMatch,
   validateRequest(updateTaskStatusSchema),
   taskController.updateTaskStatus
 );
@@ -146,6 +216,7 @@ router.patch(
 // PUT /tasks/:taskId/assign - Assign task to user
 router.put(
   "/tasks/:taskId/assign",
+  requireScope("tasks:write"),
   (req, res, next) => {
     // Custom validator for assign endpoint
     try {
@@ -179,47 +250,332 @@ router.put(
   taskController.assignTask
 );
 
-// DELETE /tasks/:taskId - Delete a task
+// DELETE /tasks/:taskId - Delete a task (?keepSubtasks=true moves its subtasks up a level)
 router.delete(
   "/tasks/:taskId",
-  validateRequest(taskIdSchema),
+  requireScope("tasks:write"),
+  validateRequest(deleteTaskSchema),
   taskController.deleteTask
 );
 
-// POST /tasks/:taskId/comments - Add comment to task
+// POST /tasks/:taskId/move - Move the task and its subtasks to another project
+router.post(
+  "/tasks/:taskId/move",
+  requireScope("tasks:write"),
+  validateRequest(moveTaskSchema),
+  taskTransferController.moveTask
+);
+
+// POST /tasks/:taskId/clone - Copy the task (to another project, with its subtasks)
+router.post(
+  "/tasks/:taskId/clone",
+  requireScope("tasks:write"),
+  validateRequest(cloneTaskSchema),
+  taskTransferController.cloneTask
+);
+
+// GET /tasks/:taskId/history - Change history, newest first (?page, ?limit)
+router.get(
+  "/tasks/:taskId/history",
+  requireScope("tasks:read"),
+  validateRequest(taskHistoryQuerySchema),
+  taskHistoryController.getTaskHistory
+);
+
+/**
+ * Repeating tasks
+ * PUT /tasks/:taskId edits one occurrence; these act on the whole series
+ */
+
+// GET /tasks/:taskId/series - The task's series and its upcoming dates
+router.get(
+  "/tasks/:taskId/series",
+  requireScope("tasks:read"),
+  validateRequest(taskIdSchema),
+  taskSeriesController.getTaskSeries
+);
+
+// PUT /tasks/:taskId/series - Edit every open occurrence and the rule (or make the task repeat)
+router.put(
+  "/tasks/:taskId/series",
+  requireScope("tasks:write"),
+  validateRequest(updateTaskSeriesSchema),
+  taskSeriesController.updateTaskSeries
+);
+
+// DELETE /tasks/:taskId/series - Stop repeating; existing occurrences stay
+router.delete(
+  "/tasks/:taskId/series",
+  requireScope("tasks:write"),
+  validateRequest(taskIdSchema),
+  taskSeriesController.stopTaskSeries
+);
+
+/**
+ * Time tracking
+ * Each user has at most one timer running; stopping it logs the time
+ */
+
+// GET /timer - The caller's running timer (null when none)
+router.get("/timer", requireScope("tasks:read"), worklogController.getRunningTimer);
+
+// POST /tasks/:taskId/timer - Start a timer (stops the one running elsewhere)
+router.post(
+  "/tasks/:taskId/timer",
+  requireScope("tasks:write"),
+  validateRequest(startTimerSchema),
+  worklogController.startTimer
+);
+
+// POST /timer/stop - Stop the running timer and log its time
+router.post(
+  "/timer/stop",
+  requireScope("tasks:write"),
+  validateRequest(stopTimerSchema),
+  worklogController.stopTimer
+);
+
+// GET /tasks/:taskId/worklogs - Worklogs (newest first) with the task's time totals
+router.get(
+  "/tasks/:taskId/worklogs",
+  requireScope("tasks:read"),
+  validateRequest(taskIdSchema),
+  worklogController.getTaskWorklogs
+);
+
+// POST /tasks/:taskId/worklogs - Log time by hand
 router.post(
+  "/tasks/:taskId/worklogs",
+  requireScope("tasks:write"),
+  validateRequest(createWorklogSchema),
+  worklogController.addWorklog
+);
+
+// PUT /tasks/:taskId/worklogs/:worklogId - Correct a worklog
+router.put(
+  "/tasks/:taskId/worklogs/:worklogId",
+  requireScope("tasks:write"),
+  validateRequest(updateWorklogSchema),
+  worklogController.updateWorklog
+);
+
+// DELETE /tasks/:taskId/worklogs/:worklogId - Delete a worklog
+router.delete(
+  "/tasks/:taskId/worklogs/:worklogId",
+  requireScope("tasks:write"),
+  validateRequest(worklogIdSchema),
+  worklogController.deleteWorklog
+);
+
+// GET /projects/:projectId/timesheet - Time logged by user, task and day (?from, ?to, ?userId)
+router.get(
+  "/projects/:projectId/timesheet",
+  requireScope("tasks:read"),
+  validateRequest(timesheetQuerySchema),
+  worklogController.getProjectTimesheet
+);
+
+/**
+ * Attachments
+ * Files of a task and its comments; downloads need the same access as the task
+ */
+
+// POST /tasks/:taskId/attachments - Upload a file (multipart "file", optional "commentId")
+router.post(
+  "/tasks/:taskId/attachments",
+  requireScope("tasks:write"),
+  uploadAttachment,
+  validateRequest(uploadAttachmentSchema),
+  attachmentController.uploadAttachment
+);
+
+// GET /tasks/:taskId/attachments - Attachments, oldest first
+router.get(
+  "/tasks/:taskId/attachments",
+  requireScope("tasks:read"),
+  validateRequest(taskIdSchema),
+  attachmentController.getTaskAttachments
+);
+
+// GET /tasks/:taskId/attachments/:attachmentId - Download the file
+router.get(
+  "/tasks/:taskId/attachments/:attachmentId",
+  requireScope("tasks:read"),
+  validateRequest(attachmentIdSchema),
+  attachmentController.downloadAttachment
+);
+
+// GET /tasks/:taskId/attachments/:attachmentId/thumbnail - Image preview (WebP)
+router.get(
+  "/tasks/:taskId/attachments/:attachmentId/thumbnail",
+  requireScope("tasks:read"),
+  validateRequest(attachmentIdSchema),
+  attachmentController.downloadThumbnail
+);
+
+// DELETE /tasks/:taskId/attachments/:attachmentId - Delete the file
+router.delete(
+  "/tasks/:taskId/attachments/:attachmentId",
+  requireScope("tasks:write"),
+  validateRequest(attachmentIdSchema),
+  attachmentController.deleteAttachment
+);
+
+/**
+ * Checklist
+ * Ordered steps inside a task; each change returns the updated task
+ */
+
+// POST /tasks/:taskId/checklist - Add an item (optional required, assignedTo, position)
+router.post(
+  "/tasks/:taskId/checklist",
+  requireScope("tasks:write"),
+  validateRequest(createChecklistItemSchema),
+  checklistController.addChecklistItem
+);
+
+// PUT /tasks/:taskId/checklist/order - Reorder the items
+router.put(
+  "/tasks/:taskId/checklist/order",
+  requireScope("tasks:write"),
+  validateRequest(reorderChecklistSchema),
+  checklistController.reorderChecklist
+);
+
+// PATCH /tasks/:taskId/checklist/:itemId - Edit, check/uncheck or assign an item
+router.patch(
+  "/tasks/:taskId/checklist/:itemId",
+  requireScope("tasks:write"),
+  validateRequest(updateChecklistItemSchema),
+  checklistController.updateChecklistItem
+);
+
+// DELETE /tasks/:taskId/checklist/:itemId - Remove an item
+router.delete(
+  "/tasks/:taskId/checklist/:itemId",
+  requireScope("tasks:write"),
+  validateRequest(checklistItemIdSchema),
+  checklistController.deleteChecklistItem
+);
+
+/**
+ * Comments
+ * Threaded one level deep; replies to a reply join its thread. Comment
+ * text is markdown, sanitized on the way in
+ */
+
+// GET /tasks/:taskId/comments - Comments oldest first (?parentId for replies, ?cursor, ?limit)
+router.get(
   "/tasks/:taskId/comments",
-  (req, res, next) => {
-    // Custom validator for comments
-    try {
-      if (!/^[0-9a-fA-F]{24}$/.test(req.params.taskId)) {
-        return res.status(400).json({
-          success: false,
-          error: "Validation failed",
-          details: "Invalid task ID format",
-        });
-      }
-      if (!req.body.text || typeof req.body.text !== "string") {
-        return res.status(400).json({
-          success: false,
-          error: "Validation failed",
-          details: "text: Comment text is required and must be a string",
-        });
-      }
-      req.validated = {
-        params: { taskId: req.params.taskId },
-        body: { text: req.body.text },
-      };
-      next();
-    } catch (error) {
-      return res.status(400).json({
-        success: false,
-        error: "Validation failed",
-        details: error.message,
-      });
-    }
-  },
-  taskController.addTaskComment
+  requireScope("tasks:read"),
+  validateRequest(commentListQuerySchema),
+  commentController.getTaskComments
+);
+
+// POST /tasks/:taskId/comments - Comment on the task, or reply (parentId)
+router.post(
+  "/tasks/:taskId/comments",
+  requireScope("tasks:write"),
+  validateRequest(createCommentSchema),
+  commentController.createComment
+);
+
+// PATCH /tasks/:taskId/comments/:commentId - Edit your comment
+router.patch(
+  "/tasks/:taskId/comments/:commentId",
+  requireScope("tasks:write"),
+  validateRequest(updateCommentSchema),
+  commentController.updateComment
+);
+
+// DELETE /tasks/:taskId/comments/:commentId - Delete a comment (author, project owner/manager or ADMIN)
+router.delete(
+  "/tasks/:taskId/comments/:commentId",
+  requireScope("tasks:write"),
+  validateRequest(commentIdSchema),
+  commentController.deleteComment
+);
+
+// GET /tasks/:taskId/comments/:commentId/edits - Earlier versions, newest first
+router.get(
+  "/tasks/:taskId/comments/:commentId/edits",
+  requireScope("tasks:read"),
+  validateRequest(commentIdSchema),
+  commentController.getCommentEdits
+);
+
+// PUT /tasks/:taskId/comments/:commentId/reactions/:emoji - React with an emoji
+router.put(
+  "/tasks/:taskId/comments/:commentId/reactions/:emoji",
+  requireScope("tasks:write"),
+  validateRequest(commentReactionSchema),
+  commentController.addReaction
+);
+
+// DELETE /tasks/:taskId/comments/:commentId/reactions/:emoji - Take back your reaction
+router.delete(
+  "/tasks/:taskId/comments/:commentId/reactions/:emoji",
+  requireScope("tasks:write"),
+  validateRequest(commentReactionSchema),
+  commentController.removeReaction
+);
+
+/**
+ * Watchers
+ * Watchers are told about changes and comments; creators, assignees and
+ * commenters watch automatically
+ */
+
+// GET /tasks/:taskId/watchers - Who watches the task, and whether you do
+router.get(
+  "/tasks/:taskId/watchers",
+  requireScope("tasks:read"),
+  validateRequest(taskIdSchema),
+  watcherController.getTaskWatchers
+);
+
+// POST /tasks/:taskId/watch - Start watching the task
+router.post(
+  "/tasks/:taskId/watch",
+  requireScope("tasks:write"),
+  validateRequest(taskIdSchema),
+  watcherController.watchTask
+);
+
+// DELETE /tasks/:taskId/watch - Stop watching the task
+router.delete(
+  "/tasks/:taskId/watch",
+  requireScope("tasks:write"),
+  validateRequest(taskIdSchema),
+  watcherController.unwatchTask
+);
+
+/**
+ * Task Links (dependencies)
+ */
+
+// POST /tasks/:taskId/links - Link to another task (BLOCKS, BLOCKED_BY, RELATES_TO, DUPLICATES)
+router.post(
+  "/tasks/:taskId/links",
+  requireScope("tasks:write"),
+  validateRequest(createTaskLinkSchema),
+  taskLinkController.createTaskLink
+);
+
+// GET /tasks/:taskId/links - Links grouped by direction
+router.get(
+  "/tasks/:taskId/links",
+  requireScope("tasks:read"),
+  validateRequest(taskIdSchema),
+  taskLinkController.getTaskLinks
+);
+
+// DELETE /tasks/:taskId/links/:linkId - Remove a link
+router.delete(
+  "/tasks/:taskId/links/:linkId",
+  requireScope("tasks:write"),
+  validateRequest(taskLinkIdSchema),
+  taskLinkController.deleteTaskLink
 );
 
 export default router;
@@ -0,0 +1,9 @@
+import express from "express";
+import * as authController from "../controllers/auth.controller.js";
+
+const router = express.Router();
+
+// GET /.well-known/jwks.json - Public keys for verifying access tokens
+router.get("/jwks.json", authController.getJwks);
+
+export default router;
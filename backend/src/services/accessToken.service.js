@@ -0,0 +1,243 @@
+import AccessToken from "../models/AccessToken.js";
+import User from "../models/User.js";
+import { errors } from "../utils/errors.js";
+import { generateToken, hashToken } from "../utils/tokens.js";
+import { SCOPES } from "../middleware/scope.middleware.js";
+import { isMfaRequiredForRole } from "./auth.service.js";
+
+/**
+ * Access Token Service Layer
+ * Personal access tokens (PATs) and non-human service accounts
+ */
+
+// Lets verifyToken tell PATs apart from session JWTs
+export const ACCESS_TOKEN_PREFIX = "dtms_pat_";
+
+// Don't write lastUsedAt on every request
+const LAST_USED_RESOLUTION_MS = 60 * 1000;
+
+/**
+ * Shape a token for API responses (never includes the secret)
+ */
+const formatAccessToken = (token) => ({
+  id: token._id,
+  name: token.name,
+  tokenPrefix: token.tokenPrefix,
+  scopes: token.scopes,
+  expiresAt: token.expiresAt,
+  lastUsedAt: token.lastUsedAt,
+  revokedAt: token.revokedAt,
+  createdAt: token.createdAt,
+});
+
+/**
+ * Shape a service account for API responses
+ */
+const formatServiceAccount = (user) => ({
+  id: user._id,
+  name: user.name,
+  email: user.email,
+  role: user.role,
+  accountType: user.accountType,
+  createdAt: user.createdAt,
+});
+
+/**
+ * Validate requested scopes against the known list
+ */
+const validateScopes = (scopes) => {
+  if (!Array.isArray(scopes) || scopes.length === 0) {
+    throw errors.badRequest("At least one scope is required");
+  }
+
+  const invalid = scopes.filter((scope) => !SCOPES.includes(scope));
+  if (invalid.length > 0) {
+    throw errors.badRequest(
+      `Invalid scopes: ${invalid.join(", ")}. Must be one of: ${SCOPES.join(", ")}`
+    );
+  }
+};
+
+/**
+ * Mint a token for a user - the raw value is returned only here
+ */
+const createTokenForUser = async (
+  userId,
+  createdBy,
+  { name, scopes, expiresInDays }
+) => {
+  validateScopes(scopes);
+
+  const token = `${ACCESS_TOKEN_PREFIX}${generateToken(20)}`;
+  const accessToken = await AccessToken.create({
+    userId,
+    name,
+    tokenHash: hashToken(token),
+    tokenPrefix: token.slice(0, ACCESS_TOKEN_PREFIX.length + 6),
+    scopes: [...new Set(scopes)],
+    expiresAt: expiresInDays
+      ? new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000)
+      : null,
+    createdBy,
+  });
+
+  return { token, accessToken: formatAccessToken(accessToken) };
+};
+
+/**
+ * Create a personal access token for the calling user
+ * Roles under the MFA policy need an MFA-verified session to mint tokens
+ */
+export const createPersonalAccessToken = async (userId, userRole, mfaVerified, data) => {
+  if (isMfaRequiredForRole(userRole) && !mfaVerified) {
+    throw errors.forbidden(
+      "Multi-factor authentication required to create access tokens"
+    );
+  }
+
+  return createTokenForUser(userId, userId, data);
+};
+
+/**
+ * List the calling user's tokens
+ */
+export const listPersonalAccessTokens = async (userId) => {
+  const tokens = await AccessToken.find({ userId }).sort({ createdAt: -1 });
+  return tokens.map(formatAccessToken);
+};
+
+/**
+ * Revoke a token
+ * Only the token owner or an ADMIN of the owner's organization can revoke
+ */
+export const revokeAccessToken = async (tokenId, userId, userRole, orgId) => {
+  const token = await AccessToken.findById(tokenId);
+  if (!token) throw errors.notFound("Access token");
+
+  const isOwner = token.userId.toString() === userId;
+  const isAdmin =
+    userRole === "ADMIN" &&
+    (await User.exists({ _id: token.userId, organizationId: orgId })) !== null;
+
+  if (!isOwner && !isAdmin) {
+    throw errors.forbidden("You don't have permission to revoke this token");
+  }
+
+  if (!token.revokedAt) {
+    token.revokedAt = new Date();
+    await token.save();
+  }
+
+  return formatAccessToken(token);
+};
+
+/**
+ * Resolve a raw token to the identity attached to req.user
+ * Returns null for unknown, expired or revoked tokens
+ */
+export const authenticateAccessToken = async (rawToken) => {
+  const token = await AccessToken.findOne({
+    tokenHash: hashToken(rawToken),
+    revokedAt: null,
+  });
+  if (!token || (token.expiresAt && token.expiresAt <= new Date())) {
+    return null;
+  }
+
+  const user = await User.findById(token.userId);
+  if (!user || !user.isActive) return null;
+
+  if (
+    !token.lastUsedAt ||
+    Date.now() - token.lastUsedAt.getTime() > LAST_USED_RESOLUTION_MS
+  ) {
+    AccessToken.updateOne(
+      { _id: token._id },
+      { lastUsedAt: new Date() }
+    ).catch((err) =>
+      console.warn("Failed to record token usage:", err.message)
+    );
+  }
+
+  return {
+    id: user._id.toString(),
+    email: user.email,
+    role: user.role,
+    orgId: user.organizationId.toString(),
+    accountType: user.accountType,
+    tokenType: "pat",
+    tokenId: token._id.toString(),
+    scopes: token.scopes,
+    // Minting required an MFA-verified session (or ADMIN for service accounts)
+    mfa: true,
+  };
+};
+
+/**
+ * Create a service account (non-human user without a password)
+ */
+export const createServiceAccount = async (
+  orgId,
+  { name, role = "MEMBER" }
+) => {
+  const slug = name
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-|-$/g, "");
+
+  const user = await User.create({
+    name,
+    email: `${slug || "service"}-${generateToken(3)}@service-accounts.dtms.local`,
+    role,
+    organizationId: orgId,
+    accountType: "SERVICE",
+    emailVerified: true,
+  });
+
+  return formatServiceAccount(user);
+};
+
+/**
+ * List the organization's service accounts
+ */
+export const listServiceAccounts = async (orgId) => {
+  const users = await User.find({
+    organizationId: orgId,
+    accountType: "SERVICE",
+  }).sort({ createdAt: -1 });
+  return users.map(formatServiceAccount);
+};
+
+/**
+ * Find a service account of the organization or fail
+ */
+const getServiceAccount = async (serviceAccountId, orgId) => {
+  const user = await User.findOne({
+    _id: serviceAccountId,
+    organizationId: orgId,
+    accountType: "SERVICE",
+  });
+  if (!user) throw errors.notFound("Service account");
+  return user;
+};
+
+/**
+ * Mint a token for a service account (ADMIN)
+ */
+export const createServiceAccountToken = async (
+  serviceAccountId,
+  adminId,
+  orgId,
+  data
+) => {
+  const serviceAccount = await getServiceAccount(serviceAccountId, orgId);
+  return createTokenForUser(serviceAccount._id, adminId, data);
+};
+
+/**
+ * List a service account's tokens (ADMIN)
+ */
+export const listServiceAccountTokens = async (serviceAccountId, orgId) => {
+  const serviceAccount = await getServiceAccount(serviceAccountId, orgId);
+  return listPersonalAccessTokens(serviceAccount._id);
+};
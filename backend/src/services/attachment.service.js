@@ -0,0 +1,206 @@
+import crypto from "crypto";
+import Attachment from "../models/Attachment.js";
+import Comment from "../models/Comment.js";
+import { errors } from "../utils/errors.js";
+import { getStorage } from "../utils/storage.js";
+import { addTaskJob } from "../utils/jobs.js";
+import { checkTaskAccess } from "./task.service.js";
+import {
+  THUMBNAIL_TYPES,
+  generateAttachmentThumbnail,
+  deleteAttachmentFiles,
+} from "./attachmentFile.service.js";
+import { recordTaskHistory } from "./taskHistory.service.js";
+
+/**
+ * Attachment Service Layer
+ * Files uploaded to tasks and their comments. Anyone who can see a task
+ * can download its files and add their own; uploaders and project
+ * owner/manager or ADMIN can delete them
+ * Every lookup is scoped to the caller's organization (orgId)
+ */
+
+const populateAttachment = (attachment) =>
+  attachment.populate("uploadedBy", "name email");
+
+/**
+ * Load an attachment of a task the caller has access to
+ */
+const loadAttachment = async (taskId, attachmentId, userId, userRole, orgId) => {
+  const access = await checkTaskAccess(taskId, userId, userRole, orgId);
+
+  const attachment = await Attachment.findOne({
+    _id: attachmentId,
+    taskId: access.task._id,
+    organizationId: orgId,
+  });
+  if (!attachment) throw errors.notFound("Attachment");
+
+  return { ...access, attachment };
+};
+
+/**
+ * Store an uploaded file and attach it to the task, or to one of the
+ * caller's comments on it
+ * Images get a thumbnail from the job queue, or right away when the
+ * queue is unavailable
+ */
+export const uploadAttachment = async (
+  taskId,
+  userId,
+  userRole,
+  orgId,
+  file,
+  { commentId } = {}
+) => {
+  const { task, project } = await checkTaskAccess(
+    taskId,
+    userId,
+    userRole,
+    orgId
+  );
+  if (!file) throw errors.badRequest("Choose a file to attach");
+
+  if (commentId) {
+    const comment = await Comment.findOne({
+      _id: commentId,
+      taskId: task._id,
+      organizationId: orgId,
+      deletedAt: null,
+    });
+    if (!comment) throw errors.notFound("Comment");
+    if (comment.userId.toString() !== userId) {
+      throw errors.forbidden("You can only attach files to your own comments");
+    }
+  }
+
+  const storage = getStorage();
+  const storageKey = `${orgId}/${task._id}/${crypto.randomUUID()}`;
+  await storage.put(storageKey, file.buffer, { contentType: file.mimetype });
+
+  let attachment;
+  try {
+    attachment = await Attachment.create({
+      taskId: task._id,
+      projectId: project._id,
+      organizationId: orgId,
+      commentId: commentId || null,
+      uploadedBy: userId,
+      fileName: file.originalname,
+      contentType: file.mimetype,
+      size: file.size,
+      storageKey,
+      thumbnailStatus: THUMBNAIL_TYPES.includes(file.mimetype)
+        ? "PENDING"
+        : "NONE",
+    });
+  } catch (error) {
+    // Nothing points at the file without its record
+    await storage.remove(storageKey).catch(() => {});
+    throw error;
+  }
+
+  await recordTaskHistory(task, userId, "ATTACHED", {
+    details: {
+      attachmentId: attachment._id,
+      fileName: attachment.fileName,
+      ...(commentId && { commentId }),
+    },
+  });
+
+  if (attachment.thumbnailStatus === "PENDING") {
+    const queued = await addTaskJob("GENERATE_THUMBNAIL", {
+      attachmentId: attachment._id.toString(),
+    });
+    if (!queued) {
+      attachment =
+        (await generateAttachmentThumbnail(attachment._id)) || attachment;
+    }
+  }
+
+  return populateAttachment(attachment);
+};
+
+/**
+ * List a task's attachments, oldest first
+ * Those of comments carry their commentId
+ */
+export const getTaskAttachments = async (taskId, userId, userRole, orgId) => {
+  const { task } = await checkTaskAccess(taskId, userId, userRole, orgId);
+
+  return Attachment.find({ taskId: task._id, organizationId: orgId })
+    .populate("uploadedBy", "name email")
+    .sort({ createdAt: 1 });
+};
+
+/**
+ * Open an attachment's file, or its thumbnail, for download
+ * Access is the task's: anyone who can see the task can download
+ */
+export const getAttachmentFile = async (
+  taskId,
+  attachmentId,
+  userId,
+  userRole,
+  orgId,
+  { thumbnail = false } = {}
+) => {
+  const { attachment } = await loadAttachment(
+    taskId,
+    attachmentId,
+    userId,
+    userRole,
+    orgId
+  );
+
+  if (thumbnail && attachment.thumbnailStatus !== "READY") {
+    throw errors.notFound("Thumbnail");
+  }
+
+  const stream = await getStorage().get(
+    thumbnail ? attachment.thumbnailKey : attachment.storageKey
+  );
+
+  return { attachment, stream };
+};
+
+/**
+ * Delete an attachment and its stored files
+ * Only the uploader, project owner/manager or ADMIN can delete
+ */
+export const deleteAttachment = async (
+  taskId,
+  attachmentId,
+  userId,
+  userRole,
+  orgId
+) => {
+  const { task, project, isOwner, isAdmin, attachment } = await loadAttachment(
+    taskId,
+    attachmentId,
+    userId,
+    userRole,
+    orgId
+  );
+
+  const memberRole = project.members?.find(
+    (m) => m.userId.toString() === userId
+  )?.role;
+  const canDelete =
+    isAdmin ||
+    isOwner ||
+    attachment.uploadedBy.toString() === userId ||
+    memberRole === "OWNER" ||
+    memberRole === "MANAGER";
+
+  if (!canDelete) {
+    throw errors.forbidden("You don't have permission to delete this attachment");
+  }
+
+  await deleteAttachmentFiles([attachment]);
+  await recordTaskHistory(task, userId, "DETACHED", {
+    details: { attachmentId: attachment._id, fileName: attachment.fileName },
+  });
+
+  return { message: "Attachment deleted successfully" };
+};
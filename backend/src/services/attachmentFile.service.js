@@ -0,0 +1,115 @@
+import sharp from "sharp";
+import Attachment from "../models/Attachment.js";
+import { getStorage } from "../utils/storage.js";
+
+/**
+ * Attachment files in storage: thumbnails and cleanup
+ * Kept apart from attachment.service so task and project deletion and the
+ * job worker can use it without depending on the request-facing service
+ */
+
+// Image types sharp can read and that get a thumbnail
+export const THUMBNAIL_TYPES = [
+  "image/png",
+  "image/jpeg",
+  "image/gif",
+  "image/webp",
+];
+
+// Longest side of a thumbnail, in pixels
+const THUMBNAIL_SIZE = 320;
+
+const streamToBuffer = async (stream) => {
+  const chunks = [];
+  for await (const chunk of stream) chunks.push(chunk);
+  return Buffer.concat(chunks);
+};
+
+/**
+ * Make the thumbnail of an image attachment
+ * Run by the task job worker; a file that turns out not to be an image
+ * is marked FAILED rather than retried
+ */
+export const generateAttachmentThumbnail = async (attachmentId) => {
+  const attachment = await Attachment.findById(attachmentId);
+  if (!attachment || attachment.thumbnailStatus !== "PENDING") return null;
+
+  const storage = getStorage();
+  const thumbnailKey = `${attachment.storageKey}.thumb.webp`;
+
+  try {
+    const original = await streamToBuffer(
+      await storage.get(attachment.storageKey)
+    );
+    const thumbnail = await sharp(original, { animated: false })
+      .rotate()
+      .resize(THUMBNAIL_SIZE, THUMBNAIL_SIZE, {
+        fit: "inside",
+        withoutEnlargement: true,
+      })
+      .webp()
+      .toBuffer();
+
+    await storage.put(thumbnailKey, thumbnail, { contentType: "image/webp" });
+  } catch (error) {
+    console.error(
+      `Failed to make thumbnail of attachment ${attachment._id}:`,
+      error.message
+    );
+    attachment.thumbnailStatus = "FAILED";
+    await attachment.save();
+    return attachment;
+  }
+
+  // Deleted while the thumbnail was being made: drop it again
+  const updated = await Attachment.findOneAndUpdate(
+    { _id: attachment._id, thumbnailStatus: "PENDING" },
+    { $set: { thumbnailStatus: "READY", thumbnailKey } },
+    { new: true }
+  );
+  if (!updated) await storage.remove(thumbnailKey);
+
+  return updated;
+};
+
+/**
+ * Remove attachments' files from storage, then their records
+ * A file that cannot be removed is logged and left behind; the records
+ * go either way so nothing points at it any more
+ */
+export const deleteAttachmentFiles = async (attachments) => {
+  const storage = getStorage();
+
+  for (const attachment of attachments) {
+    const keys = [attachment.storageKey, attachment.thumbnailKey].filter(
+      Boolean
+    );
+    for (const key of keys) {
+      try {
+        await storage.remove(key);
+      } catch (error) {
+        console.error(`Failed to remove stored file ${key}:`, error.message);
+      }
+    }
+  }
+
+  await Attachment.deleteMany({
+    _id: { $in: attachments.map((attachment) => attachment._id) },
+  });
+};
+
+/**
+ * Delete the attachments of tasks that are being deleted
+ */
+export const deleteAttachmentsForTasks = async (taskIds) => {
+  const attachments = await Attachment.find({ taskId: { $in: taskIds } });
+  await deleteAttachmentFiles(attachments);
+};
+
+/**
+ * Delete every attachment of a project
+ */
+export const deleteAttachmentsForProject = async (projectId) => {
+  const attachments = await Attachment.find({ projectId });
+  await deleteAttachmentFiles(attachments);
+};
@@ -1,9 +1,186 @@
 import bcrypt from "bcrypt";
-import jwt from "jsonwebtoken";
+import crypto from "crypto";
 import User from "../models/User.js";
+import RefreshToken from "../models/RefreshToken.js";
+import UserToken from "../models/UserToken.js";
+import AccessToken from "../models/AccessToken.js";
+import Project from "../models/Project.js";
+import { errors } from "../utils/errors.js";
+import { generateToken, hashToken } from "../utils/tokens.js";
+import { sendMail } from "../utils/mailer.js";
+import { generateSecret, verifyTotp, buildOtpAuthUri } from "../utils/totp.js";
+import {
+  checkLoginAllowed,
+  recordFailedLogin,
+  recordSuccessfulLogin,
+} from "./loginProtection.service.js";
+import {
+  getPendingInvitation,
+  acceptInvitation,
+} from "./invitation.service.js";
+import { createOrganization } from "./organization.service.js";
+import { signJwt, verifyJwt } from "./signingKey.service.js";
+
+const PASSWORD_RESET_TTL_MS = 60 * 60 * 1000; // 1 hour
+const EMAIL_VERIFICATION_TTL_MS = 24 * 60 * 60 * 1000; // 24 hours
+const MFA_CHALLENGE_TTL = "5m";
+const RECOVERY_CODE_COUNT = 10;
+
+// Roles that must use a second factor before privileged routes accept them
+export const isMfaRequiredForRole = (role) => {
+  const requiredRoles = (process.env.MFA_REQUIRED_ROLES ?? "ADMIN,MANAGER")
+    .split(",")
+    .map((r) => r.trim())
+    .filter(Boolean);
+
+  return requiredRoles.includes(role);
+};
+
+// Sign a short-lived access token bound to a session (refresh-token family)
+const signAccessToken = (user, sessionId, mfaVerified = false) => {
+  return signJwt(
+    {
+      id: user._id,
+      email: user.email,
+      role: user.role,
+      orgId: user.organizationId,
+      sid: sessionId,
+      mfa: mfaVerified,
+    },
+    { expiresIn: process.env.ACCESS_TOKEN_TTL || "15m" }
+  );
+};
+
+// Persist a new refresh token for a session and return the raw value
+const issueRefreshToken = async (
+  userId,
+  family,
+  { ip, userAgent, mfaVerified = false } = {}
+) => {
+  const ttlDays = Number(process.env.REFRESH_TOKEN_TTL_DAYS) || 7;
+  const token = generateToken();
+
+  const refreshToken = await RefreshToken.create({
+    userId,
+    tokenHash: hashToken(token),
+    family,
+    expiresAt: new Date(Date.now() + ttlDays * 24 * 60 * 60 * 1000),
+    mfaVerified,
+    createdByIp: ip || null,
+    userAgent: userAgent || null,
+  });
+
+  return { token, refreshToken };
+};
+
+// Start a new session: refresh-token family + short-lived access token
+export const startSession = async (
+  user,
+  context = {},
+  mfaVerified = false
+) => {
+  const sessionId = crypto.randomUUID();
+  const { token: refreshToken } = await issueRefreshToken(user._id, sessionId, {
+    ...context,
+    mfaVerified,
+  });
+
+  return {
+    token: await signAccessToken(user, sessionId, mfaVerified),
+    refreshToken,
+  };
+};
+
+// Revoke every active token in a family, ending the session
+const revokeTokenFamily = async (family, reason) => {
+  await RefreshToken.updateMany(
+    { family, revokedAt: null },
+    { revokedAt: new Date(), revokedReason: reason }
+  );
+};
+
+// Revoke every active session of a user
+const revokeUserSessions = async (userId, reason) => {
+  await RefreshToken.updateMany(
+    { userId, revokedAt: null },
+    { revokedAt: new Date(), revokedReason: reason }
+  );
+};
+
+// Create a single-use emailed token; older unused tokens of the same type die
+const createUserToken = async (userId, type, ttlMs) => {
+  await UserToken.deleteMany({ userId, type, usedAt: null });
+
+  const token = generateToken(32);
+  await UserToken.create({
+    userId,
+    type,
+    tokenHash: hashToken(token),
+    expiresAt: new Date(Date.now() + ttlMs),
+  });
+
+  return token;
+};
+
+// Atomically mark an emailed token as used, rejecting expired/used ones
+const consumeUserToken = async (token, type) => {
+  const record = await UserToken.findOneAndUpdate(
+    {
+      tokenHash: hashToken(token),
+      type,
+      usedAt: null,
+      expiresAt: { $gt: new Date() },
+    },
+    { usedAt: new Date() },
+    { new: true }
+  );
+
+  if (!record) {
+    throw errors.badRequest("Invalid or expired token");
+  }
+
+  return record;
+};
+
+// Build a link into the frontend app
+const buildAppLink = (pathname, token) => {
+  const baseUrl = process.env.FRONTEND_URL || "http://localhost:5173";
+  return `${baseUrl}${pathname}?token=${encodeURIComponent(token)}`;
+};
+
+// Email a fresh verification link to a user
+const sendVerificationEmail = async (user) => {
+  const token = await createUserToken(
+    user._id,
+    "EMAIL_VERIFICATION",
+    EMAIL_VERIFICATION_TTL_MS
+  );
+  const link = buildAppLink("/verify-email", token);
+
+  await sendMail({
+    to: user.email,
+    subject: "Verify your email address",
+    text: `Hi ${user.name},\n\nPlease verify your email address by opening this link:\n${link}\n\nThe link expires in 24 hours.`,
+  });
+};
+
+// Short-lived token that lets the second login step identify the user
+export const createMfaChallenge = (user) =>
+  signJwt(
+    { id: user._id, purpose: "mfa_challenge" },
+    { expiresIn: MFA_CHALLENGE_TTL }
+  );
 
 // Register a new user
-export const registerUser = async (name, email, password, role = "MEMBER") => {
+// With an invite link the user joins the project's organization; otherwise
+// a new organization is created with the user as its ADMIN
+export const registerUser = async (
+  name,
+  email,
+  password,
+  role = "MEMBER",
+  { inviteToken, organizationName } = {}
+) => {
   try {
     // Check if user already exists
     const userExists = await User.findOne({ email });
@@ -11,20 +188,68 @@ export const registerUser = async (name, email, password, role = "MEMBER") => {
       throw new Error("User with this email already exists");
     }
 
+    // The invitation must be usable and addressed to this email
+    const invitation = inviteToken
+      ? await getPendingInvitation(inviteToken)
+      : null;
+    if (invitation && invitation.email !== email.toLowerCase()) {
+      throw new Error("This invitation was sent to a different email address");
+    }
+
+    let organization = null;
+    let organizationId;
+    if (invitation) {
+      const project = await Project.findById(invitation.projectId).select(
+        "organizationId"
+      );
+      if (!project) throw new Error("Invalid or expired invitation");
+      organizationId = project.organizationId;
+    } else {
+      organization = await createOrganization({
+        name: organizationName || `${name}'s organization`,
+      });
+      organizationId = organization._id;
+    }
+
     // Hash password with salt rounds
     const saltRounds = 10;
     const hashedPassword = await bcrypt.hash(password, saltRounds);
 
     // Create new user
+    // Receiving the invite email proves ownership of the address
     const user = new User({
       name,
       email,
       password: hashedPassword,
-      role,
+      role: organization ? "ADMIN" : role,
+      organizationId,
+      emailVerified: Boolean(invitation),
+      emailVerifiedAt: invitation ? new Date() : null,
     });
 
-    // Save user to database
-    await user.save();
+    // Save user to database (don't leave an empty organization behind)
+    try {
+      await user.save();
+    } catch (saveErr) {
+      if (organization) await organization.deleteOne();
+      throw saveErr;
+    }
+
+    if (organization) {
+      organization.createdBy = user._id;
+      await organization.save();
+    }
+
+    if (invitation) {
+      await acceptInvitation(inviteToken, user._id);
+    } else {
+      // A failed email must not fail the registration - the user can resend
+      try {
+        await sendVerificationEmail(user);
+      } catch (mailErr) {
+        console.warn("Failed to send verification email:", mailErr.message);
+      }
+    }
 
     // Return user object without password
     return {
@@ -32,6 +257,8 @@ export const registerUser = async (name, email, password, role = "MEMBER") => {
       name: user.name,
       email: user.email,
       role: user.role,
+      organizationId: user.organizationId,
+      emailVerified: user.emailVerified,
       createdAt: user.createdAt,
     };
   } catch (err) {
@@ -39,39 +266,414 @@ export const registerUser = async (name, email, password, role = "MEMBER") => {
   }
 };
 
-// Login user - validate credentials and return JWT
-export const loginUser = async (email, password) => {
-  try {
-    // Find user by email and include password
-    const user = await User.findOne({ email }).select("+password");
-    if (!user) {
-      throw new Error("Invalid email or password");
+// Login user - validate credentials and return an access/refresh token pair
+export const loginUser = async (email, password, context = {}) => {
+  // Blocked IPs and locked accounts are rejected before any credential check
+  await checkLoginAllowed(email, context);
+
+  // Find user by email and include password
+  const user = await User.findOne({ email }).select("+password");
+  if (!user || user.accountType === "SERVICE") {
+    await recordFailedLogin(email, { ...context, reason: "UNKNOWN_ACCOUNT" });
+    throw errors.unauthorized("Invalid email or password");
+  }
+
+  // Compare passwords (SSO-only accounts have none)
+  const isPasswordValid =
+    Boolean(user.password) && (await bcrypt.compare(password, user.password));
+  if (!isPasswordValid) {
+    await recordFailedLogin(email, {
+      ...context,
+      userId: user._id,
+      organizationId: user.organizationId,
+      reason: "INVALID_PASSWORD",
+    });
+    throw errors.unauthorized("Invalid email or password");
+  }
+
+  if (!user.isActive) {
+    throw errors.forbidden("This account has been deactivated");
+  }
+
+  if (
+    process.env.REQUIRE_EMAIL_VERIFICATION === "true" &&
+    !user.emailVerified
+  ) {
+    throw errors.forbidden(
+      "Please verify your email address before logging in"
+    );
+  }
+
+  // Second step required - hand out a short-lived challenge instead of a session
+  if (user.mfa?.enabled) {
+    return { mfaRequired: true, mfaToken: await createMfaChallenge(user) };
+  }
+
+  await recordSuccessfulLogin(user.email);
+  const { token, refreshToken } = await startSession(user, context);
+
+  return {
+    token,
+    refreshToken,
+    user: {
+      id: user._id,
+      name: user.name,
+      email: user.email,
+      role: user.role,
+    },
+  };
+};
+
+// Rotate a refresh token - the presented token is consumed and replaced
+export const refreshSession = async (refreshToken, context = {}) => {
+  const tokenHash = hashToken(refreshToken);
+
+  // Atomically claim the token so concurrent refreshes cannot both succeed
+  const current = await RefreshToken.findOneAndUpdate(
+    { tokenHash, revokedAt: null, expiresAt: { $gt: new Date() } },
+    { revokedAt: new Date(), revokedReason: "ROTATED" },
+    { new: true }
+  );
+
+  if (!current) {
+    // A revoked token being replayed means it leaked - end the whole session
+    const reused = await RefreshToken.findOne({ tokenHash });
+    if (reused?.revokedAt) {
+      await revokeTokenFamily(reused.family, "REUSE_DETECTED");
     }
+    throw errors.unauthorized("Invalid or expired refresh token");
+  }
 
-    // Compare passwords
-    const isPasswordValid = await bcrypt.compare(password, user.password);
-    if (!isPasswordValid) {
-      throw new Error("Invalid email or password");
+  const user = await User.findById(current.userId);
+  if (!user) {
+    await revokeTokenFamily(current.family, "USER_NOT_FOUND");
+    throw errors.unauthorized("Invalid or expired refresh token");
+  }
+
+  if (!user.isActive) {
+    await revokeTokenFamily(current.family, "USER_DEACTIVATED");
+    throw errors.unauthorized("Invalid or expired refresh token");
+  }
+
+  const { token: nextRefreshToken, refreshToken: next } =
+    await issueRefreshToken(user._id, current.family, {
+      ...context,
+      mfaVerified: current.mfaVerified,
+    });
+
+  current.replacedBy = next._id;
+  await current.save();
+
+  return {
+    token: await signAccessToken(user, current.family, current.mfaVerified),
+    refreshToken: nextRefreshToken,
+    user: {
+      id: user._id,
+      name: user.name,
+      email: user.email,
+      role: user.role,
+    },
+  };
+};
+
+// Recovery codes are compared case- and dash-insensitively
+const hashRecoveryCode = (code) => {
+  return hashToken(code.trim().toLowerCase().replace(/-/g, ""));
+};
+
+// Generate plain recovery codes and their hashes
+const generateRecoveryCodes = () => {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const raw = generateToken(5);
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+
+  return { codes, hashes: codes.map(hashRecoveryCode) };
+};
+
+// Check a TOTP or recovery code; each code can be used only once
+const verifySecondFactor = async (user, { code, recoveryCode }) => {
+  if (code) {
+    const step = verifyTotp(user.mfa.secret, code);
+    if (step === null) {
+      throw errors.unauthorized("Invalid authentication code");
     }
 
-    // Generate JWT token with 15m expiry for access token
-    const token = jwt.sign(
-      { id: user._id, email: user.email, role: user.role },
-      process.env.JWT_SECRET,
-      { expiresIn: "15m" }
+    // Reject replays of a code from an already-used time step
+    const result = await User.updateOne(
+      {
+        _id: user._id,
+        $or: [
+          { "mfa.lastUsedStep": null },
+          { "mfa.lastUsedStep": { $lt: step } },
+        ],
+      },
+      { $set: { "mfa.lastUsedStep": step } }
     );
+    if (result.modifiedCount === 0) {
+      throw errors.unauthorized("Authentication code has already been used");
+    }
+    return;
+  }
 
-    return {
-      token,
-      user: {
-        id: user._id,
-        name: user.name,
-        email: user.email,
-        role: user.role,
-      },
-    };
+  if (recoveryCode) {
+    const codeHash = hashRecoveryCode(recoveryCode);
+    const result = await User.updateOne(
+      { _id: user._id, "mfa.recoveryCodes": codeHash },
+      { $pull: { "mfa.recoveryCodes": codeHash } }
+    );
+    if (result.modifiedCount === 0) {
+      throw errors.unauthorized("Invalid recovery code");
+    }
+    return;
+  }
+
+  throw errors.badRequest("Authentication code or recovery code is required");
+};
+
+// Complete a two-step login with a TOTP or recovery code
+export const verifyMfaLogin = async (mfaToken, factors, context = {}) => {
+  let payload;
+  try {
+    payload = await verifyJwt(mfaToken);
   } catch (err) {
-    throw new Error(err.message);
+    throw errors.unauthorized("MFA challenge expired. Please log in again");
+  }
+
+  if (payload.purpose !== "mfa_challenge") {
+    throw errors.unauthorized("Invalid MFA challenge");
+  }
+
+  const user = await User.findById(payload.id).select(
+    "+mfa.secret +mfa.lastUsedStep"
+  );
+  if (!user || !user.isActive || !user.mfa?.enabled) {
+    throw errors.unauthorized("Invalid MFA challenge");
+  }
+
+  // Failed codes count towards the same account lockout as passwords
+  await checkLoginAllowed(user.email, context);
+  try {
+    await verifySecondFactor(user, factors);
+  } catch (err) {
+    if (err.statusCode === 401) {
+      await recordFailedLogin(user.email, {
+        ...context,
+        userId: user._id,
+        organizationId: user.organizationId,
+        reason: "INVALID_MFA_CODE",
+      });
+    }
+    throw err;
+  }
+
+  await recordSuccessfulLogin(user.email);
+  const { token, refreshToken } = await startSession(user, context, true);
+
+  return {
+    token,
+    refreshToken,
+    user: {
+      id: user._id,
+      name: user.name,
+      email: user.email,
+      role: user.role,
+    },
+  };
+};
+
+// Begin MFA enrollment - returns the secret and otpauth URI for the QR code
+export const setupMfa = async (userId) => {
+  const user = await User.findById(userId);
+  if (!user) throw errors.notFound("User");
+
+  if (user.mfa?.enabled) {
+    throw errors.conflict("MFA is already enabled");
+  }
+
+  const secret = generateSecret();
+  await User.updateOne({ _id: userId }, { "mfa.pendingSecret": secret });
+
+  return {
+    secret,
+    otpauthUri: buildOtpAuthUri({
+      secret,
+      accountName: user.email,
+      issuer: process.env.MFA_ISSUER || "DTMS",
+    }),
+  };
+};
+
+// Confirm enrollment with a code from the app and issue recovery codes
+export const enableMfa = async (userId, sessionId, code) => {
+  const user = await User.findById(userId).select("+mfa.pendingSecret");
+  if (!user) throw errors.notFound("User");
+
+  if (user.mfa?.enabled) {
+    throw errors.conflict("MFA is already enabled");
+  }
+  if (!user.mfa?.pendingSecret) {
+    throw errors.badRequest("Start MFA setup before enabling it");
+  }
+
+  const step = verifyTotp(user.mfa.pendingSecret, code);
+  if (step === null) {
+    throw errors.badRequest("Invalid authentication code");
+  }
+
+  const { codes, hashes } = generateRecoveryCodes();
+
+  await User.updateOne(
+    { _id: userId },
+    {
+      $set: {
+        "mfa.enabled": true,
+        "mfa.secret": user.mfa.pendingSecret,
+        "mfa.pendingSecret": null,
+        "mfa.recoveryCodes": hashes,
+        "mfa.lastUsedStep": step,
+        "mfa.enabledAt": new Date(),
+      },
+    }
+  );
+
+  // The code just proved possession of the second factor - upgrade this session
+  await RefreshToken.updateMany(
+    { family: sessionId, revokedAt: null },
+    { mfaVerified: true }
+  );
+
+  return {
+    recoveryCodes: codes,
+    token: await signAccessToken(user, sessionId, true),
+  };
+};
+
+// Turn MFA off (not allowed for roles the policy requires it for)
+export const disableMfa = async (userId, factors) => {
+  const user = await User.findById(userId).select(
+    "+mfa.secret +mfa.lastUsedStep"
+  );
+  if (!user) throw errors.notFound("User");
+
+  if (!user.mfa?.enabled) {
+    throw errors.badRequest("MFA is not enabled");
+  }
+  if (isMfaRequiredForRole(user.role)) {
+    throw errors.forbidden(`MFA is required for ${user.role} accounts`);
+  }
+
+  await verifySecondFactor(user, factors);
+
+  await User.updateOne(
+    { _id: userId },
+    {
+      $set: {
+        "mfa.enabled": false,
+        "mfa.secret": null,
+        "mfa.recoveryCodes": [],
+        "mfa.lastUsedStep": null,
+        "mfa.enabledAt": null,
+      },
+    }
+  );
+};
+
+// Logout - revoke the session the refresh token belongs to
+export const logoutSession = async (refreshToken) => {
+  const token = await RefreshToken.findOne({
+    tokenHash: hashToken(refreshToken),
+  });
+
+  if (token) {
+    await revokeTokenFamily(token.family, "LOGOUT");
+  }
+};
+
+// Check that a session has not been revoked or expired
+export const isSessionActive = async (sessionId) => {
+  const active = await RefreshToken.exists({
+    family: sessionId,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() },
+  });
+
+  return !!active;
+};
+
+// Start a password reset - always succeeds so emails cannot be enumerated
+export const requestPasswordReset = async (email) => {
+  const user = await User.findOne({ email: email.toLowerCase() });
+  if (!user || !user.isActive || user.oidc?.subject) return;
+
+  const token = await createUserToken(
+    user._id,
+    "PASSWORD_RESET",
+    PASSWORD_RESET_TTL_MS
+  );
+  const link = buildAppLink("/reset-password", token);
+
+  try {
+    await sendMail({
+      to: user.email,
+      subject: "Reset your password",
+      text: `Hi ${user.name},\n\nSomeone requested a password reset for your account. Open this link to choose a new password:\n${link}\n\nThe link expires in 1 hour. If you didn't request this, you can ignore this email.`,
+    });
+  } catch (mailErr) {
+    console.warn("Failed to send password reset email:", mailErr.message);
+  }
+};
+
+// Complete a password reset and sign the user out everywhere
+export const resetPassword = async (token, newPassword) => {
+  const record = await consumeUserToken(token, "PASSWORD_RESET");
+
+  const user = await User.findById(record.userId);
+  if (!user) throw errors.notFound("User");
+  if (!user.isActive) {
+    throw errors.forbidden("This account has been deactivated");
+  }
+
+  user.password = await bcrypt.hash(newPassword, 10);
+  // Receiving the reset email proves ownership of the address
+  if (!user.emailVerified) {
+    user.emailVerified = true;
+    user.emailVerifiedAt = new Date();
+  }
+  await user.save();
+
+  await revokeUserSessions(user._id, "PASSWORD_RESET");
+};
+
+// Confirm an email address
+export const verifyEmail = async (token) => {
+  const record = await consumeUserToken(token, "EMAIL_VERIFICATION");
+
+  const user = await User.findByIdAndUpdate(
+    record.userId,
+    { emailVerified: true, emailVerifiedAt: new Date() },
+    { new: true }
+  );
+  if (!user) throw errors.notFound("User");
+
+  return {
+    id: user._id,
+    name: user.name,
+    email: user.email,
+    role: user.role,
+    emailVerified: user.emailVerified,
+  };
+};
+
+// Send a new verification email - silent for unknown or verified addresses
+export const resendVerificationEmail = async (email) => {
+  const user = await User.findOne({ email: email.toLowerCase() });
+  if (!user || user.emailVerified) return;
+
+  try {
+    await sendVerificationEmail(user);
+  } catch (mailErr) {
+    console.warn("Failed to send verification email:", mailErr.message);
   }
 };
 
@@ -88,6 +690,12 @@ export const getUserById = async (userId) => {
       name: user.name,
       email: user.email,
       role: user.role,
+      organizationId: user.organizationId,
+      accountType: user.accountType,
+      emailVerified: user.emailVerified,
+      isActive: user.isActive,
+      mfaEnabled: user.mfa?.enabled || false,
+      mfaRequired: isMfaRequiredForRole(user.role),
       createdAt: user.createdAt,
     };
   } catch (err) {
@@ -95,16 +703,149 @@ export const getUserById = async (userId) => {
   }
 };
 
-// Get all users (admin-only)
-export const getAllUsers = async () => {
+// Update own profile - an email change needs the current password and re-verification
+export const updateProfile = async (userId, { name, email, currentPassword }) => {
+  const user = await User.findById(userId).select("+password");
+  if (!user) throw errors.notFound("User");
+
+  if (name !== undefined) {
+    user.name = name;
+  }
+
+  const emailChanged =
+    email !== undefined && email.toLowerCase() !== user.email;
+
+  if (emailChanged) {
+    if (user.oidc?.subject) {
+      throw errors.badRequest(
+        "Your email address is managed by your identity provider"
+      );
+    }
+
+    const isPasswordValid =
+      currentPassword && (await bcrypt.compare(currentPassword, user.password));
+    if (!isPasswordValid) {
+      throw errors.badRequest("Current password is incorrect");
+    }
+
+    const existing = await User.findOne({ email: email.toLowerCase() });
+    if (existing) {
+      throw errors.conflict("User with this email already exists");
+    }
+
+    user.email = email;
+    user.emailVerified = false;
+    user.emailVerifiedAt = null;
+  }
+
+  await user.save();
+
+  if (emailChanged) {
+    try {
+      await sendVerificationEmail(user);
+    } catch (mailErr) {
+      console.warn("Failed to send verification email:", mailErr.message);
+    }
+  }
+
+  return getUserById(user._id);
+};
+
+// Change own password - every other session is signed out
+export const changePassword = async (
+  userId,
+  sessionId,
+  currentPassword,
+  newPassword
+) => {
+  const user = await User.findById(userId).select("+password");
+  if (!user) throw errors.notFound("User");
+
+  if (!user.password) {
+    throw errors.badRequest("This account signs in with single sign-on");
+  }
+
+  const isPasswordValid = await bcrypt.compare(currentPassword, user.password);
+  if (!isPasswordValid) {
+    throw errors.badRequest("Current password is incorrect");
+  }
+
+  user.password = await bcrypt.hash(newPassword, 10);
+  await user.save();
+
+  await RefreshToken.updateMany(
+    { userId: user._id, family: { $ne: sessionId }, revokedAt: null },
+    { revokedAt: new Date(), revokedReason: "PASSWORD_CHANGED" }
+  );
+};
+
+// Deactivate a user (admin-only) - sessions and access tokens stop working
+export const deactivateUser = async (userId, adminId, orgId) => {
+  if (userId === adminId) {
+    throw errors.badRequest("You cannot deactivate your own account");
+  }
+
+  const user = await User.findOne({ _id: userId, organizationId: orgId });
+  if (!user) throw errors.notFound("User");
+
+  if (user.isActive) {
+    user.isActive = false;
+    user.deactivatedAt = new Date();
+    user.deactivatedBy = adminId;
+    await user.save();
+  }
+
+  await revokeUserSessions(user._id, "USER_DEACTIVATED");
+  await AccessToken.updateMany(
+    { userId: user._id, revokedAt: null },
+    { revokedAt: new Date() }
+  );
+
+  return {
+    id: user._id,
+    name: user.name,
+    email: user.email,
+    role: user.role,
+    isActive: user.isActive,
+    deactivatedAt: user.deactivatedAt,
+  };
+};
+
+// Reactivate a user (admin-only) - they sign in again with their old password
+export const reactivateUser = async (userId, orgId) => {
+  const user = await User.findOneAndUpdate(
+    { _id: userId, organizationId: orgId },
+    { isActive: true, deactivatedAt: null, deactivatedBy: null },
+    { new: true }
+  );
+  if (!user) throw errors.notFound("User");
+
+  return {
+    id: user._id,
+    name: user.name,
+    email: user.email,
+    role: user.role,
+    isActive: user.isActive,
+    deactivatedAt: user.deactivatedAt,
+  };
+};
+
+// Get all users of the organization (admin-only)
+export const getAllUsers = async (orgId) => {
   try {
-    const users = await User.find().select("-password");
+    const users = await User.find({ organizationId: orgId }).select(
+      "-password"
+    );
 
     return users.map((user) => ({
       id: user._id,
       name: user.name,
       email: user.email,
       role: user.role,
+      accountType: user.accountType,
+      emailVerified: user.emailVerified,
+      isActive: user.isActive,
+      deactivatedAt: user.deactivatedAt,
       createdAt: user.createdAt,
     }));
   } catch (err) {
@@ -112,33 +853,29 @@ export const getAllUsers = async () => {
   }
 };
 
-// Update user role (admin-only)
-export const updateUserRole = async (userId, newRole) => {
-  try {
-    // Validate role
-    const validRoles = ["ADMIN", "MANAGER", "MEMBER"];
-    if (!validRoles.includes(newRole)) {
-      throw new Error(`Invalid role. Must be one of: ${validRoles.join(", ")}`);
-    }
+// Update a user's role within the organization (admin-only)
+export const updateUserRole = async (userId, newRole, orgId) => {
+  // Validate role
+  const validRoles = ["ADMIN", "MANAGER", "MEMBER"];
+  if (!validRoles.includes(newRole)) {
+    throw errors.badRequest(
+      `Invalid role. Must be one of: ${validRoles.join(", ")}`
+    );
+  }
 
-    const user = await User.findByIdAndUpdate(
-      userId,
-      { role: newRole },
-      { new: true, runValidators: true }
-    ).select("-password");
+  const user = await User.findOneAndUpdate(
+    { _id: userId, organizationId: orgId },
+    { role: newRole },
+    { new: true, runValidators: true }
+  ).select("-password");
 
-    if (!user) {
-      throw new Error("User not found");
-    }
+  if (!user) throw errors.notFound("User");
 
-    return {
-      id: user._id,
-      name: user.name,
-      email: user.email,
-      role: user.role,
-      createdAt: user.createdAt,
-    };
-  } catch (err) {
-    throw new Error(err.message);
-  }
+  return {
+    id: user._id,
+    name: user.name,
+    email: user.email,
+    role: user.role,
+    createdAt: user.createdAt,
+  };
 };
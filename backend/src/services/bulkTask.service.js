@@ -0,0 +1,304 @@
+import BulkOperation from "../models/BulkOperation.js";
+import Project from "../models/Project.js";
+import Task from "../models/Task.js";
+import User from "../models/User.js";
+import { AppError, errors } from "../utils/errors.js";
+import { addTaskJob } from "../utils/jobs.js";
+import { buildTaskQuery, updateTask, deleteTask } from "./task.service.js";
+
+/**
+ * Bulk Task Service Layer
+ * Applies one change to many tasks of a project. Each task goes through
+ * updateTask/deleteTask, so it gets the same permission checks, workflow
+ * transition rules, history and notifications as a single edit, and fails
+ * or succeeds on its own
+ * Small batches run during the request; larger ones run as a job whose
+ * progress is polled
+ */
+
+// Most tasks one operation may touch
+const MAX_BULK_TASKS = 1000;
+
+// Batches up to this size run during the request
+const INLINE_BULK_TASKS = 25;
+
+/**
+ * Load a project the caller can see
+ */
+const loadProject = async (projectId, userId, userRole, orgId) => {
+  const project = await Project.findOne({
+    _id: projectId,
+    organizationId: orgId,
+  });
+  if (!project) throw errors.notFound("Project");
+
+  const isOwner = project.ownerId.toString() === userId;
+  const isMember = project.members?.some(
+    (m) => m.userId.toString() === userId
+  );
+  const isAdmin = userRole === "ADMIN";
+
+  if (!isOwner && !isMember && !isAdmin) {
+    throw errors.forbidden("You don't have access to this project");
+  }
+
+  return project;
+};
+
+/**
+ * Shape a bulk operation for API responses
+ */
+const formatBulkOperation = (operation) => ({
+  id: operation._id,
+  projectId: operation.projectId,
+  type: operation.type,
+  params: operation.params,
+  status: operation.status,
+  total: operation.taskIds.length,
+  processed: operation.results.length,
+  succeeded: operation.succeeded,
+  failed: operation.failed,
+  results: operation.results,
+  error: operation.error,
+  createdBy: operation.createdBy,
+  createdAt: operation.createdAt,
+  startedAt: operation.startedAt,
+  finishedAt: operation.finishedAt,
+});
+
+/**
+ * Apply the operation to one task
+ * removed holds tasks already deleted along with a parent task
+ */
+const applyToTask = async (operation, taskId, actor, removed) => {
+  const { type, params } = operation;
+  const orgId = operation.organizationId.toString();
+  const update = (data) =>
+    updateTask(taskId, actor.id, actor.role, orgId, data);
+
+  switch (type) {
+    case "SET_STATUS":
+      return update({ status: params.status, force: params.force });
+
+    case "SET_PRIORITY":
+      return update({ priority: params.priority });
+
+    case "SET_ASSIGNEE":
+      return update({ assignedTo: params.assignedTo });
+
+    case "SET_DUE_DATE":
+      return update({ dueDate: params.dueDate });
+
+    case "SET_LABELS": {
+      if (params.mode === "set") return update({ labels: params.labels });
+
+      const task = await Task.findOne({
+        _id: taskId,
+        organizationId: orgId,
+      }).select("labels");
+      if (!task) throw errors.notFound("Task");
+
+      const current = task.labels.map(String);
+      const labels =
+        params.mode === "add"
+          ? [...current, ...params.labels]
+          : current.filter((id) => !params.labels.includes(id));
+      return update({ labels });
+    }
+
+    case "MOVE":
+      return update({ parentId: params.parentId });
+
+    case "DELETE": {
+      if (removed.has(taskId.toString())) return null;
+
+      const descendantIds = params.keepSubtasks
+        ? []
+        : await Task.find({ ancestors: taskId }).distinct("_id");
+      await deleteTask(taskId, actor.id, actor.role, orgId, {
+        keepSubtasks: params.keepSubtasks,
+      });
+      for (const id of descendantIds) removed.add(id.toString());
+      return null;
+    }
+
+    default:
+      throw errors.badRequest(`Unknown bulk operation ${type}`);
+  }
+};
+
+/**
+ * Run a bulk operation to the end, recording each task's outcome as it
+ * goes. A run that was interrupted picks up the tasks without a result
+ */
+export const runBulkOperation = async (bulkOperationId) => {
+  const operation = await BulkOperation.findById(bulkOperationId);
+  if (!operation || ["COMPLETED", "FAILED"].includes(operation.status)) {
+    return operation;
+  }
+
+  const finish = (status, error = null) =>
+    BulkOperation.findByIdAndUpdate(
+      operation._id,
+      { status, error, finishedAt: new Date() },
+      { new: true }
+    );
+
+  // Permissions are those of the creator as they are now
+  const creator = await User.findOne({
+    _id: operation.createdBy,
+    organizationId: operation.organizationId,
+  }).select("role isActive");
+  if (!creator?.isActive) {
+    return finish("FAILED", "The user who started this operation is inactive");
+  }
+  const actor = { id: creator._id.toString(), role: creator.role };
+
+  await BulkOperation.updateOne(
+    { _id: operation._id },
+    { status: "RUNNING", startedAt: operation.startedAt || new Date() }
+  );
+
+  const removed = new Set();
+  // Resuming after a restart skips the tasks that already have a result
+  const done = new Set(
+    operation.results.map((result) => result.taskId.toString())
+  );
+  const remaining = operation.taskIds.filter(
+    (taskId) => !done.has(taskId.toString())
+  );
+  try {
+    for (const taskId of remaining) {
+      let result;
+      try {
+        await applyToTask(operation, taskId, actor, removed);
+        result = { taskId, success: true, error: null };
+      } catch (err) {
+        // Only errors meant for users are reported as they are
+        if (!(err instanceof AppError)) {
+          console.error(
+            `Bulk operation ${operation._id} failed on task ${taskId}:`,
+            err
+          );
+        }
+        const error =
+          err instanceof AppError ? err.message : "Unexpected error";
+        result = { taskId, success: false, error };
+      }
+
+      // Saved per task, so progress can be polled while it runs
+      await BulkOperation.updateOne(
+        { _id: operation._id },
+        {
+          $push: { results: result },
+          $inc: result.success ? { succeeded: 1 } : { failed: 1 },
+        }
+      );
+    }
+  } catch (err) {
+    console.error(`Bulk operation ${operation._id} stopped:`, err);
+    return finish(
+      "FAILED",
+      "The operation stopped before every task was processed"
+    );
+  }
+
+  return finish("COMPLETED");
+};
+
+/**
+ * Start a bulk operation on a project's tasks
+ * The tasks are either taskIds or those matching filter (the task list's
+ * filters). Resolves to the operation: finished when the batch was small
+ * enough to run during the request, otherwise queued with its progress
+ * readable from getBulkOperation
+ */
+export const startBulkOperation = async (
+  projectId,
+  userId,
+  userRole,
+  orgId,
+  { taskIds, filter, operation: { type, ...params } }
+) => {
+  const project = await loadProject(projectId, userId, userRole, orgId);
+
+  const query = taskIds
+    ? { _id: { $in: taskIds }, projectId: project._id, organizationId: orgId }
+    : buildTaskQuery(project, orgId, filter);
+  const tasks = await Task.find(query)
+    .select("_id")
+    .sort({ createdAt: 1 })
+    .limit(MAX_BULK_TASKS + 1);
+
+  if (!tasks.length) throw errors.badRequest("No tasks to update");
+  if (tasks.length > MAX_BULK_TASKS) {
+    throw errors.badRequest(
+      `A bulk operation can change at most ${MAX_BULK_TASKS} tasks`
+    );
+  }
+
+  // Tasks of other projects, or gone, are reported rather than skipped
+  const found = new Set(tasks.map((task) => task._id.toString()));
+  const missing = taskIds
+    ? [...new Set(taskIds)].filter((id) => !found.has(id))
+    : [];
+
+  let operation = await BulkOperation.create({
+    projectId: project._id,
+    organizationId: orgId,
+    createdBy: userId,
+    type,
+    params,
+    // Listed in the order of their results
+    taskIds: [...missing, ...tasks.map((task) => task._id)],
+    results: missing.map((taskId) => ({
+      taskId,
+      success: false,
+      error: "Task not found in this project",
+    })),
+    failed: missing.length,
+  });
+
+  if (tasks.length <= INLINE_BULK_TASKS) {
+    operation = await runBulkOperation(operation._id);
+  } else {
+    const queued = await addTaskJob("RUN_BULK_OPERATION", {
+      bulkOperationId: operation._id.toString(),
+    });
+    // Without the queue it runs in this process, after the response
+    if (!queued) {
+      runBulkOperation(operation._id).catch((err) =>
+        console.error(`Bulk operation ${operation._id} failed:`, err)
+      );
+    }
+  }
+
+  return formatBulkOperation(operation);
+};
+
+/**
+ * Get a bulk operation's progress and per-task results
+ * Visible to whoever started it and ADMIN
+ */
+export const getBulkOperation = async (
+  projectId,
+  bulkOperationId,
+  userId,
+  userRole,
+  orgId
+) => {
+  await loadProject(projectId, userId, userRole, orgId);
+
+  const operation = await BulkOperation.findOne({
+    _id: bulkOperationId,
+    projectId,
+    organizationId: orgId,
+  });
+  if (!operation) throw errors.notFound("Bulk operation");
+
+  if (operation.createdBy.toString() !== userId && userRole !== "ADMIN") {
+    throw errors.forbidden("You can only view your own bulk operations");
+  }
+
+  return formatBulkOperation(operation);
+};
@@ -0,0 +1,240 @@
+import User from "../models/User.js";
+import { errors } from "../utils/errors.js";
+import { checkTaskAccess } from "./task.service.js";
+import { recordTaskHistory } from "./taskHistory.service.js";
+
+/**
+ * Checklist Service Layer
+ * Ordered checklist items inside a task. Whoever can update the task
+ * edits the checklist; a member an item is assigned to can also tick it off
+ * Every lookup is scoped to the caller's organization (orgId)
+ */
+
+const MAX_CHECKLIST_ITEMS = 100;
+
+/**
+ * Load a task with who may edit its checklist
+ */
+const loadTaskForChecklist = async (taskId, userId, userRole, orgId) => {
+  const access = await checkTaskAccess(taskId, userId, userRole, orgId);
+  const { project, isOwner, isAdmin, isAssignee } = access;
+
+  const memberRole = project.members?.find(
+    (m) => m.userId.toString() === userId
+  )?.role;
+  const canEdit =
+    isAdmin ||
+    isOwner ||
+    isAssignee ||
+    memberRole === "OWNER" ||
+    memberRole === "MANAGER";
+
+  return { ...access, canEdit };
+};
+
+/**
+ * An item of the task's checklist
+ */
+const findItem = (task, itemId) => {
+  const item = task.checklist.id(itemId);
+  if (!item) throw errors.notFound("Checklist item");
+  return item;
+};
+
+/**
+ * Items can only be assigned to active project members
+ */
+const verifyItemAssignee = async (project, orgId, assigneeId) => {
+  const isProjectMember = project.members.some(
+    (m) => m.userId.toString() === assigneeId
+  );
+  if (!isProjectMember) {
+    throw errors.badRequest("Assigned user is not a project member");
+  }
+
+  const user = await User.findOne({ _id: assigneeId, organizationId: orgId });
+  if (!user) throw errors.notFound("Assigned user");
+  if (!user.isActive) {
+    throw errors.badRequest(
+      "Cannot assign checklist items to a deactivated user"
+    );
+  }
+};
+
+/**
+ * Save the task and record the checklist change
+ * Returns the task as task updates do
+ */
+const saveChecklist = async (task, userId, details) => {
+  try {
+    await task.save();
+  } catch (err) {
+    // Saved by someone else between our read and write
+    if (err.name !== "VersionError") throw err;
+    throw errors.conflict(
+      "This task was changed by someone else while saving. Reload it and try again"
+    );
+  }
+
+  await recordTaskHistory(task, userId, "CHECKLIST_UPDATED", { details });
+
+  return task.populate([
+    { path: "assignedTo", select: "name email" },
+    { path: "createdBy", select: "name email" },
+    { path: "labels", select: "name color" },
+  ]);
+};
+
+/**
+ * Add an item to a task's checklist, at the end or at position
+ */
+export const addChecklistItem = async (
+  taskId,
+  userId,
+  userRole,
+  orgId,
+  { text, required = false, assignedTo = null, position }
+) => {
+  const { task, project, canEdit } = await loadTaskForChecklist(
+    taskId,
+    userId,
+    userRole,
+    orgId
+  );
+  if (!canEdit) {
+    throw errors.forbidden("You don't have permission to edit this checklist");
+  }
+
+  if (task.checklist.length >= MAX_CHECKLIST_ITEMS) {
+    throw errors.badRequest(
+      `A checklist can have at most ${MAX_CHECKLIST_ITEMS} items`
+    );
+  }
+  if (assignedTo) await verifyItemAssignee(project, orgId, assignedTo);
+
+  const index = Math.min(
+    position ?? task.checklist.length,
+    task.checklist.length
+  );
+  task.checklist.splice(index, 0, { text, required, assignedTo });
+  const item = task.checklist[index];
+
+  return saveChecklist(task, userId, {
+    change: "ADDED",
+    itemId: item._id,
+    text: item.text,
+  });
+};
+
+/**
+ * Edit, check or uncheck, or (re)assign a checklist item
+ * The item's assignee may check and uncheck it without edit rights
+ */
+export const updateChecklistItem = async (
+  taskId,
+  itemId,
+  userId,
+  userRole,
+  orgId,
+  data
+) => {
+  const { task, project, canEdit } = await loadTaskForChecklist(
+    taskId,
+    userId,
+    userRole,
+    orgId
+  );
+  const item = findItem(task, itemId);
+
+  const isItemAssignee = item.assignedTo?.toString() === userId;
+  const isToggleOnly = Object.keys(data).every((key) => key === "done");
+  if (!canEdit && !(isItemAssignee && isToggleOnly)) {
+    throw errors.forbidden("You don't have permission to edit this checklist");
+  }
+
+  if (data.assignedTo && data.assignedTo !== item.assignedTo?.toString()) {
+    await verifyItemAssignee(project, orgId, data.assignedTo);
+  }
+
+  let change = "UPDATED";
+  if (data.done !== undefined && data.done !== item.done) {
+    change = data.done ? "CHECKED" : "UNCHECKED";
+    item.completedBy = data.done ? userId : null;
+    item.completedAt = data.done ? new Date() : null;
+  }
+  Object.assign(item, data);
+
+  return saveChecklist(task, userId, {
+    change,
+    itemId: item._id,
+    text: item.text,
+  });
+};
+
+/**
+ * Put a task's checklist in a new order
+ * itemIds must list every item of the checklist exactly once
+ */
+export const reorderChecklist = async (
+  taskId,
+  userId,
+  userRole,
+  orgId,
+  { itemIds }
+) => {
+  const { task, canEdit } = await loadTaskForChecklist(
+    taskId,
+    userId,
+    userRole,
+    orgId
+  );
+  if (!canEdit) {
+    throw errors.forbidden("You don't have permission to edit this checklist");
+  }
+
+  const current = task.checklist.map((item) => item._id.toString());
+  const isPermutation =
+    itemIds.length === current.length &&
+    new Set(itemIds).size === itemIds.length &&
+    itemIds.every((id) => current.includes(id));
+  if (!isPermutation) {
+    throw errors.badRequest(
+      "itemIds must list every item of the checklist exactly once"
+    );
+  }
+
+  const items = itemIds.map((id) => task.checklist.id(id).toObject());
+  task.checklist = items;
+
+  return saveChecklist(task, userId, { change: "REORDERED" });
+};
+
+/**
+ * Remove an item from a task's checklist
+ */
+export const deleteChecklistItem = async (
+  taskId,
+  itemId,
+  userId,
+  userRole,
+  orgId
+) => {
+  const { task, canEdit } = await loadTaskForChecklist(
+    taskId,
+    userId,
+    userRole,
+    orgId
+  );
+  if (!canEdit) {
+    throw errors.forbidden("You don't have permission to edit this checklist");
+  }
+
+  const item = findItem(task, itemId);
+  task.checklist.pull(item._id);
+
+  return saveChecklist(task, userId, {
+    change: "REMOVED",
+    itemId: item._id,
+    text: item.text,
+  });
+};
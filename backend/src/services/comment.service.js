@@ -0,0 +1,366 @@
+import Comment from "../models/Comment.js";
+import Task from "../models/Task.js";
+import { errors } from "../utils/errors.js";
+import { sanitizeMarkdown } from "../utils/markdown.js";
+import { checkTaskAccess } from "./task.service.js";
+import { recordTaskHistory } from "./taskHistory.service.js";
+import {
+  resolveMentions,
+  notifyTaskWatchers,
+  notifyMentionedUsers,
+} from "./notification.service.js";
+
+/**
+ * Comment Service Layer
+ * Comments on tasks with one level of threaded replies, edits (earlier
+ * versions are kept), soft deletion and emoji reactions
+ * Anyone who can see a task can comment and react; authors edit their own
+ * comments, and authors or project owner/manager or ADMIN delete them
+ * Every lookup is scoped to the caller's organization (orgId)
+ */
+
+const populateComment = (comment) =>
+  comment.populate([
+    { path: "userId", select: "name email" },
+    { path: "mentions", select: "name email" },
+  ]);
+
+/**
+ * Shape a comment for API responses
+ * Reactions are grouped by emoji; a deleted comment keeps its place in
+ * the thread but shows nothing of what it said
+ */
+const formatComment = (comment, userId) => {
+  const deleted = Boolean(comment.deletedAt);
+
+  const reactions = new Map();
+  for (const reaction of deleted ? [] : comment.reactions) {
+    const entry = reactions.get(reaction.emoji) || {
+      emoji: reaction.emoji,
+      count: 0,
+      reacted: false,
+    };
+    entry.count += 1;
+    if (reaction.userId.toString() === userId) entry.reacted = true;
+    reactions.set(reaction.emoji, entry);
+  }
+
+  return {
+    _id: comment._id,
+    taskId: comment.taskId,
+    parentId: comment.parentId,
+    userId: comment.userId,
+    text: deleted ? null : comment.text,
+    mentions: deleted ? [] : comment.mentions,
+    replyCount: comment.replyCount,
+    reactions: [...reactions.values()],
+    edited: comment.edits.length > 0,
+    editedAt: comment.editedAt,
+    deleted,
+    deletedAt: comment.deletedAt,
+    createdAt: comment.createdAt,
+    updatedAt: comment.updatedAt,
+  };
+};
+
+/**
+ * Sanitize comment text, refusing what is left empty
+ */
+const cleanText = (text) => {
+  const clean = sanitizeMarkdown(text);
+  if (!clean) throw errors.badRequest("Comment cannot be empty");
+  return clean;
+};
+
+/**
+ * Load a comment (not deleted) of a task the caller has access to
+ * canModerate: project owner/manager or ADMIN
+ */
+const loadComment = async (taskId, commentId, userId, userRole, orgId) => {
+  const access = await checkTaskAccess(taskId, userId, userRole, orgId);
+  const { task, project, isOwner, isAdmin } = access;
+
+  const comment = await Comment.findOne({
+    _id: commentId,
+    taskId: task._id,
+    organizationId: orgId,
+    deletedAt: null,
+  });
+  if (!comment) throw errors.notFound("Comment");
+
+  const memberRole = project.members?.find(
+    (m) => m.userId.toString() === userId
+  )?.role;
+  const canModerate =
+    isAdmin || isOwner || memberRole === "OWNER" || memberRole === "MANAGER";
+
+  return { ...access, comment, canModerate };
+};
+
+/**
+ * List a task's comments, oldest first, or the replies of one (parentId)
+ * Cursor paginated: pass the nextCursor of a page to get the next one
+ * Deleted comments only show while they still have replies
+ */
+export const getTaskComments = async (
+  taskId,
+  userId,
+  userRole,
+  orgId,
+  { parentId = null, cursor, limit = 20 } = {}
+) => {
+  const { task } = await checkTaskAccess(taskId, userId, userRole, orgId);
+
+  const query = {
+    taskId: task._id,
+    organizationId: orgId,
+    parentId,
+    $or: [{ deletedAt: null }, { replyCount: { $gt: 0 } }],
+  };
+  if (cursor) query._id = { $gt: cursor };
+
+  const comments = await Comment.find(query)
+    .populate("userId", "name email")
+    .populate("mentions", "name email")
+    .sort({ _id: 1 })
+    .limit(limit + 1);
+
+  const hasMore = comments.length > limit;
+  const page = comments.slice(0, limit);
+
+  return {
+    data: page.map((comment) => formatComment(comment, userId)),
+    pagination: {
+      limit,
+      hasMore,
+      nextCursor: hasMore ? page.at(-1)._id : null,
+    },
+  };
+};
+
+/**
+ * Comment on a task, or reply to a comment (parentId)
+ * A reply to a reply joins the same thread. Commenters start watching the
+ * task; members the comment @mentions are told about it, and the other
+ * watchers that there is a new comment
+ */
+export const createComment = async (
+  taskId,
+  userId,
+  userRole,
+  orgId,
+  { text, parentId }
+) => {
+  const { task, project } = await checkTaskAccess(
+    taskId,
+    userId,
+    userRole,
+    orgId
+  );
+  const body = cleanText(text);
+
+  let threadId = null;
+  if (parentId) {
+    const parent = await Comment.findOne({
+      _id: parentId,
+      taskId: task._id,
+      organizationId: orgId,
+      deletedAt: null,
+    });
+    if (!parent) throw errors.notFound("Comment");
+    threadId = parent.parentId || parent._id;
+  }
+
+  const mentions = (await resolveMentions(project._id, body)).map(
+    (member) => member.id
+  );
+
+  const comment = await Comment.create({
+    taskId: task._id,
+    projectId: project._id,
+    organizationId: orgId,
+    userId,
+    parentId: threadId,
+    text: body,
+    mentions,
+  });
+
+  if (threadId) {
+    await Comment.updateOne({ _id: threadId }, { $inc: { replyCount: 1 } });
+  }
+  // Applied atomically, so commenting never conflicts with task edits
+  await Task.updateOne({ _id: task._id }, { $addToSet: { watchers: userId } });
+
+  // The text stays with the comment, so edits and deletes reach the
+  // timeline (history can't be changed afterwards)
+  await recordTaskHistory(task, userId, "COMMENTED", {
+    details: {
+      commentId: comment._id,
+      ...(threadId && { parentId: threadId }),
+    },
+  });
+
+  await notifyMentionedUsers(task, userId, mentions, body);
+  await notifyTaskWatchers(
+    task,
+    userId,
+    "TASK_COMMENTED",
+    (actor) =>
+      `${actor} ${threadId ? "replied to a comment" : "commented"} on "${task.title}":\n\n${body}`,
+    { exclude: mentions }
+  );
+
+  return formatComment(await populateComment(comment), userId);
+};
+
+/**
+ * Edit a comment; only its author can
+ * The replaced text is kept in the comment's edit history, and members
+ * newly @mentioned are told about it
+ */
+export const updateComment = async (
+  taskId,
+  commentId,
+  userId,
+  userRole,
+  orgId,
+  { text }
+) => {
+  const { task, project, comment } = await loadComment(
+    taskId,
+    commentId,
+    userId,
+    userRole,
+    orgId
+  );
+  if (comment.userId.toString() !== userId) {
+    throw errors.forbidden("You can only edit your own comments");
+  }
+
+  const body = cleanText(text);
+  if (body === comment.text) {
+    return formatComment(await populateComment(comment), userId);
+  }
+
+  const mentions = (await resolveMentions(project._id, body)).map(
+    (member) => member.id
+  );
+  const previous = new Set(comment.mentions.map((id) => id.toString()));
+  const newlyMentioned = mentions.filter(
+    (id) => !previous.has(id.toString())
+  );
+
+  const now = new Date();
+  comment.edits.push({ text: comment.text, editedAt: now });
+  comment.text = body;
+  comment.mentions = mentions;
+  comment.editedAt = now;
+  await comment.save();
+
+  await notifyMentionedUsers(task, userId, newlyMentioned, body);
+
+  return formatComment(await populateComment(comment), userId);
+};
+
+/**
+ * Get the earlier versions of a comment, newest first
+ */
+export const getCommentEdits = async (
+  taskId,
+  commentId,
+  userId,
+  userRole,
+  orgId
+) => {
+  const { comment } = await loadComment(
+    taskId,
+    commentId,
+    userId,
+    userRole,
+    orgId
+  );
+
+  return {
+    text: comment.text,
+    editedAt: comment.editedAt,
+    edits: [...comment.edits].reverse(),
+  };
+};
+
+/**
+ * Delete a comment
+ * Only its author, project owner/manager or ADMIN can. The comment is
+ * marked deleted rather than removed so its replies keep their thread
+ */
+export const deleteComment = async (
+  taskId,
+  commentId,
+  userId,
+  userRole,
+  orgId
+) => {
+  const { task, comment, canModerate } = await loadComment(
+    taskId,
+    commentId,
+    userId,
+    userRole,
+    orgId
+  );
+  if (comment.userId.toString() !== userId && !canModerate) {
+    throw errors.forbidden("You don't have permission to delete this comment");
+  }
+
+  comment.deletedAt = new Date();
+  comment.deletedBy = userId;
+  await comment.save();
+
+  if (comment.parentId) {
+    await Comment.updateOne(
+      { _id: comment.parentId },
+      { $inc: { replyCount: -1 } }
+    );
+  }
+
+  await recordTaskHistory(task, userId, "COMMENT_DELETED", {
+    details: {
+      commentId: comment._id,
+      ...(comment.parentId && { parentId: comment.parentId }),
+    },
+  });
+
+  return { message: "Comment deleted successfully" };
+};
+
+/**
+ * Add or remove the caller's reaction to a comment
+ * Applied atomically; reacting twice with the same emoji changes nothing
+ */
+export const setCommentReaction = async (
+  taskId,
+  commentId,
+  userId,
+  userRole,
+  orgId,
+  emoji,
+  reacted
+) => {
+  const { comment } = await loadComment(
+    taskId,
+    commentId,
+    userId,
+    userRole,
+    orgId
+  );
+
+  const reaction = { emoji, userId };
+  const updated = await Comment.findOneAndUpdate(
+    { _id: comment._id, deletedAt: null },
+    reacted
+      ? { $addToSet: { reactions: reaction } }
+      : { $pull: { reactions: reaction } },
+    { new: true }
+  );
+  if (!updated) throw errors.notFound("Comment");
+
+  return formatComment(await populateComment(updated), userId);
+};
@@ -0,0 +1,304 @@
+import Invitation from "../models/Invitation.js";
+import Project from "../models/Project.js";
+import User from "../models/User.js";
+import { errors } from "../utils/errors.js";
+import { sendMail } from "../utils/mailer.js";
+import { signJwt, verifyJwt } from "./signingKey.service.js";
+
+/**
+ * Invitation Service Layer
+ * Email invitations to projects, including people without an account
+ */
+
+const getInvitationTtlDays = () =>
+  Number(process.env.INVITATION_TTL_DAYS) || 7;
+
+/**
+ * Only owner, project MANAGER or ADMIN can invite
+ */
+const assertCanManageMembers = (project, userId, userRole) => {
+  const isOwner = project.ownerId.toString() === userId;
+  const memberRole = project.members.find(
+    (m) => m.userId.toString() === userId
+  )?.role;
+  const canManage =
+    userRole === "ADMIN" ||
+    isOwner ||
+    memberRole === "MANAGER";
+
+  if (!canManage) {
+    throw errors.forbidden(
+      "You don't have permission to manage project members"
+    );
+  }
+};
+
+/**
+ * Shape an invitation for API responses
+ */
+const formatInvitation = (invitation) => ({
+  id: invitation._id,
+  projectId: invitation.projectId,
+  email: invitation.email,
+  role: invitation.role,
+  status: invitation.status,
+  invitedBy: invitation.invitedBy,
+  expiresAt: invitation.expiresAt,
+  respondedAt: invitation.respondedAt,
+  createdAt: invitation.createdAt,
+});
+
+/**
+ * Sign the link token; the invitation record decides whether it is still usable
+ */
+const signInvitationToken = (invitation) =>
+  signJwt(
+    { inv: invitation._id.toString(), purpose: "project_invite" },
+    { expiresIn: `${getInvitationTtlDays()}d` }
+  );
+
+/**
+ * Email the invite link
+ */
+const sendInvitationEmail = async (invitation, project, inviter) => {
+  const baseUrl = process.env.FRONTEND_URL || "http://localhost:5173";
+  const token = await signInvitationToken(invitation);
+  const link = `${baseUrl}/invitations?token=${encodeURIComponent(token)}`;
+
+  await sendMail({
+    to: invitation.email,
+    subject: `You're invited to join ${project.name}`,
+    text: `Hi,\n\n${inviter.name} invited you to join the project "${project.name}" as ${invitation.role}.\n\nOpen this link to accept or decline (you can create an account from there):\n${link}\n\nThe invitation expires in ${getInvitationTtlDays()} days.`,
+  });
+};
+
+/**
+ * Mark pending invitations past their expiry as EXPIRED
+ */
+const expireStaleInvitations = async (filter = {}) => {
+  await Invitation.updateMany(
+    { ...filter, status: "PENDING", expiresAt: { $lte: new Date() } },
+    { status: "EXPIRED" }
+  );
+};
+
+/**
+ * Invite an email address to a project
+ * Re-inviting the same address refreshes the pending invitation
+ */
+export const createInvitation = async (
+  projectId,
+  userId,
+  userRole,
+  orgId,
+  { email, role = "MEMBER" }
+) => {
+  const project = await Project.findOne({
+    _id: projectId,
+    organizationId: orgId,
+  });
+  if (!project) throw errors.notFound("Project");
+
+  assertCanManageMembers(project, userId, userRole);
+
+  const normalizedEmail = email.toLowerCase();
+  const existingUser = await User.findOne({ email: normalizedEmail });
+  if (existingUser) {
+    if (existingUser.organizationId.toString() !== orgId) {
+      throw errors.badRequest(
+        "This email belongs to a user of another organization"
+      );
+    }
+
+    if (!existingUser.isActive) {
+      throw errors.badRequest("Cannot invite a deactivated user");
+    }
+
+    const isMember = project.members.some(
+      (m) => m.userId.toString() === existingUser._id.toString()
+    );
+    if (isMember) {
+      throw errors.conflict("User is already a project member");
+    }
+  }
+
+  const expiresAt = new Date(
+    Date.now() + getInvitationTtlDays() * 24 * 60 * 60 * 1000
+  );
+
+  const invitation = await Invitation.findOneAndUpdate(
+    { projectId, email: normalizedEmail, status: "PENDING" },
+    {
+      $set: { role, invitedBy: userId, expiresAt },
+      $setOnInsert: { projectId, email: normalizedEmail, status: "PENDING" },
+    },
+    { new: true, upsert: true, runValidators: true }
+  );
+
+  const inviter = await User.findById(userId);
+  try {
+    await sendInvitationEmail(invitation, project, inviter);
+  } catch (mailErr) {
+    console.warn("Failed to send invitation email:", mailErr.message);
+  }
+
+  return formatInvitation(invitation);
+};
+
+/**
+ * List a project's invitations (PENDING by default)
+ */
+export const getProjectInvitations = async (
+  projectId,
+  userId,
+  userRole,
+  orgId,
+  { status = "PENDING" } = {}
+) => {
+  const project = await Project.findOne({
+    _id: projectId,
+    organizationId: orgId,
+  });
+  if (!project) throw errors.notFound("Project");
+
+  assertCanManageMembers(project, userId, userRole);
+
+  await expireStaleInvitations({ projectId });
+
+  const query = { projectId };
+  if (status !== "ALL") query.status = status;
+
+  const invitations = await Invitation.find(query)
+    .populate("invitedBy", "name email")
+    .sort({ createdAt: -1 });
+
+  return invitations.map(formatInvitation);
+};
+
+/**
+ * Revoke a pending invitation
+ */
+export const revokeInvitation = async (
+  projectId,
+  invitationId,
+  userId,
+  userRole,
+  orgId
+) => {
+  const project = await Project.findOne({
+    _id: projectId,
+    organizationId: orgId,
+  });
+  if (!project) throw errors.notFound("Project");
+
+  assertCanManageMembers(project, userId, userRole);
+
+  const invitation = await Invitation.findOneAndUpdate(
+    { _id: invitationId, projectId, status: "PENDING" },
+    { status: "REVOKED", revokedBy: userId, respondedAt: new Date() },
+    { new: true }
+  );
+  if (!invitation) throw errors.notFound("Pending invitation");
+
+  return formatInvitation(invitation);
+};
+
+/**
+ * Resolve an invite link token to a usable (pending, unexpired) invitation
+ */
+export const getPendingInvitation = async (token) => {
+  let payload;
+  try {
+    payload = await verifyJwt(token);
+  } catch (err) {
+    throw errors.badRequest("Invalid or expired invitation");
+  }
+
+  if (payload.purpose !== "project_invite") {
+    throw errors.badRequest("Invalid or expired invitation");
+  }
+
+  await expireStaleInvitations({ _id: payload.inv });
+
+  const invitation = await Invitation.findOne({
+    _id: payload.inv,
+    status: "PENDING",
+  });
+  if (!invitation) {
+    throw errors.badRequest("Invalid or expired invitation");
+  }
+
+  return invitation;
+};
+
+/**
+ * Accept an invitation as an existing user - the email must match
+ */
+export const acceptInvitation = async (token, userId) => {
+  const invitation = await getPendingInvitation(token);
+
+  const user = await User.findById(userId);
+  if (!user) throw errors.notFound("User");
+
+  if (user.email !== invitation.email) {
+    throw errors.forbidden(
+      "This invitation was sent to a different email address"
+    );
+  }
+
+  // Users belong to exactly one organization
+  const invitedProject = await Project.findById(invitation.projectId);
+  if (!invitedProject) throw errors.notFound("Project");
+
+  if (!invitedProject.organizationId.equals(user.organizationId)) {
+    throw errors.forbidden(
+      "This invitation is for a project in another organization"
+    );
+  }
+
+  // Claim the invitation first so it cannot be accepted twice
+  const claimed = await Invitation.findOneAndUpdate(
+    { _id: invitation._id, status: "PENDING" },
+    { status: "ACCEPTED", acceptedBy: user._id, respondedAt: new Date() },
+    { new: true }
+  );
+  if (!claimed) {
+    throw errors.badRequest("Invalid or expired invitation");
+  }
+
+  // Join atomically unless already a member
+  await Project.updateOne(
+    { _id: claimed.projectId, "members.userId": { $ne: user._id } },
+    {
+      $push: {
+        members: { userId: user._id, role: claimed.role, addedAt: new Date() },
+      },
+    }
+  );
+
+  const project = await Project.findById(claimed.projectId).populate(
+    "members.userId",
+    "name email role"
+  );
+  if (!project) throw errors.notFound("Project");
+
+  return project;
+};
+
+/**
+ * Decline an invitation - holding the link is enough
+ */
+export const declineInvitation = async (token) => {
+  const invitation = await getPendingInvitation(token);
+
+  const declined = await Invitation.findOneAndUpdate(
+    { _id: invitation._id, status: "PENDING" },
+    { status: "DECLINED", respondedAt: new Date() },
+    { new: true }
+  );
+  if (!declined) {
+    throw errors.badRequest("Invalid or expired invitation");
+  }
+
+  return formatInvitation(declined);
+};
@@ -0,0 +1,204 @@
+import Label from "../models/Label.js";
+import Project from "../models/Project.js";
+import Task from "../models/Task.js";
+import { errors } from "../utils/errors.js";
+
+/**
+ * Label Service Layer
+ * Project-scoped labels that tasks can carry (many to many)
+ * Every lookup is scoped to the caller's organization (orgId)
+ */
+
+// Same collation as the unique index, so name lookups ignore case
+const NAME_COLLATION = { locale: "en", strength: 2 };
+
+/**
+ * Load a project and the caller's rights on its labels
+ * Every project member can see labels; owners and managers manage them
+ */
+const loadProjectWithAccess = async (projectId, userId, userRole, orgId) => {
+  const project = await Project.findOne({
+    _id: projectId,
+    organizationId: orgId,
+  });
+  if (!project) throw errors.notFound("Project");
+
+  const isOwner = project.ownerId.toString() === userId;
+  const memberRole = project.members?.find(
+    (m) => m.userId.toString() === userId
+  )?.role;
+  const isAdmin = userRole === "ADMIN";
+
+  if (!isOwner && !memberRole && !isAdmin) {
+    throw errors.forbidden("You don't have access to this project");
+  }
+
+  const canManage =
+    isAdmin || isOwner || memberRole === "OWNER" || memberRole === "MANAGER";
+
+  return { project, canManage };
+};
+
+/**
+ * Refuse a name another label of the project already uses
+ */
+const assertNameAvailable = async (projectId, name, labelId = null) => {
+  const existing = await Label.findOne({
+    projectId,
+    name,
+    ...(labelId && { _id: { $ne: labelId } }),
+  }).collation(NAME_COLLATION);
+
+  if (existing) {
+    throw errors.conflict(`A label named "${existing.name}" already exists`);
+  }
+};
+
+/**
+ * Create a label
+ * Only project owner/manager or ADMIN can manage labels
+ */
+export const createLabel = async (
+  projectId,
+  userId,
+  userRole,
+  orgId,
+  { name, color }
+) => {
+  const { project, canManage } = await loadProjectWithAccess(
+    projectId,
+    userId,
+    userRole,
+    orgId
+  );
+  if (!canManage) {
+    throw errors.forbidden("Only project OWNER/MANAGER can manage labels");
+  }
+
+  await assertNameAvailable(project._id, name);
+
+  return Label.create({
+    name,
+    color,
+    projectId: project._id,
+    organizationId: orgId,
+    createdBy: userId,
+  });
+};
+
+/**
+ * Get the labels of a project with how many tasks carry each
+ */
+export const getProjectLabels = async (projectId, userId, userRole, orgId) => {
+  const { project } = await loadProjectWithAccess(
+    projectId,
+    userId,
+    userRole,
+    orgId
+  );
+
+  const labels = await Label.find({ projectId: project._id })
+    .collation(NAME_COLLATION)
+    .sort({ name: 1 });
+
+  const counts = await Task.aggregate([
+    { $match: { projectId: project._id, labels: { $ne: [] } } },
+    { $unwind: "$labels" },
+    { $group: { _id: "$labels", count: { $sum: 1 } } },
+  ]);
+  const countById = new Map(
+    counts.map(({ _id, count }) => [_id.toString(), count])
+  );
+
+  return labels.map((label) => ({
+    ...label.toObject(),
+    taskCount: countById.get(label._id.toString()) || 0,
+  }));
+};
+
+/**
+ * Rename or recolor a label
+ */
+export const updateLabel = async (
+  projectId,
+  labelId,
+  userId,
+  userRole,
+  orgId,
+  data
+) => {
+  const { project, canManage } = await loadProjectWithAccess(
+    projectId,
+    userId,
+    userRole,
+    orgId
+  );
+  if (!canManage) {
+    throw errors.forbidden("Only project OWNER/MANAGER can manage labels");
+  }
+
+  const label = await Label.findOne({ _id: labelId, projectId: project._id });
+  if (!label) throw errors.notFound("Label");
+
+  if (data.name) {
+    await assertNameAvailable(project._id, data.name, label._id);
+  }
+
+  Object.assign(label, data);
+  await label.save();
+
+  return label;
+};
+
+/**
+ * Delete a label and take it off every task
+ */
+export const deleteLabel = async (
+  projectId,
+  labelId,
+  userId,
+  userRole,
+  orgId
+) => {
+  const { project, canManage } = await loadProjectWithAccess(
+    projectId,
+    userId,
+    userRole,
+    orgId
+  );
+  if (!canManage) {
+    throw errors.forbidden("Only project OWNER/MANAGER can manage labels");
+  }
+
+  const label = await Label.findOneAndDelete({
+    _id: labelId,
+    projectId: project._id,
+  });
+  if (!label) throw errors.notFound("Label");
+
+  await Task.updateMany(
+    { projectId: project._id, labels: label._id },
+    { $pull: { labels: label._id }, $inc: { __v: 1 } }
+  );
+
+  return { message: "Label deleted successfully" };
+};
+
+/**
+ * Check label ids given for a task all belong to its project
+ * Returns the ids without duplicates
+ */
+export const resolveProjectLabels = async (projectId, labelIds) => {
+  const uniqueIds = [...new Set(labelIds.map(String))];
+  if (!uniqueIds.length) return [];
+
+  const count = await Label.countDocuments({
+    _id: { $in: uniqueIds },
+    projectId,
+  });
+  if (count !== uniqueIds.length) {
+    throw errors.badRequest("One or more labels don't belong to this project");
+  }
+
+  return uniqueIds;
+};
@@ -0,0 +1,197 @@
+import LoginAttempt from "../models/LoginAttempt.js";
+import User from "../models/User.js";
+import { errors } from "../utils/errors.js";
+import {
+  incrementCounter,
+  getCounter,
+  setFlag,
+  getTtl,
+  deleteKeys,
+} from "../utils/counterStore.js";
+
+/**
+ * Login Protection Service Layer
+ * Per-IP and per-account attempt counters, progressive delays,
+ * temporary lockout and an audit trail of failed attempts
+ */
+
+/**
+ * Policy (overridable through environment variables)
+ */
+const getPolicy = () => ({
+  windowSeconds: (Number(process.env.LOGIN_ATTEMPT_WINDOW_MINUTES) || 15) * 60,
+  maxAttemptsPerIp: Number(process.env.LOGIN_MAX_ATTEMPTS_PER_IP) || 50,
+  maxAttemptsPerAccount: Number(process.env.LOGIN_MAX_ATTEMPTS_PER_ACCOUNT) || 10,
+  delayAfterAttempts: Number(process.env.LOGIN_DELAY_AFTER_ATTEMPTS) || 3,
+  maxDelayMs: Number(process.env.LOGIN_MAX_DELAY_MS) || 8000,
+  lockoutSeconds: (Number(process.env.LOGIN_LOCKOUT_MINUTES) || 15) * 60,
+});
+
+/**
+ * Counter keys
+ */
+const keys = {
+  ipAttempts: (ip) => `login:ip:${ip}`,
+  accountAttempts: (email) => `login:account:${email}`,
+  accountLock: (email) => `login:lock:${email}`,
+};
+
+const normalizeEmail = (email) => String(email || "").trim().toLowerCase();
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Build a 429 error carrying a Retry-After hint
+ */
+const tooManyAttempts = (message, retryAfterSeconds) => {
+  const error = errors.tooManyRequests(message);
+  error.retryAfter = retryAfterSeconds;
+  return error;
+};
+
+/**
+ * Write an audit record without ever failing the login request
+ */
+const recordAttempt = async (data) => {
+  try {
+    await LoginAttempt.create(data);
+  } catch (error) {
+    console.warn("Failed to record login attempt:", error.message);
+  }
+};
+
+/**
+ * Gate a login attempt before credentials are checked
+ * Throws 429 for blocked IPs and locked accounts,
+ * and slows down accounts with recent failures
+ */
+export const checkLoginAllowed = async (email, { ip, userAgent } = {}) => {
+  const policy = getPolicy();
+  const account = normalizeEmail(email);
+
+  if (ip && (await getCounter(keys.ipAttempts(ip))) >= policy.maxAttemptsPerIp) {
+    await recordAttempt({ email: account, ip, userAgent, reason: "IP_BLOCKED" });
+    throw tooManyAttempts(
+      "Too many login attempts from this address. Please try again later",
+      await getTtl(keys.ipAttempts(ip))
+    );
+  }
+
+  const lockTtl = await getTtl(keys.accountLock(account));
+  if (lockTtl > 0) {
+    await recordAttempt({ email: account, ip, userAgent, reason: "ACCOUNT_LOCKED" });
+    throw tooManyAttempts(
+      `Account temporarily locked due to failed login attempts. Try again in ${Math.ceil(lockTtl / 60)} minute(s)`,
+      lockTtl
+    );
+  }
+
+  // Progressive delay: 0.5s, 1s, 2s, ... capped at maxDelayMs
+  const failures = await getCounter(keys.accountAttempts(account));
+  if (failures >= policy.delayAfterAttempts) {
+    const exponent = failures - policy.delayAfterAttempts;
+    await sleep(Math.min(500 * 2 ** exponent, policy.maxDelayMs));
+  }
+};
+
+/**
+ * Count a failed attempt and lock the account once the limit is reached
+ */
+export const recordFailedLogin = async (
+  email,
+  { ip, userAgent, userId = null, organizationId = null, reason }
+) => {
+  const policy = getPolicy();
+  const account = normalizeEmail(email);
+
+  if (ip) {
+    await incrementCounter(keys.ipAttempts(ip), policy.windowSeconds);
+  }
+  const failures = await incrementCounter(
+    keys.accountAttempts(account),
+    policy.windowSeconds
+  );
+
+  if (failures >= policy.maxAttemptsPerAccount) {
+    await setFlag(keys.accountLock(account), policy.lockoutSeconds);
+    await deleteKeys([keys.accountAttempts(account)]);
+  }
+
+  await recordAttempt({
+    email: account,
+    userId,
+    organizationId,
+    ip,
+    userAgent,
+    reason,
+  });
+};
+
+/**
+ * Reset the account counter after a successful login
+ */
+export const recordSuccessfulLogin = async (email) => {
+  await deleteKeys([keys.accountAttempts(normalizeEmail(email))]);
+};
+
+/**
+ * Clear the lockout and failure counter of an account (ADMIN)
+ */
+export const unlockAccount = async (userId, orgId) => {
+  const user = await User.findOne({ _id: userId, organizationId: orgId });
+  if (!user) throw errors.notFound("User");
+
+  const account = normalizeEmail(user.email);
+  await deleteKeys([keys.accountLock(account), keys.accountAttempts(account)]);
+
+  return {
+    id: user._id,
+    name: user.name,
+    email: user.email,
+    role: user.role,
+  };
+};
+
+/**
+ * Query the organization's failed-login audit trail (ADMIN)
+ * Attempts against unknown emails belong to no organization
+ */
+export const getLoginAttempts = async (orgId, {
+  email,
+  ip,
+  userId,
+  reason,
+  from,
+  to,
+  page = 1,
+  limit = 50,
+}) => {
+  const query = { organizationId: orgId };
+  if (email) query.email = normalizeEmail(email);
+  if (ip) query.ip = ip;
+  if (userId) query.userId = userId;
+  if (reason) query.reason = reason;
+  if (from || to) {
+    query.createdAt = {};
+    if (from) query.createdAt.$gte = new Date(from);
+    if (to) query.createdAt.$lte = new Date(to);
+  }
+
+  const skip = (page - 1) * limit;
+
+  const total = await LoginAttempt.countDocuments(query);
+  const attempts = await LoginAttempt.find(query)
+    .sort({ createdAt: -1 })
+    .skip(skip)
+    .limit(limit);
+
+  return {
+    data: attempts,
+    pagination: {
+      page,
+      limit,
+      total,
+      pages: Math.ceil(total / limit),
+    },
+  };
+};
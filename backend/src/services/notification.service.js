@@ -0,0 +1,120 @@
+import User from "../models/User.js";
+import { addNotificationJob } from "../utils/jobs.js";
+import { findActiveMembers } from "./projectMember.service.js";
+
+/**
+ * Notification Service Layer
+ * Tells a task's watchers about changes to it and comment authors'
+ * @mentions about the comment. Each recipient gets their own notification
+ * job; the actor is never told about their own change
+ */
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+/**
+ * Project members a comment @mentions, by email or by name
+ * ("@ana@example.com", "@Ana Lima"). Longer handles are matched first so
+ * "@Ana Lima" doesn't also mention a member named "Ana"
+ */
+export const resolveMentions = async (projectId, text) => {
+  if (!text.includes("@")) return [];
+
+  const members = await findActiveMembers(projectId);
+  const handles = members
+    .flatMap((member) =>
+      [member.email, member.name]
+        .filter(Boolean)
+        .map((handle) => ({ member, handle }))
+    )
+    .sort((a, b) => b.handle.length - a.handle.length);
+
+  const mentioned = new Map();
+  let remaining = text;
+  for (const { member, handle } of handles) {
+    // "@" must start a word, and the handle must end one
+    const pattern = new RegExp(
+      `(^|[^\\w@])@${escapeRegExp(handle)}(?![\\w@])`,
+      "gi"
+    );
+    if (!pattern.test(remaining)) continue;
+
+    mentioned.set(member.id.toString(), member);
+    remaining = remaining.replace(pattern, "$1");
+  }
+
+  return [...mentioned.values()];
+};
+
+/**
+ * Queue one notification per recipient
+ */
+const queueNotifications = async (
+  type,
+  recipientIds,
+  task,
+  subject,
+  message
+) => {
+  await Promise.all(
+    recipientIds.map((userId) =>
+      addNotificationJob(type, {
+        userId,
+        taskId: task._id.toString(),
+        subject,
+        message,
+      })
+    )
+  );
+};
+
+/**
+ * Name of the user who made a change, for messages
+ */
+const actorName = async (actorId) =>
+  (await User.findById(actorId).select("name"))?.name || "Someone";
+
+/**
+ * Tell the watchers of a task about a change to it
+ * exclude skips users told about the change some other way (e.g. mentioned)
+ */
+export const notifyTaskWatchers = async (
+  task,
+  actorId,
+  type,
+  describe,
+  { exclude = [] } = {}
+) => {
+  const skip = new Set([actorId.toString(), ...exclude.map(String)]);
+  const recipientIds = [
+    ...new Set(task.watchers.map((id) => id.toString())),
+  ].filter((id) => !skip.has(id));
+  if (!recipientIds.length) return;
+
+  const message = describe(await actorName(actorId));
+  await queueNotifications(
+    type,
+    recipientIds,
+    task,
+    `Update on "${task.title}"`,
+    message
+  );
+};
+
+/**
+ * Tell the users mentioned in a comment about it
+ */
+export const notifyMentionedUsers = async (task, actorId, userIds, text) => {
+  const recipientIds = userIds
+    .map(String)
+    .filter((id) => id !== actorId.toString());
+  if (!recipientIds.length) return;
+
+  const name = await actorName(actorId);
+  await queueNotifications(
+    "TASK_MENTIONED",
+    recipientIds,
+    task,
+    `${name} mentioned you on "${task.title}"`,
+    `${name} mentioned you in a comment on "${task.title}":\n\n${text}`
+  );
+};
@@ -0,0 +1,287 @@
+import User from "../models/User.js";
+import Organization from "../models/Organization.js";
+import OidcLoginState from "../models/OidcLoginState.js";
+import { AppError, errors } from "../utils/errors.js";
+import {
+  discover,
+  verifyIdToken,
+  generateRandomValue,
+  buildCodeChallenge,
+} from "../utils/oidc.js";
+import { startSession, createMfaChallenge } from "./auth.service.js";
+
+/**
+ * OIDC Service Layer
+ * Authorization code + PKCE login against an external identity provider,
+ * with just-in-time provisioning and claim-to-role mapping
+ */
+
+const LOGIN_STATE_TTL_MS = 10 * 60 * 1000;
+const ROLE_PRIORITY = ["ADMIN", "MANAGER", "MEMBER"];
+// amr values that mean the provider already did a second factor
+const MFA_AMR_VALUES = ["mfa", "otp", "hwk", "swk", "sms"];
+
+/**
+ * Parse OIDC_ROLE_MAP ("idp-admins=ADMIN,idp-managers=MANAGER")
+ */
+const parseRoleMap = (value = "") =>
+  value
+    .split(",")
+    .map((entry) => entry.split("=").map((part) => part.trim()))
+    .filter(([claim, role]) => claim && ROLE_PRIORITY.includes(role))
+    .reduce((map, [claim, role]) => ({ ...map, [claim]: role }), {});
+
+/**
+ * Read the provider settings; null when SSO is not configured
+ */
+const getOidcConfig = () => {
+  const issuer = process.env.OIDC_ISSUER;
+  const clientId = process.env.OIDC_CLIENT_ID;
+  if (!issuer || !clientId) return null;
+
+  return {
+    issuer,
+    clientId,
+    clientSecret: process.env.OIDC_CLIENT_SECRET || null,
+    redirectUri:
+      process.env.OIDC_REDIRECT_URI ||
+      `http://localhost:${process.env.PORT || 5000}/auth/oidc/callback`,
+    scopes: process.env.OIDC_SCOPES || "openid email profile",
+    roleClaim: process.env.OIDC_ROLE_CLAIM || "groups",
+    roleMap: parseRoleMap(process.env.OIDC_ROLE_MAP),
+    defaultRole: process.env.OIDC_DEFAULT_ROLE || "MEMBER",
+    organizationSlug: process.env.OIDC_ORGANIZATION_SLUG,
+    // Off unless asked for: the provider's amr claim is only as trustworthy
+    // as the provider's own MFA policy
+    trustProviderMfa: process.env.OIDC_TRUST_PROVIDER_MFA === "true",
+  };
+};
+
+const requireOidcConfig = () => {
+  const config = getOidcConfig();
+  if (!config) {
+    throw new AppError("Single sign-on is not configured", 503);
+  }
+  return config;
+};
+
+/**
+ * Whether the login page should offer SSO
+ */
+export const isOidcEnabled = () => getOidcConfig() !== null;
+
+/**
+ * Map the role claim to the most privileged matching role (null if none match)
+ */
+const resolveRole = (claims, { roleClaim, roleMap }) => {
+  const raw = claims[roleClaim];
+  const values = Array.isArray(raw) ? raw : raw ? [raw] : [];
+  const roles = values.map((value) => roleMap[value]).filter(Boolean);
+
+  return ROLE_PRIORITY.find((role) => roles.includes(role)) || null;
+};
+
+/**
+ * Exchange the authorization code at the token endpoint
+ */
+const exchangeCode = async (provider, config, { code, codeVerifier }) => {
+  const headers = { "Content-Type": "application/x-www-form-urlencoded" };
+  if (config.clientSecret) {
+    const credentials = Buffer.from(
+      `${encodeURIComponent(config.clientId)}:${encodeURIComponent(config.clientSecret)}`
+    ).toString("base64");
+    headers.Authorization = `Basic ${credentials}`;
+  }
+
+  const response = await fetch(provider.token_endpoint, {
+    method: "POST",
+    headers,
+    body: new URLSearchParams({
+      grant_type: "authorization_code",
+      code,
+      redirect_uri: config.redirectUri,
+      client_id: config.clientId,
+      code_verifier: codeVerifier,
+    }),
+  });
+
+  const body = await response.json().catch(() => ({}));
+  if (!response.ok || !body.id_token) {
+    throw errors.unauthorized(
+      `Identity provider rejected the login: ${body.error_description || body.error || response.status}`
+    );
+  }
+
+  return body;
+};
+
+/**
+ * Find, link or create the local user for an ID token
+ */
+const provisionUser = async (claims, config) => {
+  if (!claims.sub) throw errors.unauthorized("ID token has no subject");
+
+  const mappedRole = resolveRole(claims, config);
+
+  let user = await User.findOne({
+    "oidc.issuer": config.issuer,
+    "oidc.subject": claims.sub,
+  });
+
+  if (!user) {
+    if (!claims.email) {
+      throw errors.unauthorized("Identity provider did not share an email");
+    }
+
+    const organization = await Organization.findOne({
+      slug: config.organizationSlug,
+    });
+    if (!organization) {
+      throw new AppError("Single sign-on organization is not configured", 503);
+    }
+
+    user = await User.findOne({ email: claims.email.toLowerCase() });
+
+    if (user) {
+      // Only link accounts the provider vouches for, within the SSO organization
+      if (claims.email_verified !== true) {
+        throw errors.forbidden(
+          "An account with this email already exists. Verify your email at the identity provider to link it"
+        );
+      }
+      if (!user.organizationId.equals(organization._id)) {
+        throw errors.forbidden(
+          "An account with this email belongs to another organization"
+        );
+      }
+
+      user.oidc = { issuer: config.issuer, subject: claims.sub };
+    } else {
+      // Just-in-time provisioning
+      user = new User({
+        name: claims.name || claims.preferred_username || claims.email,
+        email: claims.email,
+        role: mappedRole || config.defaultRole,
+        organizationId: organization._id,
+        emailVerified: claims.email_verified === true,
+        emailVerifiedAt: claims.email_verified === true ? new Date() : null,
+        oidc: { issuer: config.issuer, subject: claims.sub },
+      });
+    }
+  }
+
+  // With a role map the provider is the source of truth for roles, both
+  // ways: leaving every mapped group drops the user to the default role
+  if (Object.keys(config.roleMap).length > 0) {
+    user.role = mappedRole || config.defaultRole;
+  }
+
+  if (user.isModified()) {
+    await user.save();
+  }
+
+  return user;
+};
+
+/**
+ * Start a login
+ * Returns the provider authorization URL to redirect to, and the state the
+ * browser has to bring back to the callback along with it
+ */
+export const startOidcLogin = async () => {
+  const config = requireOidcConfig();
+  const provider = await discover(config.issuer);
+
+  const state = generateRandomValue();
+  const nonce = generateRandomValue();
+  const codeVerifier = generateRandomValue(48);
+
+  const expiresAt = new Date(Date.now() + LOGIN_STATE_TTL_MS);
+  await OidcLoginState.create({ state, nonce, codeVerifier, expiresAt });
+
+  const url = new URL(provider.authorization_endpoint);
+  url.search = new URLSearchParams({
+    response_type: "code",
+    client_id: config.clientId,
+    redirect_uri: config.redirectUri,
+    scope: config.scopes,
+    state,
+    nonce,
+    code_challenge: buildCodeChallenge(codeVerifier),
+    code_challenge_method: "S256",
+  }).toString();
+
+  return { authorizationUrl: url.toString(), state, expiresAt };
+};
+
+/**
+ * Finish a login from the provider callback
+ * browserState is the state the browser kept when the login started; the
+ * callback must carry the same one, so nobody can get a victim's browser
+ * to finish a login they started themselves (login CSRF)
+ * Returns a token pair, or an MFA challenge when the account needs one
+ */
+export const completeOidcLogin = async (
+  { code, state, error, errorDescription, browserState },
+  context = {}
+) => {
+  const config = requireOidcConfig();
+
+  if (error) {
+    throw errors.unauthorized(
+      `Identity provider error: ${errorDescription || error}`
+    );
+  }
+  if (!code || !state) {
+    throw errors.badRequest("Missing authorization code or state");
+  }
+  if (!browserState || browserState !== state) {
+    throw errors.badRequest(
+      "This login was not started in this browser. Please try again"
+    );
+  }
+
+  // Single use - a replayed callback finds nothing
+  const loginState = await OidcLoginState.findOneAndDelete({
+    state,
+    expiresAt: { $gt: new Date() },
+  });
+  if (!loginState) {
+    throw errors.badRequest("Login request expired. Please try again");
+  }
+
+  const provider = await discover(config.issuer);
+  const tokens = await exchangeCode(provider, config, {
+    code,
+    codeVerifier: loginState.codeVerifier,
+  });
+
+  let claims;
+  try {
+    claims = await verifyIdToken(tokens.id_token, {
+      issuer: config.issuer,
+      clientId: config.clientId,
+      jwksUri: provider.jwks_uri,
+      nonce: loginState.nonce,
+    });
+  } catch (err) {
+    throw errors.unauthorized(`Invalid ID token: ${err.message}`);
+  }
+
+  const user = await provisionUser(claims, config);
+  if (!user.isActive) {
+    throw errors.forbidden("This account has been deactivated");
+  }
+
+  // The provider's second factor only stands in for ours when configured to
+  const mfaVerified =
+    config.trustProviderMfa &&
+    Array.isArray(claims.amr) &&
+    claims.amr.some((value) => MFA_AMR_VALUES.includes(value));
+
+  if (user.mfa?.enabled && !mfaVerified) {
+    return { mfaRequired: true, mfaToken: await createMfaChallenge(user) };
+  }
+
+  return startSession(user, context, mfaVerified);
+};
@@ -0,0 +1,66 @@
+import Organization from "../models/Organization.js";
+import { errors } from "../utils/errors.js";
+import { generateToken } from "../utils/tokens.js";
+
+/**
+ * Organization Service Layer
+ * Tenants that own users and projects
+ */
+
+/**
+ * Shape an organization for API responses
+ */
+const formatOrganization = (organization) => ({
+  id: organization._id,
+  name: organization.name,
+  slug: organization.slug,
+  createdAt: organization.createdAt,
+});
+
+/**
+ * Build a URL-safe, unique slug from a name
+ */
+const buildSlug = (name) => {
+  const base = name
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-|-$/g, "")
+    .slice(0, 40);
+
+  return `${base || "org"}-${generateToken(3)}`;
+};
+
+/**
+ * Create an organization
+ */
+export const createOrganization = async ({ name, createdBy = null }) => {
+  return Organization.create({
+    name,
+    slug: buildSlug(name),
+    createdBy,
+  });
+};
+
+/**
+ * Get the caller's organization
+ */
+export const getOrganization = async (orgId) => {
+  const organization = await Organization.findById(orgId);
+  if (!organization) throw errors.notFound("Organization");
+
+  return formatOrganization(organization);
+};
+
+/**
+ * Rename the caller's organization (ADMIN)
+ */
+export const updateOrganization = async (orgId, { name }) => {
+  const organization = await Organization.findByIdAndUpdate(
+    orgId,
+    { name },
+    { new: true, runValidators: true }
+  );
+  if (!organization) throw errors.notFound("Organization");
+
+  return formatOrganization(organization);
+};
@@ -1,10 +1,30 @@
 import Project from "../models/Project.js";
 import User from "../models/User.js";
+import Invitation from "../models/Invitation.js";
+import Task from "../models/Task.js";
+import Label from "../models/Label.js";
+import TaskSeries from "../models/TaskSeries.js";
+import Worklog from "../models/Worklog.js";
+import Comment from "../models/Comment.js";
+import BulkOperation from "../models/BulkOperation.js";
 import { AppError, errors } from "../utils/errors.js";
+import {
+  getWorkflow,
+  getStatusCategory,
+  normalizeWorkflow,
+} from "../utils/workflow.js";
+import { normalizeCustomFields } from "../utils/customFields.js";
+import { deleteLinksForTasks } from "./taskLink.service.js";
+import { refreshProjectRollups } from "./task.service.js";
+import { deleteAttachmentsForProject } from "./attachmentFile.service.js";
+import { recordTaskHistoryForTasks } from "./taskHistory.service.js";
+import { stopTimersOnTasks } from "./worklog.service.js";
+import { findActiveMembers } from "./projectMember.service.js";
 
 /**
  * Project Service Layer
  * Implements business logic with RBAC
+ * Every lookup is scoped to the caller's organization (orgId)
  */
 
 /**
@@ -26,9 +46,9 @@ const checkProjectAccess = (userRole, projectRole, requiredAccess) => {
  * Create a new project
  * Only ADMIN and MANAGER can create projects
  */
-export const createProject = async (userId, data) => {
+export const createProject = async (userId, orgId, data) => {
   // Check if user has permission to create projects
-  const user = await User.findById(userId);
+  const user = await User.findOne({ _id: userId, organizationId: orgId });
   if (!user) throw errors.notFound("User");
 
   if (!["ADMIN", "MANAGER"].includes(user.role)) {
@@ -39,6 +59,12 @@ export const createProject = async (userId, data) => {
 
   const project = await Project.create({
     ...data,
+    // Without a workflow the project gets the default TODO/IN_PROGRESS/DONE
+    workflow: data.workflow ? normalizeWorkflow(data.workflow) : undefined,
+    customFields: data.customFields
+      ? normalizeCustomFields(data.customFields)
+      : undefined,
+    organizationId: orgId,
     ownerId: userId,
     members: [
       {
@@ -59,6 +85,7 @@ export const createProject = async (userId, data) => {
 export const getUserProjects = async (
   userId,
   userRole,
+  orgId,
   { page = 1, limit = 10, status = "ACTIVE" } = {}
 ) => {
   const skip = (page - 1) * limit;
@@ -66,11 +93,12 @@ export const getUserProjects = async (
   let query = {};
 
   if (userRole === "ADMIN") {
-    // ADMIN sees all projects
-    query = { status };
+    // ADMIN sees all projects of the organization
+    query = { organizationId: orgId, status };
   } else {
     // Regular users see only their projects or projects they're members of
     query = {
+      organizationId: orgId,
       $or: [
         { ownerId: userId },
         { "members.userId": userId },
@@ -101,8 +129,11 @@ export const getUserProjects = async (
 /**
  * Get a single project with authorization check
  */
-export const getProjectById = async (projectId, userId, userRole) => {
-  const project = await Project.findById(projectId)
+export const getProjectById = async (projectId, userId, userRole, orgId) => {
+  const project = await Project.findOne({
+    _id: projectId,
+    organizationId: orgId,
+  })
     .populate("ownerId", "name email role")
     .populate("members.userId", "name email role");
 
@@ -125,9 +156,20 @@ export const getProjectById = async (projectId, userId, userRole) => {
 /**
  * Update a project
  * Only owner or ADMIN can update
+ * expectedVersion (from If-Match) refuses changes made to an older version
  */
-export const updateProject = async (projectId, userId, userRole, data) => {
-  const project = await Project.findById(projectId);
+export const updateProject = async (
+  projectId,
+  userId,
+  userRole,
+  orgId,
+  data,
+  { expectedVersion } = {}
+) => {
+  const project = await Project.findOne({
+    _id: projectId,
+    organizationId: orgId,
+  });
   if (!project) throw errors.notFound("Project");
 
   const isOwner = project.ownerId.toString() === userId;
@@ -139,18 +181,250 @@ export const updateProject = async (projectId, userId, userRole, data) => {
     );
   }
 
+  const loadCurrentProject = () =>
+    Project.findById(project._id).populate("ownerId", "name email role");
+
+  if (expectedVersion !== undefined && project.__v !== expectedVersion) {
+    throw errors.preconditionFailed(
+      "This project was changed by someone else since you loaded it",
+      await loadCurrentProject()
+    );
+  }
+
   Object.assign(project, data);
-  await project.save();
+  try {
+    await project.save();
+  } catch (err) {
+    if (err.name !== "VersionError") throw err;
+    throw errors.conflict(
+      "This project was changed by someone else while saving",
+      await loadCurrentProject()
+    );
+  }
 
   return project.populate("ownerId", "name email role");
 };
 
+/**
+ * Get the workflow a project's tasks follow
+ */
+export const getProjectWorkflow = async (projectId, userId, userRole, orgId) => {
+  const project = await Project.findOne({
+    _id: projectId,
+    organizationId: orgId,
+  });
+  if (!project) throw errors.notFound("Project");
+
+  const isOwner = project.ownerId.toString() === userId;
+  const isMember = project.members.some(
+    (m) => m.userId.toString() === userId
+  );
+  const isAdmin = userRole === "ADMIN";
+
+  if (!isOwner && !isMember && !isAdmin) {
+    throw errors.forbidden("You don't have access to this project");
+  }
+
+  return getWorkflow(project);
+};
+
+/**
+ * Replace a project's workflow
+ * Only owner or ADMIN can change it. Tasks in statuses that no longer
+ * exist must be moved with statusMapping; categories of existing tasks
+ * follow the new definition
+ */
+export const updateProjectWorkflow = async (
+  projectId,
+  userId,
+  userRole,
+  orgId,
+  { statusMapping = {}, ...definition }
+) => {
+  const project = await Project.findOne({
+    _id: projectId,
+    organizationId: orgId,
+  });
+  if (!project) throw errors.notFound("Project");
+
+  const isOwner = project.ownerId.toString() === userId;
+  const isAdmin = userRole === "ADMIN";
+
+  if (!isOwner && !isAdmin) {
+    throw errors.forbidden(
+      "Only project owner or ADMIN can change the workflow"
+    );
+  }
+
+  const workflow = normalizeWorkflow(definition);
+  const keys = new Set(workflow.statuses.map((status) => status.key));
+
+  const usedStatuses = await Task.distinct("status", {
+    projectId: project._id,
+  });
+  const unmapped = usedStatuses.filter(
+    (status) => !keys.has(status) && !keys.has(statusMapping[status])
+  );
+  if (unmapped.length) {
+    throw errors.badRequest(
+      `Tasks are still in ${unmapped.join(", ")}. Map them to a new status with statusMapping`
+    );
+  }
+
+  project.workflow = workflow;
+  await project.save();
+
+  for (const status of usedStatuses) {
+    const target = keys.has(status) ? status : statusMapping[status];
+    const category = getStatusCategory(workflow, target);
+
+    const moved =
+      target === status
+        ? []
+        : await Task.find({ projectId: project._id, status }).select(
+            "projectId organizationId"
+          );
+
+    await Task.updateMany(
+      { projectId: project._id, status },
+      {
+        $set: { status: target, statusCategory: category },
+        // Clients holding the old version must reload before editing
+        ...(target !== status && { $inc: { __v: 1 } }),
+      }
+    );
+
+    await recordTaskHistoryForTasks(moved, userId, "STATUS_CHANGED", () => ({
+      changes: [{ field: "status", from: status, to: target }],
+      details: { reason: "WORKFLOW_CHANGED" },
+    }));
+  }
+
+  // Keep completedAt in line with the (possibly changed) categories
+  await Task.updateMany(
+    { projectId: project._id, statusCategory: "DONE", completedAt: null },
+    { completedAt: new Date() }
+  );
+  await Task.updateMany(
+    { projectId: project._id, statusCategory: { $ne: "DONE" } },
+    { completedAt: null }
+  );
+
+  await refreshProjectRollups(project._id);
+
+  return getWorkflow(project);
+};
+
+/**
+ * Get the custom fields a project's tasks carry
+ */
+export const getProjectCustomFields = async (
+  projectId,
+  userId,
+  userRole,
+  orgId
+) => {
+  const project = await Project.findOne({
+    _id: projectId,
+    organizationId: orgId,
+  });
+  if (!project) throw errors.notFound("Project");
+
+  const isOwner = project.ownerId.toString() === userId;
+  const isMember = project.members.some(
+    (m) => m.userId.toString() === userId
+  );
+  const isAdmin = userRole === "ADMIN";
+
+  if (!isOwner && !isMember && !isAdmin) {
+    throw errors.forbidden("You don't have access to this project");
+  }
+
+  return project.customFields;
+};
+
+/**
+ * Replace a project's custom field definitions
+ * Only owner or ADMIN can change them. Values of removed fields and of
+ * removed select options are cleared from the project's tasks. A new
+ * required field only applies to tasks created from now on
+ */
+export const updateProjectCustomFields = async (
+  projectId,
+  userId,
+  userRole,
+  orgId,
+  { fields }
+) => {
+  const project = await Project.findOne({
+    _id: projectId,
+    organizationId: orgId,
+  });
+  if (!project) throw errors.notFound("Project");
+
+  const isOwner = project.ownerId.toString() === userId;
+  const isAdmin = userRole === "ADMIN";
+
+  if (!isOwner && !isAdmin) {
+    throw errors.forbidden(
+      "Only project owner or ADMIN can change custom fields"
+    );
+  }
+
+  const customFields = normalizeCustomFields(fields, project.customFields);
+  const keys = new Set(customFields.map((field) => field.key));
+
+  const removed = project.customFields.filter((field) => !keys.has(field.key));
+  if (removed.length) {
+    await Task.updateMany(
+      { projectId: project._id },
+      {
+        $unset: Object.fromEntries(
+          removed.map((field) => [`customFields.${field.key}`, ""])
+        ),
+        $inc: { __v: 1 },
+      }
+    );
+  }
+
+  for (const field of customFields) {
+    const path = `customFields.${field.key}`;
+
+    if (field.type === "SELECT") {
+      await Task.updateMany(
+        { projectId: project._id, [path]: { $exists: true, $nin: field.options } },
+        { $unset: { [path]: "" }, $inc: { __v: 1 } }
+      );
+    } else if (field.type === "MULTI_SELECT") {
+      await Task.updateMany(
+        {
+          projectId: project._id,
+          [path]: { $elemMatch: { $nin: field.options } },
+        },
+        { $pull: { [path]: { $nin: field.options } }, $inc: { __v: 1 } }
+      );
+      await Task.updateMany(
+        { projectId: project._id, [path]: { $size: 0 } },
+        { $unset: { [path]: "" } }
+      );
+    }
+  }
+
+  project.customFields = customFields;
+  await project.save();
+
+  return project.customFields;
+};
+
 /**
  * Delete a project
  * Only owner or ADMIN can delete
  */
-export const deleteProject = async (projectId, userId, userRole) => {
-  const project = await Project.findById(projectId);
+export const deleteProject = async (projectId, userId, userRole, orgId) => {
+  const project = await Project.findOne({
+    _id: projectId,
+    organizationId: orgId,
+  });
   if (!project) throw errors.notFound("Project");
 
   const isOwner = project.ownerId.toString() === userId;
@@ -163,8 +437,26 @@ export const deleteProject = async (projectId, userId, userRole) => {
   }
 
   // Cascade delete tasks (in real app, might want soft delete)
-  const Task = (await import("../models/Task.js")).default;
+  const tasks = await Task.find({ projectId }).select(
+    "title projectId organizationId"
+  );
+  const taskIds = tasks.map((task) => task._id);
+
+  // History outlives the tasks, so keep what they were called
+  await recordTaskHistoryForTasks(tasks, userId, "DELETED", (task) => ({
+    details: { title: task.title, withProject: project.name },
+  }));
+  await stopTimersOnTasks(taskIds);
+
+  await deleteLinksForTasks(taskIds);
   await Task.deleteMany({ projectId });
+  await Label.deleteMany({ projectId });
+  await TaskSeries.deleteMany({ projectId });
+  await Worklog.deleteMany({ projectId });
+  await Comment.deleteMany({ projectId });
+  await deleteAttachmentsForProject(projectId);
+  await Invitation.deleteMany({ projectId });
+  await BulkOperation.deleteMany({ projectId });
 
   await Project.findByIdAndDelete(projectId);
   return { message: "Project deleted successfully" };
@@ -178,9 +470,13 @@ export const addProjectMember = async (
   projectId,
   userId,
   userRole,
+  orgId,
   { userId: newMemberId, role = "MEMBER" }
 ) => {
-  const project = await Project.findById(projectId);
+  const project = await Project.findOne({
+    _id: projectId,
+    organizationId: orgId,
+  });
   if (!project) throw errors.notFound("Project");
 
   // Check authorization
@@ -199,9 +495,15 @@ export const addProjectMember = async (
     );
   }
 
-  // Check if user exists
-  const newMember = await User.findById(newMemberId);
+  // Check if user exists in the same organization
+  const newMember = await User.findOne({
+    _id: newMemberId,
+    organizationId: orgId,
+  });
   if (!newMember) throw errors.notFound("User");
+  if (!newMember.isActive) {
+    throw errors.badRequest("Cannot add a deactivated user to a project");
+  }
 
   // Check if already member
   const isMember = project.members.some(
@@ -229,9 +531,13 @@ export const removeProjectMember = async (
   projectId,
   userId,
   userRole,
+  orgId,
   memberId
 ) => {
-  const project = await Project.findById(projectId);
+  const project = await Project.findOne({
+    _id: projectId,
+    organizationId: orgId,
+  });
   if (!project) throw errors.notFound("Project");
 
   // Check authorization
@@ -270,10 +576,14 @@ export const updateProjectMember = async (
   projectId,
   userId,
   userRole,
+  orgId,
   memberId,
   { role }
 ) => {
-  const project = await Project.findById(projectId);
+  const project = await Project.findOne({
+    _id: projectId,
+    organizationId: orgId,
+  });
   if (!project) throw errors.notFound("Project");
 
   // Check authorization
@@ -311,17 +621,22 @@ export const updateProjectMember = async (
 /**
  * Get all users in a project (for task assignment dropdown)
  */
-export const getProjectMembers = async (projectId, userId, userRole) => {
-  const project = await Project.findById(projectId).populate(
-    "members.userId",
-    "name email"
-  );
+export const getProjectMembers = async (
+  projectId,
+  userId,
+  userRole,
+  orgId
+) => {
+  const project = await Project.findOne({
+    _id: projectId,
+    organizationId: orgId,
+  });
   if (!project) throw errors.notFound("Project");
 
   // Check access
   const isOwner = project.ownerId.toString() === userId;
   const isMember = project.members?.some(
-    (m) => m.userId._id.toString() === userId
+    (m) => m.userId.toString() === userId
   );
   const isAdmin = userRole === "ADMIN";
 
@@ -329,11 +644,6 @@ export const getProjectMembers = async (projectId, userId, userRole) => {
     throw errors.forbidden("You don't have access to this project");
   }
 
-  return project.members.map((m) => ({
-    id: m.userId._id,
-    name: m.userId.name,
-    email: m.userId.email,
-    role: m.role,
-  }));
+  return findActiveMembers(project._id);
 };
 
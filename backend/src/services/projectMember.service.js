@@ -0,0 +1,28 @@
+import Project from "../models/Project.js";
+
+/**
+ * Project Member Service Layer
+ * Who can be picked on a project's tasks - assignees, checklist owners,
+ * @mentions. Callers check access to the project first
+ */
+
+/**
+ * Active members of a project as { id, name, email, role }
+ * Deactivated users stay members (for history) but can't be picked
+ */
+export const findActiveMembers = async (projectId) => {
+  const project = await Project.findById(projectId).populate(
+    "members.userId",
+    "name email isActive"
+  );
+  if (!project) return [];
+
+  return project.members
+    .filter((m) => m.userId?.isActive)
+    .map((m) => ({
+      id: m.userId._id,
+      name: m.userId.name,
+      email: m.userId.email,
+      role: m.role,
+    }));
+};
@@ -0,0 +1,292 @@
+import crypto from "crypto";
+import { promisify } from "util";
+import jwt from "jsonwebtoken";
+import SigningKey from "../models/SigningKey.js";
+
+/**
+ * Signing Key Service Layer
+ * Asymmetric JWT signing with scheduled key rotation. Every token carries
+ * the kid of the key that signed it; public keys are published as a JWKS
+ * so other services can verify tokens without sharing a secret
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const KEY_CACHE_MS = 60 * 1000;
+// Unknown kids force a reload at most this often (bad tokens are cheap to send)
+const KEY_RELOAD_THROTTLE_MS = 10 * 1000;
+
+const generateKeyPair = promisify(crypto.generateKeyPair);
+
+// { keys, fetchedAt } - keys are plain objects with a ready KeyObject
+let keyCache = null;
+// In-flight load shared by concurrent requests
+let keyLoad = null;
+let lastForcedReloadAt = 0;
+
+const getKeyPolicy = () => ({
+  algorithm: process.env.JWT_SIGNING_ALGORITHM === "ES256" ? "ES256" : "RS256",
+  rotationMs: (Number(process.env.JWT_KEY_ROTATION_DAYS) || 30) * DAY_MS,
+  retentionMs: (Number(process.env.JWT_KEY_RETENTION_DAYS) || 14) * DAY_MS,
+});
+
+/**
+ * RFC 7638 JWK thumbprint, used as the kid
+ */
+const jwkThumbprint = (jwk) => {
+  const members =
+    jwk.kty === "EC"
+      ? { crv: jwk.crv, kty: jwk.kty, x: jwk.x, y: jwk.y }
+      : { e: jwk.e, kty: jwk.kty, n: jwk.n };
+
+  return crypto
+    .createHash("sha256")
+    .update(JSON.stringify(members))
+    .digest("base64url");
+};
+
+/**
+ * Generate and store the key pair of a generation, which starts signing at
+ * activatesAt. Returns null when another instance stored that generation
+ * first
+ */
+const createSigningKey = async (generation, activatesAt, policy) => {
+  const { publicKey, privateKey } =
+    policy.algorithm === "ES256"
+      ? await generateKeyPair("ec", { namedCurve: "P-256" })
+      : await generateKeyPair("rsa", { modulusLength: 2048 });
+
+  const jwk = publicKey.export({ format: "jwk" });
+  const kid = jwkThumbprint(jwk);
+  const retiresAt = new Date(activatesAt.getTime() + policy.rotationMs);
+
+  let key;
+  try {
+    key = await SigningKey.create({
+      kid,
+      generation,
+      algorithm: policy.algorithm,
+      publicJwk: { ...jwk, kid, alg: policy.algorithm, use: "sig" },
+      privateKey: privateKey.export({ type: "pkcs8", format: "pem" }),
+      activatesAt,
+      retiresAt,
+      expiresAt: new Date(retiresAt.getTime() + policy.retentionMs),
+    });
+  } catch (err) {
+    if (err.code === 11000) return null;
+    throw err;
+  }
+
+  console.log(`✓ Generated ${policy.algorithm} signing key ${kid}`);
+  return key;
+};
+
+/**
+ * The newest key whose signing window contains now
+ */
+const findCurrentKey = (keys, now = new Date()) =>
+  keys
+    .filter((key) => key.activatesAt <= now && key.retiresAt > now)
+    .sort((a, b) => b.activatesAt - a.activatesAt)[0] || null;
+
+/**
+ * Make sure a key is signing now and its successor is already published,
+ * so verifiers that cache the JWKS know the next key before it is used
+ * When another instance adds a missing key first, its keys are read back
+ */
+const ensureSigningKeys = async (attempt = 1) => {
+  const policy = getKeyPolicy();
+  const now = new Date();
+
+  const keys = await SigningKey.find({ expiresAt: { $gt: now } }).select(
+    "+privateKey"
+  );
+
+  const retry = () => {
+    if (attempt >= 3) throw new Error("Could not store a JWT signing key");
+    return ensureSigningKeys(attempt + 1);
+  };
+
+  let current = findCurrentKey(keys, now);
+  if (!current) {
+    // Revoked keys still count until MongoDB drops them
+    const latest = await SigningKey.findOne()
+      .sort({ generation: -1 })
+      .select("generation");
+    current = await createSigningKey(
+      (latest?.generation || 0) + 1,
+      now,
+      policy
+    );
+    if (!current) return retry();
+    keys.push(current);
+  }
+
+  const hasSuccessor = keys.some((key) => key.activatesAt >= current.retiresAt);
+  if (!hasSuccessor) {
+    const successor = await createSigningKey(
+      current.generation + 1,
+      current.retiresAt,
+      policy
+    );
+    if (!successor) return retry();
+    keys.push(successor);
+  }
+
+  return keys.map((key) => ({
+    kid: key.kid,
+    algorithm: key.algorithm,
+    publicJwk: key.publicJwk,
+    publicKey: crypto.createPublicKey({ key: key.publicJwk, format: "jwk" }),
+    privateKey: key.privateKey,
+    activatesAt: key.activatesAt,
+    retiresAt: key.retiresAt,
+    expiresAt: key.expiresAt,
+  }));
+};
+
+/**
+ * Usable keys, from the cache when fresh
+ */
+const loadKeys = async (force = false) => {
+  if (!force && keyCache && Date.now() - keyCache.fetchedAt < KEY_CACHE_MS) {
+    return keyCache.keys;
+  }
+
+  if (!keyLoad) {
+    keyLoad = ensureSigningKeys()
+      .then((keys) => {
+        keyCache = { keys, fetchedAt: Date.now() };
+        return keys;
+      })
+      .finally(() => {
+        keyLoad = null;
+      });
+  }
+
+  return keyLoad;
+};
+
+/**
+ * Find a verification key by kid, reloading once if another instance
+ * rotated since the cache was filled
+ */
+const findVerificationKey = async (kid) => {
+  const now = new Date();
+  const isUsable = (key) => key.kid === kid && key.expiresAt > now;
+
+  const key = (await loadKeys()).find(isUsable);
+  if (key || Date.now() - lastForcedReloadAt < KEY_RELOAD_THROTTLE_MS) {
+    return key || null;
+  }
+
+  lastForcedReloadAt = Date.now();
+  return (await loadKeys(true)).find(isUsable) || null;
+};
+
+/**
+ * Whether kid-less HS256 tokens still verify: needs JWT_SECRET and a
+ * JWT_LEGACY_SECRET_UNTIL date that hasn't passed
+ */
+const isLegacySecretAccepted = () => {
+  const until = Date.parse(process.env.JWT_LEGACY_SECRET_UNTIL || "");
+  return Boolean(process.env.JWT_SECRET) && Date.now() < until;
+};
+
+/**
+ * Sign a JWT with the current key (options as for jwt.sign)
+ */
+export const signJwt = async (payload, options = {}) => {
+  let key = findCurrentKey(await loadKeys());
+  if (!key) {
+    // The cached key retired since the last load
+    key = findCurrentKey(await loadKeys(true));
+  }
+
+  return jwt.sign(payload, key.privateKey, {
+    ...options,
+    algorithm: key.algorithm,
+    keyid: key.kid,
+  });
+};
+
+/**
+ * Verify a JWT and return its payload (options as for jwt.verify)
+ * Throws the usual jsonwebtoken errors
+ */
+export const verifyJwt = async (token, options = {}) => {
+  const decoded = jwt.decode(token, { complete: true });
+  if (!decoded) throw new jwt.JsonWebTokenError("jwt malformed");
+
+  const { kid } = decoded.header;
+
+  // Tokens from before key rotation were signed with the shared secret;
+  // they are only accepted while the legacy window is open
+  if (!kid) {
+    if (!isLegacySecretAccepted()) {
+      throw new jwt.JsonWebTokenError("jwt signing key missing");
+    }
+    return jwt.verify(token, process.env.JWT_SECRET, {
+      ...options,
+      algorithms: ["HS256"],
+    });
+  }
+
+  const key = await findVerificationKey(kid);
+  if (!key) throw new jwt.JsonWebTokenError("unknown signing key");
+
+  return jwt.verify(token, key.publicKey, {
+    ...options,
+    algorithms: [key.algorithm],
+  });
+};
+
+/**
+ * Public keys of every key that is signing, about to sign or still verifying
+ */
+export const getJwks = async () => {
+  const keys = await loadKeys();
+  return { keys: keys.map((key) => key.publicJwk) };
+};
+
+/**
+ * Rotate now instead of waiting for the schedule
+ * The published successor starts signing immediately. With revoke every
+ * stored key is discarded and fresh ones are generated - all sessions end
+ * (use after a key leak)
+ */
+export const rotateSigningKeys = async ({ revoke = false } = {}) => {
+  const policy = getKeyPolicy();
+  const now = new Date();
+
+  if (revoke) {
+    await SigningKey.updateMany(
+      { expiresAt: { $gt: now } },
+      { retiresAt: now, expiresAt: now }
+    );
+  } else {
+    const keys = await SigningKey.find({ expiresAt: { $gt: now } });
+    const current = findCurrentKey(keys, now);
+
+    if (current) {
+      current.retiresAt = now;
+      current.expiresAt = new Date(now.getTime() + policy.retentionMs);
+      await current.save();
+    }
+
+    const successor = keys
+      .filter((key) => key.activatesAt > now)
+      .sort((a, b) => a.activatesAt - b.activatesAt)[0];
+
+    if (successor) {
+      successor.activatesAt = now;
+      successor.retiresAt = new Date(now.getTime() + policy.rotationMs);
+      successor.expiresAt = new Date(
+        successor.retiresAt.getTime() + policy.retentionMs
+      );
+      await successor.save();
+    }
+  }
+
+  const keys = await loadKeys(true);
+  return { currentKid: findCurrentKey(keys)?.kid || null };
+};
@@ -1,38 +1,342 @@
 import Task from "../models/Task.js";
 import Project from "../models/Project.js";
 import User from "../models/User.js";
+import Label from "../models/Label.js";
+import Comment from "../models/Comment.js";
 import { AppError, errors } from "../utils/errors.js";
+import {
+  getWorkflow,
+  findStatus,
+  findTransition,
+  getStatusCategory,
+} from "../utils/workflow.js";
+import {
+  findCustomField,
+  parseCustomFieldValues,
+  buildCustomFieldFilter,
+  formatCustomFieldValue,
+  summarizeCustomField,
+} from "../utils/customFields.js";
+import { getOpenBlockers, deleteLinksForTasks } from "./taskLink.service.js";
+import { resolveProjectLabels } from "./label.service.js";
+import {
+  startTaskSeries,
+  advanceSeriesOnCompletion,
+} from "./taskSeries.service.js";
+import { stopTimersOnTasks } from "./worklog.service.js";
+import { deleteAttachmentsForTasks } from "./attachmentFile.service.js";
+import { parseRRule } from "../utils/recurrence.js";
+import { notifyTaskAssignment } from "../utils/jobs.js";
+import { notifyTaskWatchers } from "./notification.service.js";
+import {
+  snapshotTask,
+  diffSnapshots,
+  recordTaskHistory,
+  recordTaskHistoryForTasks,
+  recordTaskChanges,
+} from "./taskHistory.service.js";
 
 /**
  * Task Service Layer
  * Implements business logic with RBAC and status workflow validation
+ * Statuses and transitions come from the project's workflow
+ * Every lookup is scoped to the caller's organization (orgId)
  */
 
 /**
- * Valid status transitions
+ * Validate status transition against the project workflow
+ * actorRoles are the caller's roles on this task (ADMIN, OWNER, MANAGER,
+ * MEMBER, ASSIGNEE); admins and owners may use every transition
+ * A parent can only be done once all of its subtasks are, and a task
+ * once its required checklist items are when the project asks for it
  */
-const validTransitions = {
-  TODO: ["IN_PROGRESS"],
-  IN_PROGRESS: ["TODO", "DONE"],
-  DONE: ["TODO", "IN_PROGRESS"],
+const validateStatusTransition = (
+  workflow,
+  currentStatus,
+  newStatus,
+  { actorRoles = [], openSubtasks = 0, openChecklistItems = 0 } = {}
+) => {
+  const target = findStatus(workflow, newStatus);
+  if (!target) {
+    throw errors.badRequest(`Unknown status ${newStatus} for this project`);
+  }
+
+  const transition = findTransition(workflow, currentStatus, newStatus);
+  if (!transition) {
+    throw errors.badRequest(
+      `Invalid status transition from ${currentStatus} to ${newStatus}`
+    );
+  }
+
+  const isPrivileged =
+    actorRoles.includes("ADMIN") || actorRoles.includes("OWNER");
+  if (
+    !isPrivileged &&
+    !transition.roles.some((role) => actorRoles.includes(role))
+  ) {
+    throw errors.forbidden(
+      `Moving a task from ${currentStatus} to ${newStatus} requires one of: ${transition.roles.join(", ")}`
+    );
+  }
+
+  if (target.category === "DONE" && openSubtasks > 0) {
+    throw errors.badRequest(
+      `Cannot complete task while ${openSubtasks} subtask(s) are still open`
+    );
+  }
+
+  if (target.category === "DONE" && openChecklistItems > 0) {
+    throw errors.badRequest(
+      `Cannot complete task while ${openChecklistItems} required checklist item(s) are unchecked`
+    );
+  }
+};
+
+/**
+ * Status counts and average progress of a task's direct subtasks
+ * A subtask with children of its own contributes its rolled-up progress
+ */
+const computeRollup = (children) => {
+  const byStatus = {};
+  const byCategory = { TODO: 0, ACTIVE: 0, DONE: 0 };
+  let progressSum = 0;
+
+  for (const child of children) {
+    byStatus[child.status] = (byStatus[child.status] || 0) + 1;
+    byCategory[child.statusCategory] += 1;
+    if (child.rollup?.total) {
+      progressSum += child.rollup.progress;
+    } else if (child.statusCategory === "DONE") {
+      progressSum += 100;
+    }
+  }
+
+  return {
+    total: children.length,
+    byStatus,
+    byCategory,
+    progress: children.length ? Math.round(progressSum / children.length) : 0,
+  };
+};
+
+/**
+ * Recompute one task's rollup from its direct subtasks
+ */
+const refreshRollup = async (taskId) => {
+  const children = await Task.find({ parentId: taskId }).select(
+    "status statusCategory rollup"
+  );
+  await Task.updateOne({ _id: taskId }, { rollup: computeRollup(children) });
+};
+
+/**
+ * Recompute rollups from the nearest parent up to the root
+ * (ancestorIds is root first, as stored on the task)
+ */
+export const refreshRollups = async (ancestorIds) => {
+  for (const ancestorId of [...ancestorIds].reverse()) {
+    await refreshRollup(ancestorId);
+  }
+};
+
+/**
+ * Recompute every rollup in a project, deepest parents first
+ * (after statuses were remapped in bulk)
+ */
+export const refreshProjectRollups = async (projectId) => {
+  const parentIds = await Task.distinct("parentId", {
+    projectId,
+    parentId: { $ne: null },
+  });
+  const parents = await Task.find({ _id: { $in: parentIds } }).select(
+    "ancestors"
+  );
+
+  parents.sort((a, b) => b.ancestors.length - a.ancestors.length);
+  for (const parent of parents) {
+    await refreshRollup(parent._id);
+  }
 };
 
 /**
- * Validate status transition
+ * Load a parent task from the same project, refusing cycles
  */
-const validateStatusTransition = (currentStatus, newStatus) => {
-  if (!validTransitions[currentStatus]?.includes(newStatus)) {
+const resolveParentTask = async (parentId, projectId, orgId, task = null) => {
+  const parent = await Task.findOne({
+    _id: parentId,
+    projectId,
+    organizationId: orgId,
+  });
+  if (!parent) throw errors.notFound("Parent task");
+
+  if (
+    task &&
+    (parent._id.equals(task._id) ||
+      parent.ancestors.some((id) => id.equals(task._id)))
+  ) {
     throw errors.badRequest(
-      `Invalid status transition from ${currentStatus} to ${newStatus}`
+      "A task cannot be moved under itself or one of its subtasks"
     );
   }
+
+  return parent;
+};
+
+/**
+ * An open task cannot sit under a completed one
+ */
+const assertParentAcceptsOpenTask = (parent, statusCategory) => {
+  if (parent?.statusCategory === "DONE" && statusCategory !== "DONE") {
+    throw errors.badRequest(
+      "The parent task is done. Reopen it before adding or reopening subtasks"
+    );
+  }
+};
+
+/**
+ * Attach a task (and its whole subtree) under a new parent, or make it a root
+ * Returns the previous ancestors so their rollups can be refreshed
+ */
+const moveSubtree = async (task, parent) => {
+  const previousAncestors = task.ancestors;
+  const ancestors = parent ? [...parent.ancestors, parent._id] : [];
+
+  const descendants = await Task.find({ ancestors: task._id }).select(
+    "ancestors"
+  );
+  if (descendants.length) {
+    await Task.bulkWrite(
+      descendants.map((descendant) => {
+        const index = descendant.ancestors.findIndex((id) =>
+          id.equals(task._id)
+        );
+        return {
+          updateOne: {
+            filter: { _id: descendant._id },
+            update: {
+              ancestors: [...ancestors, ...descendant.ancestors.slice(index)],
+            },
+          },
+        };
+      })
+    );
+  }
+
+  task.parentId = parent?._id || null;
+  task.ancestors = ancestors;
+
+  return previousAncestors;
+};
+
+/**
+ * Mongo filter for listing, exporting or bulk-updating a project's tasks
+ */
+export const buildTaskQuery = (
+  project,
+  orgId,
+  {
+    status,
+    statusCategory,
+    priority,
+    assignedTo,
+    parentId,
+    labels,
+    labelMode = "any",
+    customFieldFilters,
+  }
+) => {
+  const query = { projectId: project._id, organizationId: orgId };
+  if (status) query.status = status;
+  if (statusCategory) query.statusCategory = statusCategory;
+  if (priority) query.priority = priority;
+  if (assignedTo) query.assignedTo = assignedTo;
+  // "root" lists only top-level tasks
+  if (parentId) query.parentId = parentId === "root" ? null : parentId;
+  // Tasks with any of the labels, or only those with all of them
+  if (labels?.length) {
+    query.labels = labelMode === "all" ? { $all: labels } : { $in: labels };
+  }
+
+  return {
+    ...query,
+    ...buildCustomFieldFilter(project.customFields, customFieldFilters),
+  };
+};
+
+/**
+ * Sort for listing or exporting tasks; cf.<key> sorts by a custom field
+ */
+const buildTaskSort = (project, sortBy, order) => {
+  const direction = order === "asc" ? 1 : -1;
+
+  if (sortBy.startsWith("cf.")) {
+    const key = sortBy.slice(3);
+    if (!findCustomField(project.customFields, key)) {
+      throw errors.badRequest(`Unknown custom field ${key} for this project`);
+    }
+    return { [`customFields.${key}`]: direction, createdAt: -1 };
+  }
+
+  if (sortBy === "priority") {
+    // Priority is stored as a string, so this sorts by creation date for now
+    return { createdAt: direction };
+  }
+
+  return { [sortBy]: direction };
+};
+
+/**
+ * A task as update responses return it, to send back on a conflict
+ */
+const loadCurrentTask = (taskId) =>
+  Task.findById(taskId)
+    .populate("assignedTo", "name email")
+    .populate("createdBy", "name email")
+    .populate("labels", "name color");
+
+/**
+ * Tell a task's watchers what a recorded change did
+ * A new assignee is told about the assignment instead
+ */
+const notifyTaskChanges = async (task, entry, actorId) => {
+  if (!entry) return;
+
+  const assigneeId = entry.changes.find(
+    (change) => change.field === "assignedTo"
+  )?.to;
+  const newAssignee = assigneeId && assigneeId !== actorId ? assigneeId : null;
+  if (newAssignee) await notifyTaskAssignment(newAssignee, task.title);
+
+  // "dueDate" reads as "due date", "customFields.severity" as "severity"
+  const fields = entry.changes.map((change) =>
+    change.field
+      .replace(/^customFields\./, "")
+      .replace(/([A-Z])/g, " $1")
+      .toLowerCase()
+  );
+
+  const isStatusChange = entry.action === "STATUS_CHANGED";
+  await notifyTaskWatchers(
+    task,
+    actorId,
+    isStatusChange ? "TASK_STATUS_CHANGED" : "TASK_UPDATED",
+    (actor) =>
+      isStatusChange
+        ? `${actor} moved "${task.title}" to ${task.status}`
+        : `${actor} changed the ${fields.join(", ")} of "${task.title}"`,
+    { exclude: newAssignee ? [newAssignee] : [] }
+  );
 };
 
 /**
  * Check user access to task
+ * Shared with services that hang data off a task (e.g. attachments)
  */
-const checkTaskAccess = async (taskId, userId, userRole) => {
-  const task = await Task.findById(taskId).populate("projectId");
+export const checkTaskAccess = async (taskId, userId, userRole, orgId) => {
+  const task = await Task.findOne({
+    _id: taskId,
+    organizationId: orgId,
+  }).populate("projectId");
   if (!task) throw errors.notFound("Task");
 
   const project = task.projectId;
@@ -59,11 +363,18 @@ const checkTaskAccess = async (taskId, userId, userRole) => {
  * Create a new task
  * Only project members with OWNER/MANAGER roles can create
  */
-export const createTask = async (projectId, userId, userRole, data) => {
+export const createTask = async (
+  projectId,
+  userId,
+  userRole,
+  orgId,
+  data
+) => {
   // Check project exists and user is member
-  const project = await Project.findById(projectId).populate(
-    "members.userId"
-  );
+  const project = await Project.findOne({
+    _id: projectId,
+    organizationId: orgId,
+  }).populate("members.userId");
   if (!project) throw errors.notFound("Project");
 
   const isOwner = project.ownerId.toString() === userId;
@@ -80,8 +391,14 @@ export const createTask = async (projectId, userId, userRole, data) => {
 
   // Verify assigned user is a project member
   if (data.assignedTo) {
-    const assignedUser = await User.findById(data.assignedTo);
+    const assignedUser = await User.findOne({
+      _id: data.assignedTo,
+      organizationId: orgId,
+    });
     if (!assignedUser) throw errors.notFound("Assigned user");
+    if (!assignedUser.isActive) {
+      throw errors.badRequest("Cannot assign tasks to a deactivated user");
+    }
 
     const isProjectMember = project.members.some(
       (m) => m.userId._id.toString() === data.assignedTo
@@ -93,16 +410,71 @@ export const createTask = async (projectId, userId, userRole, data) => {
     }
   }
 
+  // Required custom fields must be set on create; nulls are just left out
+  const customFields = parseCustomFieldValues(
+    project.customFields,
+    data.customFields,
+    {
+      memberIds: new Set(project.members.map((m) => m.userId._id.toString())),
+    }
+  );
+  for (const [key, value] of Object.entries(customFields)) {
+    if (value === null) delete customFields[key];
+  }
+
+  const labels = await resolveProjectLabels(project._id, data.labels || []);
+
+  // Check the rule before anything is created
+  const { recurrence } = data;
+  delete data.recurrence;
+  if (recurrence) parseRRule(recurrence);
+
+  // Nothing is logged yet, so all of the estimate remains
+  if (data.remainingEstimate === undefined) {
+    data.remainingEstimate = data.originalEstimate ?? null;
+  }
+
+  const workflow = getWorkflow(project);
+  const initialCategory = getStatusCategory(workflow, workflow.initialStatus);
+
+  // Subtasks live in the same project as their parent
+  let parent = null;
+  if (data.parentId) {
+    parent = await resolveParentTask(data.parentId, projectId, orgId);
+    assertParentAcceptsOpenTask(parent, initialCategory);
+  }
+
   const task = await Task.create({
     ...data,
     projectId,
+    organizationId: orgId,
     createdBy: userId,
-    status: "TODO", // Default status
+    parentId: parent?._id || null,
+    ancestors: parent ? [...parent.ancestors, parent._id] : [],
+    // New tasks start in the workflow's initial status
+    status: workflow.initialStatus,
+    statusCategory: initialCategory,
+    customFields,
+    labels,
+  });
+
+  await refreshRollups(task.ancestors);
+  await recordTaskHistory(task, userId, "CREATED", {
+    changes: diffSnapshots({}, snapshotTask(task)),
   });
 
+  if (task.assignedTo && task.assignedTo.toString() !== userId) {
+    await notifyTaskAssignment(task.assignedTo.toString(), task.title);
+  }
+
+  if (recurrence) {
+    await startTaskSeries(task, recurrence, userId);
+  }
+
   const populatedTask = await task
     .populate("assignedTo", "name email")
-    .populate("createdBy", "name email");
+    .populate("createdBy", "name email")
+    .populate("labels", "name color");
 
   return populatedTask;
 };
@@ -114,10 +486,16 @@ export const getProjectTasks = async (
   projectId,
   userId,
   userRole,
+  orgId,
   {
     status,
     priority,
     assignedTo,
+    parentId,
+    statusCategory,
+    labels,
+    labelMode,
+    customFieldFilters,
     page = 1,
     limit = 10,
     sortBy = "createdAt",
@@ -125,7 +503,10 @@ export const getProjectTasks = async (
   }
 ) => {
   // Check project access
-  const project = await Project.findById(projectId);
+  const project = await Project.findOne({
+    _id: projectId,
+    organizationId: orgId,
+  });
   if (!project) throw errors.notFound("Project");
 
   const isOwner = project.ownerId.toString() === userId;
@@ -140,27 +521,23 @@ export const getProjectTasks = async (
 
   const skip = (page - 1) * limit;
 
-  // Build query
-  const query = { projectId };
-  if (status) query.status = status;
-  if (priority) query.priority = priority;
-  if (assignedTo) query.assignedTo = assignedTo;
-
-  // Build sort
-  const sortOptions = {};
-  if (sortBy === "priority") {
-    // Custom priority order
-    const priorityOrder = { HIGH: 0, MEDIUM: 1, LOW: 2 };
-    // For now, just sort by createdAt
-    sortOptions.createdAt = order === "asc" ? 1 : -1;
-  } else {
-    sortOptions[sortBy] = order === "asc" ? 1 : -1;
-  }
+  const query = buildTaskQuery(project, orgId, {
+    status,
+    statusCategory,
+    priority,
+    assignedTo,
+    parentId,
+    labels,
+    labelMode,
+    customFieldFilters,
+  });
+  const sortOptions = buildTaskSort(project, sortBy, order);
 
   const total = await Task.countDocuments(query);
   const tasks = await Task.find(query)
     .populate("assignedTo", "name email")
     .populate("createdBy", "name email")
+    .populate("labels", "name color")
     .skip(skip)
     .limit(limit)
     .sort(sortOptions);
@@ -179,26 +556,64 @@ export const getProjectTasks = async (
 /**
  * Get a single task with authorization
  */
-export const getTaskById = async (taskId, userId, userRole) => {
+export const getTaskById = async (taskId, userId, userRole, orgId) => {
   const { task } = await checkTaskAccess(
     taskId,
     userId,
-    userRole
+    userRole,
+    orgId
   );
   return task
     .populate("assignedTo", "name email")
     .populate("createdBy", "name email")
+    .populate("labels", "name color")
     .populate("projectId", "name");
 };
 
+/**
+ * Get the subtasks of a task - direct children, or the whole subtree
+ */
+export const getSubtasks = async (
+  taskId,
+  userId,
+  userRole,
+  orgId,
+  { recursive = false } = {}
+) => {
+  const { task } = await checkTaskAccess(taskId, userId, userRole, orgId);
+
+  const query = recursive ? { ancestors: task._id } : { parentId: task._id };
+
+  return Task.find({ ...query, organizationId: orgId })
+    .populate("assignedTo", "name email")
+    .populate("createdBy", "name email")
+    .sort({ createdAt: 1 });
+};
+
 /**
  * Update task
  * Only assigned user, project owner/manager, or ADMIN can update
  * IMPORTANT: Only assigned user can update task status
+ * expectedVersion (from If-Match) refuses changes made to an older version
  */
-export const updateTask = async (taskId, userId, userRole, data) => {
+export const updateTask = async (
+  taskId,
+  userId,
+  userRole,
+  orgId,
+  data,
+  { expectedVersion } = {}
+) => {
   const { task, project, isOwner, isMember, isAdmin, isAssignee } =
-    await checkTaskAccess(taskId, userId, userRole);
+    await checkTaskAccess(taskId, userId, userRole, orgId);
+  const before = snapshotTask(task);
+
+  if (expectedVersion !== undefined && task.__v !== expectedVersion) {
+    throw errors.preconditionFailed(
+      "This task was changed by someone else since you loaded it",
+      await loadCurrentTask(task._id)
+    );
+  }
 
   const memberRole = project.members?.find(
     (m) => m.userId.toString() === userId
@@ -211,38 +626,120 @@ export const updateTask = async (taskId, userId, userRole, data) => {
     memberRole === "OWNER" ||
     memberRole === "MANAGER";
 
-  if (!canUpdate) {
+  // Other members may still move tasks along transitions open to MEMBER
+  const isStatusOnly = Object.keys(data).every((key) =>
+    ["status", "force"].includes(key)
+  );
+
+  if (!canUpdate && !(memberRole && isStatusOnly)) {
     throw errors.forbidden("You don't have permission to update this task");
   }
 
+  const actorRoles = [
+    isAdmin && "ADMIN",
+    isOwner && "OWNER",
+    memberRole,
+    isAssignee && "ASSIGNEE",
+  ].filter(Boolean);
+
   // Track if status changed for notifications
   let statusChanged = false;
 
-  // STRICT: Only assigned user or project managers/owner can change status
+  // Reparenting is applied separately from the plain field updates
+  const parentChanged =
+    data.parentId !== undefined &&
+    String(data.parentId) !== String(task.parentId);
+  const newParentId = data.parentId;
+  delete data.parentId;
+
+  const { force } = data;
+  delete data.force;
+
+  // Time spent only changes through worklogs
+  delete data.timeSpent;
+
+  // A first estimate also sets what remains of it
+  if (
+    data.originalEstimate != null &&
+    data.remainingEstimate === undefined &&
+    task.remainingEstimate == null
+  ) {
+    data.remainingEstimate = Math.max(
+      0,
+      data.originalEstimate - task.timeSpent
+    );
+  }
+
+  // Custom fields are merged into the stored values rather than replaced
+  const customFields =
+    data.customFields &&
+    parseCustomFieldValues(project.customFields, data.customFields, {
+      partial: true,
+      memberIds: new Set(project.members.map((m) => m.userId.toString())),
+    });
+  delete data.customFields;
+
+  if (data.labels) {
+    data.labels = await resolveProjectLabels(project._id, data.labels);
+  }
+
+  // Who may change status is decided per transition by the project workflow
   if (data.status && data.status !== task.status) {
-    const canChangeStatus = isAdmin || isOwner || isAssignee || memberRole === "OWNER" || memberRole === "MANAGER";
-    
-    if (!canChangeStatus) {
-      throw errors.forbidden(
-        "Only the assigned user or project manager can change task status"
-      );
-    }
+    const workflow = getWorkflow(project);
+    const category = getStatusCategory(workflow, data.status);
 
-    validateStatusTransition(task.status, data.status);
+    const openSubtasks =
+      category === "DONE"
+        ? await Task.countDocuments({
+            parentId: task._id,
+            statusCategory: { $ne: "DONE" },
+          })
+        : 0;
+    const openChecklistItems =
+      category === "DONE" && project.requireChecklistForDone
+        ? task.checklist.filter((item) => item.required && !item.done).length
+        : 0;
+
+    validateStatusTransition(workflow, task.status, data.status, {
+      actorRoles,
+      openSubtasks,
+      openChecklistItems,
+    });
     statusChanged = true;
 
-    // Set completedAt when status is DONE
-    if (data.status === "DONE") {
+    // Work cannot start while a blocking task is open, unless a manager forces it
+    if (category === "ACTIVE" && task.statusCategory !== "ACTIVE") {
+      const blockers = await getOpenBlockers(task._id);
+      const canForce =
+        isAdmin || isOwner || memberRole === "OWNER" || memberRole === "MANAGER";
+
+      if (blockers.length && !(force && canForce)) {
+        throw errors.badRequest(
+          `Task is blocked by: ${blockers.map((b) => b.title).join(", ")}` +
+            (canForce ? ". Set force to start it anyway" : "")
+        );
+      }
+    }
+
+    // Set completedAt when the task reaches a done status
+    if (category === "DONE") {
       data.completedAt = new Date();
     } else {
       data.completedAt = null;
     }
+    data.statusCategory = category;
   }
 
   // Verify assigned user if changed
   if (data.assignedTo && data.assignedTo !== task.assignedTo?.toString()) {
-    const assignedUser = await User.findById(data.assignedTo);
+    const assignedUser = await User.findOne({
+      _id: data.assignedTo,
+      organizationId: orgId,
+    });
     if (!assignedUser) throw errors.notFound("Assigned user");
+    if (!assignedUser.isActive) {
+      throw errors.badRequest("Cannot assign tasks to a deactivated user");
+    }
 
     const isProjectMember = project.members.some(
       (m) => m.userId.toString() === data.assignedTo
@@ -254,33 +751,104 @@ export const updateTask = async (taskId, userId, userRole, data) => {
     }
   }
 
+  let parent = null;
+  if (parentChanged) {
+    const canReparent =
+      isAdmin || isOwner || memberRole === "OWNER" || memberRole === "MANAGER";
+    if (!canReparent) {
+      throw errors.forbidden(
+        "Only project OWNER/MANAGER can move tasks between parents"
+      );
+    }
+
+    if (newParentId) {
+      parent = await resolveParentTask(newParentId, project._id, orgId, task);
+    }
+  } else if (statusChanged && task.parentId) {
+    parent = await Task.findById(task.parentId);
+  }
+  assertParentAcceptsOpenTask(
+    parent,
+    data.statusCategory || task.statusCategory
+  );
+
+  let previousAncestors = null;
+  if (parentChanged) {
+    previousAncestors = await moveSubtree(task, parent);
+  }
+
   Object.assign(task, data);
-  await task.save();
+  for (const [key, value] of Object.entries(customFields || {})) {
+    if (value === null) {
+      task.customFields.delete(key);
+    } else {
+      task.customFields.set(key, value);
+    }
+  }
 
-  const updatedTask = await task
-    .populate("assignedTo", "name email")
-    .populate("createdBy", "name email");
+  try {
+    await task.save();
+  } catch (err) {
+    // Saved by someone else between our read and write
+    if (err.name !== "VersionError") throw err;
+    throw errors.conflict(
+      "This task was changed by someone else while saving",
+      await loadCurrentTask(task._id)
+    );
+  }
+
+  if (previousAncestors) {
+    await refreshRollups(previousAncestors);
+  }
+  if (statusChanged || parentChanged) {
+    await refreshRollups(task.ancestors);
+  }
+  const entry = await recordTaskChanges(task, before, userId);
+  await notifyTaskChanges(task, entry, userId);
 
-  return updatedTask;
+  // Finishing a repeating task brings its next occurrence forward
+  if (statusChanged && task.statusCategory === "DONE") {
+    await advanceSeriesOnCompletion(task);
+  }
+
+  return task.populate([
+    { path: "assignedTo", select: "name email" },
+    { path: "createdBy", select: "name email" },
+    { path: "labels", select: "name color" },
+  ]);
 };
 
 /**
  * Update task status
  * Shorthand for updating status with validation
  */
-export const updateTaskStatus = async (taskId, userId, userRole, { status }) => {
-  return updateTask(taskId, userId, userRole, { status });
+export const updateTaskStatus = async (
+  taskId,
+  userId,
+  userRole,
+  orgId,
+  { status, force },
+  options
+) => {
+  return updateTask(taskId, userId, userRole, orgId, { status, force }, options);
 };
 
 /**
  * Assign task to user
  * Only project owner/manager or ADMIN can assign
  */
-export const assignTask = async (taskId, userId, userRole, { assignedTo }) => {
+export const assignTask = async (
+  taskId,
+  userId,
+  userRole,
+  orgId,
+  { assignedTo }
+) => {
   const { task, project, isOwner, isAdmin } = await checkTaskAccess(
     taskId,
     userId,
-    userRole
+    userRole,
+    orgId
   );
 
   const memberRole = project.members?.find(
@@ -300,8 +868,14 @@ export const assignTask = async (taskId, userId, userRole, { assignedTo }) => {
   }
 
   // Verify assigned user is a project member
-  const newAssignee = await User.findById(assignedTo);
+  const newAssignee = await User.findOne({
+    _id: assignedTo,
+    organizationId: orgId,
+  });
   if (!newAssignee) throw errors.notFound("User");
+  if (!newAssignee.isActive) {
+    throw errors.badRequest("Cannot assign tasks to a deactivated user");
+  }
 
   const isProjectMember = project.members.some(
     (m) => m.userId.toString() === assignedTo
@@ -310,8 +884,11 @@ export const assignTask = async (taskId, userId, userRole, { assignedTo }) => {
     throw errors.badRequest("User is not a project member");
   }
 
+  const before = snapshotTask(task);
   task.assignedTo = assignedTo;
   await task.save();
+  const entry = await recordTaskChanges(task, before, userId);
+  await notifyTaskChanges(task, entry, userId);
 
   return task
     .populate("assignedTo", "name email")
@@ -321,12 +898,20 @@ export const assignTask = async (taskId, userId, userRole, { assignedTo }) => {
 /**
  * Delete task
  * Only project owner, task creator, or ADMIN can delete
+ * Subtasks are deleted with it, unless keepSubtasks moves them up a level
  */
-export const deleteTask = async (taskId, userId, userRole) => {
+export const deleteTask = async (
+  taskId,
+  userId,
+  userRole,
+  orgId,
+  { keepSubtasks = false } = {}
+) => {
   const { task, project, isOwner, isAdmin } = await checkTaskAccess(
     taskId,
     userId,
-    userRole
+    userRole,
+    orgId
   );
 
   const isCreator = task.createdBy.toString() === userId;
@@ -344,40 +929,60 @@ export const deleteTask = async (taskId, userId, userRole) => {
     throw errors.forbidden("You don't have permission to delete this task");
   }
 
+  const deletedTasks = [task];
+  if (keepSubtasks) {
+    const parent = task.parentId ? await Task.findById(task.parentId) : null;
+    const children = await Task.find({ parentId: task._id });
+    for (const child of children) {
+      const before = snapshotTask(child);
+      await moveSubtree(child, parent);
+      await child.save();
+      await recordTaskChanges(child, before, userId);
+    }
+  } else {
+    const descendants = await Task.find({ ancestors: task._id }).select(
+      "title projectId organizationId"
+    );
+    deletedTasks.push(...descendants);
+    await Task.deleteMany({ _id: { $in: descendants.map((d) => d._id) } });
+  }
+
   await Task.findByIdAndDelete(taskId);
+  const deletedIds = deletedTasks.map((deleted) => deleted._id);
+  await deleteLinksForTasks(deletedIds);
+  await stopTimersOnTasks(deletedIds);
+  await deleteAttachmentsForTasks(deletedIds);
+  await Comment.deleteMany({ taskId: { $in: deletedIds } });
+  await refreshRollups(task.ancestors);
+
+  // History outlives the task, so keep what it was called
+  await recordTaskHistoryForTasks(deletedTasks, userId, "DELETED", (deleted) => ({
+    details: {
+      title: deleted.title,
+      ...(!deleted._id.equals(task._id) && { withParentTaskId: task._id }),
+    },
+  }));
+
   return { message: "Task deleted successfully" };
 };
 
+// Total of a numeric task field; unset values count as zero
+const sumOf = (tasks, field) =>
+  tasks.reduce((total, task) => total + (task[field] || 0), 0);
+
 /**
- * Add comment to task
+ * Get task statistics for project
  */
-export const addTaskComment = async (
-  taskId,
+export const getProjectTaskStats = async (
+  projectId,
   userId,
   userRole,
-  { text }
+  orgId
 ) => {
-  const { task } = await checkTaskAccess(taskId, userId, userRole);
-
-  task.comments.push({
-    userId,
-    text,
-    createdAt: new Date(),
+  const project = await Project.findOne({
+    _id: projectId,
+    organizationId: orgId,
   });
-
-  await task.save();
-
-  return task
-    .populate("comments.userId", "name email")
-    .populate("assignedTo", "name email")
-    .populate("createdBy", "name email");
-};
-
-/**
- * Get task statistics for project
- */
-export const getProjectTaskStats = async (projectId, userId, userRole) => {
-  const project = await Project.findById(projectId);
   if (!project) throw errors.notFound("Project");
 
   const isOwner = project.ownerId.toString() === userId;
@@ -390,14 +995,23 @@ export const getProjectTaskStats = async (projectId, userId, userRole) => {
     throw errors.forbidden("You don't have access to this project");
   }
 
-  const tasks = await Task.find({ projectId });
+  const tasks = await Task.find({ projectId, organizationId: orgId });
+  const workflow = getWorkflow(project);
+  const labels = await Label.find({ projectId: project._id }).sort({ name: 1 });
 
+  // One bucket per workflow status, in workflow order
   const stats = {
     total: tasks.length,
-    byStatus: {
-      TODO: tasks.filter((t) => t.status === "TODO").length,
-      IN_PROGRESS: tasks.filter((t) => t.status === "IN_PROGRESS").length,
-      DONE: tasks.filter((t) => t.status === "DONE").length,
+    byStatus: Object.fromEntries(
+      workflow.statuses.map(({ key }) => [
+        key,
+        tasks.filter((t) => t.status === key).length,
+      ])
+    ),
+    byCategory: {
+      TODO: tasks.filter((t) => t.statusCategory === "TODO").length,
+      ACTIVE: tasks.filter((t) => t.statusCategory === "ACTIVE").length,
+      DONE: tasks.filter((t) => t.statusCategory === "DONE").length,
     },
     byPriority: {
       LOW: tasks.filter((t) => t.priority === "LOW").length,
@@ -405,9 +1019,116 @@ export const getProjectTaskStats = async (projectId, userId, userRole) => {
       HIGH: tasks.filter((t) => t.priority === "HIGH").length,
     },
     overdue: tasks.filter(
-      (t) => t.dueDate && t.dueDate < new Date() && t.status !== "DONE"
+      (t) =>
+        t.dueDate && t.dueDate < new Date() && t.statusCategory !== "DONE"
     ).length,
+    // A task with several labels counts once for each
+    byLabel: labels.map((label) => {
+      const labelled = tasks.filter((t) =>
+        t.labels.some((id) => id.equals(label._id))
+      );
+      return {
+        labelId: label._id,
+        name: label.name,
+        color: label.color,
+        total: labelled.length,
+        done: labelled.filter((t) => t.statusCategory === "DONE").length,
+      };
+    }),
+    unlabeled: tasks.filter((t) => !t.labels.length).length,
+    // Minutes; estimatedTasks is how many tasks have an original estimate
+    time: {
+      originalEstimate: sumOf(tasks, "originalEstimate"),
+      remainingEstimate: sumOf(tasks, "remainingEstimate"),
+      timeSpent: sumOf(tasks, "timeSpent"),
+      estimatedTasks: tasks.filter((t) => t.originalEstimate != null).length,
+    },
+    customFields: Object.fromEntries(
+      project.customFields.map((field) => [
+        field.key,
+        summarizeCustomField(field, tasks),
+      ])
+    ),
   };
 
   return stats;
 };
+
+/**
+ * All tasks of a project matching the list filters, flattened for export
+ * Custom field values are keyed by field key; user fields read as emails
+ */
+export const exportProjectTasks = async (
+  projectId,
+  userId,
+  userRole,
+  orgId,
+  { sortBy = "createdAt", order = "desc", ...filters }
+) => {
+  const project = await Project.findOne({
+    _id: projectId,
+    organizationId: orgId,
+  });
+  if (!project) throw errors.notFound("Project");
+
+  const isOwner = project.ownerId.toString() === userId;
+  const isMember = project.members?.some(
+    (m) => m.userId.toString() === userId
+  );
+  const isAdmin = userRole === "ADMIN";
+
+  if (!isOwner && !isMember && !isAdmin) {
+    throw errors.forbidden("You don't have access to this project");
+  }
+
+  const tasks = await Task.find(buildTaskQuery(project, orgId, filters))
+    .populate("assignedTo", "email")
+    .populate("createdBy", "email")
+    .populate("labels", "name")
+    .sort(buildTaskSort(project, sortBy, order));
+
+  const fields = project.customFields;
+  const userFieldKeys = fields
+    .filter((field) => field.type === "USER")
+    .map((field) => field.key);
+  const userIds = tasks.flatMap((task) =>
+    userFieldKeys.map((key) => task.customFields.get(key)).filter(Boolean)
+  );
+  const users = userIds.length
+    ? await User.find({ _id: { $in: userIds }, organizationId: orgId }).select(
+        "email"
+      )
+    : [];
+  const emails = new Map(users.map((user) => [user._id.toString(), user.email]));
+
+  return {
+    project: { id: project._id, name: project.name },
+    fields: fields.map(({ key, name, type }) => ({ key, name, type })),
+    tasks: tasks.map((task) => ({
+      id: task._id,
+      title: task.title,
+      description: task.description,
+      status: task.status,
+      statusCategory: task.statusCategory,
+      priority: task.priority,
+      assignedTo: task.assignedTo?.email || null,
+      createdBy: task.createdBy?.email || null,
+      labels: task.labels.map((label) => label.name),
+      parentId: task.parentId,
+      dueDate: task.dueDate,
+      completedAt: task.completedAt,
+      createdAt: task.createdAt,
+      updatedAt: task.updatedAt,
+      customFields: Object.fromEntries(
+        fields.map((field) => [
+          field.key,
+          formatCustomFieldValue(
+            field,
+            task.customFields.get(field.key),
+            emails
+          ),
+        ])
+      ),
+    })),
+  };
+};
@@ -0,0 +1,268 @@
+import TaskHistory from "../models/TaskHistory.js";
+import User from "../models/User.js";
+import Label from "../models/Label.js";
+import Comment from "../models/Comment.js";
+import { checkTaskAccess } from "./task.service.js";
+
+/**
+ * Task History Service Layer
+ * Append-only audit trail of task mutations: who changed what, when, and
+ * the value before and after
+ */
+
+// Fields compared between snapshots; custom fields are added per key
+const TRACKED_FIELDS = [
+  "title",
+  "description",
+  "status",
+  "priority",
+  "assignedTo",
+  "dueDate",
+  "parentId",
+  "labels",
+  "originalEstimate",
+  "remainingEstimate",
+];
+
+/**
+ * JSON-friendly copy of a field value (ids as strings, dates as ISO)
+ */
+const toPlain = (value) => {
+  if (value === undefined || value === null) return null;
+  if (value instanceof Date) return value.toISOString();
+  if (Array.isArray(value)) return value.map(toPlain);
+  if (value._id) return value._id.toString();
+  if (typeof value.toHexString === "function") return value.toHexString();
+  return value;
+};
+
+const isEmpty = (value) =>
+  value === null || value === "" || (Array.isArray(value) && !value.length);
+
+/**
+ * Values of the tracked fields of a task, to diff against later
+ */
+export const snapshotTask = (task) => {
+  const snapshot = Object.fromEntries(
+    TRACKED_FIELDS.map((field) => [field, toPlain(task[field])])
+  );
+  // Labels are a set; order them so reordering is not a change
+  snapshot.labels = [...(snapshot.labels || [])].sort();
+
+  for (const [key, value] of task.customFields || []) {
+    snapshot[`customFields.${key}`] = toPlain(value);
+  }
+
+  return snapshot;
+};
+
+/**
+ * Fields that differ between two snapshots as { field, from, to }
+ */
+export const diffSnapshots = (before, after) => {
+  const fields = new Set([...Object.keys(before), ...Object.keys(after)]);
+
+  return [...fields]
+    .map((field) => ({
+      field,
+      from: before[field] ?? null,
+      to: after[field] ?? null,
+    }))
+    .filter(
+      ({ from, to }) =>
+        !(isEmpty(from) && isEmpty(to)) &&
+        JSON.stringify(from) !== JSON.stringify(to)
+    );
+};
+
+/**
+ * Write one history entry for a task
+ */
+export const recordTaskHistory = async (
+  task,
+  actorId,
+  action,
+  { changes = [], details = null } = {}
+) =>
+  TaskHistory.create({
+    taskId: task._id,
+    projectId: task.projectId?._id || task.projectId,
+    organizationId: task.organizationId,
+    actorId,
+    action,
+    changes,
+    details,
+  });
+
+/**
+ * Write one entry per task for a change applied to many tasks at once
+ * buildEntry(task) returns that task's { changes, details }
+ */
+export const recordTaskHistoryForTasks = async (
+  tasks,
+  actorId,
+  action,
+  buildEntry = () => ({})
+) => {
+  if (!tasks.length) return;
+
+  await TaskHistory.insertMany(
+    tasks.map((task) => {
+      const { changes = [], details = null } = buildEntry(task);
+      return {
+        taskId: task._id,
+        projectId: task.projectId?._id || task.projectId,
+        organizationId: task.organizationId,
+        actorId,
+        action,
+        changes,
+        details,
+      };
+    })
+  );
+};
+
+/**
+ * Record what changed on a task since the before snapshot, if anything
+ * A status change is a transition; a change of assignee alone an assignment
+ */
+export const recordTaskChanges = async (task, before, actorId) => {
+  const changes = diffSnapshots(before, snapshotTask(task));
+  if (!changes.length) return null;
+
+  const fields = changes.map((change) => change.field);
+  let action = "UPDATED";
+  if (fields.includes("status")) {
+    action = "STATUS_CHANGED";
+  } else if (fields.every((field) => field === "assignedTo")) {
+    action = "ASSIGNED";
+  }
+
+  return recordTaskHistory(task, actorId, action, { changes });
+};
+
+/**
+ * Swap user and label ids in the changes for { _id, name, ... } the way a
+ * populate would, so a timeline can show names
+ */
+const describeReferences = async (entries, orgId) => {
+  const userIds = new Set();
+  const labelIds = new Set();
+
+  for (const entry of entries) {
+    for (const { field, from, to } of entry.changes) {
+      if (field === "assignedTo") {
+        [from, to].filter(Boolean).forEach((id) => userIds.add(id));
+      } else if (field === "labels") {
+        [...(from || []), ...(to || [])].forEach((id) => labelIds.add(id));
+      }
+    }
+  }
+
+  const [users, labels] = await Promise.all([
+    userIds.size
+      ? User.find({ _id: { $in: [...userIds] }, organizationId: orgId }).select(
+          "name email"
+        )
+      : [],
+    labelIds.size
+      ? Label.find({ _id: { $in: [...labelIds] }, organizationId: orgId }).select(
+          "name color"
+        )
+      : [],
+  ]);
+
+  const byId = new Map(
+    [...users, ...labels].map((doc) => [doc._id.toString(), doc])
+  );
+  // Deleted users or labels keep showing as their id
+  const describe = (id) => (id && byId.get(id)) || id;
+
+  return entries.map((entry) => ({
+    ...entry,
+    changes: entry.changes.map((change) => {
+      if (change.field === "assignedTo") {
+        return { ...change, from: describe(change.from), to: describe(change.to) };
+      }
+      if (change.field === "labels") {
+        return {
+          ...change,
+          from: (change.from || []).map(describe),
+          to: (change.to || []).map(describe),
+        };
+      }
+      return change;
+    }),
+  }));
+};
+
+/**
+ * Give COMMENTED entries the comment's current text; deleted comments
+ * show as deleted rather than as what they said
+ */
+const describeComments = async (entries, orgId) => {
+  const commentIds = entries
+    .filter((entry) => entry.action === "COMMENTED" && entry.details?.commentId)
+    .map((entry) => entry.details.commentId);
+  if (!commentIds.length) return entries;
+
+  const comments = await Comment.find({
+    _id: { $in: commentIds },
+    organizationId: orgId,
+  }).select("text deletedAt");
+  const byId = new Map(
+    comments.map((comment) => [comment._id.toString(), comment])
+  );
+
+  return entries.map((entry) => {
+    if (entry.action !== "COMMENTED" || !entry.details?.commentId) {
+      return entry;
+    }
+    const comment = byId.get(entry.details.commentId.toString());
+    const deleted = !comment || Boolean(comment.deletedAt);
+    return {
+      ...entry,
+      details: {
+        ...entry.details,
+        text: deleted ? null : comment.text,
+        deleted,
+      },
+    };
+  });
+};
+
+/**
+ * History of a task, newest first
+ * Anyone who can see the task can see its history
+ */
+export const getTaskHistory = async (
+  taskId,
+  userId,
+  userRole,
+  orgId,
+  { page = 1, limit = 50 } = {}
+) => {
+  const { task } = await checkTaskAccess(taskId, userId, userRole, orgId);
+
+  const query = { taskId: task._id, organizationId: orgId };
+  const total = await TaskHistory.countDocuments(query);
+  const entries = await TaskHistory.find(query)
+    .populate("actorId", "name email")
+    .sort({ createdAt: -1, _id: -1 })
+    .skip((page - 1) * limit)
+    .limit(limit)
+    .lean();
+
+  return {
+    data: await describeComments(
+      await describeReferences(entries, orgId),
+      orgId
+    ),
+    pagination: {
+      page,
+      limit,
+      total,
+      pages: Math.ceil(total / limit),
+    },
+  };
+};
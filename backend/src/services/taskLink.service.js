@@ -0,0 +1,338 @@
+import Task from "../models/Task.js";
+import TaskLink from "../models/TaskLink.js";
+import Project from "../models/Project.js";
+import { errors } from "../utils/errors.js";
+import { checkTaskAccess } from "./task.service.js";
+
+/**
+ * Task Link Service Layer
+ * Typed links between tasks (blocks, relates to, duplicates), dependency
+ * cycle detection and the project dependency graph
+ * Links may cross projects but never organizations
+ */
+
+/**
+ * Load a task of the organization and check the caller can see it
+ * canEdit mirrors who may update the task
+ */
+const loadTaskWithAccess = async (taskId, userId, userRole, orgId) => {
+  const { task, project, isOwner, isAdmin, isAssignee } =
+    await checkTaskAccess(taskId, userId, userRole, orgId);
+  // Callers want the project id, not the project
+  task.depopulate("projectId");
+
+  const memberRole = project.members?.find(
+    (m) => m.userId.toString() === userId
+  )?.role;
+  const canEdit =
+    isAdmin ||
+    isOwner ||
+    isAssignee ||
+    memberRole === "OWNER" ||
+    memberRole === "MANAGER";
+
+  return { task, canEdit };
+};
+
+/**
+ * Shape a link for API responses
+ */
+const formatLink = (link) => ({
+  id: link._id,
+  type: link.type,
+  sourceTaskId: link.sourceTaskId,
+  targetTaskId: link.targetTaskId,
+  createdBy: link.createdBy,
+  createdAt: link.createdAt,
+});
+
+/**
+ * Whether fromTaskId already reaches toTaskId through BLOCKS links
+ * Breadth-first, one query per level
+ */
+const blockingPathExists = async (fromTaskId, toTaskId, orgId) => {
+  const target = toTaskId.toString();
+  const visited = new Set([fromTaskId.toString()]);
+  let frontier = [fromTaskId];
+
+  while (frontier.length) {
+    const links = await TaskLink.find({
+      sourceTaskId: { $in: frontier },
+      type: "BLOCKS",
+      organizationId: orgId,
+    }).select("targetTaskId");
+
+    frontier = [];
+    for (const { targetTaskId } of links) {
+      const id = targetTaskId.toString();
+      if (id === target) return true;
+      if (!visited.has(id)) {
+        visited.add(id);
+        frontier.push(targetTaskId);
+      }
+    }
+  }
+
+  return false;
+};
+
+/**
+ * Link a task to another one
+ * BLOCKED_BY is stored as the reverse BLOCKS link
+ */
+export const createTaskLink = async (
+  taskId,
+  userId,
+  userRole,
+  orgId,
+  { targetTaskId, type }
+) => {
+  if (taskId === targetTaskId) {
+    throw errors.badRequest("A task cannot be linked to itself");
+  }
+
+  const { task, canEdit } = await loadTaskWithAccess(
+    taskId,
+    userId,
+    userRole,
+    orgId
+  );
+  if (!canEdit) {
+    throw errors.forbidden("You don't have permission to link this task");
+  }
+
+  const { task: other } = await loadTaskWithAccess(
+    targetTaskId,
+    userId,
+    userRole,
+    orgId
+  );
+
+  const [source, target] = type === "BLOCKED_BY" ? [other, task] : [task, other];
+  const storedType = type === "BLOCKED_BY" ? "BLOCKS" : type;
+
+  const existing = await TaskLink.findOne({
+    sourceTaskId: source._id,
+    targetTaskId: target._id,
+    type: storedType,
+  });
+  if (existing) throw errors.conflict("These tasks are already linked");
+
+  if (storedType === "BLOCKS") {
+    // source -> target closes a loop if target already leads back to source
+    if (await blockingPathExists(target._id, source._id, orgId)) {
+      throw errors.badRequest("This dependency would create a cycle");
+    }
+  } else {
+    // Relates-to and duplicates are one relation whichever way they were made
+    const reverse = await TaskLink.findOne({
+      sourceTaskId: target._id,
+      targetTaskId: source._id,
+      type: storedType,
+    });
+    if (reverse) throw errors.conflict("These tasks are already linked");
+  }
+
+  const link = await TaskLink.create({
+    sourceTaskId: source._id,
+    targetTaskId: target._id,
+    type: storedType,
+    organizationId: orgId,
+    createdBy: userId,
+  });
+
+  return formatLink(link);
+};
+
+/**
+ * Links of a task, grouped by how they read from this task's side
+ */
+export const getTaskLinks = async (taskId, userId, userRole, orgId) => {
+  const { task } = await loadTaskWithAccess(taskId, userId, userRole, orgId);
+
+  const links = await TaskLink.find({
+    organizationId: orgId,
+    $or: [{ sourceTaskId: task._id }, { targetTaskId: task._id }],
+  })
+    .populate("sourceTaskId", "title status priority projectId")
+    .populate("targetTaskId", "title status priority projectId");
+
+  const grouped = {
+    blocks: [],
+    blockedBy: [],
+    relatesTo: [],
+    duplicates: [],
+    duplicatedBy: [],
+  };
+
+  for (const link of links) {
+    if (!link.sourceTaskId || !link.targetTaskId) continue;
+
+    const isSource = link.sourceTaskId._id.equals(task._id);
+    const entry = {
+      linkId: link._id,
+      task: isSource ? link.targetTaskId : link.sourceTaskId,
+    };
+
+    if (link.type === "BLOCKS") {
+      grouped[isSource ? "blocks" : "blockedBy"].push(entry);
+    } else if (link.type === "DUPLICATES") {
+      grouped[isSource ? "duplicates" : "duplicatedBy"].push(entry);
+    } else {
+      grouped.relatesTo.push(entry);
+    }
+  }
+
+  return grouped;
+};
+
+/**
+ * Remove a link from either of its tasks
+ */
+export const deleteTaskLink = async (
+  taskId,
+  linkId,
+  userId,
+  userRole,
+  orgId
+) => {
+  const { task, canEdit } = await loadTaskWithAccess(
+    taskId,
+    userId,
+    userRole,
+    orgId
+  );
+  if (!canEdit) {
+    throw errors.forbidden("You don't have permission to unlink this task");
+  }
+
+  const link = await TaskLink.findOneAndDelete({
+    _id: linkId,
+    organizationId: orgId,
+    $or: [{ sourceTaskId: task._id }, { targetTaskId: task._id }],
+  });
+  if (!link) throw errors.notFound("Task link");
+
+  return formatLink(link);
+};
+
+/**
+ * Tasks blocking this one that are not done yet
+ */
+export const getOpenBlockers = async (taskId) => {
+  const links = await TaskLink.find({
+    targetTaskId: taskId,
+    type: "BLOCKS",
+  }).populate("sourceTaskId", "title status statusCategory");
+
+  return links
+    .map((link) => link.sourceTaskId)
+    .filter((blocker) => blocker && blocker.statusCategory !== "DONE");
+};
+
+/**
+ * Drop every link touching the given tasks (used when tasks are deleted)
+ */
+export const deleteLinksForTasks = async (taskIds) => {
+  await TaskLink.deleteMany({
+    $or: [
+      { sourceTaskId: { $in: taskIds } },
+      { targetTaskId: { $in: taskIds } },
+    ],
+  });
+};
+
+/**
+ * Nodes and edges for visualizing a project's dependencies
+ * Tasks of other projects at the far end of a link are included as
+ * external nodes
+ */
+export const getProjectDependencyGraph = async (
+  projectId,
+  userId,
+  userRole,
+  orgId
+) => {
+  const project = await Project.findOne({
+    _id: projectId,
+    organizationId: orgId,
+  });
+  if (!project) throw errors.notFound("Project");
+
+  const isOwner = project.ownerId.toString() === userId;
+  const isMember = project.members?.some(
+    (m) => m.userId.toString() === userId
+  );
+  const isAdmin = userRole === "ADMIN";
+
+  if (!isOwner && !isMember && !isAdmin) {
+    throw errors.forbidden("You don't have access to this project");
+  }
+
+  const nodeFields =
+    "title status statusCategory priority assignedTo parentId projectId";
+  const tasks = await Task.find({ projectId, organizationId: orgId }).select(
+    nodeFields
+  );
+  const projectTaskIds = new Set(tasks.map((task) => task._id.toString()));
+
+  const links = await TaskLink.find({
+    organizationId: orgId,
+    $or: [
+      { sourceTaskId: { $in: tasks.map((task) => task._id) } },
+      { targetTaskId: { $in: tasks.map((task) => task._id) } },
+    ],
+  });
+
+  const externalIds = [
+    ...new Set(
+      links
+        .flatMap((link) => [link.sourceTaskId, link.targetTaskId])
+        .map((id) => id.toString())
+        .filter((id) => !projectTaskIds.has(id))
+    ),
+  ];
+  const externalTasks = externalIds.length
+    ? await Task.find({
+        _id: { $in: externalIds },
+        organizationId: orgId,
+      }).select(nodeFields)
+    : [];
+
+  const allTasks = [...tasks, ...externalTasks];
+  const categoryById = new Map(
+    allTasks.map((task) => [task._id.toString(), task.statusCategory])
+  );
+
+  // A task is blocked while any task blocking it is still open
+  const blockedIds = new Set(
+    links
+      .filter(
+        (link) =>
+          link.type === "BLOCKS" &&
+          categoryById.get(link.sourceTaskId.toString()) !== "DONE"
+      )
+      .map((link) => link.targetTaskId.toString())
+  );
+
+  return {
+    nodes: allTasks.map((task) => ({
+      id: task._id,
+      title: task.title,
+      status: task.status,
+      statusCategory: task.statusCategory,
+      priority: task.priority,
+      assignedTo: task.assignedTo,
+      parentId: task.parentId,
+      projectId: task.projectId,
+      external: !projectTaskIds.has(task._id.toString()),
+      blocked: blockedIds.has(task._id.toString()),
+    })),
+    edges: links.map((link) => ({
+      id: link._id,
+      source: link.sourceTaskId,
+      target: link.targetTaskId,
+      type: link.type,
+    })),
+  };
+};
@@ -0,0 +1,436 @@
+import TaskSeries from "../models/TaskSeries.js";
+import Task from "../models/Task.js";
+import Project from "../models/Project.js";
+import User from "../models/User.js";
+import Label from "../models/Label.js";
+import { errors } from "../utils/errors.js";
+import { getWorkflow, getStatusCategory } from "../utils/workflow.js";
+import {
+  findCustomField,
+  parseCustomFieldValues,
+  formatCustomFieldValue,
+} from "../utils/customFields.js";
+import {
+  parseRRule,
+  formatRRule,
+  nextOccurrence,
+  upcomingOccurrences,
+} from "../utils/recurrence.js";
+import { resolveProjectLabels } from "./label.service.js";
+import { checkTaskAccess } from "./task.service.js";
+import {
+  snapshotTask,
+  diffSnapshots,
+  recordTaskHistory,
+  recordTaskChanges,
+} from "./taskHistory.service.js";
+
+/**
+ * Task Series Service Layer
+ * Recurring tasks: a series holds the recurrence rule and a template, and
+ * each occurrence is a task of its own. The next occurrence is created
+ * when the latest one is completed or when its date arrives, whichever
+ * comes first
+ * Every lookup is scoped to the caller's organization (orgId)
+ */
+
+// Fields of the template that whole-series edits can change
+const TEMPLATE_FIELDS = [
+  "title",
+  "description",
+  "priority",
+  "assignedTo",
+  "labels",
+];
+
+/**
+ * Date of the occurrence after `after`, or null once the rule has run out
+ * existing is how many occurrences there will be before it
+ */
+const followingOccurrence = (rule, startsAt, after, existing) => {
+  if (rule.count && existing >= rule.count) return null;
+  return nextOccurrence(rule, startsAt, after);
+};
+
+/**
+ * Load a task and the caller's rights on its series
+ * Anyone who can see the task can see its series; owners and managers
+ * edit it
+ */
+const loadTaskWithAccess = async (taskId, userId, userRole, orgId) => {
+  const { task, project, isOwner, isAdmin } = await checkTaskAccess(
+    taskId,
+    userId,
+    userRole,
+    orgId
+  );
+  // Series code copies task.projectId around as an id
+  task.depopulate("projectId");
+
+  const memberRole = project.members?.find(
+    (m) => m.userId.toString() === userId
+  )?.role;
+  const canManage =
+    isAdmin || isOwner || memberRole === "OWNER" || memberRole === "MANAGER";
+
+  return { task, project, canManage };
+};
+
+/**
+ * Series with the dates of its next few occurrences
+ */
+const describeSeries = (series) => {
+  const rule = parseRRule(series.rrule);
+
+  return {
+    ...series.toObject(),
+    upcoming: series.active
+      ? upcomingOccurrences(rule, series.startsAt, series.lastOccurrenceAt, {
+          existing: series.occurrenceCount,
+        })
+      : [],
+  };
+};
+
+/**
+ * Turn a task into the first occurrence of a new series
+ * Its due date is the start of the series and its fields the template
+ */
+export const startTaskSeries = async (task, recurrence, userId) => {
+  if (task.parentId) {
+    throw errors.badRequest("Subtasks cannot repeat");
+  }
+  if (!task.dueDate) {
+    throw errors.badRequest(
+      "A repeating task needs a due date for its first occurrence"
+    );
+  }
+
+  const rule = parseRRule(recurrence);
+  const startsAt = task.dueDate;
+  const nextOccurrenceAt = followingOccurrence(rule, startsAt, startsAt, 1);
+
+  const series = await TaskSeries.create({
+    projectId: task.projectId,
+    organizationId: task.organizationId,
+    createdBy: userId,
+    rrule: formatRRule(rule),
+    startsAt,
+    template: {
+      title: task.title,
+      description: task.description,
+      priority: task.priority,
+      assignedTo: task.assignedTo,
+      labels: task.labels,
+      customFields: task.customFields,
+    },
+    occurrenceCount: 1,
+    lastOccurrenceAt: startsAt,
+    nextOccurrenceAt,
+    active: nextOccurrenceAt !== null,
+  });
+
+  task.seriesId = series._id;
+  task.occurrenceDate = startsAt;
+  await task.save();
+
+  return series;
+};
+
+/**
+ * Template values that still fit the project: labels, custom fields and
+ * assignees can all have been removed since the template was written
+ */
+const resolveTemplate = async (series, project) => {
+  const { template } = series;
+
+  const labels = await Label.find({
+    _id: { $in: template.labels },
+    projectId: project._id,
+  }).distinct("_id");
+
+  const memberIds = new Set(project.members.map((m) => m.userId.toString()));
+  const assignee =
+    template.assignedTo && memberIds.has(template.assignedTo.toString())
+      ? await User.exists({ _id: template.assignedTo, isActive: true })
+      : null;
+
+  const customFields = {};
+  for (const [key, value] of template.customFields || []) {
+    const field = findCustomField(project.customFields, key);
+    if (!field) continue;
+
+    try {
+      Object.assign(
+        customFields,
+        parseCustomFieldValues(
+          project.customFields,
+          { [key]: formatCustomFieldValue(field, value) },
+          { partial: true, memberIds }
+        )
+      );
+    } catch {
+      // The value no longer fits the field (e.g. a removed option)
+    }
+  }
+
+  return {
+    title: template.title,
+    description: template.description,
+    priority: template.priority,
+    assignedTo: assignee ? template.assignedTo : null,
+    labels,
+    customFields,
+  };
+};
+
+/**
+ * Create the series' next occurrence
+ * The date is claimed on the series first, so the recurring job and a
+ * completion racing each other never create it twice
+ */
+const createNextOccurrence = async (series, now = new Date()) => {
+  const dueAt = series.nextOccurrenceAt;
+  const rule = parseRRule(series.rrule);
+
+  // After downtime the dates missed meanwhile are skipped, not created in bulk
+  const nextAt = followingOccurrence(
+    rule,
+    series.startsAt,
+    dueAt > now ? dueAt : now,
+    series.occurrenceCount + 1
+  );
+
+  const claimed = await TaskSeries.findOneAndUpdate(
+    { _id: series._id, active: true, nextOccurrenceAt: dueAt },
+    {
+      $set: {
+        lastOccurrenceAt: dueAt,
+        nextOccurrenceAt: nextAt,
+        active: nextAt !== null,
+      },
+      $inc: { occurrenceCount: 1 },
+    },
+    { new: true }
+  );
+  if (!claimed) return null;
+
+  const project = await Project.findById(claimed.projectId);
+  if (!project) return null;
+
+  const workflow = getWorkflow(project);
+  const task = await Task.create({
+    ...(await resolveTemplate(claimed, project)),
+    projectId: project._id,
+    organizationId: claimed.organizationId,
+    createdBy: claimed.createdBy,
+    status: workflow.initialStatus,
+    statusCategory: getStatusCategory(workflow, workflow.initialStatus),
+    dueDate: dueAt,
+    seriesId: claimed._id,
+    occurrenceDate: dueAt,
+  });
+
+  await recordTaskHistory(task, claimed.createdBy, "CREATED", {
+    changes: diffSnapshots({}, snapshotTask(task)),
+    details: { seriesId: claimed._id },
+  });
+
+  return task;
+};
+
+/**
+ * Create the occurrences whose date has arrived
+ * Run by the recurring job; returns how many were created
+ */
+export const materializeDueOccurrences = async (now = new Date()) => {
+  const dueSeries = await TaskSeries.find({
+    active: true,
+    nextOccurrenceAt: { $lte: now },
+  }).limit(500);
+
+  let created = 0;
+  for (const series of dueSeries) {
+    try {
+      if (await createNextOccurrence(series, now)) created += 1;
+    } catch (error) {
+      console.error(
+        `Failed to create next occurrence of series ${series._id}:`,
+        error.message
+      );
+    }
+  }
+
+  return created;
+};
+
+/**
+ * Bring the next occurrence forward when the latest one is completed
+ * Completing an older occurrence changes nothing
+ */
+export const advanceSeriesOnCompletion = async (task) => {
+  if (!task.seriesId) return null;
+
+  const series = await TaskSeries.findOne({
+    _id: task.seriesId,
+    active: true,
+  });
+  if (!series || series.lastOccurrenceAt > task.occurrenceDate) return null;
+
+  return createNextOccurrence(series);
+};
+
+/**
+ * Get the series a task belongs to, with its upcoming dates
+ */
+export const getTaskSeries = async (taskId, userId, userRole, orgId) => {
+  const { task } = await loadTaskWithAccess(taskId, userId, userRole, orgId);
+  if (!task.seriesId) throw errors.notFound("Task series");
+
+  const series = await TaskSeries.findOne({
+    _id: task.seriesId,
+    organizationId: orgId,
+  });
+  if (!series) throw errors.notFound("Task series");
+
+  return describeSeries(series);
+};
+
+/**
+ * Edit the whole series: its template, its rule, and every occurrence
+ * that is not done yet (editing the task itself only changes that one)
+ * A task that does not repeat yet becomes the first occurrence of a new
+ * series when a recurrence rule is sent
+ * Only project owner/manager or ADMIN can edit series
+ */
+export const updateTaskSeries = async (
+  taskId,
+  userId,
+  userRole,
+  orgId,
+  data
+) => {
+  const { task, project, canManage } = await loadTaskWithAccess(
+    taskId,
+    userId,
+    userRole,
+    orgId
+  );
+  if (!canManage) {
+    throw errors.forbidden("Only project OWNER/MANAGER can edit repeating tasks");
+  }
+
+  let series = task.seriesId
+    ? await TaskSeries.findOne({ _id: task.seriesId, organizationId: orgId })
+    : null;
+
+  if (!series) {
+    if (!data.recurrence) {
+      throw errors.badRequest(
+        "This task does not repeat. Send a recurrence rule to make it repeat"
+      );
+    }
+    series = await startTaskSeries(task, data.recurrence, userId);
+  } else if (data.recurrence) {
+    // A new rule counts from the latest occurrence
+    const rule = parseRRule(data.recurrence);
+    const startsAt = series.lastOccurrenceAt;
+
+    series.rrule = formatRRule(rule);
+    series.startsAt = startsAt;
+    series.occurrenceCount = 1;
+    series.nextOccurrenceAt = followingOccurrence(rule, startsAt, startsAt, 1);
+    series.active = series.nextOccurrenceAt !== null;
+  }
+
+  const changes = Object.fromEntries(
+    TEMPLATE_FIELDS.filter((field) => data[field] !== undefined).map(
+      (field) => [field, data[field]]
+    )
+  );
+
+  if (changes.assignedTo) {
+    const assignedUser = await User.findOne({
+      _id: changes.assignedTo,
+      organizationId: orgId,
+    });
+    if (!assignedUser) throw errors.notFound("Assigned user");
+    if (!assignedUser.isActive) {
+      throw errors.badRequest("Cannot assign tasks to a deactivated user");
+    }
+
+    const isProjectMember = project.members.some(
+      (m) => m.userId.toString() === changes.assignedTo
+    );
+    if (!isProjectMember) {
+      throw errors.badRequest("Assigned user is not a project member");
+    }
+  }
+
+  if (changes.labels) {
+    changes.labels = await resolveProjectLabels(project._id, changes.labels);
+  }
+
+  const customFields =
+    data.customFields &&
+    parseCustomFieldValues(project.customFields, data.customFields, {
+      partial: true,
+      memberIds: new Set(project.members.map((m) => m.userId.toString())),
+    });
+
+  const applyChanges = (target) => {
+    Object.assign(target, changes);
+    for (const [key, value] of Object.entries(customFields || {})) {
+      if (value === null) {
+        target.customFields.delete(key);
+      } else {
+        target.customFields.set(key, value);
+      }
+    }
+  };
+
+  applyChanges(series.template);
+  await series.save();
+
+  if (Object.keys(changes).length || customFields) {
+    const openOccurrences = await Task.find({
+      seriesId: series._id,
+      statusCategory: { $ne: "DONE" },
+    });
+
+    for (const occurrence of openOccurrences) {
+      const before = snapshotTask(occurrence);
+      applyChanges(occurrence);
+      await occurrence.save();
+      await recordTaskChanges(occurrence, before, userId);
+    }
+  }
+
+  return describeSeries(series);
+};
+
+/**
+ * Stop a series repeating; its existing occurrences are kept
+ * Only project owner/manager or ADMIN can edit series
+ */
+export const stopTaskSeries = async (taskId, userId, userRole, orgId) => {
+  const { task, canManage } = await loadTaskWithAccess(
+    taskId,
+    userId,
+    userRole,
+    orgId
+  );
+  if (!canManage) {
+    throw errors.forbidden("Only project OWNER/MANAGER can edit repeating tasks");
+  }
+  if (!task.seriesId) throw errors.notFound("Task series");
+
+  const series = await TaskSeries.findOneAndUpdate(
+    { _id: task.seriesId, organizationId: orgId },
+    { $set: { active: false, nextOccurrenceAt: null } },
+    { new: true }
+  );
+  if (!series) throw errors.notFound("Task series");
+
+  return describeSeries(series);
+};
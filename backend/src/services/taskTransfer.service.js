@@ -0,0 +1,367 @@
+import Task from "../models/Task.js";
+import Project from "../models/Project.js";
+import User from "../models/User.js";
+import Label from "../models/Label.js";
+import Comment from "../models/Comment.js";
+import Worklog from "../models/Worklog.js";
+import Attachment from "../models/Attachment.js";
+import TaskHistory from "../models/TaskHistory.js";
+import { errors } from "../utils/errors.js";
+import { getWorkflow, findStatus } from "../utils/workflow.js";
+import { carryOverCustomFieldValues } from "../utils/customFields.js";
+import { notifyTaskAssignment } from "../utils/jobs.js";
+import {
+  checkTaskAccess,
+  refreshRollups,
+  refreshProjectRollups,
+} from "./task.service.js";
+import { notifyTaskWatchers } from "./notification.service.js";
+import {
+  snapshotTask,
+  diffSnapshots,
+  recordTaskHistory,
+  recordTaskHistoryForTasks,
+} from "./taskHistory.service.js";
+
+/**
+ * Task Transfer Service Layer
+ * Moves tasks to another project of the organization, or copies them.
+ * What belongs to the old project is adapted to the new one: statuses
+ * follow its workflow, labels are matched by name, and assignees and
+ * user values that aren't its members are cleared or reassigned
+ */
+
+/**
+ * Load the project tasks go to; adding tasks to it takes the same rights
+ * as creating them there (project owner/manager or ADMIN)
+ */
+const loadTargetProject = async (projectId, userId, userRole, orgId) => {
+  const project = await Project.findOne({
+    _id: projectId,
+    organizationId: orgId,
+  });
+  if (!project) throw errors.notFound("Target project");
+
+  const isOwner = project.ownerId.toString() === userId;
+  const memberRole = project.members?.find(
+    (m) => m.userId.toString() === userId
+  )?.role;
+  const isAdmin = userRole === "ADMIN";
+
+  if (!isOwner && !isAdmin && memberRole !== "OWNER" && memberRole !== "MANAGER") {
+    throw errors.forbidden(
+      "Only project OWNER/MANAGER can add tasks to the target project"
+    );
+  }
+
+  return project;
+};
+
+/**
+ * Load a task with its subtasks, parents before children
+ */
+const loadSubtree = async (task) => {
+  const descendants = await Task.find({ ancestors: task._id });
+  descendants.sort((a, b) => a.ancestors.length - b.ancestors.length);
+  return [task, ...descendants];
+};
+
+/**
+ * Translate tasks of the source project into values for the target
+ * reassignTo takes over assignments of users who aren't target members
+ */
+const buildProjectAdapter = async (source, target, tasks, reassignTo, orgId) => {
+  const memberIds = new Set(target.members.map((m) => m.userId.toString()));
+  memberIds.add(target.ownerId.toString());
+
+  if (reassignTo) {
+    const user = await User.findOne({ _id: reassignTo, organizationId: orgId });
+    if (!user) throw errors.notFound("User");
+    if (!user.isActive) {
+      throw errors.badRequest("Cannot assign tasks to a deactivated user");
+    }
+    if (!memberIds.has(reassignTo)) {
+      throw errors.badRequest("User is not a member of the target project");
+    }
+  }
+
+  // Labels carry over to the target's label of the same name
+  const labelIds = [
+    ...new Set(tasks.flatMap((task) => task.labels.map(String))),
+  ];
+  const [sourceLabels, targetLabels] = labelIds.length
+    ? await Promise.all([
+        Label.find({ _id: { $in: labelIds } }).select("name"),
+        Label.find({ projectId: target._id }).select("name"),
+      ])
+    : [[], []];
+  const targetLabelIds = new Map(
+    targetLabels.map((label) => [label.name.toLowerCase(), label._id])
+  );
+  const labelMap = new Map(
+    sourceLabels
+      .map((label) => [
+        label._id.toString(),
+        targetLabelIds.get(label.name.toLowerCase()),
+      ])
+      .filter(([, targetId]) => targetId)
+  );
+
+  const workflow = getWorkflow(target);
+  const initialStatus = findStatus(workflow, workflow.initialStatus);
+  const isMember = (id) => Boolean(id) && memberIds.has(id.toString());
+
+  return {
+    initialStatus,
+    // The same status if the target has it, else its first one of the
+    // same category
+    status: (task) =>
+      findStatus(workflow, task.status) ||
+      workflow.statuses.find(
+        (status) => status.category === task.statusCategory
+      ) ||
+      initialStatus,
+    assignee: (id) => {
+      if (!id) return null;
+      return isMember(id) ? id : reassignTo || null;
+    },
+    labels: (task) => [
+      ...new Set(
+        task.labels
+          .map((id) => labelMap.get(id.toString()))
+          .filter(Boolean)
+          .map(String)
+      ),
+    ],
+    customFields: (task) =>
+      carryOverCustomFieldValues(
+        source.customFields,
+        target.customFields,
+        task.customFields,
+        memberIds
+      ),
+    member: (id) => (isMember(id) ? id : null),
+  };
+};
+
+/**
+ * Move a task, with its subtasks, to another project
+ * Needs project owner/manager or ADMIN rights on both projects. A subtask
+ * leaves its parent and becomes a top-level task of the target. Comments,
+ * history, attachments and logged time go with the tasks; a task that
+ * repeated leaves its series
+ */
+export const moveTask = async (
+  taskId,
+  userId,
+  userRole,
+  orgId,
+  { projectId, reassignTo }
+) => {
+  const { task, project: source, isOwner, isAdmin } = await checkTaskAccess(
+    taskId,
+    userId,
+    userRole,
+    orgId
+  );
+
+  const memberRole = source.members?.find(
+    (m) => m.userId.toString() === userId
+  )?.role;
+  const canMove =
+    isAdmin || isOwner || memberRole === "OWNER" || memberRole === "MANAGER";
+  if (!canMove) {
+    throw errors.forbidden(
+      "Only project OWNER/MANAGER can move tasks to another project"
+    );
+  }
+
+  if (source._id.toString() === projectId) {
+    throw errors.badRequest("The task is already in this project");
+  }
+  const target = await loadTargetProject(projectId, userId, userRole, orgId);
+
+  const tasks = await loadSubtree(task);
+  const adapt = await buildProjectAdapter(
+    source,
+    target,
+    tasks,
+    reassignTo,
+    orgId
+  );
+
+  const previousAncestors = task.ancestors;
+  const entries = new Map();
+
+  for (const moved of tasks) {
+    const before = snapshotTask(moved);
+    const status = adapt.status(moved);
+
+    // The moved task is the new root of its subtree
+    const index = moved.ancestors.findIndex((id) => id.equals(task._id));
+    moved.ancestors = index === -1 ? [] : moved.ancestors.slice(index);
+    if (moved._id.equals(task._id)) moved.parentId = null;
+
+    if (status.category !== moved.statusCategory) {
+      moved.completedAt = status.category === "DONE" ? new Date() : null;
+    }
+    moved.projectId = target._id;
+    moved.status = status.key;
+    moved.statusCategory = status.category;
+    moved.assignedTo = adapt.assignee(moved.assignedTo);
+    moved.labels = adapt.labels(moved);
+    moved.customFields = adapt.customFields(moved);
+    for (const item of moved.checklist) {
+      item.assignedTo = adapt.member(item.assignedTo);
+    }
+    // Only people who can see the task in its new project keep watching
+    moved.watchers = moved.watchers.filter((id) => adapt.member(id));
+    moved.seriesId = null;
+    moved.occurrenceDate = null;
+
+    try {
+      await moved.save();
+    } catch (err) {
+      // Saved by someone else between our read and write
+      if (err.name !== "VersionError") throw err;
+      throw errors.conflict(
+        `"${moved.title}" was changed by someone else while moving. Try again`
+      );
+    }
+    entries.set(
+      moved._id.toString(),
+      diffSnapshots(before, snapshotTask(moved))
+    );
+  }
+
+  // What hangs off the tasks follows them. History is append-only, so its
+  // projectId is re-pointed on the collection, past the model's hooks
+  const ids = tasks.map((moved) => moved._id);
+  await Promise.all([
+    ...[Comment, Worklog, Attachment].map((Model) =>
+      Model.updateMany({ taskId: { $in: ids } }, { projectId: target._id })
+    ),
+    TaskHistory.collection.updateMany(
+      { taskId: { $in: ids } },
+      { $set: { projectId: target._id } }
+    ),
+  ]);
+
+  await refreshRollups(previousAncestors);
+  await refreshProjectRollups(target._id);
+
+  await recordTaskHistoryForTasks(tasks, userId, "MOVED", (moved) => ({
+    changes: entries.get(moved._id.toString()),
+    details: {
+      fromProjectId: source._id,
+      fromProject: source.name,
+      toProjectId: target._id,
+      toProject: target.name,
+      ...(!moved._id.equals(task._id) && { withParentTaskId: task._id }),
+    },
+  }));
+
+  // Someone given the task in place of its old assignee is told so
+  const newAssignee = entries
+    .get(task._id.toString())
+    .find((change) => change.field === "assignedTo")?.to;
+  if (newAssignee && newAssignee !== userId) {
+    await notifyTaskAssignment(newAssignee, task.title);
+  }
+  await notifyTaskWatchers(
+    task,
+    userId,
+    "TASK_UPDATED",
+    (actor) => `${actor} moved "${task.title}" to project ${target.name}`
+  );
+
+  return Task.findById(task._id)
+    .populate("assignedTo", "name email")
+    .populate("createdBy", "name email")
+    .populate("labels", "name color");
+};
+
+/**
+ * Copy a task, and optionally its subtasks, into a project (its own by
+ * default)
+ * Anyone who can see the task can copy it to a project they can create
+ * tasks in. Copies are new tasks: they start in the workflow's initial
+ * status with an unchecked checklist and no logged time, the copied task
+ * becomes top-level, and comments, history and attachments stay behind
+ */
+export const cloneTask = async (
+  taskId,
+  userId,
+  userRole,
+  orgId,
+  { projectId, includeSubtasks = false, reassignTo }
+) => {
+  const { task, project: source } = await checkTaskAccess(
+    taskId,
+    userId,
+    userRole,
+    orgId
+  );
+  const target = await loadTargetProject(
+    projectId || source._id,
+    userId,
+    userRole,
+    orgId
+  );
+
+  const tasks = includeSubtasks ? await loadSubtree(task) : [task];
+  const adapt = await buildProjectAdapter(
+    source,
+    target,
+    tasks,
+    reassignTo,
+    orgId
+  );
+
+  // Copies are created parents first, so each knows its new parent
+  const copies = new Map();
+  for (const original of tasks) {
+    const isRoot = original._id.equals(task._id);
+    const parent = isRoot ? null : copies.get(original.parentId.toString());
+
+    const copy = await Task.create({
+      title: original.title,
+      description: original.description,
+      priority: original.priority,
+      dueDate: original.dueDate,
+      projectId: target._id,
+      organizationId: orgId,
+      createdBy: userId,
+      parentId: parent?._id || null,
+      ancestors: parent ? [...parent.ancestors, parent._id] : [],
+      status: adapt.initialStatus.key,
+      statusCategory: adapt.initialStatus.category,
+      assignedTo: adapt.assignee(original.assignedTo),
+      labels: adapt.labels(original),
+      customFields: adapt.customFields(original),
+      originalEstimate: original.originalEstimate,
+      remainingEstimate: original.originalEstimate,
+      checklist: original.checklist.map((item) => ({
+        text: item.text,
+        required: item.required,
+        assignedTo: adapt.member(item.assignedTo),
+      })),
+    });
+    copies.set(original._id.toString(), copy);
+
+    await recordTaskHistory(copy, userId, "CREATED", {
+      changes: diffSnapshots({}, snapshotTask(copy)),
+      details: { copiedFromTaskId: original._id },
+    });
+    if (copy.assignedTo && copy.assignedTo.toString() !== userId) {
+      await notifyTaskAssignment(copy.assignedTo.toString(), copy.title);
+    }
+  }
+
+  if (tasks.length > 1) await refreshProjectRollups(target._id);
+
+  return Task.findById(copies.get(task._id.toString())._id)
+    .populate("assignedTo", "name email")
+    .populate("createdBy", "name email")
+    .populate("labels", "name color");
+};
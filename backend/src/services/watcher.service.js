@@ -0,0 +1,61 @@
+import Task from "../models/Task.js";
+import User from "../models/User.js";
+import { checkTaskAccess } from "./task.service.js";
+
+/**
+ * Watcher Service Layer
+ * Users who are told about changes to a task. Creators, assignees and
+ * commenters watch automatically; anyone who can see a task can watch or
+ * stop watching it
+ * Every lookup is scoped to the caller's organization (orgId)
+ */
+
+/**
+ * Watchers of a task with whether the caller is one of them
+ */
+const describeWatchers = async (watcherIds, userId, orgId) => {
+  const watchers = await User.find({
+    _id: { $in: watcherIds },
+    organizationId: orgId,
+  })
+    .select("name email")
+    .sort({ name: 1 });
+
+  return {
+    watching: watcherIds.some((id) => id.toString() === userId),
+    watchers,
+  };
+};
+
+/**
+ * Get who watches a task
+ */
+export const getTaskWatchers = async (taskId, userId, userRole, orgId) => {
+  const { task } = await checkTaskAccess(taskId, userId, userRole, orgId);
+
+  return describeWatchers(task.watchers, userId, orgId);
+};
+
+/**
+ * Start or stop watching a task
+ * Applied atomically, so it never conflicts with edits to the task
+ */
+export const setTaskWatching = async (
+  taskId,
+  userId,
+  userRole,
+  orgId,
+  watching
+) => {
+  const { task } = await checkTaskAccess(taskId, userId, userRole, orgId);
+
+  const updated = await Task.findOneAndUpdate(
+    { _id: task._id, organizationId: orgId },
+    watching
+      ? { $addToSet: { watchers: userId } }
+      : { $pull: { watchers: userId } },
+    { new: true }
+  ).select("watchers");
+
+  return describeWatchers(updated?.watchers || [], userId, orgId);
+};
@@ -0,0 +1,417 @@
+import mongoose from "mongoose";
+import Worklog from "../models/Worklog.js";
+import Task from "../models/Task.js";
+import Project from "../models/Project.js";
+import User from "../models/User.js";
+import { errors } from "../utils/errors.js";
+import { checkTaskAccess } from "./task.service.js";
+
+/**
+ * Worklog Service Layer
+ * Time tracking: timers (one running per user at a time) and worklogs
+ * entered by hand. Logged minutes add up in task.timeSpent and come off
+ * task.remainingEstimate
+ * Every lookup is scoped to the caller's organization (orgId)
+ */
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+
+// Timesheets cover at most a year
+const MAX_TIMESHEET_DAYS = 366;
+
+/**
+ * Load a task and the caller's rights on its worklogs
+ * Anyone who can see the task can log time on it; owners and managers
+ * also edit other people's worklogs
+ */
+const loadTaskWithAccess = async (taskId, userId, userRole, orgId) => {
+  const { task, project, isOwner, isAdmin } = await checkTaskAccess(
+    taskId,
+    userId,
+    userRole,
+    orgId
+  );
+  // Worklogs keep task.projectId as an id
+  task.depopulate("projectId");
+
+  const memberRole = project.members?.find(
+    (m) => m.userId.toString() === userId
+  )?.role;
+  const canManage =
+    isAdmin || isOwner || memberRole === "OWNER" || memberRole === "MANAGER";
+
+  return { task, project, canManage };
+};
+
+/**
+ * Refresh a task's time spent after its worklogs changed
+ * delta is the change in logged minutes, taken off the remaining estimate
+ * (never below zero); the version goes up so stale edits are caught
+ */
+const applyLoggedTime = async (taskId, delta) => {
+  const [logged] = await Worklog.aggregate([
+    { $match: { taskId, running: false } },
+    { $group: { _id: null, minutes: { $sum: "$minutes" } } },
+  ]);
+
+  await Task.updateOne({ _id: taskId }, [
+    {
+      $set: {
+        timeSpent: logged?.minutes || 0,
+        remainingEstimate: {
+          $cond: [
+            { $eq: [{ $ifNull: ["$remainingEstimate", null] }, null] },
+            null,
+            { $max: [0, { $subtract: ["$remainingEstimate", delta] }] },
+          ],
+        },
+        __v: { $add: [{ $ifNull: ["$__v", 0] }, 1] },
+      },
+    },
+  ]);
+};
+
+/**
+ * Stop a running timer, rounding to whole minutes
+ * A timer stopped within half a minute logs nothing and is dropped
+ */
+const finishTimer = async (timer, { note, now = new Date() } = {}) => {
+  const minutes = Math.round((now - timer.startedAt) / MINUTE_MS);
+
+  if (minutes === 0) {
+    await timer.deleteOne();
+    return null;
+  }
+
+  timer.running = false;
+  timer.minutes = minutes;
+  if (note !== undefined) timer.note = note;
+  await timer.save();
+
+  await applyLoggedTime(timer.taskId, minutes);
+
+  return timer;
+};
+
+const populateWorklog = (worklog) =>
+  worklog.populate("userId", "name email");
+
+/**
+ * Get the caller's running timer, or null
+ */
+export const getRunningTimer = async (userId, orgId) => {
+  return Worklog.findOne({
+    userId,
+    organizationId: orgId,
+    running: true,
+  }).populate("taskId", "title projectId");
+};
+
+/**
+ * Start a timer on a task
+ * A timer already running elsewhere is stopped first, so switching tasks
+ * is a single call
+ */
+export const startTimer = async (taskId, userId, userRole, orgId, data) => {
+  const { task } = await loadTaskWithAccess(taskId, userId, userRole, orgId);
+
+  const running = await Worklog.findOne({ userId, running: true });
+  if (running?.taskId.equals(task._id)) {
+    throw errors.conflict("A timer is already running on this task");
+  }
+  const stopped = running ? await finishTimer(running) : null;
+
+  // Two starts at once: the unique index lets only one through (409)
+  const timer = await Worklog.create({
+    taskId: task._id,
+    projectId: task.projectId,
+    organizationId: orgId,
+    userId,
+    source: "TIMER",
+    startedAt: new Date(),
+    note: data.note,
+    running: true,
+  });
+
+  return { timer, stopped };
+};
+
+/**
+ * Stop the caller's running timer and log its time
+ * Returns null when it ran too briefly to log anything
+ */
+export const stopTimer = async (userId, orgId, data) => {
+  const timer = await Worklog.findOne({
+    userId,
+    organizationId: orgId,
+    running: true,
+  });
+  if (!timer) throw errors.notFound("Running timer");
+
+  const worklog = await finishTimer(timer, { note: data.note });
+  return worklog && populateWorklog(worklog);
+};
+
+/**
+ * Stop running timers on tasks that are going away
+ * Their worklogs are kept so the time still shows on timesheets
+ */
+export const stopTimersOnTasks = async (taskIds) => {
+  const timers = await Worklog.find({ taskId: { $in: taskIds }, running: true });
+
+  for (const timer of timers) {
+    await finishTimer(timer);
+  }
+};
+
+/**
+ * Get a task's worklogs (newest first) and its time totals
+ */
+export const getTaskWorklogs = async (taskId, userId, userRole, orgId) => {
+  const { task } = await loadTaskWithAccess(taskId, userId, userRole, orgId);
+
+  const worklogs = await Worklog.find({ taskId: task._id })
+    .populate("userId", "name email")
+    .sort({ startedAt: -1 });
+
+  return {
+    worklogs,
+    originalEstimate: task.originalEstimate,
+    remainingEstimate: task.remainingEstimate,
+    timeSpent: task.timeSpent,
+  };
+};
+
+/**
+ * Log time on a task by hand
+ * Without a start time the work is taken to have just finished
+ */
+export const addWorklog = async (taskId, userId, userRole, orgId, data) => {
+  const { task } = await loadTaskWithAccess(taskId, userId, userRole, orgId);
+
+  const worklog = await Worklog.create({
+    taskId: task._id,
+    projectId: task.projectId,
+    organizationId: orgId,
+    userId,
+    source: "MANUAL",
+    startedAt:
+      data.startedAt || new Date(Date.now() - data.minutes * MINUTE_MS),
+    minutes: data.minutes,
+    note: data.note,
+  });
+
+  await applyLoggedTime(task._id, worklog.minutes);
+
+  return populateWorklog(worklog);
+};
+
+/**
+ * Load a finished worklog the caller may change: their own, or any on the
+ * task for project owner/manager or ADMIN
+ */
+const loadEditableWorklog = async (
+  taskId,
+  worklogId,
+  userId,
+  userRole,
+  orgId
+) => {
+  const { task, canManage } = await loadTaskWithAccess(
+    taskId,
+    userId,
+    userRole,
+    orgId
+  );
+
+  const worklog = await Worklog.findOne({
+    _id: worklogId,
+    taskId: task._id,
+    organizationId: orgId,
+  });
+  if (!worklog) throw errors.notFound("Worklog");
+
+  if (!canManage && worklog.userId.toString() !== userId) {
+    throw errors.forbidden("You can only change your own worklogs");
+  }
+  if (worklog.running) {
+    throw errors.badRequest("Stop the timer before editing its worklog");
+  }
+
+  return worklog;
+};
+
+/**
+ * Correct a worklog's time, start or note
+ */
+export const updateWorklog = async (
+  taskId,
+  worklogId,
+  userId,
+  userRole,
+  orgId,
+  data
+) => {
+  const worklog = await loadEditableWorklog(
+    taskId,
+    worklogId,
+    userId,
+    userRole,
+    orgId
+  );
+
+  const delta =
+    data.minutes !== undefined ? data.minutes - worklog.minutes : 0;
+
+  for (const field of ["minutes", "startedAt", "note"]) {
+    if (data[field] !== undefined) worklog[field] = data[field];
+  }
+  await worklog.save();
+
+  if (delta) await applyLoggedTime(worklog.taskId, delta);
+
+  return populateWorklog(worklog);
+};
+
+/**
+ * Delete a worklog; its time goes back on the remaining estimate
+ */
+export const deleteWorklog = async (
+  taskId,
+  worklogId,
+  userId,
+  userRole,
+  orgId
+) => {
+  const worklog = await loadEditableWorklog(
+    taskId,
+    worklogId,
+    userId,
+    userRole,
+    orgId
+  );
+
+  await worklog.deleteOne();
+  await applyLoggedTime(worklog.taskId, -worklog.minutes);
+
+  return { message: "Worklog deleted successfully" };
+};
+
+/**
+ * Time logged on a project between from (inclusive) and to (exclusive),
+ * totalled per user, per task and per day (UTC)
+ * Project owner/manager and ADMIN see everyone's time and can narrow it to
+ * one user; other members only see their own
+ * Defaults to the 30 days up to now
+ */
+export const getProjectTimesheet = async (
+  projectId,
+  userId,
+  userRole,
+  orgId,
+  query = {}
+) => {
+  const project = await Project.findOne({
+    _id: projectId,
+    organizationId: orgId,
+  });
+  if (!project) throw errors.notFound("Project");
+
+  const isOwner = project.ownerId.toString() === userId;
+  const memberRole = project.members?.find(
+    (m) => m.userId.toString() === userId
+  )?.role;
+  const isAdmin = userRole === "ADMIN";
+
+  if (!isOwner && !memberRole && !isAdmin) {
+    throw errors.forbidden("You don't have access to this project");
+  }
+
+  const canManage =
+    isAdmin || isOwner || memberRole === "OWNER" || memberRole === "MANAGER";
+  if (!canManage && query.userId && query.userId !== userId) {
+    throw errors.forbidden("You can only see your own time on this project");
+  }
+
+  const to = query.to || new Date();
+  const from = query.from || new Date(to.getTime() - 30 * DAY_MS);
+  if (from >= to) {
+    throw errors.badRequest("Timesheet start must be before its end");
+  }
+  if (to - from > MAX_TIMESHEET_DAYS * DAY_MS) {
+    throw errors.badRequest(
+      `Timesheets cover at most ${MAX_TIMESHEET_DAYS} days`
+    );
+  }
+
+  const forUser = query.userId || (canManage ? null : userId);
+  const match = {
+    projectId: project._id,
+    organizationId: project.organizationId,
+    running: false,
+    startedAt: { $gte: from, $lt: to },
+  };
+  if (forUser) match.userId = new mongoose.Types.ObjectId(forUser);
+
+  const totalBy = (key) => [
+    { $group: { _id: key, minutes: { $sum: "$minutes" } } },
+    { $sort: { minutes: -1 } },
+  ];
+
+  const [sheet] = await Worklog.aggregate([
+    { $match: match },
+    {
+      $facet: {
+        total: [{ $group: { _id: null, minutes: { $sum: "$minutes" } } }],
+        byUser: totalBy("$userId"),
+        byTask: totalBy("$taskId"),
+        byDay: [
+          {
+            $group: {
+              _id: {
+                $dateToString: { format: "%Y-%m-%d", date: "$startedAt" },
+              },
+              minutes: { $sum: "$minutes" },
+            },
+          },
+          { $sort: { _id: 1 } },
+        ],
+      },
+    },
+  ]);
+
+  const [users, tasks] = await Promise.all([
+    User.find({ _id: { $in: sheet.byUser.map((row) => row._id) } }).select(
+      "name email"
+    ),
+    Task.find({ _id: { $in: sheet.byTask.map((row) => row._id) } }).select(
+      "title"
+    ),
+  ]);
+  const usersById = new Map(users.map((user) => [user._id.toString(), user]));
+  const titlesById = new Map(
+    tasks.map((task) => [task._id.toString(), task.title])
+  );
+
+  return {
+    from,
+    to,
+    userId: forUser,
+    totalMinutes: sheet.total[0]?.minutes || 0,
+    byUser: sheet.byUser.map(({ _id, minutes }) => ({
+      userId: _id,
+      name: usersById.get(_id.toString())?.name ?? null,
+      email: usersById.get(_id.toString())?.email ?? null,
+      minutes,
+    })),
+    // Deleted tasks keep their time, without a title
+    byTask: sheet.byTask.map(({ _id, minutes }) => ({
+      taskId: _id,
+      title: titlesById.get(_id.toString()) ?? null,
+      deleted: !titlesById.has(_id.toString()),
+      minutes,
+    })),
+    byDay: sheet.byDay.map(({ _id, minutes }) => ({ date: _id, minutes })),
+  };
+};
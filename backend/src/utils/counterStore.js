@@ -0,0 +1,158 @@
+import { getRedisClient, isRedisAvailable } from "./redis.js";
+
+/**
+ * Expiring counters and flags
+ * Uses Redis when connected so limits hold across instances,
+ * and falls back to process memory when Redis is down
+ */
+
+// In-memory fallback: key -> { value, expiresAt, flag }, oldest first
+const memoryStore = new Map();
+
+// Most counters the fallback holds; a flood of new emails or IPs while
+// Redis is down evicts the oldest counters instead of growing without
+// bound. Live flags (lockouts) are never evicted, or the same flood would
+// lift them
+const MEMORY_STORE_MAX_KEYS = 10000;
+
+/**
+ * Get a live in-memory entry, dropping it if expired
+ */
+const getMemoryEntry = (key) => {
+  const entry = memoryStore.get(key);
+  if (!entry) return null;
+
+  if (entry.expiresAt <= Date.now()) {
+    memoryStore.delete(key);
+    return null;
+  }
+
+  return entry;
+};
+
+/**
+ * Store an in-memory entry, making room first when the store is full:
+ * expired entries go, then the oldest counters
+ */
+const setMemoryEntry = (key, entry) => {
+  memoryStore.delete(key);
+
+  if (memoryStore.size >= MEMORY_STORE_MAX_KEYS) {
+    const now = Date.now();
+    for (const [storedKey, stored] of memoryStore) {
+      if (stored.expiresAt <= now) memoryStore.delete(storedKey);
+    }
+  }
+  for (const [oldestKey, stored] of memoryStore) {
+    if (memoryStore.size < MEMORY_STORE_MAX_KEYS) break;
+    if (!stored.flag) memoryStore.delete(oldestKey);
+  }
+
+  memoryStore.set(key, entry);
+};
+
+/**
+ * Get the Redis client only if it is already connected
+ * (never block a request on a reconnect attempt)
+ */
+const getConnectedClient = async () => {
+  if (!isRedisAvailable()) return null;
+  return getRedisClient();
+};
+
+/**
+ * Increment a counter; the window starts with the first increment
+ */
+export const incrementCounter = async (key, ttlSeconds) => {
+  try {
+    const client = await getConnectedClient();
+    if (client) {
+      const value = await client.incr(key);
+      if (value === 1) {
+        await client.expire(key, ttlSeconds);
+      }
+      return value;
+    }
+  } catch (error) {
+    console.warn("Redis INCR error:", error.message);
+  }
+
+  const entry = getMemoryEntry(key);
+  if (entry) {
+    entry.value += 1;
+    return entry.value;
+  }
+
+  setMemoryEntry(key, { value: 1, expiresAt: Date.now() + ttlSeconds * 1000 });
+  return 1;
+};
+
+/**
+ * Get a counter value (0 when missing)
+ */
+export const getCounter = async (key) => {
+  try {
+    const client = await getConnectedClient();
+    if (client) {
+      return Number(await client.get(key)) || 0;
+    }
+  } catch (error) {
+    console.warn("Redis GET error:", error.message);
+  }
+
+  return getMemoryEntry(key)?.value || 0;
+};
+
+/**
+ * Set a flag that expires after ttlSeconds
+ */
+export const setFlag = async (key, ttlSeconds) => {
+  try {
+    const client = await getConnectedClient();
+    if (client) {
+      await client.set(key, "1", { EX: ttlSeconds });
+      return;
+    }
+  } catch (error) {
+    console.warn("Redis SET error:", error.message);
+  }
+
+  setMemoryEntry(key, {
+    value: 1,
+    expiresAt: Date.now() + ttlSeconds * 1000,
+    flag: true,
+  });
+};
+
+/**
+ * Seconds until a key expires (0 when missing)
+ */
+export const getTtl = async (key) => {
+  try {
+    const client = await getConnectedClient();
+    if (client) {
+      return Math.max(await client.ttl(key), 0);
+    }
+  } catch (error) {
+    console.warn("Redis TTL error:", error.message);
+  }
+
+  const entry = getMemoryEntry(key);
+  return entry ? Math.ceil((entry.expiresAt - Date.now()) / 1000) : 0;
+};
+
+/**
+ * Delete keys from both stores
+ */
+export const deleteKeys = async (keys) => {
+  keys.forEach((key) => memoryStore.delete(key));
+
+  try {
+    const client = await getConnectedClient();
+    if (client && keys.length > 0) {
+      await client.del(keys);
+    }
+  } catch (error) {
+    console.warn("Redis DEL error:", error.message);
+  }
+};
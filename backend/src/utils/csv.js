@@ -0,0 +1,26 @@
+/**
+ * Minimal CSV writer (RFC 4180 quoting)
+ */
+
+// Spreadsheet apps run cells starting with these as formulas
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+const escapeCell = (value) => {
+  if (value === undefined || value === null) return "";
+
+  let text = value instanceof Date ? value.toISOString() : String(value);
+  if (FORMULA_PREFIX.test(text)) text = `'${text}`;
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * columns: [{ header, value: (row) => any }]
+ */
+export const toCsv = (columns, rows) =>
+  [
+    columns.map((column) => escapeCell(column.header)).join(","),
+    ...rows.map((row) =>
+      columns.map((column) => escapeCell(column.value(row))).join(",")
+    ),
+  ].join("\r\n") + "\r\n";
@@ -0,0 +1,293 @@
+import { z } from "zod";
+import { errors } from "./errors.js";
+
+/**
+ * Project custom field helpers
+ * A project defines extra typed fields ("customer", "story points", ...)
+ * and its tasks store values for them in task.customFields, keyed by the
+ * field key. Values are checked against the definitions on every write
+ */
+
+export const CUSTOM_FIELD_TYPES = [
+  "TEXT",
+  "NUMBER",
+  "DATE",
+  "SELECT",
+  "MULTI_SELECT",
+  "USER",
+];
+
+// Lower case so keys never clash with Mongo operators or dotted paths
+export const CUSTOM_FIELD_KEY_PATTERN = /^[a-z][a-z0-9_]{0,39}$/;
+
+export const MAX_CUSTOM_FIELDS = 50;
+
+const OBJECT_ID_PATTERN = /^[0-9a-fA-F]{24}$/;
+
+// Any value a field of some type could hold; the definitions narrow it down
+export const customFieldValueSchema = z.union([
+  z.string().max(2000),
+  z.number(),
+  z.array(z.string().max(200)).max(100),
+  z.null(),
+]);
+
+export const findCustomField = (definitions, key) =>
+  definitions.find((field) => field.key === key) || null;
+
+/**
+ * Check a list of field definitions and fill in defaults
+ * previous are the project's current definitions: a field keeps its type
+ * for as long as it exists, since stored values were written for it
+ */
+export const normalizeCustomFields = (fields, previous = []) => {
+  const keys = fields.map((field) => field.key);
+
+  const duplicate = keys.find((key, index) => keys.indexOf(key) !== index);
+  if (duplicate) {
+    throw errors.badRequest(`Custom field ${duplicate} is defined twice`);
+  }
+
+  return fields.map(({ key, name, type, options = [], required = false }) => {
+    const existing = findCustomField(previous, key);
+    if (existing && existing.type !== type) {
+      throw errors.badRequest(
+        `Custom field ${key} is a ${existing.type} field. Remove it and add a new field to change its type`
+      );
+    }
+
+    const isSelect = type === "SELECT" || type === "MULTI_SELECT";
+    if (isSelect && !options.length) {
+      throw errors.badRequest(`Custom field ${key} needs at least one option`);
+    }
+    if (new Set(options).size !== options.length) {
+      throw errors.badRequest(`Custom field ${key} lists an option twice`);
+    }
+
+    return {
+      key,
+      name,
+      type,
+      options: isSelect ? options : [],
+      required,
+    };
+  });
+};
+
+/**
+ * Zod schema for one field's value
+ * Dates are stored as Date so they can be range filtered and sorted
+ */
+const valueSchemaFor = (field, memberIds) => {
+  switch (field.type) {
+    case "TEXT":
+      return z.string().trim().min(1).max(2000);
+    case "NUMBER":
+      return z.number();
+    case "DATE":
+      return z
+        .string()
+        .datetime()
+        .transform((value) => new Date(value));
+    case "SELECT":
+      return z.enum(field.options);
+    case "MULTI_SELECT":
+      return z
+        .array(z.enum(field.options))
+        .min(1)
+        .transform((values) => [...new Set(values)]);
+    case "USER":
+      return z
+        .string()
+        .regex(OBJECT_ID_PATTERN, "Invalid user ID format")
+        .refine((id) => memberIds.has(id), "User is not a project member");
+    default:
+      return z.never();
+  }
+};
+
+/**
+ * Validate custom field values against the project's definitions
+ * Returns the values to store, with null meaning "clear the field"
+ * partial (updates) only checks the fields that are sent; creates also
+ * require every required field
+ */
+export const parseCustomFieldValues = (
+  definitions,
+  values = {},
+  { partial = false, memberIds = new Set() } = {}
+) => {
+  const unknown = Object.keys(values).filter(
+    (key) => !findCustomField(definitions, key)
+  );
+  if (unknown.length) {
+    throw errors.badRequest(
+      `Unknown custom field(s) for this project: ${unknown.join(", ")}`
+    );
+  }
+
+  const shape = Object.fromEntries(
+    definitions.map((field) => {
+      const schema = valueSchemaFor(field, memberIds);
+      if (field.required) {
+        return [field.key, partial ? schema.optional() : schema];
+      }
+      return [field.key, schema.nullable().optional()];
+    })
+  );
+
+  const { customFields } = z
+    .object({ customFields: z.object(shape) })
+    .parse({ customFields: values });
+
+  // Zod leaves out keys that were not sent; keep explicit nulls
+  return Object.fromEntries(
+    Object.keys(values).map((key) => [key, customFields[key] ?? null])
+  );
+};
+
+/**
+ * Turn ?cf.<key>=value (and cf.<key>.gte / .lte for numbers and dates)
+ * into a Mongo filter on task.customFields
+ */
+export const buildCustomFieldFilter = (definitions, filters = {}) => {
+  const query = {};
+
+  for (const [param, raw] of Object.entries(filters)) {
+    const [key, operator] = param.split(".");
+    const field = findCustomField(definitions, key);
+    if (!field) {
+      throw errors.badRequest(`Unknown custom field ${key} for this project`);
+    }
+
+    const isRange = field.type === "NUMBER" || field.type === "DATE";
+    if (operator && (!isRange || !["gte", "lte"].includes(operator))) {
+      throw errors.badRequest(
+        `Custom field ${key} cannot be filtered with ${operator}`
+      );
+    }
+
+    let value = raw;
+    if (field.type === "NUMBER") {
+      value = Number(raw);
+      if (raw === "" || Number.isNaN(value)) {
+        throw errors.badRequest(`Custom field ${key} filters by a number`);
+      }
+    } else if (field.type === "DATE") {
+      value = new Date(raw);
+      if (Number.isNaN(value.getTime())) {
+        throw errors.badRequest(`Custom field ${key} filters by a date`);
+      }
+    }
+
+    const path = `customFields.${key}`;
+    if (operator) {
+      query[path] = { ...query[path], [`$${operator}`]: value };
+    } else {
+      // Matches a multi select that contains the value
+      query[path] = value;
+    }
+  }
+
+  return query;
+};
+
+/**
+ * Values a task can keep when it goes to another project
+ * A value is kept when the target has a field with the same key and type
+ * that accepts it: select options it offers, users who are its members
+ * (memberIds). Everything else is dropped
+ */
+export const carryOverCustomFieldValues = (
+  sourceDefinitions,
+  targetDefinitions,
+  values,
+  memberIds
+) => {
+  const kept = {};
+
+  for (const [key, value] of values) {
+    const source = findCustomField(sourceDefinitions, key);
+    const target = findCustomField(targetDefinitions, key);
+    if (!source || !target || source.type !== target.type) continue;
+
+    switch (target.type) {
+      case "SELECT":
+        if (target.options.includes(value)) kept[key] = value;
+        break;
+      case "MULTI_SELECT": {
+        const options = value.filter((option) =>
+          target.options.includes(option)
+        );
+        if (options.length) kept[key] = options;
+        break;
+      }
+      case "USER":
+        if (memberIds.has(String(value))) kept[key] = value;
+        break;
+      default:
+        kept[key] = value;
+    }
+  }
+
+  return kept;
+};
+
+/**
+ * How a value reads in exports (CSV cells, JSON)
+ * users maps user ids to their email
+ */
+export const formatCustomFieldValue = (field, value, users = new Map()) => {
+  if (value === undefined || value === null) return null;
+
+  switch (field.type) {
+    case "DATE":
+      return new Date(value).toISOString();
+    case "MULTI_SELECT":
+      return [...value];
+    case "USER":
+      return users.get(String(value)) || String(value);
+    default:
+      return value;
+  }
+};
+
+/**
+ * Per-field totals for project stats
+ * Select and user fields are counted by value, numbers are summed (doneSum
+ * only counts tasks in a DONE status, e.g. story points delivered)
+ */
+export const summarizeCustomField = (field, tasks) => {
+  const values = tasks
+    .map((task) => ({
+      value: task.customFields?.get(field.key),
+      done: task.statusCategory === "DONE",
+    }))
+    .filter(({ value }) => value !== undefined && value !== null);
+
+  const summary = { filled: values.length };
+
+  if (field.type === "SELECT" || field.type === "MULTI_SELECT") {
+    summary.byOption = Object.fromEntries(
+      field.options.map((option) => [
+        option,
+        values.filter(({ value }) =>
+          Array.isArray(value) ? value.includes(option) : value === option
+        ).length,
+      ])
+    );
+  } else if (field.type === "USER") {
+    summary.byUser = {};
+    for (const { value } of values) {
+      summary.byUser[value] = (summary.byUser[value] || 0) + 1;
+    }
+  } else if (field.type === "NUMBER") {
+    summary.sum = values.reduce((sum, { value }) => sum + value, 0);
+    summary.doneSum = values
+      .filter(({ done }) => done)
+      .reduce((sum, { value }) => sum + value, 0);
+    summary.average = values.length ? summary.sum / values.length : 0;
+  }
+
+  return summary;
+};
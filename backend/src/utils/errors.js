@@ -2,9 +2,11 @@
  * Custom AppError class for consistent error handling
  */
 export class AppError extends Error {
-  constructor(message, statusCode = 500) {
+  // data is sent back with the error (e.g. the current state on a conflict)
+  constructor(message, statusCode = 500, data = null) {
     super(message);
     this.statusCode = statusCode;
+    this.data = data;
     this.isOperational = true;
 
     Error.captureStackTrace(this, this.constructor);
@@ -22,8 +24,16 @@ export const errors = {
     new AppError(message, 403),
   badRequest: (message = "Bad request") =>
     new AppError(message, 400),
-  conflict: (message = "Resource already exists") =>
-    new AppError(message, 409),
+  conflict: (message = "Resource already exists", data = null) =>
+    new AppError(message, 409, data),
+  preconditionFailed: (message = "Precondition failed", data = null) =>
+    new AppError(message, 412, data),
+  payloadTooLarge: (message = "Payload too large") =>
+    new AppError(message, 413),
+  unsupportedMediaType: (message = "Unsupported media type") =>
+    new AppError(message, 415),
+  tooManyRequests: (message = "Too many requests") =>
+    new AppError(message, 429),
   validation: (message = "Validation failed") =>
     new AppError(message, 400),
   internal: (message = "Internal server error") =>
@@ -53,6 +63,14 @@ export const errorHandler = (err, req, res, next) => {
     );
   }
 
+  // Optimistic concurrency: the document was saved by someone else meanwhile
+  if (err.name === "VersionError") {
+    err = new AppError(
+      "This resource was changed by someone else. Reload it and try again",
+      409
+    );
+  }
+
   // Mongoose cast error (invalid ObjectId)
   if (err.name === "CastError") {
     err = new AppError("Invalid ID format", 400);
@@ -60,7 +78,7 @@ export const errorHandler = (err, req, res, next) => {
 
   // Zod validation error
   if (err.name === "ZodError") {
-    const message = err.errors
+    const message = err.issues
       .map((e) => `${e.path.join(".")}: ${e.message}`)
       .join("; ");
     err = new AppError(message, 400);
@@ -69,6 +87,7 @@ export const errorHandler = (err, req, res, next) => {
   res.status(err.statusCode).json({
     success: false,
     error: err.message,
+    ...(err.data && { data: err.data }),
     timestamp: new Date().toISOString(),
     ...(process.env.NODE_ENV === "development" && {
       stack: err.stack,
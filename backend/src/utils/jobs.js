@@ -1,11 +1,18 @@
 import { Queue, Worker } from "bullmq";
 import { getRedisClient } from "./redis.js";
+import { sendMail } from "./mailer.js";
+import User from "../models/User.js";
+import { materializeDueOccurrences } from "../services/taskSeries.service.js";
+import { generateAttachmentThumbnail } from "../services/attachmentFile.service.js";
 
 const REDIS_CONFIG = {
   host: process.env.REDIS_HOST || "localhost",
   port: process.env.REDIS_PORT || 6379,
 };
 
+// How often due occurrences of repeating tasks are looked for
+const RECURRING_TASKS_EVERY_MS = 60 * 1000;
+
 // Job queues
 let notificationQueue = null;
 let taskQueue = null;
@@ -45,6 +52,17 @@ export const initializeQueues = async () => {
     setupNotificationWorker();
     setupTaskWorker();
 
+    // Repeatable job creating occurrences of repeating tasks as their date
+    // arrives (the scheduler id keeps restarts from adding duplicates)
+    await taskQueue.upsertJobScheduler(
+      "materialize-recurring-tasks",
+      { every: RECURRING_TASKS_EVERY_MS },
+      {
+        name: "MATERIALIZE_RECURRING_TASKS",
+        data: { type: "MATERIALIZE_RECURRING_TASKS" },
+      }
+    );
+
     isInitialized = true;
     console.log("✓ Job queues initialized");
   } catch (error) {
@@ -61,19 +79,16 @@ const setupNotificationWorker = () => {
   const worker = new Worker("notifications", async (job) => {
     console.log(`Processing notification job: ${job.id}`, job.data);
 
-    const { type, userId, message, taskId } = job.data;
+    const { type, userId, message } = job.data;
 
     switch (type) {
+      // Changes to a task, told to its assignee or watchers
       case "TASK_ASSIGNED":
-        // In production, send email/SMS/push notification
-        console.log(`📧 Notifying user ${userId}: Task assigned - ${message}`);
-        break;
-
       case "TASK_STATUS_CHANGED":
-        // Notify task assignee of status change
-        console.log(
-          `📧 Notifying user ${userId}: Task status changed - ${message}`
-        );
+      case "TASK_UPDATED":
+      case "TASK_COMMENTED":
+      case "TASK_MENTIONED":
+        await emailTaskNotification(job.data);
         break;
 
       case "TASK_CREATED":
@@ -99,6 +114,21 @@ const setupNotificationWorker = () => {
   });
 };
 
+/**
+ * Email a task notification to its recipient
+ * Users deactivated since it was queued are skipped
+ */
+const emailTaskNotification = async ({ userId, subject, message }) => {
+  const user = await User.findById(userId).select("email isActive");
+  if (!user?.isActive) return;
+
+  await sendMail({
+    to: user.email,
+    subject: subject || message,
+    text: message,
+  });
+};
+
 /**
  * Task worker for async task operations
  */
@@ -119,6 +149,27 @@ const setupTaskWorker = () => {
         console.log(`📊 Generating analytics for task ${taskId}`);
         break;
 
+      case "MATERIALIZE_RECURRING_TASKS": {
+        const created = await materializeDueOccurrences();
+        if (created) {
+          console.log(`🔁 Created ${created} repeating task occurrence(s)`);
+        }
+        break;
+      }
+
+      case "GENERATE_THUMBNAIL":
+        await generateAttachmentThumbnail(job.data.attachmentId);
+        break;
+
+      case "RUN_BULK_OPERATION": {
+        // Loaded here: the bulk service queues its jobs through this module
+        const { runBulkOperation } = await import(
+          "../services/bulkTask.service.js"
+        );
+        await runBulkOperation(job.data.bulkOperationId);
+        break;
+      }
+
       default:
         console.log(`Unknown task job type: ${type}`);
     }
@@ -159,12 +210,14 @@ export const addNotificationJob = async (type, data) => {
 /**
  * Add task job
  * Gracefully handles queue unavailability
+ * Resolves to whether the job was queued, so callers can run the work
+ * themselves when it was not
  */
 export const addTaskJob = async (type, data) => {
   try {
     if (!taskQueue || !isInitialized) {
       console.log(`🔍 [DEV MODE] Task job queued: ${type}`);
-      return;
+      return false;
     }
 
     await taskQueue.add(`${type}_${Date.now()}`, {
@@ -172,8 +225,10 @@ export const addTaskJob = async (type, data) => {
       ...data,
       createdAt: new Date(),
     });
+    return true;
   } catch (error) {
     console.warn("Failed to queue task job:", error.message);
+    return false;
   }
 };
 
@@ -0,0 +1,105 @@
+import fs from "fs/promises";
+import path from "path";
+import crypto from "crypto";
+import { fileURLToPath } from "url";
+import nodemailer from "nodemailer";
+
+/**
+ * Mail delivery with pluggable transports
+ * MAIL_TRANSPORT selects the transport: console (default), file, smtp
+ */
+
+let transport = null;
+
+// backend/ - a relative MAIL_FILE_DIR resolves from here, so mail lands in
+// the gitignored backend/tmp/ wherever the server is started from
+const BACKEND_DIR = path.resolve(
+  path.dirname(fileURLToPath(import.meta.url)),
+  "../.."
+);
+
+/**
+ * Console transport - prints messages to stdout (development)
+ */
+const createConsoleTransport = () => ({
+  name: "console",
+  send: async (message) => {
+    console.log(`📧 [MAIL] To: ${message.to} | Subject: ${message.subject}`);
+    console.log(message.text);
+  },
+});
+
+/**
+ * File transport - writes each message as a JSON file (development)
+ */
+const createFileTransport = (directory) => ({
+  name: "file",
+  send: async (message) => {
+    await fs.mkdir(directory, { recursive: true });
+
+    const fileName = `${Date.now()}-${crypto.randomBytes(4).toString("hex")}.json`;
+    await fs.writeFile(
+      path.join(directory, fileName),
+      JSON.stringify({ ...message, date: new Date().toISOString() }, null, 2)
+    );
+  },
+});
+
+/**
+ * SMTP transport - works with real servers and local catchers (MailHog, smtp4dev)
+ */
+const createSmtpTransport = () => {
+  const transporter = nodemailer.createTransport({
+    host: process.env.SMTP_HOST || "localhost",
+    port: Number(process.env.SMTP_PORT) || 1025,
+    secure: process.env.SMTP_SECURE === "true",
+    auth: process.env.SMTP_USER
+      ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASSWORD }
+      : undefined,
+  });
+
+  return {
+    name: "smtp",
+    send: async (message) => {
+      await transporter.sendMail(message);
+    },
+  };
+};
+
+/**
+ * Get the configured transport (created on first use)
+ */
+export const getMailTransport = () => {
+  if (transport) return transport;
+
+  switch (process.env.MAIL_TRANSPORT) {
+    case "smtp":
+      transport = createSmtpTransport();
+      break;
+    case "file":
+      transport = createFileTransport(
+        path.resolve(BACKEND_DIR, process.env.MAIL_FILE_DIR || "tmp/mail")
+      );
+      break;
+    default:
+      transport = createConsoleTransport();
+  }
+
+  return transport;
+};
+
+/**
+ * Replace the transport (custom providers)
+ * Any object with an async send(message) method can be plugged in
+ */
+export const setMailTransport = (customTransport) => {
+  transport = customTransport;
+};
+
+/**
+ * Send an email through the configured transport
+ */
+export const sendMail = async ({ to, subject, text, html }) => {
+  const from = process.env.MAIL_FROM || "DTMS <no-reply@dtms.local>";
+  await getMailTransport().send({ from, to, subject, text, html });
+};
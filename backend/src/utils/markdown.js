@@ -0,0 +1,44 @@
+/**
+ * Markdown sanitization for user-written text (comments)
+ * The markdown is kept as written, minus what could run or mislead once
+ * rendered: raw HTML, links with scripting schemes and control characters
+ */
+
+/**
+ * Whether a link target is safe to render: an http(s) or mailto URL, or a
+ * relative one
+ * Anything with a colon, entity or escape is refused rather than decoded,
+ * so "java&#x09;script:" or "javascript&colon;" can't slip through
+ */
+const isSafeUrl = (url) =>
+  /^(https?|mailto):/i.test(url) || !/[:&\\]/.test(url);
+
+/**
+ * Sanitize markdown text
+ * - control characters other than tab and newline are removed
+ * - HTML comments and tags are removed (their text content stays)
+ * - links and images with unsafe targets point nowhere; autolinks and
+ *   link references with them are removed
+ */
+export const sanitizeMarkdown = (text) =>
+  text
+    .replace(/\r\n?/g, "\n")
+    .replace(/[\u0000-\u0008\u000b\u000c\u000e-\u001f\u007f]/g, "")
+    .replace(/<!--[\s\S]*?(-->|$)/g, "")
+    .replace(/<\/?[a-z][a-z0-9-]*(\s[^>]*)?\/?>/gi, "")
+    // <scheme:target> autolinks
+    .replace(/<([a-z][a-z0-9+.-]*:[^\s<>]*)>/gi, (match, url) =>
+      isSafeUrl(url) ? match : ""
+    )
+    // [text](target "title") and ![alt](target); unsafe targets become
+    // fragments. Every "](" is checked, so links nested in a target are too
+    .replace(
+      /\]\((?=\s*(?:<([^<>\n]*)>|([^\s)]*)))/g,
+      (match, angled, bare) => (isSafeUrl(angled ?? bare) ? match : "](#")
+    )
+    // [id]: target "title"
+    .replace(
+      /^( {0,3}\[[^\]]+\]:[ \t]*)<?(\S+?)>?([ \t].*)?$/gm,
+      (match, lead, url) => (isSafeUrl(url) ? match : "")
+    )
+    .trim();
@@ -0,0 +1,263 @@
+import { errors } from "./errors.js";
+
+/**
+ * Recurrence rules for repeating tasks
+ * A subset of the iCalendar RRULE (RFC 5545): FREQ=DAILY|WEEKLY|MONTHLY,
+ * INTERVAL, BYDAY, UNTIL and COUNT, e.g.
+ *   FREQ=WEEKLY;BYDAY=MO,TH        every Monday and Thursday
+ *   FREQ=MONTHLY;BYDAY=1MO         the first Monday of every month
+ *   FREQ=DAILY;INTERVAL=2;COUNT=10 every other day, ten times
+ * The first occurrence is the series' start date; later ones are the
+ * dates the rule gives after it. Dates are worked out in UTC and keep the
+ * start's time of day
+ */
+
+export const RECURRENCE_FREQUENCIES = ["DAILY", "WEEKLY", "MONTHLY"];
+
+// Indexed like Date#getUTCDay
+const WEEKDAYS = ["SU", "MO", "TU", "WE", "TH", "FR", "SA"];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Longest period of each frequency, to skip ahead without overshooting
+const PERIOD_MS = { DAILY: DAY_MS, WEEKLY: 7 * DAY_MS, MONTHLY: 31 * DAY_MS };
+
+// Periods looked at before giving up (a rule may rarely or never match)
+const MAX_PERIODS = 1000;
+
+const addDays = (date, days) => new Date(date.getTime() + days * DAY_MS);
+
+// 20261231 or 20261231T090000Z; a bare date runs to the end of that day
+const parseUntil = (value) => {
+  const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})Z?)?$/.exec(
+    value
+  );
+  if (!match) return null;
+
+  const [year, month, day, hours = 23, minutes = 59, seconds = 59] = match
+    .slice(1)
+    .filter((part) => part !== undefined)
+    .map(Number);
+  const until = new Date(
+    Date.UTC(year, month - 1, day, hours, minutes, seconds)
+  );
+
+  return Number.isNaN(until.getTime()) ? null : until;
+};
+
+const formatUntil = (date) =>
+  date.toISOString().replace(/[-:]/g, "").replace(/\.\d{3}/, "");
+
+/**
+ * Parse an RRULE string ("RRULE:" prefix optional)
+ * Throws a 400 naming the part that is wrong or unsupported
+ */
+export const parseRRule = (value) => {
+  const rule = { freq: null, interval: 1, byDay: [], until: null, count: null };
+  const source = String(value).trim().replace(/^RRULE:/i, "");
+
+  for (const part of source.split(";").filter(Boolean)) {
+    const [name, raw, ...rest] = part.split("=");
+    if (!raw || rest.length) {
+      throw errors.badRequest(`Invalid recurrence rule part: ${part}`);
+    }
+
+    switch (name.toUpperCase()) {
+      case "FREQ":
+        rule.freq = raw.toUpperCase();
+        if (!RECURRENCE_FREQUENCIES.includes(rule.freq)) {
+          throw errors.badRequest(
+            `Recurrence frequency must be one of ${RECURRENCE_FREQUENCIES.join(", ")}`
+          );
+        }
+        break;
+
+      case "INTERVAL":
+        rule.interval = Number(raw);
+        if (!/^\d+$/.test(raw) || rule.interval < 1 || rule.interval > 365) {
+          throw errors.badRequest("Recurrence interval must be 1 to 365");
+        }
+        break;
+
+      case "BYDAY":
+        rule.byDay = raw.toUpperCase().split(",").map((day) => {
+          const match = /^(-?[1-5])?(SU|MO|TU|WE|TH|FR|SA)$/.exec(day);
+          if (!match) {
+            throw errors.badRequest(`Invalid recurrence day: ${day}`);
+          }
+          return {
+            weekday: WEEKDAYS.indexOf(match[2]),
+            ordinal: match[1] ? Number(match[1]) : null,
+          };
+        });
+        break;
+
+      case "UNTIL":
+        rule.until = parseUntil(raw);
+        if (!rule.until) {
+          throw errors.badRequest(
+            "Recurrence end must look like 20261231 or 20261231T090000Z"
+          );
+        }
+        break;
+
+      case "COUNT":
+        rule.count = Number(raw);
+        if (!/^\d+$/.test(raw) || rule.count < 1 || rule.count > 1000) {
+          throw errors.badRequest("Recurrence count must be 1 to 1000");
+        }
+        break;
+
+      default:
+        throw errors.badRequest(`Unsupported recurrence rule part: ${name}`);
+    }
+  }
+
+  if (!rule.freq) {
+    throw errors.badRequest("Recurrence rule needs a FREQ");
+  }
+  if (rule.until && rule.count) {
+    throw errors.badRequest("Recurrence rule cannot have both UNTIL and COUNT");
+  }
+
+  // 1MO / -1FR only make sense within a month
+  const hasOrdinals = rule.byDay.some((day) => day.ordinal !== null);
+  if (rule.freq === "MONTHLY" && rule.byDay.length && !hasOrdinals) {
+    throw errors.badRequest(
+      "Monthly rules need days like 1MO (first Monday) or -1FR (last Friday)"
+    );
+  }
+  if (rule.freq !== "MONTHLY" && hasOrdinals) {
+    throw errors.badRequest("Numbered days like 1MO need FREQ=MONTHLY");
+  }
+
+  return rule;
+};
+
+/**
+ * Canonical RRULE string for a parsed rule (what gets stored)
+ */
+export const formatRRule = (rule) =>
+  [
+    `FREQ=${rule.freq}`,
+    rule.interval > 1 && `INTERVAL=${rule.interval}`,
+    rule.byDay.length &&
+      `BYDAY=${rule.byDay
+        .map(({ weekday, ordinal }) => `${ordinal ?? ""}${WEEKDAYS[weekday]}`)
+        .join(",")}`,
+    rule.until && `UNTIL=${formatUntil(rule.until)}`,
+    rule.count && `COUNT=${rule.count}`,
+  ]
+    .filter(Boolean)
+    .join(";");
+
+/**
+ * The dates the rule gives in its period-th period (day, week or month
+ * counted from the start), in order
+ */
+const periodDates = (rule, startsAt, period) => {
+  switch (rule.freq) {
+    case "DAILY": {
+      const date = addDays(startsAt, period * rule.interval);
+      const matches =
+        !rule.byDay.length ||
+        rule.byDay.some(({ weekday }) => weekday === date.getUTCDay());
+      return matches ? [date] : [];
+    }
+
+    case "WEEKLY": {
+      // Weeks start on Monday (the RRULE default)
+      const weekStart = addDays(
+        startsAt,
+        7 * period * rule.interval - ((startsAt.getUTCDay() + 6) % 7)
+      );
+      const weekdays = rule.byDay.length
+        ? rule.byDay.map(({ weekday }) => weekday)
+        : [startsAt.getUTCDay()];
+      return weekdays
+        .map((weekday) => addDays(weekStart, (weekday + 6) % 7))
+        .sort((a, b) => a - b);
+    }
+
+    case "MONTHLY": {
+      const year = startsAt.getUTCFullYear();
+      const month = startsAt.getUTCMonth() + period * rule.interval;
+      const daysInMonth = new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+      const onDay = (day) => {
+        const date = new Date(startsAt);
+        date.setUTCFullYear(year, month, day);
+        return date;
+      };
+
+      // Same day of the month as the start; months without it are skipped
+      if (!rule.byDay.length) {
+        const day = startsAt.getUTCDate();
+        return day <= daysInMonth ? [onDay(day)] : [];
+      }
+
+      const firstWeekday = onDay(1).getUTCDay();
+      const lastWeekday = onDay(daysInMonth).getUTCDay();
+      return rule.byDay
+        .map(({ weekday, ordinal }) =>
+          ordinal > 0
+            ? 1 + ((weekday - firstWeekday + 7) % 7) + 7 * (ordinal - 1)
+            : daysInMonth -
+              ((lastWeekday - weekday + 7) % 7) +
+              7 * (ordinal + 1)
+        )
+        .filter((day) => day >= 1 && day <= daysInMonth)
+        .map(onDay)
+        .sort((a, b) => a - b);
+    }
+
+    default:
+      return [];
+  }
+};
+
+/**
+ * First date the rule gives after `after`, or null once it has ended
+ * (UNTIL passed; COUNT is up to the caller, which knows how many exist)
+ */
+export const nextOccurrence = (rule, startsAt, after) => {
+  const elapsed = Math.max(0, after - startsAt);
+  const firstPeriod = Math.max(
+    0,
+    Math.floor(elapsed / (PERIOD_MS[rule.freq] * rule.interval)) - 1
+  );
+
+  for (let period = firstPeriod; period < firstPeriod + MAX_PERIODS; period++) {
+    for (const date of periodDates(rule, startsAt, period)) {
+      if (rule.until && date > rule.until) return null;
+      if (date > after) return date;
+    }
+  }
+
+  return null;
+};
+
+/**
+ * The next `limit` dates after `after`, honouring COUNT given how many
+ * occurrences already exist
+ */
+export const upcomingOccurrences = (
+  rule,
+  startsAt,
+  after,
+  { existing = 1, limit = 5 } = {}
+) => {
+  const dates = [];
+  let cursor = after;
+
+  while (dates.length < limit) {
+    if (rule.count && existing + dates.length >= rule.count) break;
+
+    const date = nextOccurrence(rule, startsAt, cursor);
+    if (!date) break;
+
+    dates.push(date);
+    cursor = date;
+  }
+
+  return dates;
+};
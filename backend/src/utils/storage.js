@@ -0,0 +1,145 @@
+import fs from "fs";
+import fsPromises from "fs/promises";
+import path from "path";
+import { fileURLToPath } from "url";
+import {
+  S3Client,
+  PutObjectCommand,
+  GetObjectCommand,
+  DeleteObjectCommand,
+} from "@aws-sdk/client-s3";
+import { errors } from "./errors.js";
+
+/**
+ * File storage with pluggable backends (attachments and their thumbnails)
+ * STORAGE_DRIVER selects the backend: local (default), s3
+ * A backend stores bytes under keys chosen by the caller:
+ *   put(key, body, { contentType }), get(key) -> readable stream, remove(key)
+ */
+
+let storage = null;
+
+// backend/ - relative local directories resolve from here, not the working
+// directory, so uploads land in the gitignored backend/tmp/ wherever the
+// server is started from
+const BACKEND_DIR = path.resolve(
+  path.dirname(fileURLToPath(import.meta.url)),
+  "../.."
+);
+
+/**
+ * Local backend - files on disk under one directory
+ */
+const createLocalStorage = (directory) => {
+  const root = path.resolve(BACKEND_DIR, directory);
+
+  // Keys are generated server side; still never leave the root
+  const resolveKey = (key) => {
+    const filePath = path.resolve(root, key);
+    if (!filePath.startsWith(root + path.sep)) {
+      throw errors.badRequest("Invalid storage key");
+    }
+    return filePath;
+  };
+
+  return {
+    name: "local",
+    put: async (key, body) => {
+      const filePath = resolveKey(key);
+      await fsPromises.mkdir(path.dirname(filePath), { recursive: true });
+      await fsPromises.writeFile(filePath, body);
+    },
+    get: async (key) => {
+      const filePath = resolveKey(key);
+      try {
+        await fsPromises.access(filePath);
+      } catch {
+        throw errors.notFound("File");
+      }
+      return fs.createReadStream(filePath);
+    },
+    remove: async (key) => {
+      await fsPromises.rm(resolveKey(key), { force: true });
+    },
+  };
+};
+
+/**
+ * S3 backend - AWS S3 or any compatible service (MinIO, "npm run mock-s3")
+ * S3_ENDPOINT points at a compatible service; those usually need
+ * path-style URLs, which is the default whenever an endpoint is set
+ */
+const createS3Storage = () => {
+  const bucket = process.env.S3_BUCKET;
+  if (!bucket) {
+    throw new Error("S3_BUCKET is required when STORAGE_DRIVER=s3");
+  }
+
+  const endpoint = process.env.S3_ENDPOINT || undefined;
+  const client = new S3Client({
+    region: process.env.S3_REGION || "us-east-1",
+    endpoint,
+    forcePathStyle: endpoint
+      ? process.env.S3_FORCE_PATH_STYLE !== "false"
+      : process.env.S3_FORCE_PATH_STYLE === "true",
+    credentials: process.env.S3_ACCESS_KEY_ID
+      ? {
+          accessKeyId: process.env.S3_ACCESS_KEY_ID,
+          secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+        }
+      : undefined,
+  });
+
+  return {
+    name: "s3",
+    put: async (key, body, { contentType } = {}) => {
+      await client.send(
+        new PutObjectCommand({
+          Bucket: bucket,
+          Key: key,
+          Body: body,
+          ContentType: contentType,
+        })
+      );
+    },
+    get: async (key) => {
+      try {
+        const response = await client.send(
+          new GetObjectCommand({ Bucket: bucket, Key: key })
+        );
+        return response.Body;
+      } catch (err) {
+        if (err.name === "NoSuchKey") throw errors.notFound("File");
+        throw err;
+      }
+    },
+    remove: async (key) => {
+      await client.send(new DeleteObjectCommand({ Bucket: bucket, Key: key }));
+    },
+  };
+};
+
+/**
+ * Get the configured backend (created on first use)
+ */
+export const getStorage = () => {
+  if (storage) return storage;
+
+  switch (process.env.STORAGE_DRIVER) {
+    case "s3":
+      storage = createS3Storage();
+      break;
+    default:
+      storage = createLocalStorage(process.env.STORAGE_LOCAL_DIR || "tmp/uploads");
+  }
+
+  return storage;
+};
+
+/**
+ * Replace the backend (custom providers)
+ * Any object with async put, get and remove methods can be plugged in
+ */
+export const setStorage = (customStorage) => {
+  storage = customStorage;
+};
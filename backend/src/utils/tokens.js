@@ -0,0 +1,15 @@
+import crypto from "crypto";
+
+/**
+ * Generate a cryptographically random opaque token
+ */
+export const generateToken = (bytes = 48) => {
+  return crypto.randomBytes(bytes).toString("hex");
+};
+
+/**
+ * Hash a token for storage (tokens are never persisted in plain text)
+ */
+export const hashToken = (token) => {
+  return crypto.createHash("sha256").update(token).digest("hex");
+};
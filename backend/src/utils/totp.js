@@ -0,0 +1,143 @@
+import crypto from "crypto";
+
+/**
+ * RFC 6238 time-based one-time passwords (HMAC-SHA1, 6 digits, 30s step)
+ * Compatible with Google Authenticator, Authy, 1Password, etc.
+ */
+
+const BASE32_ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+
+/**
+ * Encode a buffer as RFC 4648 base32 (no padding)
+ */
+export const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = "";
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+};
+
+/**
+ * Decode an RFC 4648 base32 string (case-insensitive, padding optional)
+ */
+export const base32Decode = (input) => {
+  const cleaned = input.toUpperCase().replace(/=+$/, "").replace(/\s/g, "");
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of cleaned) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error("Invalid base32 character");
+    }
+
+    value = (value << 5) | index;
+    bits += 5;
+
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+};
+
+/**
+ * Generate a random base32 secret (160 bits, as recommended by RFC 4226)
+ */
+export const generateSecret = (bytes = 20) => {
+  return base32Encode(crypto.randomBytes(bytes));
+};
+
+/**
+ * Compute the HOTP value for a counter (RFC 4226)
+ */
+const generateHotp = (secret, counter) => {
+  const buffer = Buffer.alloc(8);
+  buffer.writeBigUInt64BE(BigInt(counter));
+
+  const hmac = crypto
+    .createHmac("sha1", base32Decode(secret))
+    .update(buffer)
+    .digest();
+
+  // Dynamic truncation
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const code =
+    ((hmac[offset] & 0x7f) << 24) |
+    (hmac[offset + 1] << 16) |
+    (hmac[offset + 2] << 8) |
+    hmac[offset + 3];
+
+  return (code % 10 ** DIGITS).toString().padStart(DIGITS, "0");
+};
+
+/**
+ * Get the time step for a timestamp
+ */
+export const getTimeStep = (timestamp = Date.now()) => {
+  return Math.floor(timestamp / 1000 / STEP_SECONDS);
+};
+
+/**
+ * Generate the TOTP code for a timestamp
+ */
+export const generateTotp = (secret, timestamp = Date.now()) => {
+  return generateHotp(secret, getTimeStep(timestamp));
+};
+
+/**
+ * Verify a TOTP code, allowing +/- `window` steps of clock drift
+ * Returns the matched time step (for replay protection) or null
+ */
+export const verifyTotp = (secret, code, { window = 1, timestamp = Date.now() } = {}) => {
+  if (!/^\d{6}$/.test(String(code))) return null;
+
+  const currentStep = getTimeStep(timestamp);
+
+  for (let offset = -window; offset <= window; offset++) {
+    const step = currentStep + offset;
+    const expected = generateHotp(secret, step);
+
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(String(code)))) {
+      return step;
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Build the otpauth:// URI consumed by authenticator apps (QR code payload)
+ */
+export const buildOtpAuthUri = ({ secret, accountName, issuer }) => {
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: "SHA1",
+    digits: String(DIGITS),
+    period: String(STEP_SECONDS),
+  });
+
+  return `otpauth://totp/${label}?${params.toString()}`;
+};
@@ -0,0 +1,111 @@
+import { errors } from "./errors.js";
+
+/**
+ * Project workflow helpers
+ * A workflow lists the statuses a task can be in, each belonging to a
+ * TODO, ACTIVE or DONE category, and the transitions allowed between them.
+ * Business rules (completion, blocking, rollups) only look at categories
+ */
+
+export const STATUS_CATEGORIES = ["TODO", "ACTIVE", "DONE"];
+
+// Who a transition can be limited to; admins and the project owner may use any
+export const TRANSITION_ROLES = ["OWNER", "MANAGER", "MEMBER", "ASSIGNEE"];
+const DEFAULT_TRANSITION_ROLES = ["OWNER", "MANAGER", "ASSIGNEE"];
+
+export const STATUS_KEY_PATTERN = /^[A-Z][A-Z0-9_]{0,29}$/;
+
+// The original TODO -> IN_PROGRESS -> DONE flow
+export const DEFAULT_WORKFLOW = {
+  statuses: [
+    { key: "TODO", name: "To Do", category: "TODO" },
+    { key: "IN_PROGRESS", name: "In Progress", category: "ACTIVE" },
+    { key: "DONE", name: "Done", category: "DONE" },
+  ],
+  transitions: [
+    { from: "TODO", to: "IN_PROGRESS", roles: DEFAULT_TRANSITION_ROLES },
+    { from: "IN_PROGRESS", to: "TODO", roles: DEFAULT_TRANSITION_ROLES },
+    { from: "IN_PROGRESS", to: "DONE", roles: DEFAULT_TRANSITION_ROLES },
+    { from: "DONE", to: "TODO", roles: DEFAULT_TRANSITION_ROLES },
+    { from: "DONE", to: "IN_PROGRESS", roles: DEFAULT_TRANSITION_ROLES },
+  ],
+  initialStatus: "TODO",
+};
+
+/**
+ * The workflow a project's tasks follow
+ */
+export const getWorkflow = (project) =>
+  project?.workflow?.statuses?.length ? project.workflow : DEFAULT_WORKFLOW;
+
+export const findStatus = (workflow, key) =>
+  workflow.statuses.find((status) => status.key === key) || null;
+
+export const getStatusCategory = (workflow, key) =>
+  findStatus(workflow, key)?.category || null;
+
+export const findTransition = (workflow, from, to) =>
+  workflow.transitions.find(
+    (transition) => transition.from === from && transition.to === to
+  ) || null;
+
+/**
+ * Check a workflow definition and fill in defaults
+ * Returns the normalized workflow
+ */
+export const normalizeWorkflow = ({ statuses, transitions, initialStatus }) => {
+  const keys = statuses.map((status) => status.key);
+
+  const duplicate = keys.find((key, index) => keys.indexOf(key) !== index);
+  if (duplicate) {
+    throw errors.badRequest(`Status ${duplicate} is defined twice`);
+  }
+
+  if (!statuses.some((status) => status.category === "DONE")) {
+    throw errors.badRequest("A workflow needs at least one DONE status");
+  }
+  if (!statuses.some((status) => status.category !== "DONE")) {
+    throw errors.badRequest("A workflow needs at least one open status");
+  }
+
+  const seen = new Set();
+  for (const { from, to } of transitions) {
+    if (!keys.includes(from) || !keys.includes(to)) {
+      throw errors.badRequest(
+        `Transition ${from} -> ${to} uses a status that is not defined`
+      );
+    }
+    if (from === to) {
+      throw errors.badRequest(`Transition ${from} -> ${to} goes nowhere`);
+    }
+    if (seen.has(`${from}>${to}`)) {
+      throw errors.badRequest(`Transition ${from} -> ${to} is defined twice`);
+    }
+    seen.add(`${from}>${to}`);
+  }
+
+  const initial =
+    initialStatus ||
+    statuses.find((status) => status.category === "TODO")?.key ||
+    statuses[0].key;
+  if (!keys.includes(initial)) {
+    throw errors.badRequest(`Initial status ${initial} is not defined`);
+  }
+  if (getStatusCategory({ statuses }, initial) === "DONE") {
+    throw errors.badRequest("New tasks cannot start in a DONE status");
+  }
+
+  return {
+    statuses: statuses.map(({ key, name, category }) => ({
+      key,
+      name,
+      category,
+    })),
+    transitions: transitions.map(({ from, to, roles }) => ({
+      from,
+      to,
+      roles: roles?.length ? roles : DEFAULT_TRANSITION_ROLES,
+    })),
+    initialStatus: initial,
+  };
+};
@@ -1,8 +1,70 @@
 import { z } from "zod";
+import {
+  STATUS_CATEGORIES,
+  STATUS_KEY_PATTERN,
+  TRANSITION_ROLES,
+} from "../utils/workflow.js";
+import {
+  CUSTOM_FIELD_KEY_PATTERN,
+  CUSTOM_FIELD_TYPES,
+  MAX_CUSTOM_FIELDS,
+} from "../utils/customFields.js";
 
 /**
  * Project validation schemas
  */
+const statusKeySchema = z
+  .string()
+  .regex(
+    STATUS_KEY_PATTERN,
+    "Status keys use upper case letters, digits and underscores"
+  );
+
+// Shape only; consistency is checked by normalizeWorkflow
+const workflowSchema = z.object({
+  statuses: z
+    .array(
+      z.object({
+        key: statusKeySchema,
+        name: z.string().min(1).max(50),
+        category: z.enum(STATUS_CATEGORIES),
+      })
+    )
+    .min(2, "A workflow needs at least two statuses")
+    .max(20, "A workflow can have at most 20 statuses"),
+  transitions: z
+    .array(
+      z.object({
+        from: statusKeySchema,
+        to: statusKeySchema,
+        roles: z.array(z.enum(TRANSITION_ROLES)).optional(),
+      })
+    )
+    .max(400),
+  initialStatus: statusKeySchema.optional(),
+});
+
+// Shape only; consistency is checked by normalizeCustomFields
+const customFieldsSchema = z
+  .array(
+    z.object({
+      key: z
+        .string()
+        .regex(
+          CUSTOM_FIELD_KEY_PATTERN,
+          "Custom field keys use lower case letters, digits and underscores"
+        ),
+      name: z.string().min(1).max(50),
+      type: z.enum(CUSTOM_FIELD_TYPES),
+      options: z.array(z.string().min(1).max(200)).max(100).optional(),
+      required: z.boolean().optional(),
+    })
+  )
+  .max(
+    MAX_CUSTOM_FIELDS,
+    `A project can have at most ${MAX_CUSTOM_FIELDS} custom fields`
+  );
+
 export const createProjectSchema = z.object({
   body: z.object({
     name: z
@@ -14,10 +76,18 @@ export const createProjectSchema = z.object({
       .max(500, "Description cannot exceed 500 characters")
       .optional()
       .default(""),
+    workflow: workflowSchema.optional(),
+    customFields: customFieldsSchema.optional(),
+    requireChecklistForDone: z.boolean().optional(),
   }),
 });
 
 export const updateProjectSchema = z.object({
+  params: z.object({
+    projectId: z
+      .string()
+      .regex(/^[0-9a-fA-F]{24}$/, "Invalid project ID format"),
+  }),
   body: z.object({
     name: z
       .string()
@@ -29,6 +99,83 @@ export const updateProjectSchema = z.object({
       .max(500, "Description cannot exceed 500 characters")
       .optional(),
     status: z.enum(["ACTIVE", "ARCHIVED"]).optional(),
+    requireChecklistForDone: z.boolean().optional(),
+  }),
+});
+
+export const updateWorkflowSchema = z.object({
+  params: z.object({
+    projectId: z
+      .string()
+      .regex(/^[0-9a-fA-F]{24}$/, "Invalid project ID format"),
+  }),
+  // statusMapping moves tasks out of removed statuses ({ OLD: "NEW" })
+  body: workflowSchema.extend({
+    statusMapping: z.record(statusKeySchema, statusKeySchema).optional(),
+  }),
+});
+
+export const updateCustomFieldsSchema = z.object({
+  params: z.object({
+    projectId: z
+      .string()
+      .regex(/^[0-9a-fA-F]{24}$/, "Invalid project ID format"),
+  }),
+  body: z.object({
+    fields: customFieldsSchema,
+  }),
+});
+
+const labelNameSchema = z
+  .string()
+  .trim()
+  .min(1, "Label name is required")
+  .max(50, "Label name cannot exceed 50 characters");
+
+const labelColorSchema = z
+  .string()
+  .regex(/^#[0-9a-fA-F]{6}$/, "Label color must be a hex color like #3b82f6");
+
+export const createLabelSchema = z.object({
+  params: z.object({
+    projectId: z
+      .string()
+      .regex(/^[0-9a-fA-F]{24}$/, "Invalid project ID format"),
+  }),
+  body: z.object({
+    name: labelNameSchema,
+    color: labelColorSchema.optional().default("#64748b"),
+  }),
+});
+
+export const updateLabelSchema = z.object({
+  params: z.object({
+    projectId: z
+      .string()
+      .regex(/^[0-9a-fA-F]{24}$/, "Invalid project ID format"),
+    labelId: z
+      .string()
+      .regex(/^[0-9a-fA-F]{24}$/, "Invalid label ID format"),
+  }),
+  body: z
+    .object({
+      name: labelNameSchema.optional(),
+      color: labelColorSchema.optional(),
+    })
+    .refine(
+      (body) => body.name !== undefined || body.color !== undefined,
+      "Nothing to update"
+    ),
+});
+
+export const labelIdSchema = z.object({
+  params: z.object({
+    projectId: z
+      .string()
+      .regex(/^[0-9a-fA-F]{24}$/, "Invalid project ID format"),
+    labelId: z
+      .string()
+      .regex(/^[0-9a-fA-F]{24}$/, "Invalid label ID format"),
   }),
 });
 
@@ -41,6 +188,11 @@ export const projectIdSchema = z.object({
 });
 
 export const addProjectMemberSchema = z.object({
+  params: z.object({
+    projectId: z
+      .string()
+      .regex(/^[0-9a-fA-F]{24}$/, "Invalid project ID format"),
+  }),
   body: z.object({
     userId: z
       .string()
@@ -55,6 +207,49 @@ export const updateProjectMemberSchema = z.object({
   }),
 });
 
+export const createInvitationSchema = z.object({
+  params: z.object({
+    projectId: z
+      .string()
+      .regex(/^[0-9a-fA-F]{24}$/, "Invalid project ID format"),
+  }),
+  body: z.object({
+    email: z.string().email("Invalid email format"),
+    role: z.enum(["MANAGER", "MEMBER"]).default("MEMBER"),
+  }),
+});
+
+export const invitationListQuerySchema = z.object({
+  params: z.object({
+    projectId: z
+      .string()
+      .regex(/^[0-9a-fA-F]{24}$/, "Invalid project ID format"),
+  }),
+  query: z.object({
+    status: z
+      .enum(["PENDING", "ACCEPTED", "DECLINED", "REVOKED", "EXPIRED", "ALL"])
+      .optional()
+      .default("PENDING"),
+  }),
+});
+
+export const invitationIdSchema = z.object({
+  params: z.object({
+    projectId: z
+      .string()
+      .regex(/^[0-9a-fA-F]{24}$/, "Invalid project ID format"),
+    invitationId: z
+      .string()
+      .regex(/^[0-9a-fA-F]{24}$/, "Invalid invitation ID format"),
+  }),
+});
+
+export const invitationTokenSchema = z.object({
+  body: z.object({
+    token: z.string().min(1, "Invitation token is required"),
+  }),
+});
+
 /**
  * Validator middleware factory
  */
@@ -70,7 +265,7 @@ export const validateRequest = (schema) => {
       next();
     } catch (error) {
       if (error.name === "ZodError") {
-        const message = error.errors
+        const message = error.issues
           .map((e) => `${e.path.join(".")}: ${e.message}`)
           .join("; ");
         return res.status(400).json({
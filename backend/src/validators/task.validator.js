@@ -1,4 +1,110 @@
 import { z } from "zod";
+import { STATUS_CATEGORIES, STATUS_KEY_PATTERN } from "../utils/workflow.js";
+import {
+  CUSTOM_FIELD_KEY_PATTERN,
+  customFieldValueSchema,
+} from "../utils/customFields.js";
+
+// Any well-formed status key; the project workflow decides which exist
+const statusKeySchema = z
+  .string()
+  .regex(STATUS_KEY_PATTERN, "Invalid status");
+
+// Shape only; values are checked against the project's field definitions
+const customFieldValuesSchema = z.record(
+  z.string().regex(CUSTOM_FIELD_KEY_PATTERN, "Invalid custom field key"),
+  customFieldValueSchema
+);
+
+/**
+ * Move ?cf.<key>=value params into customFieldFilters and drop any other
+ * unknown params
+ */
+const splitCustomFieldParams = (knownKeys) => (query) => {
+  const result = { customFieldFilters: {} };
+  for (const [param, value] of Object.entries(query)) {
+    if (param.startsWith("cf.")) {
+      result.customFieldFilters[param.slice(3)] = value;
+    } else if (knownKeys.includes(param)) {
+      result[param] = value;
+    }
+  }
+  return result;
+};
+
+const labelIdsSchema = z
+  .array(z.string().regex(/^[0-9a-fA-F]{24}$/, "Invalid label ID format"))
+  .max(20, "A task can have at most 20 labels");
+
+// Filters shared by the task list and the export
+const taskFilterQueryShape = {
+  status: statusKeySchema.optional(),
+  statusCategory: z.enum(STATUS_CATEGORIES).optional(),
+  priority: z.enum(["LOW", "MEDIUM", "HIGH"]).optional(),
+  assignedTo: z
+    .string()
+    .regex(/^[0-9a-fA-F]{24}$/, "Invalid user ID format")
+    .optional(),
+  parentId: z
+    .string()
+    .regex(/^([0-9a-fA-F]{24}|root)$/, "Invalid parent task ID format")
+    .optional(),
+  // ?label=id1,id2 (or repeated); labelMode=all requires every label
+  label: z
+    .union([z.string(), z.array(z.string())])
+    .transform((value) =>
+      [value]
+        .flat()
+        .flatMap((ids) => ids.split(","))
+        .filter(Boolean)
+    )
+    .pipe(labelIdsSchema)
+    .optional(),
+  labelMode: z.enum(["any", "all"]).optional().default("any"),
+};
+
+// RRULE subset; the rule itself is checked by utils/recurrence.js
+const recurrenceSchema = z
+  .string()
+  .trim()
+  .min(1, "Recurrence rule cannot be empty")
+  .max(200, "Recurrence rule cannot exceed 200 characters");
+
+// Estimates are whole minutes; null clears one
+const estimateSchema = z
+  .number()
+  .int("Estimates are in whole minutes")
+  .min(0, "Estimates cannot be negative")
+  .max(100000, "Estimates cannot exceed 100000 minutes")
+  .nullable();
+
+const worklogMinutesSchema = z
+  .number()
+  .int("Time is logged in whole minutes")
+  .min(1, "Log at least one minute")
+  .max(1440, "A worklog cannot exceed 24 hours");
+
+const worklogNoteSchema = z
+  .string()
+  .max(500, "Worklog note cannot exceed 500 characters");
+
+// When the work started; no later than now
+const worklogStartSchema = z
+  .string()
+  .datetime()
+  .transform((value) => new Date(value))
+  .refine((date) => date <= new Date(), "Worklogs cannot start in the future");
+
+// A day (2026-10-01, midnight UTC) or an exact time
+const timesheetDateSchema = z
+  .union([z.string().date(), z.string().datetime()])
+  .transform((value) => new Date(value));
+
+// Built-in sort keys, or cf.<key> for a custom field
+const taskSortSchema = z.union([
+  z.enum(["createdAt", "dueDate", "priority"]),
+  z.string().regex(/^cf\.[a-z][a-z0-9_]{0,39}$/, "Invalid sort field"),
+]);
 
 /**
  * Task validation schemas
@@ -25,7 +131,27 @@ export const createTaskSchema = z.object({
       .datetime()
       .optional()
       .nullable(),
-  }),
+    parentId: z
+      .string()
+      .regex(/^[0-9a-fA-F]{24}$/, "Invalid parent task ID format")
+      .optional()
+      .nullable(),
+    customFields: customFieldValuesSchema.optional(),
+    labels: labelIdsSchema.optional(),
+    // Makes the task the first occurrence of a repeating series
+    recurrence: recurrenceSchema.optional(),
+    // The remaining estimate starts out as the original one
+    originalEstimate: estimateSchema.optional(),
+    remainingEstimate: estimateSchema.optional(),
+  })
+    .refine((body) => !body.recurrence || body.dueDate, {
+      message: "A repeating task needs a due date for its first occurrence",
+      path: ["dueDate"],
+    })
+    .refine((body) => !body.recurrence || !body.parentId, {
+      message: "Subtasks cannot repeat",
+      path: ["recurrence"],
+    }),
   params: z.object({
     projectId: z
       .string()
@@ -44,7 +170,7 @@ export const updateTaskSchema = z.object({
       .string()
       .max(1000, "Description cannot exceed 1000 characters")
       .optional(),
-    status: z.enum(["TODO", "IN_PROGRESS", "DONE"]).optional(),
+    status: statusKeySchema.optional(),
     priority: z.enum(["LOW", "MEDIUM", "HIGH"]).optional(),
     assignedTo: z
       .string()
@@ -56,6 +182,24 @@ export const updateTaskSchema = z.object({
       .datetime()
       .optional()
       .nullable(),
+    parentId: z
+      .string()
+      .regex(/^[0-9a-fA-F]{24}$/, "Invalid parent task ID format")
+      .optional()
+      .nullable(),
+    // Only the fields sent are changed; null clears one
+    customFields: customFieldValuesSchema.optional(),
+    // Replaces the task's labels
+    labels: labelIdsSchema.optional(),
+    originalEstimate: estimateSchema.optional(),
+    remainingEstimate: estimateSchema.optional(),
+    // Managers may start a task that is still blocked
+    force: z.boolean().optional(),
+  }),
+  params: z.object({
+    taskId: z
+      .string()
+      .regex(/^[0-9a-fA-F]{24}$/, "Invalid task ID format"),
   }),
 });
 
@@ -67,39 +211,579 @@ export const taskIdSchema = z.object({
   }),
 });
 
-export const taskListQuerySchema = z.object({
+export const subtaskListQuerySchema = z.object({
+  params: z.object({
+    taskId: z
+      .string()
+      .regex(/^[0-9a-fA-F]{24}$/, "Invalid task ID format"),
+  }),
   query: z.object({
-    status: z
-      .enum(["TODO", "IN_PROGRESS", "DONE"])
+    recursive: z
+      .enum(["true", "false"])
+      .transform((value) => value === "true")
       .optional(),
-    priority: z.enum(["LOW", "MEDIUM", "HIGH"]).optional(),
-    assignedTo: z
+  }),
+});
+
+export const deleteTaskSchema = z.object({
+  params: z.object({
+    taskId: z
       .string()
-      .regex(/^[0-9a-fA-F]{24}$/, "Invalid user ID format")
+      .regex(/^[0-9a-fA-F]{24}$/, "Invalid task ID format"),
+  }),
+  query: z.object({
+    keepSubtasks: z
+      .enum(["true", "false"])
+      .transform((value) => value === "true")
       .optional(),
+  }),
+});
+
+export const taskHistoryQuerySchema = z.object({
+  params: z.object({
+    taskId: z
+      .string()
+      .regex(/^[0-9a-fA-F]{24}$/, "Invalid task ID format"),
+  }),
+  query: z.object({
     page: z
       .string()
       .transform(Number)
-      .refine((n) => n >= 1, "Page must be >= 1")
-      .optional()
-      .default("1"),
+      .refine((n) => Number.isInteger(n) && n >= 1, "Page must be >= 1")
+      .optional(),
     limit: z
       .string()
       .transform(Number)
-      .refine((n) => n >= 1 && n <= 100, "Limit must be between 1 and 100")
-      .optional()
-      .default("10"),
-    sortBy: z
-      .enum(["createdAt", "dueDate", "priority"])
-      .optional()
-      .default("createdAt"),
-    order: z.enum(["asc", "desc"]).optional().default("desc"),
+      .refine(
+        (n) => Number.isInteger(n) && n >= 1 && n <= 100,
+        "Limit must be between 1 and 100"
+      )
+      .optional(),
+  }),
+});
+
+// Whole-series edit; the fields sent change every open occurrence
+export const updateTaskSeriesSchema = z.object({
+  params: z.object({
+    taskId: z
+      .string()
+      .regex(/^[0-9a-fA-F]{24}$/, "Invalid task ID format"),
+  }),
+  body: z
+    .object({
+      title: z
+        .string()
+        .min(3, "Task title must be at least 3 characters")
+        .max(200, "Task title cannot exceed 200 characters")
+        .optional(),
+      description: z
+        .string()
+        .max(1000, "Description cannot exceed 1000 characters")
+        .optional(),
+      priority: z.enum(["LOW", "MEDIUM", "HIGH"]).optional(),
+      assignedTo: z
+        .string()
+        .regex(/^[0-9a-fA-F]{24}$/, "Invalid user ID format")
+        .optional()
+        .nullable(),
+      customFields: customFieldValuesSchema.optional(),
+      labels: labelIdsSchema.optional(),
+      recurrence: recurrenceSchema.optional(),
+    })
+    .refine((body) => Object.keys(body).length > 0, {
+      message: "Send at least one field to change",
+    }),
+});
+
+export const createTaskLinkSchema = z.object({
+  params: z.object({
+    taskId: z
+      .string()
+      .regex(/^[0-9a-fA-F]{24}$/, "Invalid task ID format"),
+  }),
+  body: z.object({
+    targetTaskId: z
+      .string()
+      .regex(/^[0-9a-fA-F]{24}$/, "Invalid target task ID format"),
+    type: z.enum(["BLOCKS", "BLOCKED_BY", "RELATES_TO", "DUPLICATES"]),
+  }),
+});
+
+export const taskLinkIdSchema = z.object({
+  params: z.object({
+    taskId: z
+      .string()
+      .regex(/^[0-9a-fA-F]{24}$/, "Invalid task ID format"),
+    linkId: z
+      .string()
+      .regex(/^[0-9a-fA-F]{24}$/, "Invalid link ID format"),
+  }),
+});
+
+export const dependencyGraphSchema = z.object({
+  params: z.object({
+    projectId: z
+      .string()
+      .regex(/^[0-9a-fA-F]{24}$/, "Invalid project ID format"),
+  }),
+});
+
+export const taskListQuerySchema = z.object({
+  query: z
+    .object({
+      ...taskFilterQueryShape,
+      page: z
+        .string()
+        .transform(Number)
+        .refine((n) => n >= 1, "Page must be >= 1")
+        .optional()
+        .default("1"),
+      limit: z
+        .string()
+        .transform(Number)
+        .refine((n) => n >= 1 && n <= 100, "Limit must be between 1 and 100")
+        .optional()
+        .default("10"),
+      sortBy: taskSortSchema.optional().default("createdAt"),
+      order: z.enum(["asc", "desc"]).optional().default("desc"),
+    })
+    .catchall(z.string())
+    .transform(
+      splitCustomFieldParams([
+        ...Object.keys(taskFilterQueryShape),
+        "page",
+        "limit",
+        "sortBy",
+        "order",
+      ])
+    ),
+});
+
+export const taskExportQuerySchema = z.object({
+  params: z.object({
+    projectId: z
+      .string()
+      .regex(/^[0-9a-fA-F]{24}$/, "Invalid project ID format"),
+  }),
+  query: z
+    .object({
+      ...taskFilterQueryShape,
+      format: z.enum(["csv", "json"]).optional().default("csv"),
+      sortBy: taskSortSchema.optional().default("createdAt"),
+      order: z.enum(["asc", "desc"]).optional().default("desc"),
+    })
+    .catchall(z.string())
+    .transform(
+      splitCustomFieldParams([
+        ...Object.keys(taskFilterQueryShape),
+        "format",
+        "sortBy",
+        "order",
+      ])
+    ),
+});
+
+export const startTimerSchema = z.object({
+  params: z.object({
+    taskId: z
+      .string()
+      .regex(/^[0-9a-fA-F]{24}$/, "Invalid task ID format"),
+  }),
+  // The body is optional
+  body: z
+    .object({
+      note: worklogNoteSchema.optional(),
+    })
+    .default({}),
+});
+
+export const stopTimerSchema = z.object({
+  // The body is optional
+  body: z
+    .object({
+      note: worklogNoteSchema.optional(),
+    })
+    .default({}),
+});
+
+export const createWorklogSchema = z.object({
+  params: z.object({
+    taskId: z
+      .string()
+      .regex(/^[0-9a-fA-F]{24}$/, "Invalid task ID format"),
+  }),
+  body: z.object({
+    minutes: worklogMinutesSchema,
+    startedAt: worklogStartSchema.optional(),
+    note: worklogNoteSchema.optional(),
+  }),
+});
+
+export const updateWorklogSchema = z.object({
+  params: z.object({
+    taskId: z
+      .string()
+      .regex(/^[0-9a-fA-F]{24}$/, "Invalid task ID format"),
+    worklogId: z
+      .string()
+      .regex(/^[0-9a-fA-F]{24}$/, "Invalid worklog ID format"),
+  }),
+  body: z
+    .object({
+      minutes: worklogMinutesSchema.optional(),
+      startedAt: worklogStartSchema.optional(),
+      note: worklogNoteSchema.optional(),
+    })
+    .refine((body) => Object.keys(body).length > 0, {
+      message: "Send at least one field to change",
+    }),
+});
+
+export const worklogIdSchema = z.object({
+  params: z.object({
+    taskId: z
+      .string()
+      .regex(/^[0-9a-fA-F]{24}$/, "Invalid task ID format"),
+    worklogId: z
+      .string()
+      .regex(/^[0-9a-fA-F]{24}$/, "Invalid worklog ID format"),
+  }),
+});
+
+export const timesheetQuerySchema = z.object({
+  params: z.object({
+    projectId: z
+      .string()
+      .regex(/^[0-9a-fA-F]{24}$/, "Invalid project ID format"),
+  }),
+  query: z.object({
+    from: timesheetDateSchema.optional(),
+    to: timesheetDateSchema.optional(),
+    userId: z
+      .string()
+      .regex(/^[0-9a-fA-F]{24}$/, "Invalid user ID format")
+      .optional(),
+  }),
+});
+
+// Multipart form fields sent with the file
+export const uploadAttachmentSchema = z.object({
+  params: z.object({
+    taskId: z
+      .string()
+      .regex(/^[0-9a-fA-F]{24}$/, "Invalid task ID format"),
+  }),
+  body: z
+    .object({
+      commentId: z
+        .string()
+        .regex(/^[0-9a-fA-F]{24}$/, "Invalid comment ID format")
+        .optional(),
+    })
+    .default({}),
+});
+
+export const attachmentIdSchema = z.object({
+  params: z.object({
+    taskId: z
+      .string()
+      .regex(/^[0-9a-fA-F]{24}$/, "Invalid task ID format"),
+    attachmentId: z
+      .string()
+      .regex(/^[0-9a-fA-F]{24}$/, "Invalid attachment ID format"),
+  }),
+});
+
+const commentTextSchema = z
+  .string()
+  .trim()
+  .min(1, "Comment cannot be empty")
+  .max(5000, "Comment cannot exceed 5000 characters");
+
+const commentParamsSchema = z.object({
+  taskId: z
+    .string()
+    .regex(/^[0-9a-fA-F]{24}$/, "Invalid task ID format"),
+  commentId: z
+    .string()
+    .regex(/^[0-9a-fA-F]{24}$/, "Invalid comment ID format"),
+});
+
+export const commentListQuerySchema = z.object({
+  params: z.object({
+    taskId: z
+      .string()
+      .regex(/^[0-9a-fA-F]{24}$/, "Invalid task ID format"),
+  }),
+  query: z.object({
+    // Replies of this comment instead of the task's top-level comments
+    parentId: z
+      .string()
+      .regex(/^[0-9a-fA-F]{24}$/, "Invalid comment ID format")
+      .optional(),
+    // nextCursor of the previous page
+    cursor: z
+      .string()
+      .regex(/^[0-9a-fA-F]{24}$/, "Invalid cursor")
+      .optional(),
+    limit: z
+      .string()
+      .transform(Number)
+      .refine(
+        (n) => Number.isInteger(n) && n >= 1 && n <= 100,
+        "Limit must be between 1 and 100"
+      )
+      .optional(),
+  }),
+});
+
+export const createCommentSchema = z.object({
+  params: z.object({
+    taskId: z
+      .string()
+      .regex(/^[0-9a-fA-F]{24}$/, "Invalid task ID format"),
+  }),
+  body: z.object({
+    text: commentTextSchema,
+    // Reply to this comment
+    parentId: z
+      .string()
+      .regex(/^[0-9a-fA-F]{24}$/, "Invalid comment ID format")
+      .optional(),
+  }),
+});
+
+export const updateCommentSchema = z.object({
+  params: commentParamsSchema,
+  body: z.object({
+    text: commentTextSchema,
+  }),
+});
+
+export const commentIdSchema = z.object({
+  params: commentParamsSchema,
+});
+
+// A single emoji, including skin tones, flags and joined sequences
+export const commentReactionSchema = z.object({
+  params: commentParamsSchema.extend({
+    emoji: z
+      .string()
+      .max(32, "Invalid emoji")
+      .regex(
+        /^(?=.*[\p{Extended_Pictographic}\p{Regional_Indicator}])[\p{Extended_Pictographic}\p{Emoji_Component}\u200d\ufe0f]+$/u,
+        "Invalid emoji"
+      ),
+  }),
+});
+
+const checklistTextSchema = z
+  .string()
+  .trim()
+  .min(1, "Checklist item cannot be empty")
+  .max(200, "Checklist item cannot exceed 200 characters");
+
+const checklistAssigneeSchema = z
+  .string()
+  .regex(/^[0-9a-fA-F]{24}$/, "Invalid user ID format")
+  .nullable();
+
+export const createChecklistItemSchema = z.object({
+  params: z.object({
+    taskId: z
+      .string()
+      .regex(/^[0-9a-fA-F]{24}$/, "Invalid task ID format"),
+  }),
+  body: z.object({
+    text: checklistTextSchema,
+    required: z.boolean().optional(),
+    assignedTo: checklistAssigneeSchema.optional(),
+    // Where to insert the item (0 is first); defaults to the end
+    position: z.number().int().min(0).optional(),
+  }),
+});
+
+export const updateChecklistItemSchema = z.object({
+  params: z.object({
+    taskId: z
+      .string()
+      .regex(/^[0-9a-fA-F]{24}$/, "Invalid task ID format"),
+    itemId: z
+      .string()
+      .regex(/^[0-9a-fA-F]{24}$/, "Invalid checklist item ID format"),
+  }),
+  body: z
+    .object({
+      text: checklistTextSchema.optional(),
+      done: z.boolean().optional(),
+      required: z.boolean().optional(),
+      assignedTo: checklistAssigneeSchema.optional(),
+    })
+    .refine((body) => Object.keys(body).length > 0, {
+      message: "Nothing to update",
+    }),
+});
+
+export const checklistItemIdSchema = z.object({
+  params: z.object({
+    taskId: z
+      .string()
+      .regex(/^[0-9a-fA-F]{24}$/, "Invalid task ID format"),
+    itemId: z
+      .string()
+      .regex(/^[0-9a-fA-F]{24}$/, "Invalid checklist item ID format"),
+  }),
+});
+
+export const reorderChecklistSchema = z.object({
+  params: z.object({
+    taskId: z
+      .string()
+      .regex(/^[0-9a-fA-F]{24}$/, "Invalid task ID format"),
+  }),
+  body: z.object({
+    // Every item of the checklist, in the new order
+    itemIds: z.array(
+      z.string().regex(/^[0-9a-fA-F]{24}$/, "Invalid checklist item ID format")
+    ),
+  }),
+});
+
+// Who takes over tasks whose assignee isn't a member of the target project;
+// without it those tasks end up unassigned
+const reassignToSchema = z
+  .string()
+  .regex(/^[0-9a-fA-F]{24}$/, "Invalid user ID format")
+  .optional();
+
+export const moveTaskSchema = z.object({
+  params: z.object({
+    taskId: z
+      .string()
+      .regex(/^[0-9a-fA-F]{24}$/, "Invalid task ID format"),
+  }),
+  body: z.object({
+    projectId: z
+      .string()
+      .regex(/^[0-9a-fA-F]{24}$/, "Invalid project ID format"),
+    reassignTo: reassignToSchema,
+  }),
+});
+
+export const cloneTaskSchema = z.object({
+  params: z.object({
+    taskId: z
+      .string()
+      .regex(/^[0-9a-fA-F]{24}$/, "Invalid task ID format"),
+  }),
+  body: z
+    .object({
+      // Defaults to the task's own project
+      projectId: z
+        .string()
+        .regex(/^[0-9a-fA-F]{24}$/, "Invalid project ID format")
+        .optional(),
+      includeSubtasks: z.boolean().optional().default(false),
+      reassignTo: reassignToSchema,
+    })
+    .default({}),
+});
+
+// The change a bulk operation makes to each task
+const bulkOperationSchema = z.discriminatedUnion("type", [
+  z.object({
+    type: z.literal("SET_STATUS"),
+    status: statusKeySchema,
+    // Managers may start tasks that are still blocked
+    force: z.boolean().optional(),
+  }),
+  z.object({
+    type: z.literal("SET_PRIORITY"),
+    priority: z.enum(["LOW", "MEDIUM", "HIGH"]),
+  }),
+  z.object({
+    type: z.literal("SET_ASSIGNEE"),
+    // null unassigns
+    assignedTo: z
+      .string()
+      .regex(/^[0-9a-fA-F]{24}$/, "Invalid user ID format")
+      .nullable(),
+  }),
+  z.object({
+    type: z.literal("SET_DUE_DATE"),
+    // null clears it
+    dueDate: z.string().datetime().nullable(),
+  }),
+  z.object({
+    type: z.literal("SET_LABELS"),
+    labels: labelIdsSchema,
+    // Replace the task's labels, or add or remove these
+    mode: z.enum(["set", "add", "remove"]).optional().default("set"),
+  }),
+  z.object({
+    type: z.literal("MOVE"),
+    // The new parent task; null makes the tasks top-level
+    parentId: z
+      .string()
+      .regex(/^[0-9a-fA-F]{24}$/, "Invalid parent task ID format")
+      .nullable(),
+  }),
+  z.object({
+    type: z.literal("DELETE"),
+    keepSubtasks: z.boolean().optional().default(false),
+  }),
+]);
+
+export const bulkTaskOperationSchema = z.object({
+  params: z.object({
+    projectId: z
+      .string()
+      .regex(/^[0-9a-fA-F]{24}$/, "Invalid project ID format"),
+  }),
+  body: z
+    .object({
+      taskIds: z
+        .array(
+          z.string().regex(/^[0-9a-fA-F]{24}$/, "Invalid task ID format")
+        )
+        .min(1, "List at least one task")
+        .max(1000, "A bulk operation can change at most 1000 tasks")
+        .optional(),
+      // The task list's filters, in their query string form
+      filter: z
+        .object(taskFilterQueryShape)
+        .catchall(z.string())
+        .transform(
+          splitCustomFieldParams(Object.keys(taskFilterQueryShape))
+        )
+        .optional(),
+      operation: bulkOperationSchema,
+    })
+    .refine((body) => Boolean(body.taskIds) !== Boolean(body.filter), {
+      message: "Send either taskIds or filter",
+    }),
+});
+
+export const bulkOperationIdSchema = z.object({
+  params: z.object({
+    projectId: z
+      .string()
+      .regex(/^[0-9a-fA-F]{24}$/, "Invalid project ID format"),
+    bulkOperationId: z
+      .string()
+      .regex(/^[0-9a-fA-F]{24}$/, "Invalid bulk operation ID format"),
   }),
 });
 
 export const updateTaskStatusSchema = z.object({
   body: z.object({
-    status: z.enum(["TODO", "IN_PROGRESS", "DONE"]),
+    status: statusKeySchema,
+    force: z.boolean().optional(),
+  }),
+  params: z.object({
+    taskId: z
+      .string()
+      .regex(/^[0-9a-fA-F]{24}$/, "Invalid task ID format"),
   }),
 });
 
@@ -118,7 +802,7 @@ export const validateRequest = (schema) => {
       next();
     } catch (error) {
       if (error.name === "ZodError") {
-        const message = error.errors
+        const message = error.issues
           .map((e) => `${e.path.join(".")}: ${e.message}`)
           .join("; ");
         return res.status(400).json({
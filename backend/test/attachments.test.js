@@ -0,0 +1,138 @@
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs/promises";
+import os from "os";
+import path from "path";
+import { connectMemoryDb, clearMemoryDb } from "./helpers/memoryDb.js";
+import { startTestServer } from "./helpers/server.js";
+import { startMockServer } from "./helpers/mockServer.js";
+import {
+  makeOrganization,
+  makeUser,
+  makeProject,
+  makeTask,
+} from "./helpers/fixtures.js";
+import { setStorage } from "../src/utils/storage.js";
+
+// Attachment upload, download and delete on each storage backend - local
+// disk, and S3 against scripts/mock-s3.js
+
+const CONTENT = "Quarterly numbers\nline two, with ünïcödé\n";
+
+/**
+ * Upload, list, download and delete a file as a project member, and check
+ * an outsider from another organization can't reach it
+ */
+const exerciseAttachments = async (api) => {
+  const organization = await makeOrganization();
+  const { user: owner, token } = await makeUser(organization);
+  const project = await makeProject(owner);
+  const task = await makeTask(project, owner);
+  const { token: outsiderToken } = await makeUser(await makeOrganization());
+
+  const form = new FormData();
+  form.append("file", new Blob([CONTENT], { type: "text/plain" }), "report.txt");
+  const uploadResponse = await fetch(
+    `${api.url}/tasks/${task._id}/attachments`,
+    {
+      method: "POST",
+      headers: { Authorization: `Bearer ${token}` },
+      body: form,
+    }
+  );
+  assert.equal(uploadResponse.status, 201);
+  const { data: attachment } = await uploadResponse.json();
+  assert.equal(attachment.fileName, "report.txt");
+  assert.equal(attachment.size, Buffer.byteLength(CONTENT));
+  assert.ok(attachment.storageKey);
+
+  const listed = await api.request("GET", `/tasks/${task._id}/attachments`, {
+    token,
+  });
+  assert.deepEqual(listed.body.data.map((item) => item._id), [attachment._id]);
+
+  const filePath = `/tasks/${task._id}/attachments/${attachment._id}`;
+  const downloaded = await api.request("GET", filePath, { token });
+  assert.equal(downloaded.status, 200);
+  assert.equal(downloaded.body, CONTENT);
+  assert.match(downloaded.headers.get("content-type"), /^text\/plain/);
+  assert.match(
+    downloaded.headers.get("content-disposition"),
+    /attachment; filename="report.txt"/
+  );
+  assert.equal(downloaded.headers.get("x-content-type-options"), "nosniff");
+
+  const outsider = await api.request("GET", filePath, {
+    token: outsiderToken,
+  });
+  assert.equal(outsider.status, 404);
+
+  const removed = await api.request("DELETE", filePath, { token });
+  assert.equal(removed.status, 200);
+  assert.equal((await api.request("GET", filePath, { token })).status, 404);
+
+  return attachment;
+};
+
+describe("attachments", () => {
+  let api;
+
+  before(async () => {
+    await connectMemoryDb();
+    api = await startTestServer();
+  });
+
+  after(async () => {
+    await api.close();
+    setStorage(null);
+  });
+
+  describe("on local disk", () => {
+    let directory;
+
+    before(async () => {
+      clearMemoryDb();
+      directory = await fs.mkdtemp(path.join(os.tmpdir(), "dtms-uploads-"));
+      process.env.STORAGE_DRIVER = "local";
+      process.env.STORAGE_LOCAL_DIR = directory;
+      setStorage(null);
+    });
+
+    after(() => fs.rm(directory, { recursive: true, force: true }));
+
+    it("uploads, downloads and deletes a file", async () => {
+      const attachment = await exerciseAttachments(api);
+      // The file itself went with the record
+      await assert.rejects(
+        fs.access(path.join(directory, attachment.storageKey))
+      );
+    });
+  });
+
+  describe("on S3", () => {
+    let s3;
+
+    before(async () => {
+      clearMemoryDb();
+      s3 = await startMockServer("mock-s3.js", "MOCK_S3_PORT");
+      Object.assign(process.env, {
+        STORAGE_DRIVER: "s3",
+        S3_BUCKET: "dtms-test",
+        S3_ENDPOINT: `http://127.0.0.1:${s3.port}`,
+        S3_ACCESS_KEY_ID: "test",
+        S3_SECRET_ACCESS_KEY: "test",
+      });
+      setStorage(null);
+    });
+
+    after(() => s3?.stop());
+
+    it("uploads, downloads and deletes a file", async () => {
+      const attachment = await exerciseAttachments(api);
+      const object = await fetch(
+        `http://127.0.0.1:${s3.port}/dtms-test/${attachment.storageKey}`
+      );
+      assert.equal(object.status, 404);
+    });
+  });
+});
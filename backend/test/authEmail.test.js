@@ -0,0 +1,119 @@
+import { describe, it, before, after, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { connectMemoryDb, clearMemoryDb } from "./helpers/memoryDb.js";
+import { startTestServer } from "./helpers/server.js";
+import { startMailCatcher, linkToken } from "./helpers/mailCatcher.js";
+
+// Password reset and email verification, with mail going over SMTP to a
+// local catcher
+
+describe("email flows", () => {
+  let api;
+  let mail;
+
+  before(async () => {
+    await connectMemoryDb();
+    mail = await startMailCatcher();
+    process.env.MAIL_TRANSPORT = "smtp";
+    process.env.SMTP_HOST = "127.0.0.1";
+    process.env.SMTP_PORT = String(mail.port);
+    process.env.REQUIRE_EMAIL_VERIFICATION = "true";
+    api = await startTestServer();
+  });
+
+  after(async () => {
+    await api.close();
+    await mail.close();
+  });
+
+  beforeEach(() => {
+    clearMemoryDb();
+    mail.messages.length = 0;
+  });
+
+  const register = (email, password = "secret123") =>
+    api.request("POST", "/auth/register", {
+      body: { name: "Ada", email, password, confirmPassword: password },
+    });
+
+  const login = (email, password = "secret123") =>
+    api.request("POST", "/auth/login", { body: { email, password } });
+
+  it("blocks login until the emailed link verifies the address", async () => {
+    const registered = await register("ada@example.com");
+    assert.equal(registered.status, 201);
+    assert.equal(registered.body.user.emailVerified, false);
+
+    const message = await mail.waitForMessage("ada@example.com");
+    assert.equal(message.subject, "Verify your email address");
+
+    const blocked = await login("ada@example.com");
+    assert.equal(blocked.status, 403);
+
+    const token = linkToken(message);
+    const verified = await api.request("POST", "/auth/verify-email", {
+      body: { token },
+    });
+    assert.equal(verified.status, 200);
+    assert.equal(verified.body.user.emailVerified, true);
+
+    const loggedIn = await login("ada@example.com");
+    assert.equal(loggedIn.status, 200);
+    assert.ok(loggedIn.body.token);
+
+    // Single use
+    const reused = await api.request("POST", "/auth/verify-email", {
+      body: { token },
+    });
+    assert.equal(reused.status, 400);
+  });
+
+  it("resets a password with the emailed token once", async () => {
+    await register("grace@example.com");
+    await mail.waitForMessage("grace@example.com");
+
+    const requested = await api.request("POST", "/auth/forgot-password", {
+      body: { email: "grace@example.com" },
+    });
+    assert.equal(requested.status, 200);
+
+    const message = await mail.waitForMessage("grace@example.com");
+    assert.equal(message.subject, "Reset your password");
+    const token = linkToken(message);
+
+    const reset = await api.request("POST", "/auth/reset-password", {
+      body: { token, password: "newpass456", confirmPassword: "newpass456" },
+    });
+    assert.equal(reset.status, 200);
+
+    assert.equal((await login("grace@example.com")).status, 401);
+    // The reset also proves the address
+    assert.equal((await login("grace@example.com", "newpass456")).status, 200);
+
+    const reused = await api.request("POST", "/auth/reset-password", {
+      body: { token, password: "another789", confirmPassword: "another789" },
+    });
+    assert.equal(reused.status, 400);
+  });
+
+  it("answers the same for unknown addresses and sends nothing", async () => {
+    const requested = await api.request("POST", "/auth/forgot-password", {
+      body: { email: "nobody@example.com" },
+    });
+    assert.equal(requested.status, 200);
+    await assert.rejects(
+      mail.waitForMessage("nobody@example.com", { timeoutMs: 300 })
+    );
+  });
+
+  it("rejects a made-up token", async () => {
+    const reset = await api.request("POST", "/auth/reset-password", {
+      body: {
+        token: "not-a-real-token",
+        password: "newpass456",
+        confirmPassword: "newpass456",
+      },
+    });
+    assert.equal(reset.status, 400);
+  });
+});
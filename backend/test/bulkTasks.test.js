@@ -0,0 +1,126 @@
+import { describe, it, before, after, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import mongoose from "mongoose";
+import Task from "../src/models/Task.js";
+import BulkOperation from "../src/models/BulkOperation.js";
+import { runBulkOperation } from "../src/services/bulkTask.service.js";
+import { connectMemoryDb, clearMemoryDb } from "./helpers/memoryDb.js";
+import { startTestServer } from "./helpers/server.js";
+import {
+  makeOrganization,
+  makeUser,
+  makeProject,
+  makeTask,
+} from "./helpers/fixtures.js";
+
+// Bulk task operations: choosing tasks by filter or by id, and resuming
+// an interrupted run
+
+describe("bulk task operations", () => {
+  let api;
+  let owner;
+  let token;
+  let project;
+
+  before(async () => {
+    await connectMemoryDb();
+    api = await startTestServer();
+  });
+
+  after(() => api.close());
+
+  beforeEach(async () => {
+    clearMemoryDb();
+    const organization = await makeOrganization();
+    ({ user: owner, token } = await makeUser(organization));
+    project = await makeProject(owner);
+  });
+
+  const startBulk = (body) =>
+    api.request("POST", `/projects/${project._id}/tasks/bulk`, {
+      token,
+      body,
+    });
+
+  it("changes the tasks matching a filter", async () => {
+    const low = await makeTask(project, owner, { priority: "LOW" });
+    const high = await makeTask(project, owner, { priority: "HIGH" });
+
+    const response = await startBulk({
+      filter: { priority: "LOW" },
+      operation: { type: "SET_PRIORITY", priority: "MEDIUM" },
+    });
+    assert.equal(response.status, 200);
+    assert.equal(response.body.data.status, "COMPLETED");
+    assert.equal(response.body.data.succeeded, 1);
+    assert.equal(response.body.data.failed, 0);
+
+    assert.equal((await Task.findById(low._id)).priority, "MEDIUM");
+    assert.equal((await Task.findById(high._id)).priority, "HIGH");
+  });
+
+  it("reports unknown ids first, in the order of taskIds", async () => {
+    const tasks = [
+      await makeTask(project, owner),
+      await makeTask(project, owner),
+    ];
+    const unknownId = new mongoose.Types.ObjectId().toString();
+
+    const response = await startBulk({
+      taskIds: [String(tasks[0]._id), unknownId, String(tasks[1]._id)],
+      operation: { type: "SET_PRIORITY", priority: "HIGH" },
+    });
+    assert.equal(response.status, 200);
+
+    const operation = await BulkOperation.findById(response.body.data.id);
+    assert.deepEqual(
+      operation.results.map((result) => result.taskId.toString()),
+      operation.taskIds.map(String)
+    );
+    assert.equal(operation.results[0].taskId.toString(), unknownId);
+    assert.equal(operation.results[0].success, false);
+    assert.equal(operation.succeeded, 2);
+  });
+
+  it("resumes with the tasks that have no result yet", async () => {
+    const tasks = [
+      await makeTask(project, owner),
+      await makeTask(project, owner),
+      await makeTask(project, owner),
+    ];
+    const unknownId = new mongoose.Types.ObjectId();
+
+    // Interrupted after the unknown id and the first task; the unknown id
+    // is listed last but has the first result
+    const interrupted = await BulkOperation.create({
+      projectId: project._id,
+      organizationId: project.organizationId,
+      createdBy: owner._id,
+      type: "SET_PRIORITY",
+      params: { priority: "HIGH" },
+      status: "RUNNING",
+      taskIds: [...tasks.map((task) => task._id), unknownId],
+      results: [
+        { taskId: unknownId, success: false, error: "Task not found" },
+        { taskId: tasks[0]._id, success: true, error: null },
+      ],
+      succeeded: 1,
+      failed: 1,
+    });
+
+    const operation = await runBulkOperation(interrupted._id);
+    assert.equal(operation.status, "COMPLETED");
+    // One result per task
+    assert.deepEqual(
+      operation.results.map((result) => result.taskId.toString()).sort(),
+      operation.taskIds.map(String).sort()
+    );
+    assert.equal(operation.succeeded, 3);
+    assert.equal(operation.failed, 1);
+
+    // The first task was done before the interruption, not again now
+    assert.equal((await Task.findById(tasks[0]._id)).priority, "MEDIUM");
+    assert.equal((await Task.findById(tasks[1]._id)).priority, "HIGH");
+    assert.equal((await Task.findById(tasks[2]._id)).priority, "HIGH");
+  });
+});
@@ -0,0 +1,73 @@
+import { describe, it, before, after, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import TaskHistory from "../src/models/TaskHistory.js";
+import { connectMemoryDb, clearMemoryDb } from "./helpers/memoryDb.js";
+import { startTestServer } from "./helpers/server.js";
+import {
+  makeOrganization,
+  makeUser,
+  makeProject,
+  makeTask,
+} from "./helpers/fixtures.js";
+
+// Comments in the task timeline follow edits and deletes
+
+describe("comments in task history", () => {
+  let api;
+  let token;
+  let task;
+
+  before(async () => {
+    await connectMemoryDb();
+    api = await startTestServer();
+  });
+
+  after(() => api.close());
+
+  beforeEach(async () => {
+    clearMemoryDb();
+    const organization = await makeOrganization();
+    const { user: owner, token: ownerToken } = await makeUser(organization);
+    token = ownerToken;
+    task = await makeTask(await makeProject(owner), owner);
+  });
+
+  const commentEntry = async () => {
+    const response = await api.request("GET", `/tasks/${task._id}/history`, {
+      token,
+    });
+    assert.equal(response.status, 200);
+    return response.body.data.find((entry) => entry.action === "COMMENTED");
+  };
+
+  it("shows the current text, and nothing once deleted", async () => {
+    const created = await api.request("POST", `/tasks/${task._id}/comments`, {
+      token,
+      body: { text: "First draft with a secret" },
+    });
+    assert.equal(created.status, 201);
+    const commentPath = `/tasks/${task._id}/comments/${created.body.data._id}`;
+
+    // The stored entry points at the comment without copying it
+    const [stored] = await TaskHistory.find({ action: "COMMENTED" }).lean();
+    assert.equal(stored.details.text, undefined);
+
+    const edited = await api.request("PATCH", commentPath, {
+      token,
+      body: { text: "Cleaned up" },
+    });
+    assert.equal(edited.status, 200);
+    assert.equal((await commentEntry()).details.text, "Cleaned up");
+
+    const deleted = await api.request("DELETE", commentPath, { token });
+    assert.equal(deleted.status, 200);
+
+    const entry = await commentEntry();
+    assert.equal(entry.details.deleted, true);
+    assert.equal(entry.details.text, null);
+    const history = await api.request("GET", `/tasks/${task._id}/history`, {
+      token,
+    });
+    assert.doesNotMatch(JSON.stringify(history.body), /secret|Cleaned up/);
+  });
+});
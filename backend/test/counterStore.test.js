@@ -0,0 +1,42 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import {
+  incrementCounter,
+  getCounter,
+  setFlag,
+  getTtl,
+  deleteKeys,
+} from "../src/utils/counterStore.js";
+
+// Without Redis the counters live in process memory
+
+describe("in-memory counters", () => {
+  it("counts within the window", async () => {
+    assert.equal(await incrementCounter("count:a", 60), 1);
+    assert.equal(await incrementCounter("count:a", 60), 2);
+    assert.equal(await getCounter("count:a"), 2);
+
+    await deleteKeys(["count:a"]);
+    assert.equal(await getCounter("count:a"), 0);
+  });
+
+  it("evicts the oldest keys instead of growing without bound", async () => {
+    await incrementCounter("flood:first", 60);
+    for (let i = 0; i < 10000; i += 1) {
+      await incrementCounter(`flood:${i}`, 60);
+    }
+
+    assert.equal(await getCounter("flood:first"), 0);
+    assert.equal(await getCounter("flood:9999"), 1);
+  });
+
+  it("keeps live lockouts however many counters arrive", async () => {
+    await setFlag("login:lock:victim@example.com", 60);
+    for (let i = 0; i < 20000; i += 1) {
+      await incrementCounter(`login:fail:attacker${i}@example.com`, 60);
+    }
+
+    assert.ok((await getTtl("login:lock:victim@example.com")) > 0);
+    assert.equal(await getCounter("login:fail:attacker19999@example.com"), 1);
+  });
+});
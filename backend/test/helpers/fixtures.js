@@ -0,0 +1,57 @@
+import bcrypt from "bcrypt";
+import User from "../../src/models/User.js";
+import Project from "../../src/models/Project.js";
+import Task from "../../src/models/Task.js";
+import { createOrganization } from "../../src/services/organization.service.js";
+import { startSession } from "../../src/services/auth.service.js";
+
+/**
+ * Test data, created straight through the models
+ */
+
+export const TEST_PASSWORD = "secret123";
+
+let sequence = 0;
+const next = () => {
+  sequence += 1;
+  return sequence;
+};
+
+export const makeOrganization = (name = `Org ${next()}`) =>
+  createOrganization({ name });
+
+/**
+ * A user with a signed-in session; token is its access token (second
+ * factor done, so MFA-gated routes accept it)
+ */
+export const makeUser = async (organization, data = {}) => {
+  const n = next();
+  const user = await User.create({
+    name: `User ${n}`,
+    email: `user${n}@example.com`,
+    password: await bcrypt.hash(TEST_PASSWORD, 4),
+    organizationId: organization._id,
+    emailVerified: true,
+    ...data,
+  });
+  const { token } = await startSession(user, {}, true);
+  return { user, token };
+};
+
+export const makeProject = (owner, data = {}) =>
+  Project.create({
+    name: `Project ${next()}`,
+    ownerId: owner._id,
+    organizationId: owner.organizationId,
+    members: [{ userId: owner._id, role: "OWNER" }],
+    ...data,
+  });
+
+export const makeTask = (project, creator, data = {}) =>
+  Task.create({
+    title: `Task ${next()}`,
+    projectId: project._id,
+    organizationId: project.organizationId,
+    createdBy: creator._id,
+    ...data,
+  });
@@ -0,0 +1,70 @@
+import { once } from "events";
+import { SMTPServer } from "smtp-server";
+import { simpleParser } from "mailparser";
+
+/**
+ * Local SMTP server that keeps every message it receives, the way MailHog
+ * or smtp4dev would
+ */
+export const startMailCatcher = async () => {
+  const messages = [];
+  const waiting = [];
+
+  const server = new SMTPServer({
+    authOptional: true,
+    disabledCommands: ["STARTTLS"],
+    logger: false,
+    onData(stream, session, callback) {
+      simpleParser(stream)
+        .then((parsed) => {
+          const message = {
+            to: parsed.to?.text,
+            subject: parsed.subject,
+            text: parsed.text,
+          };
+          messages.push(message);
+          waiting.splice(0).forEach((resolve) => resolve());
+          callback();
+        })
+        .catch(callback);
+    },
+  });
+
+  server.listen(0, "127.0.0.1");
+  await once(server.server, "listening");
+
+  /**
+   * Resolve to the first message to an address, waiting for it to arrive
+   */
+  const waitForMessage = async (to, { timeoutMs = 5000 } = {}) => {
+    const deadline = Date.now() + timeoutMs;
+    for (;;) {
+      const message = messages.find((item) => item.to === to);
+      if (message) {
+        messages.splice(messages.indexOf(message), 1);
+        return message;
+      }
+      if (Date.now() > deadline) throw new Error(`No mail to ${to}`);
+      await Promise.race([
+        new Promise((resolve) => waiting.push(resolve)),
+        new Promise((resolve) => setTimeout(resolve, 100)),
+      ]);
+    }
+  };
+
+  return {
+    port: server.server.address().port,
+    messages,
+    waitForMessage,
+    close: () => new Promise((resolve) => server.close(resolve)),
+  };
+};
+
+/**
+ * The token of the app link in a message
+ */
+export const linkToken = (message) => {
+  const match = message.text.match(/[?&]token=([^\s&]+)/);
+  if (!match) throw new Error(`No token link in "${message.subject}"`);
+  return decodeURIComponent(match[1]);
+};
@@ -0,0 +1,798 @@
+import { readdirSync } from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import mongoose from "mongoose";
+import { MongoServerError } from "mongodb";
+
+/**
+ * In-memory stand-in for the MongoDB driver, for tests
+ * Models keep working through Mongoose (casting, validation, hooks,
+ * populate, versioning); only the driver collections underneath them are
+ * replaced by ones that hold documents in memory. It covers the query and
+ * update operators the services use, plus unique indexes; aggregation
+ * pipelines are not supported
+ */
+
+const modelsDir = path.join(
+  path.dirname(fileURLToPath(import.meta.url)),
+  "..",
+  "..",
+  "src",
+  "models"
+);
+
+const isObjectId = (value) => value?._bsontype === "ObjectId";
+const isPlainObject = (value) =>
+  value !== null &&
+  typeof value === "object" &&
+  (Object.getPrototypeOf(value) === Object.prototype ||
+    Object.getPrototypeOf(value) === null);
+const isOperatorObject = (value) =>
+  isPlainObject(value) &&
+  Object.keys(value).length > 0 &&
+  Object.keys(value).every((key) => key.startsWith("$"));
+
+/**
+ * Copy a value the way the driver would serialize it
+ */
+const clone = (value) => {
+  if (value === undefined || value === null) return value;
+  if (typeof value !== "object") return value;
+  if (isObjectId(value)) return new mongoose.Types.ObjectId(value.toHexString());
+  if (value._bsontype) return value;
+  if (value instanceof Date) return new Date(value.getTime());
+  if (value instanceof RegExp) return value;
+  if (Buffer.isBuffer(value)) return Buffer.from(value);
+  if (typeof value.toBSON === "function") return clone(value.toBSON());
+  if (value instanceof Map) {
+    return Object.fromEntries(
+      [...value.entries()].map(([key, item]) => [key, clone(item)])
+    );
+  }
+  if (Array.isArray(value)) return value.map(clone);
+
+  const copy = {};
+  for (const [key, item] of Object.entries(value)) {
+    if (item !== undefined) copy[key] = clone(item);
+  }
+  return copy;
+};
+
+/**
+ * A string that is equal for equal BSON values
+ */
+const canonical = (value) => {
+  if (value === undefined || value === null) return "null";
+  if (isObjectId(value)) return `oid:${value.toHexString()}`;
+  if (value instanceof Date) return `date:${value.getTime()}`;
+  if (Buffer.isBuffer(value)) return `bin:${value.toString("hex")}`;
+  if (Array.isArray(value)) return `[${value.map(canonical).join(",")}]`;
+  if (typeof value === "object") {
+    return `{${Object.entries(value)
+      .map(([key, item]) => `${key}:${canonical(item)}`)
+      .join(",")}}`;
+  }
+  return `${typeof value}:${value}`;
+};
+
+const equals = (a, b) => canonical(a) === canonical(b);
+
+/**
+ * Order two values for sorting and range operators; null when they
+ * can't be compared
+ */
+const compare = (a, b) => {
+  const key = (value) => {
+    if (value instanceof Date) return value.getTime();
+    if (isObjectId(value)) return value.toHexString();
+    return value;
+  };
+  const x = key(a);
+  const y = key(b);
+  if (x === null || x === undefined || y === null || y === undefined) {
+    return null;
+  }
+  if (typeof x !== typeof y) return null;
+  if (x < y) return -1;
+  if (x > y) return 1;
+  return 0;
+};
+
+/**
+ * Values at a dotted path, following arrays like MongoDB does
+ */
+const valuesAt = (value, segments) => {
+  if (segments.length === 0) return [value];
+  if (value === null || value === undefined) return [undefined];
+
+  const [head, ...rest] = segments;
+  if (Array.isArray(value)) {
+    if (/^\d+$/.test(head)) return valuesAt(value[Number(head)], rest);
+    const found = value.flatMap((item) =>
+      item !== null && typeof item === "object" ? valuesAt(item, segments) : []
+    );
+    return found.length ? found : [undefined];
+  }
+  if (typeof value !== "object") return [undefined];
+  return valuesAt(value[head], rest);
+};
+
+// A field's values, plus the elements of those that are arrays
+const candidatesOf = (values) =>
+  values.flatMap((value) => (Array.isArray(value) ? [value, ...value] : [value]));
+
+const matchesEquality = (values, expected) => {
+  if (expected instanceof RegExp) {
+    return candidatesOf(values).some(
+      (value) => typeof value === "string" && expected.test(value)
+    );
+  }
+  if (expected === null) {
+    return candidatesOf(values).some((value) => value === null || value === undefined);
+  }
+  return candidatesOf(values).some((value) => equals(value, expected));
+};
+
+const matchesOperators = (values, operators, doc, field) =>
+  Object.entries(operators).every(([operator, operand]) => {
+    switch (operator) {
+      case "$eq":
+        return matchesEquality(values, operand);
+      case "$ne":
+        return !matchesEquality(values, operand);
+      case "$in":
+        return operand.some((item) => matchesEquality(values, item));
+      case "$nin":
+        return !operand.some((item) => matchesEquality(values, item));
+      case "$gt":
+      case "$gte":
+      case "$lt":
+      case "$lte":
+        return candidatesOf(values).some((value) => {
+          const order = compare(value, operand);
+          if (order === null) return false;
+          if (operator === "$gt") return order > 0;
+          if (operator === "$gte") return order >= 0;
+          if (operator === "$lt") return order < 0;
+          return order <= 0;
+        });
+      case "$exists":
+        return values.some((value) => value !== undefined) === Boolean(operand);
+      case "$size":
+        return values.some(
+          (value) => Array.isArray(value) && value.length === operand
+        );
+      case "$all":
+        return operand.every((item) => matchesEquality(values, item));
+      case "$elemMatch":
+        return values.some(
+          (value) =>
+            Array.isArray(value) &&
+            value.some((item) =>
+              isPlainObject(item) && !isOperatorObject(operand)
+                ? matches(item, operand)
+                : matchesOperators([item], operand, doc, field)
+            )
+        );
+      case "$regex": {
+        const regex =
+          operand instanceof RegExp
+            ? operand
+            : new RegExp(operand, operators.$options || "");
+        return matchesEquality(values, regex);
+      }
+      case "$options":
+        return true;
+      case "$not":
+        return !(operand instanceof RegExp
+          ? matchesEquality(values, operand)
+          : matchesOperators(values, operand, doc, field));
+      case "$type":
+        return candidatesOf(values).some((value) =>
+          operand === "array" ? Array.isArray(value) : typeof value === operand
+        );
+      default:
+        throw new Error(`In-memory database: unsupported operator ${operator}`);
+    }
+  });
+
+/**
+ * Whether a document matches a query filter
+ */
+export const matches = (doc, filter = {}) =>
+  Object.entries(filter).every(([key, condition]) => {
+    switch (key) {
+      case "$and":
+        return condition.every((sub) => matches(doc, sub));
+      case "$or":
+        return condition.some((sub) => matches(doc, sub));
+      case "$nor":
+        return !condition.some((sub) => matches(doc, sub));
+      case "$comment":
+        return true;
+      default: {
+        if (key.startsWith("$")) {
+          throw new Error(`In-memory database: unsupported operator ${key}`);
+        }
+        const values = valuesAt(doc, key.split("."));
+        if (isOperatorObject(condition)) {
+          return matchesOperators(values, condition, doc, key);
+        }
+        return matchesEquality(values, condition);
+      }
+    }
+  });
+
+/**
+ * Set a dotted path, creating the objects on the way
+ */
+const setPath = (doc, dotted, value) => {
+  const segments = dotted.split(".");
+  let target = doc;
+  for (const segment of segments.slice(0, -1)) {
+    const key = Array.isArray(target) ? Number(segment) : segment;
+    if (target[key] === null || typeof target[key] !== "object") {
+      target[key] = {};
+    }
+    target = target[key];
+  }
+  const last = segments[segments.length - 1];
+  target[Array.isArray(target) ? Number(last) : last] = value;
+};
+
+const getPath = (doc, dotted) =>
+  dotted.split(".").reduce((value, segment) => value?.[segment], doc);
+
+const unsetPath = (doc, dotted) => {
+  const segments = dotted.split(".");
+  const parent = segments.length > 1 ? getPath(doc, segments.slice(0, -1).join(".")) : doc;
+  if (parent && typeof parent === "object") {
+    delete parent[segments[segments.length - 1]];
+  }
+};
+
+/**
+ * Apply an update document to a stored document in place
+ */
+const applyUpdate = (doc, update, isInsert) => {
+  const operatorKeys = Object.keys(update).filter((key) => key.startsWith("$"));
+  if (operatorKeys.length === 0) {
+    // A replacement keeps only the _id
+    for (const key of Object.keys(doc)) if (key !== "_id") delete doc[key];
+    Object.assign(doc, clone(update));
+    return;
+  }
+
+  for (const [operator, fields] of Object.entries(update)) {
+    for (const [field, operand] of Object.entries(fields || {})) {
+      const current = getPath(doc, field);
+      switch (operator) {
+        case "$set":
+          setPath(doc, field, clone(operand));
+          break;
+        case "$setOnInsert":
+          if (isInsert) setPath(doc, field, clone(operand));
+          break;
+        case "$unset":
+          unsetPath(doc, field);
+          break;
+        case "$inc":
+          setPath(doc, field, (current || 0) + operand);
+          break;
+        case "$min":
+        case "$max": {
+          const order = compare(operand, current);
+          const replace =
+            current === undefined ||
+            current === null ||
+            (operator === "$min" ? order < 0 : order > 0);
+          if (replace) setPath(doc, field, clone(operand));
+          break;
+        }
+        case "$currentDate":
+          setPath(doc, field, new Date());
+          break;
+        case "$push": {
+          const items = operand?.$each ? operand.$each : [operand];
+          const list = Array.isArray(current) ? current : [];
+          let next = [...list, ...items.map(clone)];
+          if (operand?.$slice !== undefined) {
+            next =
+              operand.$slice < 0
+                ? next.slice(operand.$slice)
+                : next.slice(0, operand.$slice);
+          }
+          setPath(doc, field, next);
+          break;
+        }
+        case "$addToSet": {
+          const items = operand?.$each ? operand.$each : [operand];
+          const list = Array.isArray(current) ? [...current] : [];
+          for (const item of items) {
+            if (!list.some((existing) => equals(existing, item))) {
+              list.push(clone(item));
+            }
+          }
+          setPath(doc, field, list);
+          break;
+        }
+        case "$pull": {
+          if (!Array.isArray(current)) break;
+          const remove = (item) => {
+            if (isOperatorObject(operand)) return matchesOperators([item], operand);
+            if (isPlainObject(operand) && isPlainObject(item)) {
+              return matches(item, operand);
+            }
+            return equals(item, operand);
+          };
+          setPath(doc, field, current.filter((item) => !remove(item)));
+          break;
+        }
+        case "$pullAll":
+          if (Array.isArray(current)) {
+            setPath(
+              doc,
+              field,
+              current.filter((item) => !operand.some((value) => equals(item, value)))
+            );
+          }
+          break;
+        default:
+          throw new Error(`In-memory database: unsupported update ${operator}`);
+      }
+    }
+  }
+};
+
+/**
+ * Apply a projection ({ a: 1 } or { a: 0 }) to a copy of a document
+ */
+const project = (doc, projection) => {
+  const copy = clone(doc);
+  if (!projection || Object.keys(projection).length === 0) return copy;
+
+  const entries = Object.entries(projection).filter(([key]) => key !== "_id");
+  const inclusive = entries.some(([, value]) => value === 1 || value === true);
+
+  if (!inclusive) {
+    for (const [key, value] of Object.entries(projection)) {
+      if (value === 0 || value === false) unsetPath(copy, key);
+    }
+    return copy;
+  }
+
+  const result = {};
+  if (projection._id !== 0 && projection._id !== false) result._id = copy._id;
+  for (const [key, value] of entries) {
+    if (!value) continue;
+    const found = getPath(copy, key);
+    if (found !== undefined) setPath(result, key, found);
+  }
+  return result;
+};
+
+const sortDocuments = (docs, sort) => {
+  if (!sort) return docs;
+  const fields = sort instanceof Map ? [...sort.entries()] : Object.entries(sort);
+  return [...docs].sort((a, b) => {
+    for (const [field, direction] of fields) {
+      const x = getPath(a, field);
+      const y = getPath(b, field);
+      let order = compare(x, y);
+      if (order === null) {
+        // Missing values sort first
+        order = (x === undefined || x === null ? 0 : 1) - (y === undefined || y === null ? 0 : 1);
+      }
+      if (order !== 0) return direction === -1 || direction === "desc" ? -order : order;
+    }
+    return 0;
+  });
+};
+
+/**
+ * Cursor over a find() result, computed when first read
+ */
+class MemoryCursor {
+  constructor(collection, filter, options = {}) {
+    this.collection = collection;
+    this.filter = filter;
+    this.options = { ...options };
+    this.results = null;
+  }
+
+  sort(sort) {
+    this.options.sort = sort;
+    return this;
+  }
+
+  skip(skip) {
+    this.options.skip = skip;
+    return this;
+  }
+
+  limit(limit) {
+    this.options.limit = limit;
+    return this;
+  }
+
+  project(projection) {
+    this.options.projection = projection;
+    return this;
+  }
+
+  load() {
+    if (this.results) return this.results;
+    let docs = sortDocuments(
+      this.collection.all().filter((doc) => matches(doc, this.filter)),
+      this.options.sort
+    );
+    if (this.options.skip) docs = docs.slice(this.options.skip);
+    if (this.options.limit) docs = docs.slice(0, this.options.limit);
+    this.results = docs.map((doc) => project(doc, this.options.projection));
+    return this.results;
+  }
+
+  async toArray() {
+    return [...this.load()];
+  }
+
+  async next() {
+    return this.load().shift() ?? null;
+  }
+
+  async hasNext() {
+    return this.load().length > 0;
+  }
+
+  async close() {}
+
+  async *[Symbol.asyncIterator]() {
+    for (const doc of this.load()) yield doc;
+  }
+}
+
+/**
+ * Driver collection holding its documents in memory
+ */
+export class MemoryCollection {
+  constructor(name) {
+    this.collectionName = name;
+    this.namespace = `test.${name}`;
+    this.documents = [];
+    this.uniqueIndexes = [];
+  }
+
+  all() {
+    return this.documents;
+  }
+
+  clear() {
+    this.documents = [];
+  }
+
+  addUniqueIndex(fields, options = {}) {
+    this.uniqueIndexes.push({ fields: Object.keys(fields), options });
+  }
+
+  checkUnique(doc) {
+    for (const { fields, options } of this.uniqueIndexes) {
+      if (
+        options.partialFilterExpression &&
+        !matches(doc, options.partialFilterExpression)
+      ) {
+        continue;
+      }
+      const ignoreCase = options.collation?.strength <= 2;
+      const keyOf = (item) =>
+        fields
+          .map((field) => {
+            const value = getPath(item, field);
+            return canonical(
+              ignoreCase && typeof value === "string" ? value.toLowerCase() : value
+            );
+          })
+          .join("|");
+      if (options.sparse && fields.every((field) => getPath(doc, field) == null)) {
+        continue;
+      }
+
+      const key = keyOf(doc);
+      const duplicate = this.documents.find(
+        (other) =>
+          other !== doc &&
+          !equals(other._id, doc._id) &&
+          (!options.partialFilterExpression ||
+            matches(other, options.partialFilterExpression)) &&
+          keyOf(other) === key
+      );
+      if (duplicate) {
+        const keyValue = Object.fromEntries(
+          fields.map((field) => [field, getPath(doc, field)])
+        );
+        throw new MongoServerError({
+          message: `E11000 duplicate key error collection: ${this.namespace} index: ${fields.join("_")} dup key: ${JSON.stringify(keyValue)}`,
+          code: 11000,
+          keyPattern: Object.fromEntries(fields.map((field) => [field, 1])),
+          keyValue,
+        });
+      }
+    }
+  }
+
+  insert(doc) {
+    const stored = clone(doc);
+    if (stored._id === undefined) stored._id = new mongoose.Types.ObjectId();
+    this.checkUnique(stored);
+    this.documents.push(stored);
+    return stored;
+  }
+
+  // Update a stored document, undoing the change if it breaks an index
+  modify(doc, update, isInsert = false) {
+    const before = clone(doc);
+    applyUpdate(doc, update, isInsert);
+    try {
+      this.checkUnique(doc);
+    } catch (err) {
+      for (const key of Object.keys(doc)) delete doc[key];
+      Object.assign(doc, before);
+      throw err;
+    }
+    return canonical(before) !== canonical(doc);
+  }
+
+  // The document an upsert creates: the filter's plain values, then the update
+  upsert(filter, update) {
+    const doc = {};
+    for (const [key, value] of Object.entries(filter)) {
+      if (key.startsWith("$")) continue;
+      if (isOperatorObject(value)) {
+        if ("$eq" in value) setPath(doc, key, clone(value.$eq));
+        continue;
+      }
+      setPath(doc, key, clone(value));
+    }
+    applyUpdate(doc, update, true);
+    if (doc._id === undefined) doc._id = new mongoose.Types.ObjectId();
+    this.checkUnique(doc);
+    this.documents.push(doc);
+    return doc;
+  }
+
+  find(filter = {}, options = {}) {
+    return new MemoryCursor(this, filter, options);
+  }
+
+  async findOne(filter = {}, options = {}) {
+    const [doc] = await new MemoryCursor(this, filter, {
+      ...options,
+      limit: 1,
+    }).toArray();
+    return doc ?? null;
+  }
+
+  async countDocuments(filter = {}) {
+    return this.documents.filter((doc) => matches(doc, filter)).length;
+  }
+
+  async estimatedDocumentCount() {
+    return this.documents.length;
+  }
+
+  async distinct(field, filter = {}) {
+    const values = [];
+    for (const doc of this.documents.filter((item) => matches(item, filter))) {
+      for (const value of candidatesOf(valuesAt(doc, field.split(".")))) {
+        if (value === undefined || Array.isArray(value)) continue;
+        if (!values.some((existing) => equals(existing, value))) {
+          values.push(clone(value));
+        }
+      }
+    }
+    return values;
+  }
+
+  async insertOne(doc) {
+    const stored = this.insert(doc);
+    return { acknowledged: true, insertedId: stored._id };
+  }
+
+  async insertMany(docs) {
+    const insertedIds = {};
+    docs.forEach((doc, index) => {
+      insertedIds[index] = this.insert(doc)._id;
+    });
+    return { acknowledged: true, insertedCount: docs.length, insertedIds };
+  }
+
+  updateWith(filter, update, options, many) {
+    const targets = sortDocuments(
+      this.documents.filter((doc) => matches(doc, filter)),
+      options.sort
+    );
+    const selected = many ? targets : targets.slice(0, 1);
+
+    if (selected.length === 0 && options.upsert) {
+      const doc = this.upsert(filter, update);
+      return {
+        acknowledged: true,
+        matchedCount: 0,
+        modifiedCount: 0,
+        upsertedCount: 1,
+        upsertedId: doc._id,
+      };
+    }
+
+    let modifiedCount = 0;
+    for (const doc of selected) {
+      if (this.modify(doc, update)) modifiedCount += 1;
+    }
+    return {
+      acknowledged: true,
+      matchedCount: selected.length,
+      modifiedCount,
+      upsertedCount: 0,
+      upsertedId: null,
+    };
+  }
+
+  async updateOne(filter, update, options = {}) {
+    return this.updateWith(filter, update, options, false);
+  }
+
+  async updateMany(filter, update, options = {}) {
+    return this.updateWith(filter, update, options, true);
+  }
+
+  async replaceOne(filter, replacement, options = {}) {
+    return this.updateWith(filter, replacement, options, false);
+  }
+
+  async findOneAndUpdate(filter, update, options = {}) {
+    const [target] = sortDocuments(
+      this.documents.filter((doc) => matches(doc, filter)),
+      options.sort
+    );
+
+    let before = null;
+    let after;
+    if (target) {
+      before = clone(target);
+      this.modify(target, update);
+      after = target;
+    } else if (options.upsert) {
+      after = this.upsert(filter, update);
+    } else {
+      after = null;
+    }
+
+    const value =
+      options.returnDocument === "after" || options.returnOriginal === false
+        ? after && project(after, options.projection)
+        : before && project(before, options.projection);
+    if (options.includeResultMetadata) {
+      return {
+        ok: 1,
+        value,
+        lastErrorObject: {
+          n: after ? 1 : 0,
+          updatedExisting: Boolean(target),
+          ...(!target && after && { upserted: after._id }),
+        },
+      };
+    }
+    return value;
+  }
+
+  async findOneAndReplace(filter, replacement, options = {}) {
+    return this.findOneAndUpdate(filter, replacement, options);
+  }
+
+  async findOneAndDelete(filter, options = {}) {
+    const [target] = sortDocuments(
+      this.documents.filter((doc) => matches(doc, filter)),
+      options.sort
+    );
+    if (target) this.documents = this.documents.filter((doc) => doc !== target);
+    const value = target ? project(target, options.projection) : null;
+    return options.includeResultMetadata ? { ok: 1, value } : value;
+  }
+
+  async deleteOne(filter) {
+    const target = this.documents.find((doc) => matches(doc, filter));
+    if (target) this.documents = this.documents.filter((doc) => doc !== target);
+    return { acknowledged: true, deletedCount: target ? 1 : 0 };
+  }
+
+  async deleteMany(filter = {}) {
+    const before = this.documents.length;
+    this.documents = this.documents.filter((doc) => !matches(doc, filter));
+    return { acknowledged: true, deletedCount: before - this.documents.length };
+  }
+
+  async bulkWrite(operations) {
+    const result = {
+      insertedCount: 0,
+      matchedCount: 0,
+      modifiedCount: 0,
+      deletedCount: 0,
+      upsertedCount: 0,
+    };
+    for (const operation of operations) {
+      const [type, args] = Object.entries(operation)[0];
+      if (type === "insertOne") {
+        this.insert(args.document);
+        result.insertedCount += 1;
+      } else if (type === "updateOne" || type === "updateMany") {
+        const outcome = this.updateWith(
+          args.filter,
+          args.update,
+          args,
+          type === "updateMany"
+        );
+        result.matchedCount += outcome.matchedCount;
+        result.modifiedCount += outcome.modifiedCount;
+        result.upsertedCount += outcome.upsertedCount;
+      } else if (type === "deleteOne" || type === "deleteMany") {
+        const outcome = await this[type](args.filter);
+        result.deletedCount += outcome.deletedCount;
+      } else {
+        throw new Error(`In-memory database: unsupported bulk write ${type}`);
+      }
+    }
+    return { ok: 1, ...result };
+  }
+
+  aggregate() {
+    throw new Error("In-memory database: aggregation is not supported");
+  }
+
+  async createIndex() {}
+  async createIndexes() {}
+  async dropIndex() {}
+  async indexes() {
+    return [];
+  }
+  listIndexes() {
+    return { toArray: async () => [] };
+  }
+}
+
+const collections = new Map();
+
+const memoryDb = {
+  databaseName: "test",
+  collection(name) {
+    if (!collections.has(name)) collections.set(name, new MemoryCollection(name));
+    return collections.get(name);
+  },
+};
+
+/**
+ * Load every model and put it on in-memory collections
+ */
+export const connectMemoryDb = async () => {
+  for (const file of readdirSync(modelsDir)) {
+    if (file.endsWith(".js")) await import(path.join(modelsDir, file));
+  }
+
+  mongoose.connection.db = memoryDb;
+  for (const name of mongoose.modelNames()) {
+    const model = mongoose.model(name);
+    const collection = memoryDb.collection(model.collection.collectionName);
+    if (collection.uniqueIndexes.length === 0) {
+      for (const [fields, options] of model.schema.indexes()) {
+        if (options?.unique) collection.addUniqueIndex(fields, options);
+      }
+    }
+    model.collection.collection = collection;
+    model.collection.buffer = false;
+  }
+};
+
+/**
+ * Remove every stored document
+ */
+export const clearMemoryDb = () => {
+  for (const collection of collections.values()) collection.clear();
+};
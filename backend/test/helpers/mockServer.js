@@ -0,0 +1,65 @@
+import { spawn } from "child_process";
+import { once } from "events";
+import net from "net";
+import path from "path";
+import { fileURLToPath } from "url";
+
+const scriptsDir = path.resolve(
+  path.dirname(fileURLToPath(import.meta.url)),
+  "../../scripts"
+);
+
+/**
+ * A port nothing is listening on
+ */
+const freePort = async () => {
+  const server = net.createServer().listen(0, "127.0.0.1");
+  await once(server, "listening");
+  const { port } = server.address();
+  await new Promise((resolve) => server.close(resolve));
+  return port;
+};
+
+/**
+ * Run one of the scripts/mock-*.js servers on a free port, resolving once
+ * it logs that it is running
+ * portVariable is the env variable the script reads its port from; env may
+ * be a function of the port
+ */
+export const startMockServer = async (script, portVariable, env = {}) => {
+  const port = await freePort();
+  const extraEnv = typeof env === "function" ? env(port) : env;
+  const child = spawn(process.execPath, [path.join(scriptsDir, script)], {
+    env: { ...process.env, ...extraEnv, [portVariable]: String(port) },
+    stdio: ["ignore", "pipe", "inherit"],
+  });
+
+  await new Promise((resolve, reject) => {
+    let output = "";
+    const timer = setTimeout(
+      () => reject(new Error(`${script} did not start`)),
+      10000
+    );
+    child.once("exit", (code) => {
+      clearTimeout(timer);
+      reject(new Error(`${script} exited with code ${code}`));
+    });
+    child.stdout.on("data", (chunk) => {
+      output += chunk;
+      if (output.includes("running")) {
+        clearTimeout(timer);
+        resolve();
+      }
+    });
+  });
+  child.removeAllListeners("exit");
+
+  return {
+    port,
+    stop: async () => {
+      if (child.exitCode !== null) return;
+      child.kill();
+      await once(child, "exit");
+    },
+  };
+};
@@ -0,0 +1,68 @@
+import { once } from "events";
+import express from "express";
+import { errorHandler } from "../../src/utils/errors.js";
+import authRoutes from "../../src/routes/auth.routes.js";
+import projectRoutes from "../../src/routes/projects.routes.js";
+import taskRoutes from "../../src/routes/tasks.routes.js";
+import invitationRoutes from "../../src/routes/invitations.routes.js";
+import wellKnownRoutes from "../../src/routes/wellKnown.routes.js";
+
+/**
+ * The API's routes on a local port, without the database connection,
+ * Redis and job queues app.js starts
+ */
+export const startTestServer = async () => {
+  const app = express();
+  app.use(express.json());
+  app.use(express.urlencoded({ extended: true }));
+
+  app.use("/.well-known", wellKnownRoutes);
+  app.use("/auth", authRoutes);
+  app.use("/projects", projectRoutes);
+  app.use("/invitations", invitationRoutes);
+  app.use("/", taskRoutes);
+  app.use((req, res) => {
+    res.status(404).json({ success: false, error: "Route not found" });
+  });
+  app.use(errorHandler);
+
+  const server = app.listen(0, "127.0.0.1");
+  await once(server, "listening");
+  const url = `http://127.0.0.1:${server.address().port}`;
+
+  /**
+   * Call the API; resolves to { status, headers, body }
+   */
+  const request = async (
+    method,
+    pathname,
+    { token, body, headers = {}, redirect = "follow" } = {}
+  ) => {
+    const response = await fetch(`${url}${pathname}`, {
+      method,
+      redirect,
+      headers: {
+        ...(body !== undefined && { "Content-Type": "application/json" }),
+        ...(token && { Authorization: `Bearer ${token}` }),
+        ...headers,
+      },
+      body: body !== undefined ? JSON.stringify(body) : undefined,
+    });
+    const text = await response.text();
+    let parsed = null;
+    try {
+      parsed = text ? JSON.parse(text) : null;
+    } catch {
+      parsed = text;
+    }
+    return { status: response.status, headers: response.headers, body: parsed };
+  };
+
+  const close = () =>
+    new Promise((resolve) => {
+      server.closeAllConnections();
+      server.close(resolve);
+    });
+
+  return { url, request, close };
+};
@@ -0,0 +1,221 @@
+import { describe, it, before, after, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import User from "../src/models/User.js";
+import { connectMemoryDb, clearMemoryDb } from "./helpers/memoryDb.js";
+import { startTestServer } from "./helpers/server.js";
+import { startMockServer } from "./helpers/mockServer.js";
+import { makeOrganization } from "./helpers/fixtures.js";
+
+// Single sign-on through the callback, against scripts/mock-idp.js
+
+const FRONTEND_URL = "http://app.test";
+
+describe("OIDC login", () => {
+  let api;
+  let idp;
+  let issuer;
+  let organization;
+
+  before(async () => {
+    await connectMemoryDb();
+    api = await startTestServer();
+    idp = await startMockServer("mock-idp.js", "MOCK_IDP_PORT", (port) => ({
+      MOCK_IDP_ISSUER: `http://127.0.0.1:${port}`,
+      MOCK_IDP_CLIENT_ID: "dtms",
+    }));
+    issuer = `http://127.0.0.1:${idp.port}`;
+  });
+
+  after(async () => {
+    await api.close();
+    await idp?.stop();
+  });
+
+  beforeEach(async () => {
+    clearMemoryDb();
+    organization = await makeOrganization("SSO Org");
+    Object.assign(process.env, {
+      OIDC_ISSUER: issuer,
+      OIDC_CLIENT_ID: "dtms",
+      OIDC_REDIRECT_URI: `${api.url}/auth/oidc/callback`,
+      OIDC_ORGANIZATION_SLUG: organization.slug,
+      OIDC_ROLE_MAP: "dtms-admins=ADMIN,dtms-managers=MANAGER",
+      OIDC_TRUST_PROVIDER_MFA: "false",
+      FRONTEND_URL,
+    });
+  });
+
+  /**
+   * GET /auth/oidc/login; resolves to the provider URL and the state cookie
+   */
+  const startLogin = async () => {
+    const response = await api.request("GET", "/auth/oidc/login", {
+      redirect: "manual",
+    });
+    assert.equal(response.status, 302);
+    const cookie = response.headers.get("set-cookie");
+    assert.match(cookie, /^oidc_state=[^;]+/);
+    assert.match(cookie, /HttpOnly/);
+    assert.match(cookie, /SameSite=Lax/);
+    return {
+      authorizationUrl: new URL(response.headers.get("location")),
+      cookie: cookie.split(";")[0],
+    };
+  };
+
+  /**
+   * Sign in at the provider; resolves to the callback path it redirects to
+   */
+  const signInAtProvider = async (authorizationUrl, user) => {
+    const response = await fetch(`${issuer}/authorize`, {
+      method: "POST",
+      redirect: "manual",
+      body: new URLSearchParams({
+        ...Object.fromEntries(authorizationUrl.searchParams),
+        email: user.email,
+        email_verified: String(user.emailVerified ?? true),
+        name: user.name || "SSO User",
+        groups: (user.groups || []).join(","),
+        amr: (user.amr || ["pwd"]).join(","),
+      }),
+    });
+    assert.equal(response.status, 302);
+    const callback = new URL(response.headers.get("location"));
+    return `${callback.pathname}${callback.search}`;
+  };
+
+  /**
+   * Follow the callback; resolves to the fragment handed to the frontend
+   */
+  const finishLogin = async (callbackPath, cookie) => {
+    const response = await api.request("GET", callbackPath, {
+      redirect: "manual",
+      headers: cookie ? { Cookie: cookie } : {},
+    });
+    assert.equal(response.status, 302);
+    const location = response.headers.get("location");
+    assert.ok(location.startsWith(`${FRONTEND_URL}/#`));
+    return Object.fromEntries(new URLSearchParams(location.split("#")[1]));
+  };
+
+  const login = async (user) => {
+    const { authorizationUrl, cookie } = await startLogin();
+    const callbackPath = await signInAtProvider(authorizationUrl, user);
+    return finishLogin(callbackPath, cookie);
+  };
+
+  it("signs in and provisions the user in the SSO organization", async () => {
+    const result = await login({ email: "sso@example.com", name: "Sso" });
+    assert.ok(result.token, result.error);
+    assert.ok(result.refreshToken);
+
+    const user = await User.findOne({ email: "sso@example.com" });
+    assert.ok(user.organizationId.equals(organization._id));
+    assert.equal(user.oidc.issuer, issuer);
+
+    const me = await api.request("GET", "/auth/me", { token: result.token });
+    assert.equal(me.status, 200);
+  });
+
+  it("only marks the email verified when the provider says so", async () => {
+    // No email_verified claim at all is not a yes
+    for (const emailVerified of [false, ""]) {
+      const email = `unverified${emailVerified}@example.com`;
+      const result = await login({ email, emailVerified });
+      assert.ok(result.token, result.error);
+      const user = await User.findOne({ email });
+      assert.equal(user.emailVerified, false);
+      assert.equal(user.emailVerifiedAt, null);
+    }
+
+    await login({ email: "verified@example.com" });
+    const verified = await User.findOne({ email: "verified@example.com" });
+    assert.equal(verified.emailVerified, true);
+    assert.ok(verified.emailVerifiedAt);
+  });
+
+  it("refuses a callback the browser did not start", async () => {
+    // The attacker starts a login for their own account...
+    const { authorizationUrl } = await startLogin();
+    const callbackPath = await signInAtProvider(authorizationUrl, {
+      email: "attacker@example.com",
+    });
+
+    // ...and gets the victim's browser to open the callback, with no cookie
+    const withoutCookie = await finishLogin(callbackPath);
+    assert.equal(withoutCookie.token, undefined);
+    assert.match(withoutCookie.error, /not started in this browser/);
+
+    // or with the state of a login the victim started themselves
+    const { cookie: victimCookie } = await startLogin();
+    const withOtherCookie = await finishLogin(callbackPath, victimCookie);
+    assert.equal(withOtherCookie.token, undefined);
+    assert.match(withOtherCookie.error, /not started in this browser/);
+
+    assert.equal(await User.countDocuments({ email: "attacker@example.com" }), 0);
+  });
+
+  it("clears the state cookie and only accepts the callback once", async () => {
+    const { authorizationUrl, cookie } = await startLogin();
+    const callbackPath = await signInAtProvider(authorizationUrl, {
+      email: "once@example.com",
+    });
+
+    const response = await api.request("GET", callbackPath, {
+      redirect: "manual",
+      headers: { Cookie: cookie },
+    });
+    assert.match(response.headers.get("set-cookie"), /^oidc_state=;/);
+
+    const replayed = await finishLogin(callbackPath, cookie);
+    assert.equal(replayed.token, undefined);
+    assert.ok(replayed.error);
+  });
+
+  it("keeps the role in step with the provider's groups", async () => {
+    const email = "roles@example.com";
+    const roleAfter = async (groups) => {
+      const result = await login({ email, groups });
+      assert.ok(result.token, result.error);
+      return (await User.findOne({ email })).role;
+    };
+
+    assert.equal(await roleAfter(["dtms-admins", "dtms-managers"]), "ADMIN");
+    assert.equal(await roleAfter(["dtms-managers"]), "MANAGER");
+    // Leaving every mapped group takes the role back down
+    assert.equal(await roleAfter(["unrelated"]), "MEMBER");
+
+    // A local promotion doesn't outlive the next SSO login
+    await User.updateOne({ email }, { role: "ADMIN" });
+    assert.equal(await roleAfter([]), "MEMBER");
+  });
+
+  it("leaves roles alone when no role map is configured", async () => {
+    delete process.env.OIDC_ROLE_MAP;
+    const email = "unmapped@example.com";
+    await login({ email, groups: ["dtms-admins"] });
+    assert.equal((await User.findOne({ email })).role, "MEMBER");
+
+    await User.updateOne({ email }, { role: "MANAGER" });
+    await login({ email });
+    assert.equal((await User.findOne({ email })).role, "MANAGER");
+  });
+
+  it("only lets the provider's MFA skip ours when trusted", async () => {
+    const email = "mfa@example.com";
+    await login({ email });
+    await User.updateOne({ email }, { "mfa.enabled": true });
+
+    const untrusted = await login({ email, amr: ["pwd", "mfa"] });
+    assert.equal(untrusted.token, undefined);
+    assert.ok(untrusted.mfaToken);
+
+    process.env.OIDC_TRUST_PROVIDER_MFA = "true";
+    const withoutMfa = await login({ email, amr: ["pwd"] });
+    assert.equal(withoutMfa.token, undefined);
+    assert.ok(withoutMfa.mfaToken);
+
+    const trusted = await login({ email, amr: ["pwd", "mfa"] });
+    assert.ok(trusted.token, trusted.error);
+  });
+});
@@ -0,0 +1,79 @@
+import { describe, it, before, after, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import Task from "../src/models/Task.js";
+import TaskHistory from "../src/models/TaskHistory.js";
+import Worklog from "../src/models/Worklog.js";
+import BulkOperation from "../src/models/BulkOperation.js";
+import { connectMemoryDb, clearMemoryDb } from "./helpers/memoryDb.js";
+import { startTestServer } from "./helpers/server.js";
+import {
+  makeOrganization,
+  makeUser,
+  makeProject,
+  makeTask,
+} from "./helpers/fixtures.js";
+
+// Deleting a project takes everything of its tasks with it, except their
+// history
+
+describe("deleting a project", () => {
+  let api;
+  let owner;
+  let token;
+  let project;
+
+  before(async () => {
+    await connectMemoryDb();
+    api = await startTestServer();
+  });
+
+  after(() => api.close());
+
+  beforeEach(async () => {
+    clearMemoryDb();
+    const organization = await makeOrganization();
+    ({ user: owner, token } = await makeUser(organization));
+    project = await makeProject(owner);
+  });
+
+  it("records the deleted tasks and cleans up after them", async () => {
+    const tasks = [
+      await makeTask(project, owner),
+      await makeTask(project, owner),
+    ];
+    const timer = await api.request("POST", `/tasks/${tasks[0]._id}/timer`, {
+      token,
+      body: {},
+    });
+    assert.equal(timer.status, 201);
+    await BulkOperation.create({
+      projectId: project._id,
+      organizationId: project.organizationId,
+      createdBy: owner._id,
+      type: "SET_PRIORITY",
+      params: { priority: "HIGH" },
+      taskIds: tasks.map((task) => task._id),
+    });
+
+    const deleted = await api.request("DELETE", `/projects/${project._id}`, {
+      token,
+    });
+    assert.equal(deleted.status, 200);
+
+    assert.equal(await Task.countDocuments({ projectId: project._id }), 0);
+    for (const task of tasks) {
+      const entry = await TaskHistory.findOne({
+        taskId: task._id,
+        action: "DELETED",
+      });
+      assert.ok(entry, `no DELETED entry for ${task.title}`);
+      assert.equal(entry.details.title, task.title);
+      assert.ok(entry.actorId.equals(owner._id));
+    }
+    assert.equal(await Worklog.countDocuments({ running: true }), 0);
+    assert.equal(
+      await BulkOperation.countDocuments({ projectId: project._id }),
+      0
+    );
+  });
+});
@@ -0,0 +1,30 @@
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { connectMemoryDb } from "./helpers/memoryDb.js";
+import { startTestServer } from "./helpers/server.js";
+
+// Routers mounted at the root only answer for their own paths
+
+describe("routing", () => {
+  let api;
+
+  before(async () => {
+    await connectMemoryDb();
+    api = await startTestServer();
+  });
+
+  after(() => api.close());
+
+  it("sends unknown paths to the 404 handler", async () => {
+    const response = await api.request("GET", "/no-such-route");
+    assert.equal(response.status, 404);
+    assert.equal(response.body.error, "Route not found");
+  });
+
+  it("still requires a token on task routes", async () => {
+    for (const path of ["/tasks/64b7f0c2a1b2c3d4e5f60718", "/timer"]) {
+      const response = await api.request("GET", path);
+      assert.equal(response.status, 401, path);
+    }
+  });
+});
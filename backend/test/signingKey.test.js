@@ -0,0 +1,89 @@
+import { describe, it, before, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import jwt from "jsonwebtoken";
+import SigningKey from "../src/models/SigningKey.js";
+import { connectMemoryDb, clearMemoryDb } from "./helpers/memoryDb.js";
+
+// Key creation across instances, and the legacy shared-secret window
+
+const SERVICE = "../src/services/signingKey.service.js";
+let instanceCount = 0;
+
+/**
+ * A fresh copy of the service, with its own key cache - like another
+ * API instance on the same database
+ */
+const startInstance = () => import(`${SERVICE}?instance=${++instanceCount}`);
+
+describe("signing keys", () => {
+  before(connectMemoryDb);
+
+  beforeEach(() => {
+    clearMemoryDb();
+    delete process.env.JWT_LEGACY_SECRET_UNTIL;
+    process.env.JWT_SECRET = "legacy-secret";
+  });
+
+  it("stores one current key and one successor when instances race", async () => {
+    const instances = await Promise.all([
+      startInstance(),
+      startInstance(),
+      startInstance(),
+    ]);
+
+    const jwks = await Promise.all(
+      instances.map((service) => service.getJwks())
+    );
+
+    const stored = await SigningKey.find().sort({ generation: 1 });
+    assert.deepEqual(stored.map((key) => key.generation), [1, 2]);
+    for (const { keys } of jwks) {
+      assert.deepEqual(
+        keys.map((key) => key.kid).sort(),
+        stored.map((key) => key.kid).sort()
+      );
+    }
+
+    // Every instance signs with the same key the others verify
+    const token = await instances[0].signJwt({ sub: "user" });
+    const { header } = jwt.decode(token, { complete: true });
+    assert.equal(header.kid, stored[0].kid);
+    assert.equal((await instances[2].verifyJwt(token)).sub, "user");
+  });
+
+  it("starts a new generation after revoking every key", async () => {
+    const service = await startInstance();
+    const before = await service.signJwt({ sub: "user" });
+
+    const { currentKid } = await service.rotateSigningKeys({ revoke: true });
+    const current = await SigningKey.findOne({ kid: currentKid });
+    assert.equal(current.generation, 3);
+
+    await assert.rejects(service.verifyJwt(before));
+    const after = await service.signJwt({ sub: "user" });
+    assert.equal((await service.verifyJwt(after)).sub, "user");
+  });
+
+  it("only accepts tokens without a kid inside the legacy window", async () => {
+    const service = await startInstance();
+    const legacy = jwt.sign({ sub: "user" }, "legacy-secret", {
+      algorithm: "HS256",
+    });
+
+    // JWT_SECRET alone is not enough
+    await assert.rejects(service.verifyJwt(legacy), /signing key missing/);
+
+    process.env.JWT_LEGACY_SECRET_UNTIL = new Date(
+      Date.now() + 60 * 1000
+    ).toISOString();
+    assert.equal((await service.verifyJwt(legacy)).sub, "user");
+
+    process.env.JWT_LEGACY_SECRET_UNTIL = new Date(
+      Date.now() - 60 * 1000
+    ).toISOString();
+    await assert.rejects(service.verifyJwt(legacy), /signing key missing/);
+
+    process.env.JWT_LEGACY_SECRET_UNTIL = "not a date";
+    await assert.rejects(service.verifyJwt(legacy), /signing key missing/);
+  });
+});
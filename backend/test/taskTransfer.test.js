@@ -0,0 +1,93 @@
+import { describe, it, before, after, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import Task from "../src/models/Task.js";
+import TaskHistory from "../src/models/TaskHistory.js";
+import Comment from "../src/models/Comment.js";
+import { connectMemoryDb, clearMemoryDb } from "./helpers/memoryDb.js";
+import { startTestServer } from "./helpers/server.js";
+import {
+  makeOrganization,
+  makeUser,
+  makeProject,
+  makeTask,
+} from "./helpers/fixtures.js";
+
+// Moving a task, with its subtasks, to another project
+
+describe("moving tasks", () => {
+  let api;
+  let owner;
+  let token;
+  let source;
+  let target;
+
+  before(async () => {
+    await connectMemoryDb();
+    api = await startTestServer();
+  });
+
+  after(() => api.close());
+
+  beforeEach(async () => {
+    clearMemoryDb();
+    const organization = await makeOrganization();
+    ({ user: owner, token } = await makeUser(organization));
+    source = await makeProject(owner);
+    target = await makeProject(owner);
+  });
+
+  // A task of the source project with an entry in its history
+  const createTask = async (data = {}) => {
+    const task = await makeTask(source, owner, data);
+    const edited = await api.request("PATCH", `/tasks/${task._id}`, {
+      token,
+      body: { priority: "HIGH" },
+    });
+    assert.equal(edited.status, 200);
+    return task;
+  };
+
+  it("moves the task, its subtasks and what hangs off them", async () => {
+    const parent = await createTask();
+    const child = await createTask({
+      parentId: parent._id,
+      ancestors: [parent._id],
+    });
+    const comment = await api.request("POST", `/tasks/${child._id}/comments`, {
+      token,
+      body: { text: "Comment on the child" },
+    });
+    assert.equal(comment.status, 201);
+
+    const moved = await api.request("POST", `/tasks/${parent._id}/move`, {
+      token,
+      body: { projectId: String(target._id) },
+    });
+    assert.equal(moved.status, 200, JSON.stringify(moved.body));
+
+    for (const id of [parent._id, child._id]) {
+      assert.ok((await Task.findById(id)).projectId.equals(target._id));
+
+      // Earlier history follows the task, and the move is recorded
+      const history = await TaskHistory.find({ taskId: id });
+      assert.ok(history.length >= 2);
+      assert.ok(history.every((entry) => entry.projectId.equals(target._id)));
+      assert.ok(history.some((entry) => entry.action === "MOVED"));
+    }
+    const comments = await Comment.find({ taskId: child._id });
+    assert.ok(comments.every((item) => item.projectId.equals(target._id)));
+
+    const history = await api.request("GET", `/tasks/${parent._id}/history`, {
+      token,
+    });
+    assert.equal(history.status, 200);
+  });
+
+  it("still refuses other changes to history", async () => {
+    const task = await createTask();
+    await assert.rejects(
+      TaskHistory.updateMany({ taskId: task._id }, { action: "DELETED" }),
+      /cannot be changed/
+    );
+  });
+});
@@ -0,0 +1,179 @@
+import { describe, it, before, after, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { connectMemoryDb, clearMemoryDb } from "./helpers/memoryDb.js";
+import { startTestServer } from "./helpers/server.js";
+import {
+  makeOrganization,
+  makeUser,
+  makeProject,
+  makeTask,
+} from "./helpers/fixtures.js";
+import Task from "../src/models/Task.js";
+import Project from "../src/models/Project.js";
+import User from "../src/models/User.js";
+
+// Every organization sees and changes only its own data
+
+describe("tenant isolation", () => {
+  let api;
+  let home;
+  let other;
+
+  before(async () => {
+    await connectMemoryDb();
+    api = await startTestServer();
+  });
+
+  after(() => api.close());
+
+  beforeEach(async () => {
+    clearMemoryDb();
+
+    const setUp = async () => {
+      const organization = await makeOrganization();
+      const admin = await makeUser(organization, { role: "ADMIN" });
+      const member = await makeUser(organization);
+      const project = await makeProject(admin.user, {
+        members: [
+          { userId: admin.user._id, role: "OWNER" },
+          { userId: member.user._id, role: "MEMBER" },
+        ],
+      });
+      const task = await makeTask(project, admin.user, {
+        assignedTo: member.user._id,
+      });
+      return { organization, admin, member, project, task };
+    };
+    home = await setUp();
+    other = await setUp();
+  });
+
+  describe("another organization's data is not found", () => {
+    const requests = () => {
+      const { project, task, member } = other;
+      return [
+        ["GET", `/tasks/${task._id}`],
+        ["PUT", `/tasks/${task._id}`, { title: "Taken over" }],
+        ["PATCH", `/tasks/${task._id}`, { priority: "HIGH" }],
+        ["DELETE", `/tasks/${task._id}`],
+        ["GET", `/tasks/${task._id}/history`],
+        ["GET", `/projects/${project._id}`],
+        ["PUT", `/projects/${project._id}`, { name: "Taken over" }],
+        ["DELETE", `/projects/${project._id}`],
+        ["GET", `/projects/${project._id}/members`],
+        ["GET", `/projects/${project._id}/tasks`],
+        ["POST", `/projects/${project._id}/tasks`, { title: "Planted task" }],
+        ["PUT", `/auth/users/${member.user._id}/role`, { role: "ADMIN" }],
+        ["POST", `/auth/users/${member.user._id}/deactivate`],
+        ["POST", `/auth/users/${member.user._id}/reactivate`],
+      ];
+    };
+
+    it("even for an ADMIN", async () => {
+      for (const [method, pathname, body] of requests()) {
+        const response = await api.request(method, pathname, {
+          token: home.admin.token,
+          body,
+        });
+        assert.equal(response.status, 404, `${method} ${pathname} ${JSON.stringify(response.body)}`);
+      }
+
+      // Nothing of the other organization changed
+      const task = await Task.findById(other.task._id);
+      assert.equal(task.title, other.task.title);
+      assert.equal(task.priority, other.task.priority);
+      assert.equal(await Task.countDocuments({ projectId: other.project._id }), 1);
+      const member = await User.findById(other.member.user._id);
+      assert.equal(member.role, "MEMBER");
+      assert.equal(member.isActive, true);
+      assert.ok(await Project.exists({ _id: other.project._id, name: other.project.name }));
+    });
+
+    it("lists only the caller's organization", async () => {
+      const users = await api.request("GET", "/auth/users", {
+        token: home.admin.token,
+      });
+      assert.equal(users.status, 200);
+      const emails = JSON.stringify(users.body);
+      assert.ok(emails.includes(home.member.user.email));
+      assert.ok(!emails.includes(other.member.user.email));
+
+      const projects = await api.request("GET", "/projects", {
+        token: home.admin.token,
+      });
+      assert.equal(projects.status, 200);
+      const ids = projects.body.data.map((project) => project._id);
+      assert.deepEqual(ids, [home.project._id.toString()]);
+    });
+
+    it("can't be linked into the caller's organization", async () => {
+      const { user } = other.member;
+
+      const assigned = await api.request(
+        "PUT",
+        `/tasks/${home.task._id}`,
+        { token: home.admin.token, body: { assignedTo: user._id.toString() } }
+      );
+      assert.equal(assigned.status, 404);
+
+      const added = await api.request(
+        "POST",
+        `/projects/${home.project._id}/members`,
+        {
+          token: home.admin.token,
+          body: { userId: user._id.toString(), role: "MEMBER" },
+        }
+      );
+      assert.equal(added.status, 404);
+
+      const parented = await api.request(
+        "PUT",
+        `/tasks/${home.task._id}`,
+        { token: home.admin.token, body: { parentId: other.task._id.toString() } }
+      );
+      assert.equal(parented.status, 404);
+    });
+  });
+
+  describe("task updates only change editable fields", () => {
+    const protectedFields = () => ({
+      title: "Renamed by the assignee",
+      organizationId: other.organization._id.toString(),
+      projectId: other.project._id.toString(),
+      statusCategory: "DONE",
+      ancestors: [other.task._id.toString()],
+      watchers: [],
+      rollup: { total: 99 },
+    });
+
+    const assertOnlyTitleChanged = async () => {
+      const task = await Task.findById(home.task._id);
+      assert.equal(task.title, "Renamed by the assignee");
+      assert.ok(task.organizationId.equals(home.organization._id));
+      assert.ok(task.projectId.equals(home.project._id));
+      assert.equal(task.statusCategory, "TODO");
+      assert.deepEqual(task.ancestors, []);
+      assert.notEqual(task.watchers.length, 0);
+    };
+
+    it("PATCH /tasks/:taskId", async () => {
+      const response = await api.request(
+        "PATCH",
+        `/tasks/${home.task._id}`,
+        { token: home.member.token, body: protectedFields() }
+      );
+      assert.equal(response.status, 200);
+      await assertOnlyTitleChanged();
+    });
+
+    it("PUT /projects/:projectId/tasks/:taskId", async () => {
+      const response = await api.request(
+        "PUT",
+        `/projects/${home.project._id}/tasks/${home.task._id}`,
+        { token: home.member.token, body: protectedFields() }
+      );
+      assert.equal(response.status, 200);
+      await assertOnlyTitleChanged();
+    });
+  });
+});
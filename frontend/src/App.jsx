@@ -4,7 +4,13 @@ import TaskCreationModal from "./components/TaskCreationModal";
 import ProjectCreationModal from "./components/ProjectCreationModal";
 import TaskList from "./components/TaskList";
 import TaskDashboard from "./components/TaskDashboard";
-import { getCurrentUser, logoutUser, getProjects } from "./services/api";
+import ConflictDialog from "./components/ConflictDialog";
+import {
+  getCurrentUser,
+  logoutUser,
+  getProjects,
+  clearTokens,
+} from "./services/api";
 
 function App() {
   const [isLoggedIn, setIsLoggedIn] = useState(false);
@@ -29,7 +35,7 @@ function App() {
           await loadProjects();
         } catch (err) {
           console.error("Failed to fetch user:", err);
-          localStorage.removeItem("token");
+          clearTokens();
           setIsLoggedIn(false);
         }
       }
@@ -51,8 +57,8 @@ function App() {
     }
   };
 
-  const handleLogout = () => {
-    logoutUser();
+  const handleLogout = async () => {
+    await logoutUser();
     setUser(null);
     setIsLoggedIn(false);
     setProjects([]);
@@ -173,6 +179,8 @@ function App() {
             onClose={() => setIsProjectModalOpen(false)}
             onProjectCreated={handleProjectCreated}
           />
+
+          <ConflictDialog />
         </div>
       ) : (
         <Login />
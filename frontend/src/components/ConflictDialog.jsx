@@ -0,0 +1,148 @@
+import { useState, useEffect } from "react";
+import { setConflictHandler } from "../services/api";
+import styles from "./ConflictDialog.module.css";
+
+const FIELD_LABELS = {
+  title: "Title",
+  description: "Description",
+  status: "Status",
+  priority: "Priority",
+  assignedTo: "Assignee",
+  dueDate: "Due date",
+  labels: "Labels",
+  customFields: "Custom fields",
+  name: "Name",
+};
+
+// Compare ids, not populated documents (assignedTo, labels)
+const normalize = (value) => {
+  if (Array.isArray(value)) return value.map((item) => item?._id || item);
+  if (value && typeof value === "object") return value._id || value;
+  return value ?? null;
+};
+
+const isSame = (a, b) =>
+  JSON.stringify(normalize(a)) === JSON.stringify(normalize(b));
+
+const formatValue = (value) => {
+  if (value === null || value === undefined || value === "") return "none";
+  if (Array.isArray(value)) {
+    return value.length
+      ? value.map((item) => item?.name || item).join(", ")
+      : "none";
+  }
+  if (typeof value === "object") {
+    return value.name || value.email || JSON.stringify(value);
+  }
+  return String(value);
+};
+
+/**
+ * Shown when an update was refused because someone else saved the same
+ * task or project first. Lets the user pick, field by field, whether to
+ * keep their change or the one already saved, then retries the update
+ */
+function ConflictDialog() {
+  const [conflict, setConflict] = useState(null);
+  const [choices, setChoices] = useState({});
+
+  useEffect(() => {
+    setConflictHandler(
+      ({ current, attempted }) =>
+        new Promise((resolve) => {
+          setChoices(
+            Object.fromEntries(
+              Object.keys(attempted || {}).map((field) => [field, "mine"])
+            )
+          );
+          setConflict({ current, attempted: attempted || {}, resolve });
+        })
+    );
+    return () => setConflictHandler(null);
+  }, []);
+
+  if (!conflict) return null;
+
+  const { current, attempted, resolve } = conflict;
+  const fields = Object.keys(attempted).filter((field) => field !== "force");
+
+  const close = (body) => {
+    setConflict(null);
+    resolve(body);
+  };
+
+  const handleRetry = () => {
+    const body = Object.fromEntries(
+      Object.entries(attempted).filter(
+        ([field]) => field === "force" || choices[field] === "mine"
+      )
+    );
+    const keepsSomething = fields.some((field) => choices[field] === "mine");
+    close(keepsSomething ? body : null);
+  };
+
+  return (
+    <div className={styles.overlay}>
+      <div className={styles.dialog} role="alertdialog" aria-modal="true">
+        <div className={styles.header}>
+          <h3>Someone else changed this</h3>
+          <p>
+            {current.title || current.name} was saved by someone else
+            {current.updatedAt &&
+              ` at ${new Date(current.updatedAt).toLocaleTimeString()}`}{" "}
+            while you were editing. Choose which value to keep for each field.
+          </p>
+        </div>
+
+        <table className={styles.fields}>
+          <thead>
+            <tr>
+              <th>Field</th>
+              <th>Yours</th>
+              <th>Saved</th>
+            </tr>
+          </thead>
+          <tbody>
+            {fields.map((field) => {
+              const same = isSame(attempted[field], current[field]);
+              return (
+                <tr key={field} className={same ? styles.sameRow : ""}>
+                  <td>{FIELD_LABELS[field] || field}</td>
+                  {["mine", "theirs"].map((side) => (
+                    <td key={side}>
+                      <label className={styles.choice}>
+                        <input
+                          type="radio"
+                          name={`conflict-${field}`}
+                          checked={choices[field] === side}
+                          disabled={same}
+                          onChange={() =>
+                            setChoices((prev) => ({ ...prev, [field]: side }))
+                          }
+                        />
+                        {formatValue(
+                          side === "mine" ? attempted[field] : current[field]
+                        )}
+                      </label>
+                    </td>
+                  ))}
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+
+        <div className={styles.footer}>
+          <button className={styles.discardButton} onClick={() => close(null)}>
+            Discard my changes
+          </button>
+          <button className={styles.retryButton} onClick={handleRetry}>
+            Save my choices
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default ConflictDialog;
@@ -6,6 +6,7 @@ export default function ProjectCreationModal({ isOpen, onClose, onProjectCreated
   const [formData, setFormData] = useState({
     name: "",
     description: "",
+    requireChecklistForDone: false,
   });
 
   const [errors, setErrors] = useState({});
@@ -46,10 +47,10 @@ export default function ProjectCreationModal({ isOpen, onClose, onProjectCreated
   };
 
   const handleChange = (e) => {
-    const { name, value } = e.target;
+    const { name, value, type, checked } = e.target;
     setFormData((prev) => ({
       ...prev,
-      [name]: value,
+      [name]: type === "checkbox" ? checked : value,
     }));
     if (errors[name]) {
       setErrors((prev) => ({
@@ -72,11 +73,13 @@ export default function ProjectCreationModal({ isOpen, onClose, onProjectCreated
       const response = await createProject({
         name: formData.name.trim(),
         description: formData.description.trim(),
+        requireChecklistForDone: formData.requireChecklistForDone,
       });
 
       setFormData({
         name: "",
         description: "",
+        requireChecklistForDone: false,
       });
       setErrors({});
       onProjectCreated(response.data || response);
@@ -159,6 +162,21 @@ export default function ProjectCreationModal({ isOpen, onClose, onProjectCreated
             </span>
           </div>
 
+          {/* Checklist rule */}
+          <div className={styles.formGroup}>
+            <label className={styles.checkboxLabel}>
+              <input
+                type="checkbox"
+                name="requireChecklistForDone"
+                checked={formData.requireChecklistForDone}
+                onChange={handleChange}
+                disabled={isLoading}
+              />
+              Tasks can't be completed while required checklist items are
+              unchecked
+            </label>
+          </div>
+
           {/* Info Box */}
           <div className={styles.infoBox}>
             <p className={styles.infoTitle}>💡 After creating:</p>
@@ -0,0 +1,162 @@
+import { useState, useEffect, useCallback } from "react";
+import {
+  getTaskAttachments,
+  uploadAttachment,
+  downloadAttachment,
+  getAttachmentThumbnail,
+  deleteAttachment,
+} from "../services/api";
+import styles from "./TaskAttachments.module.css";
+
+// Bytes as "820 B", "12 KB" or "3.4 MB"
+const formatSize = (bytes) => {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${Math.round(bytes / 1024)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+};
+
+/**
+ * TaskAttachments - Files of a task with image previews, download,
+ * upload and delete
+ * Files go through the API with the user's token, so previews and
+ * downloads are fetched as blobs rather than linked
+ */
+export default function TaskAttachments({ taskId, userId, canManage }) {
+  const [attachments, setAttachments] = useState([]);
+  const [thumbnails, setThumbnails] = useState({});
+  const [uploading, setUploading] = useState(false);
+  const [error, setError] = useState(null);
+
+  const loadAttachments = useCallback(
+    () =>
+      getTaskAttachments(taskId)
+        .then((response) => setAttachments(response.data || []))
+        .catch((err) => setError(err.message || "Failed to load attachments")),
+    [taskId]
+  );
+
+  useEffect(() => {
+    loadAttachments();
+  }, [loadAttachments]);
+
+  // attachment id -> object URL of its thumbnail
+  useEffect(() => {
+    let cancelled = false;
+    const urls = {};
+
+    const ready = attachments.filter((a) => a.thumbnailStatus === "READY");
+    Promise.all(
+      ready.map((attachment) =>
+        getAttachmentThumbnail(taskId, attachment._id)
+          .then((blob) => {
+            urls[attachment._id] = URL.createObjectURL(blob);
+          })
+          .catch(() => {})
+      )
+    ).then(() => {
+      if (cancelled) {
+        Object.values(urls).forEach((url) => URL.revokeObjectURL(url));
+      } else {
+        setThumbnails(urls);
+      }
+    });
+
+    return () => {
+      cancelled = true;
+      Object.values(urls).forEach((url) => URL.revokeObjectURL(url));
+    };
+  }, [taskId, attachments]);
+
+  const handleUpload = (e) => {
+    const input = e.target;
+    const file = input.files?.[0];
+    if (!file) return;
+
+    setUploading(true);
+    setError(null);
+    uploadAttachment(taskId, file)
+      .then(() => loadAttachments())
+      .catch((err) => setError(err.message || "Failed to upload file"))
+      .finally(() => {
+        setUploading(false);
+        input.value = "";
+      });
+  };
+
+  const handleDownload = (attachment) => {
+    downloadAttachment(taskId, attachment._id)
+      .then((blob) => {
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement("a");
+        link.href = url;
+        link.download = attachment.fileName;
+        link.click();
+        URL.revokeObjectURL(url);
+      })
+      .catch((err) => setError(err.message || "Failed to download file"));
+  };
+
+  const handleDelete = (attachment) => {
+    if (!window.confirm(`Delete ${attachment.fileName}?`)) return;
+    deleteAttachment(taskId, attachment._id)
+      .then(() =>
+        setAttachments((prev) => prev.filter((a) => a._id !== attachment._id))
+      )
+      .catch((err) => setError(err.message || "Failed to delete file"));
+  };
+
+  return (
+    <div className={styles.attachments}>
+      <h4>Attachments</h4>
+
+      {error && <div className={styles.error}>⚠️ {error}</div>}
+
+      {attachments.length > 0 && (
+        <ul className={styles.list}>
+          {attachments.map((attachment) => (
+            <li key={attachment._id} className={styles.item}>
+              {thumbnails[attachment._id] ? (
+                <img
+                  src={thumbnails[attachment._id]}
+                  alt={attachment.fileName}
+                  className={styles.thumbnail}
+                />
+              ) : (
+                <span className={styles.fileIcon}>📄</span>
+              )}
+              <div className={styles.info}>
+                <button
+                  type="button"
+                  className={styles.fileName}
+                  onClick={() => handleDownload(attachment)}
+                >
+                  {attachment.fileName}
+                </button>
+                <span className={styles.meta}>
+                  {formatSize(attachment.size)} ·{" "}
+                  {attachment.uploadedBy?.name || "Someone"}
+                  {attachment.commentId && " · on a comment"}
+                </span>
+              </div>
+              {(canManage || attachment.uploadedBy?._id === userId) && (
+                <button
+                  type="button"
+                  className={styles.deleteButton}
+                  onClick={() => handleDelete(attachment)}
+                  title="Delete attachment"
+                >
+                  ✕
+                </button>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+
+      <label className={styles.uploadButton}>
+        {uploading ? "Uploading..." : "📎 Attach a file"}
+        <input type="file" onChange={handleUpload} disabled={uploading} />
+      </label>
+    </div>
+  );
+}
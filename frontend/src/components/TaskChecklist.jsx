@@ -0,0 +1,221 @@
+import { useState, useEffect } from "react";
+import {
+  getProjectMembers,
+  addChecklistItem,
+  updateChecklistItem,
+  reorderChecklist,
+  deleteChecklistItem,
+} from "../services/api";
+import styles from "./TaskChecklist.module.css";
+
+/**
+ * TaskChecklist - Ordered checklist of a task: add, check off, reorder,
+ * assign and remove items
+ * Every change returns the updated task, which is handed to onChange so
+ * the task's card shows the new progress
+ */
+export default function TaskChecklist({
+  task,
+  projectId,
+  userId,
+  canEdit,
+  onChange,
+}) {
+  const [items, setItems] = useState(task.checklist || []);
+  const [members, setMembers] = useState([]);
+  const [newItem, setNewItem] = useState({ text: "", required: false });
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  // Who items can be assigned to, and whose names to show
+  useEffect(() => {
+    getProjectMembers(projectId)
+      .then((response) => setMembers(response.data || []))
+      .catch(() => setMembers([]));
+  }, [projectId]);
+
+  const memberName = (id) =>
+    members.find((member) => member.id === id)?.name || "a member";
+
+  // Run a checklist change and take the task it returns; resolves to
+  // whether it was saved
+  const save = (request, failure) => {
+    setSaving(true);
+    setError(null);
+    return request
+      .then((response) => {
+        setItems(response.data.checklist || []);
+        onChange(response.data);
+        return true;
+      })
+      .catch((err) => {
+        setError(err.message || failure);
+        return false;
+      })
+      .finally(() => setSaving(false));
+  };
+
+  const handleAdd = (e) => {
+    e.preventDefault();
+    const text = newItem.text.trim();
+    if (!text) return;
+
+    save(
+      addChecklistItem(task._id, { text, required: newItem.required }),
+      "Failed to add item"
+    ).then((saved) => saved && setNewItem({ text: "", required: false }));
+  };
+
+  const handleToggle = (item) =>
+    save(
+      updateChecklistItem(task._id, item._id, { done: !item.done }),
+      "Failed to update item"
+    );
+
+  const handleAssign = (item, assignedTo) =>
+    save(
+      updateChecklistItem(task._id, item._id, {
+        assignedTo: assignedTo || null,
+      }),
+      "Failed to assign item"
+    );
+
+  const handleMove = (index, offset) => {
+    const ids = items.map((item) => item._id);
+    const [moved] = ids.splice(index, 1);
+    ids.splice(index + offset, 0, moved);
+    save(reorderChecklist(task._id, ids), "Failed to reorder checklist");
+  };
+
+  const handleDelete = (item) =>
+    save(deleteChecklistItem(task._id, item._id), "Failed to delete item");
+
+  const doneCount = items.filter((item) => item.done).length;
+
+  return (
+    <div className={styles.checklist}>
+      <h4>
+        Checklist
+        {items.length > 0 && (
+          <span className={styles.count}>
+            {doneCount}/{items.length}
+          </span>
+        )}
+      </h4>
+
+      {error && <div className={styles.error}>⚠️ {error}</div>}
+
+      {items.length > 0 && (
+        <ul className={styles.list}>
+          {items.map((item, index) => (
+            <li key={item._id} className={styles.item}>
+              <input
+                type="checkbox"
+                checked={item.done}
+                disabled={
+                  saving || !(canEdit || item.assignedTo === userId)
+                }
+                onChange={() => handleToggle(item)}
+              />
+              <span
+                className={`${styles.text} ${item.done ? styles.done : ""}`}
+                title={
+                  item.done && item.completedBy
+                    ? `Checked by ${memberName(item.completedBy)}`
+                    : undefined
+                }
+              >
+                {item.text}
+                {item.required && (
+                  <span className={styles.required} title="Required">
+                    *
+                  </span>
+                )}
+              </span>
+
+              {canEdit ? (
+                <>
+                  <select
+                    className={styles.assignee}
+                    value={item.assignedTo || ""}
+                    onChange={(e) => handleAssign(item, e.target.value)}
+                    disabled={saving}
+                  >
+                    <option value="">Unassigned</option>
+                    {members.map((member) => (
+                      <option key={member.id} value={member.id}>
+                        {member.name}
+                      </option>
+                    ))}
+                  </select>
+                  <button
+                    type="button"
+                    className={styles.iconButton}
+                    onClick={() => handleMove(index, -1)}
+                    disabled={saving || index === 0}
+                    title="Move up"
+                  >
+                    ↑
+                  </button>
+                  <button
+                    type="button"
+                    className={styles.iconButton}
+                    onClick={() => handleMove(index, 1)}
+                    disabled={saving || index === items.length - 1}
+                    title="Move down"
+                  >
+                    ↓
+                  </button>
+                  <button
+                    type="button"
+                    className={styles.iconButton}
+                    onClick={() => handleDelete(item)}
+                    disabled={saving}
+                    title="Delete item"
+                  >
+                    ✕
+                  </button>
+                </>
+              ) : (
+                item.assignedTo && (
+                  <span className={styles.meta}>
+                    {item.assignedTo === userId
+                      ? "you"
+                      : memberName(item.assignedTo)}
+                  </span>
+                )
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {canEdit && (
+        <form onSubmit={handleAdd} className={styles.addForm}>
+          <input
+            type="text"
+            placeholder="Add an item"
+            maxLength={200}
+            value={newItem.text}
+            onChange={(e) =>
+              setNewItem((prev) => ({ ...prev, text: e.target.value }))
+            }
+          />
+          <label>
+            <input
+              type="checkbox"
+              checked={newItem.required}
+              onChange={(e) =>
+                setNewItem((prev) => ({ ...prev, required: e.target.checked }))
+              }
+            />
+            Required
+          </label>
+          <button type="submit" disabled={saving || !newItem.text.trim()}>
+            Add
+          </button>
+        </form>
+      )}
+    </div>
+  );
+}
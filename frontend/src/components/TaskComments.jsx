@@ -0,0 +1,473 @@
+import { useState, useEffect } from "react";
+import {
+  getTaskComments,
+  createComment,
+  updateComment,
+  deleteComment,
+  getCommentEdits,
+  addCommentReaction,
+  removeCommentReaction,
+} from "../services/api";
+import styles from "./TaskComments.module.css";
+
+// Reactions offered under every comment
+const REACTION_EMOJIS = ["👍", "❤️", "🎉", "😄", "👀"];
+
+// A copy of an object without one of its keys
+const without = (object, key) =>
+  Object.fromEntries(Object.entries(object).filter(([k]) => k !== key));
+
+/**
+ * TaskComments - A task's comments with one level of replies
+ * Authors edit and delete their comments, canManage users delete anyone's.
+ * Comments load a page at a time; a thread's replies load when opened
+ */
+export default function TaskComments({ taskId, userId, canManage }) {
+  const [comments, setComments] = useState([]);
+  const [nextCursor, setNextCursor] = useState(null);
+  // Opened threads: { [commentId]: { items, nextCursor } }
+  const [threads, setThreads] = useState({});
+  const [newText, setNewText] = useState("");
+  const [reply, setReply] = useState(null);
+  const [editing, setEditing] = useState(null);
+  // Earlier versions being shown: { [commentId]: edits }
+  const [edits, setEdits] = useState({});
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    getTaskComments(taskId)
+      .then((response) => {
+        setComments(response.data || []);
+        setNextCursor(response.pagination?.nextCursor || null);
+      })
+      .catch((err) => setError(err.message || "Failed to load comments"))
+      .finally(() => setLoading(false));
+  }, [taskId]);
+
+  // Put a comment the server returned in place, wherever it is shown
+  const replaceComment = (updated) => {
+    const swap = (list) =>
+      list.map((comment) => (comment._id === updated._id ? updated : comment));
+    setComments(swap);
+    setThreads((prev) =>
+      Object.fromEntries(
+        Object.entries(prev).map(([id, thread]) => [
+          id,
+          { ...thread, items: swap(thread.items) },
+        ])
+      )
+    );
+  };
+
+  // Run a comment change; resolves to its response, or null if it failed
+  const run = (request, failure) => {
+    setSaving(true);
+    setError(null);
+    return request
+      .catch((err) => {
+        setError(err.message || failure);
+        return null;
+      })
+      .finally(() => setSaving(false));
+  };
+
+  const handleLoadMore = () =>
+    run(
+      getTaskComments(taskId, { cursor: nextCursor }),
+      "Failed to load comments"
+    ).then((response) => {
+      if (!response) return;
+      setComments((prev) => [...prev, ...(response.data || [])]);
+      setNextCursor(response.pagination?.nextCursor || null);
+    });
+
+  const loadThread = (commentId, cursor) =>
+    run(
+      getTaskComments(taskId, { parentId: commentId, cursor }),
+      "Failed to load replies"
+    ).then((response) => {
+      if (!response) return;
+      setThreads((prev) => ({
+        ...prev,
+        [commentId]: {
+          items: [...(prev[commentId]?.items || []), ...(response.data || [])],
+          nextCursor: response.pagination?.nextCursor || null,
+        },
+      }));
+    });
+
+  const handleToggleThread = (comment) => {
+    if (threads[comment._id]) {
+      setThreads((prev) => without(prev, comment._id));
+      return;
+    }
+    loadThread(comment._id);
+  };
+
+  const handleCreate = (e) => {
+    e.preventDefault();
+    const text = newText.trim();
+    if (!text) return;
+
+    run(createComment(taskId, text), "Failed to add comment").then(
+      (response) => {
+        if (!response) return;
+        // Shown only once every earlier page is loaded
+        if (!nextCursor) setComments((prev) => [...prev, response.data]);
+        setNewText("");
+      }
+    );
+  };
+
+  const handleReply = (e) => {
+    e.preventDefault();
+    const text = reply.text.trim();
+    if (!text) return;
+
+    const threadId = reply.threadId;
+    run(createComment(taskId, text, threadId), "Failed to reply").then(
+      (response) => {
+        if (!response) return;
+        setComments((prev) =>
+          prev.map((comment) =>
+            comment._id === threadId
+              ? { ...comment, replyCount: comment.replyCount + 1 }
+              : comment
+          )
+        );
+        setThreads((prev) => {
+          const thread = prev[threadId];
+          // An open thread shows the reply once its last page is loaded
+          if (thread && thread.nextCursor) return prev;
+          return {
+            ...prev,
+            [threadId]: {
+              items: [...(thread?.items || []), response.data],
+              nextCursor: null,
+            },
+          };
+        });
+        setReply(null);
+      }
+    );
+  };
+
+  const handleEdit = (e) => {
+    e.preventDefault();
+    const text = editing.text.trim();
+    if (!text) return;
+
+    run(
+      updateComment(taskId, editing.id, text),
+      "Failed to edit comment"
+    ).then((response) => {
+      if (!response) return;
+      replaceComment(response.data);
+      setEdits((prev) => without(prev, editing.id));
+      setEditing(null);
+    });
+  };
+
+  const handleDelete = (comment) => {
+    if (!window.confirm("Delete this comment?")) return;
+
+    run(deleteComment(taskId, comment._id), "Failed to delete comment").then(
+      (response) => {
+        if (!response) return;
+        const deleted = {
+          ...comment,
+          text: null,
+          mentions: [],
+          reactions: [],
+          deleted: true,
+        };
+
+        if (comment.parentId) {
+          setThreads((prev) => ({
+            ...prev,
+            [comment.parentId]: {
+              ...prev[comment.parentId],
+              items: prev[comment.parentId].items.filter(
+                (item) => item._id !== comment._id
+              ),
+            },
+          }));
+          setComments((prev) =>
+            prev
+              .map((item) =>
+                item._id === comment.parentId
+                  ? { ...item, replyCount: item.replyCount - 1 }
+                  : item
+              )
+              // A deleted comment goes once its last reply does
+              .filter((item) => !item.deleted || item.replyCount > 0)
+          );
+        } else if (comment.replyCount > 0) {
+          replaceComment(deleted);
+        } else {
+          setComments((prev) =>
+            prev.filter((item) => item._id !== comment._id)
+          );
+        }
+      }
+    );
+  };
+
+  const handleToggleEdits = (comment) => {
+    if (edits[comment._id]) {
+      setEdits((prev) => without(prev, comment._id));
+      return;
+    }
+    run(
+      getCommentEdits(taskId, comment._id),
+      "Failed to load edit history"
+    ).then((response) => {
+      if (!response) return;
+      setEdits((prev) => ({ ...prev, [comment._id]: response.data.edits }));
+    });
+  };
+
+  const handleReact = (comment, emoji) => {
+    const reacted = comment.reactions.some(
+      (reaction) => reaction.emoji === emoji && reaction.reacted
+    );
+    run(
+      (reacted ? removeCommentReaction : addCommentReaction)(
+        taskId,
+        comment._id,
+        emoji
+      ),
+      "Failed to react"
+    ).then((response) => response && replaceComment(response.data));
+  };
+
+  const renderComment = (comment) => {
+    if (comment.deleted) {
+      return <p className={styles.deleted}>This comment was deleted</p>;
+    }
+
+    const isAuthor = comment.userId?._id === userId;
+
+    return (
+      <>
+        <div className={styles.header}>
+          <strong>{comment.userId?.name || "Someone"}</strong>
+          <span className={styles.time}>
+            {new Date(comment.createdAt).toLocaleString()}
+          </span>
+          {comment.edited && (
+            <button
+              type="button"
+              className={styles.linkButton}
+              onClick={() => handleToggleEdits(comment)}
+              title={`Edited ${new Date(comment.editedAt).toLocaleString()}`}
+            >
+              (edited)
+            </button>
+          )}
+        </div>
+
+        {editing?.id === comment._id ? (
+          <form onSubmit={handleEdit} className={styles.form}>
+            <textarea
+              value={editing.text}
+              maxLength={5000}
+              onChange={(e) =>
+                setEditing((prev) => ({ ...prev, text: e.target.value }))
+              }
+            />
+            <div className={styles.formActions}>
+              <button type="submit" disabled={saving || !editing.text.trim()}>
+                Save
+              </button>
+              <button type="button" onClick={() => setEditing(null)}>
+                Cancel
+              </button>
+            </div>
+          </form>
+        ) : (
+          <p className={styles.text}>{comment.text}</p>
+        )}
+
+        {edits[comment._id] && (
+          <ul className={styles.edits}>
+            {edits[comment._id].map((edit) => (
+              <li key={edit.editedAt}>
+                <span className={styles.time}>
+                  Before {new Date(edit.editedAt).toLocaleString()}
+                </span>
+                <p className={styles.text}>{edit.text}</p>
+              </li>
+            ))}
+          </ul>
+        )}
+
+        <div className={styles.actions}>
+          {REACTION_EMOJIS.map((emoji) => {
+            const reaction = comment.reactions.find((r) => r.emoji === emoji);
+            return (
+              <button
+                key={emoji}
+                type="button"
+                className={`${styles.reaction} ${
+                  reaction?.reacted ? styles.reacted : ""
+                }`}
+                onClick={() => handleReact(comment, emoji)}
+                disabled={saving}
+              >
+                {emoji}
+                {reaction && <span>{reaction.count}</span>}
+              </button>
+            );
+          })}
+
+          <button
+            type="button"
+            className={styles.linkButton}
+            onClick={() =>
+              setReply({
+                threadId: comment.parentId || comment._id,
+                text: "",
+              })
+            }
+          >
+            Reply
+          </button>
+          {isAuthor && (
+            <button
+              type="button"
+              className={styles.linkButton}
+              onClick={() =>
+                setEditing({ id: comment._id, text: comment.text })
+              }
+            >
+              Edit
+            </button>
+          )}
+          {(isAuthor || canManage) && (
+            <button
+              type="button"
+              className={styles.linkButton}
+              onClick={() => handleDelete(comment)}
+              disabled={saving}
+            >
+              Delete
+            </button>
+          )}
+        </div>
+      </>
+    );
+  };
+
+  return (
+    <div className={styles.comments}>
+      <h4>Comments</h4>
+
+      {error && <div className={styles.error}>⚠️ {error}</div>}
+      {loading && <p className={styles.empty}>Loading comments...</p>}
+      {!loading && comments.length === 0 && (
+        <p className={styles.empty}>No comments yet</p>
+      )}
+
+      <ul className={styles.list}>
+        {comments.map((comment) => {
+          const thread = threads[comment._id];
+          return (
+            <li key={comment._id} className={styles.comment}>
+              {renderComment(comment)}
+
+              {comment.replyCount > 0 && (
+                <button
+                  type="button"
+                  className={styles.linkButton}
+                  onClick={() => handleToggleThread(comment)}
+                >
+                  {thread
+                    ? "Hide replies"
+                    : `${comment.replyCount} ${
+                        comment.replyCount === 1 ? "reply" : "replies"
+                      }`}
+                </button>
+              )}
+
+              {thread && (
+                <ul className={styles.replies}>
+                  {thread.items.map((item) => (
+                    <li key={item._id} className={styles.comment}>
+                      {renderComment(item)}
+                    </li>
+                  ))}
+                  {thread.nextCursor && (
+                    <li>
+                      <button
+                        type="button"
+                        className={styles.linkButton}
+                        onClick={() =>
+                          loadThread(comment._id, thread.nextCursor)
+                        }
+                        disabled={saving}
+                      >
+                        More replies
+                      </button>
+                    </li>
+                  )}
+                </ul>
+              )}
+
+              {reply?.threadId === comment._id && (
+                <form onSubmit={handleReply} className={styles.form}>
+                  <textarea
+                    placeholder="Write a reply"
+                    value={reply.text}
+                    maxLength={5000}
+                    onChange={(e) =>
+                      setReply((prev) => ({ ...prev, text: e.target.value }))
+                    }
+                  />
+                  <div className={styles.formActions}>
+                    <button
+                      type="submit"
+                      disabled={saving || !reply.text.trim()}
+                    >
+                      Reply
+                    </button>
+                    <button type="button" onClick={() => setReply(null)}>
+                      Cancel
+                    </button>
+                  </div>
+                </form>
+              )}
+            </li>
+          );
+        })}
+      </ul>
+
+      {nextCursor && (
+        <button
+          type="button"
+          className={styles.linkButton}
+          onClick={handleLoadMore}
+          disabled={saving}
+        >
+          Load more comments
+        </button>
+      )}
+
+      <form onSubmit={handleCreate} className={styles.form}>
+        <textarea
+          placeholder="Add a comment (markdown, @name to mention)"
+          value={newText}
+          maxLength={5000}
+          onChange={(e) => setNewText(e.target.value)}
+        />
+        <div className={styles.formActions}>
+          <button type="submit" disabled={saving || !newText.trim()}>
+            Comment
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+}
@@ -1,7 +1,50 @@
 import { useState, useEffect } from "react";
-import { createTask, getProjects, getProjectMembers } from "../services/api";
+import {
+  createTask,
+  getProjects,
+  getProjectMembers,
+  getProjectCustomFields,
+} from "../services/api";
 import styles from "./TaskCreationModal.module.css";
 
+// RRULE weekday codes, Monday first
+const WEEKDAYS = [
+  { code: "MO", label: "Mon" },
+  { code: "TU", label: "Tue" },
+  { code: "WE", label: "Wed" },
+  { code: "TH", label: "Thu" },
+  { code: "FR", label: "Fri" },
+  { code: "SA", label: "Sat" },
+  { code: "SU", label: "Sun" },
+];
+
+const EMPTY_RECURRENCE = {
+  freq: "",
+  interval: 1,
+  byDay: [],
+  end: "never",
+  until: "",
+  count: "",
+};
+
+// RRULE the API expects (FREQ, INTERVAL, BYDAY, UNTIL or COUNT)
+const buildRecurrenceRule = (recurrence) => {
+  const parts = [`FREQ=${recurrence.freq}`];
+  if (Number(recurrence.interval) > 1) {
+    parts.push(`INTERVAL=${Number(recurrence.interval)}`);
+  }
+  if (recurrence.freq === "WEEKLY" && recurrence.byDay.length) {
+    parts.push(`BYDAY=${recurrence.byDay.join(",")}`);
+  }
+  if (recurrence.end === "until" && recurrence.until) {
+    parts.push(`UNTIL=${recurrence.until.replaceAll("-", "")}`);
+  }
+  if (recurrence.end === "count" && recurrence.count) {
+    parts.push(`COUNT=${Number(recurrence.count)}`);
+  }
+  return parts.join(";");
+};
+
 export default function TaskCreationModal({ isOpen, onClose, onTaskCreated }) {
   const [formData, setFormData] = useState({
     title: "",
@@ -9,11 +52,15 @@ export default function TaskCreationModal({ isOpen, onClose, onTaskCreated }) {
     priority: "Medium",
     assignedTo: null,
     dueDate: "",
+    estimateHours: "",
     projectId: "",
   });
 
   const [projects, setProjects] = useState([]);
   const [projectMembers, setProjectMembers] = useState([]);
+  const [customFields, setCustomFields] = useState([]);
+  const [customFieldValues, setCustomFieldValues] = useState({});
+  const [recurrence, setRecurrence] = useState(EMPTY_RECURRENCE);
   const [errors, setErrors] = useState({});
   const [generalError, setGeneralError] = useState("");
   const [isLoading, setIsLoading] = useState(false);
@@ -40,6 +87,14 @@ export default function TaskCreationModal({ isOpen, onClose, onTaskCreated }) {
     if (formData.projectId) {
       console.log("Loading members for project:", formData.projectId);
       loadProjectMembers(formData.projectId);
+      getProjectCustomFields(formData.projectId)
+        .then((response) =>
+          setCustomFields(Array.isArray(response.data) ? response.data : [])
+        )
+        .catch((error) => {
+          console.error("Failed to load custom fields:", error);
+          setCustomFields([]);
+        });
     } else {
       setProjectMembers([]);
       setFormData((prev) => ({ ...prev, assignedTo: null }));
@@ -71,6 +126,26 @@ export default function TaskCreationModal({ isOpen, onClose, onTaskCreated }) {
     }
   };
 
+  // Values in the shape the API expects; empty inputs are left out
+  const buildCustomFieldPayload = () => {
+    const payload = {};
+    for (const field of customFields) {
+      const value = customFieldValues[field.key];
+      if (value === undefined || value === "" || value?.length === 0) continue;
+
+      if (field.type === "NUMBER") {
+        payload[field.key] = Number(value);
+      } else if (field.type === "DATE") {
+        payload[field.key] = new Date(value).toISOString();
+      } else if (field.type === "TEXT") {
+        payload[field.key] = value.trim();
+      } else {
+        payload[field.key] = value;
+      }
+    }
+    return payload;
+  };
+
   const validateForm = () => {
     const newErrors = {};
 
@@ -90,6 +165,42 @@ export default function TaskCreationModal({ isOpen, onClose, onTaskCreated }) {
       newErrors.projectId = "Project is required";
     }
 
+    if (formData.estimateHours !== "") {
+      const minutes = Number(formData.estimateHours) * 60;
+      if (!(minutes >= 0 && minutes <= 100000)) {
+        newErrors.estimateHours = "Estimate must be 0 to 1666 hours";
+      }
+    }
+
+    if (recurrence.freq) {
+      if (!formData.dueDate) {
+        newErrors.dueDate = "Repeating tasks need a due date for the first time";
+      }
+      const interval = Number(recurrence.interval);
+      if (!Number.isInteger(interval) || interval < 1 || interval > 365) {
+        newErrors.recurrence = "Repeat every 1 to 365";
+      } else if (recurrence.end === "until" && !recurrence.until) {
+        newErrors.recurrence = "Pick the date the task stops repeating";
+      } else if (
+        recurrence.end === "count" &&
+        !(Number(recurrence.count) >= 1 && Number(recurrence.count) <= 1000)
+      ) {
+        newErrors.recurrence = "Repeat 1 to 1000 times";
+      }
+    }
+
+    const customFieldPayload = buildCustomFieldPayload();
+    for (const field of customFields) {
+      if (field.required && customFieldPayload[field.key] === undefined) {
+        newErrors[`cf.${field.key}`] = `${field.name} is required`;
+      } else if (
+        field.type === "NUMBER" &&
+        Number.isNaN(customFieldPayload[field.key])
+      ) {
+        newErrors[`cf.${field.key}`] = `${field.name} must be a number`;
+      }
+    }
+
     setErrors(newErrors);
     return Object.keys(newErrors).length === 0;
   };
@@ -100,6 +211,11 @@ export default function TaskCreationModal({ isOpen, onClose, onTaskCreated }) {
       ...prev,
       [name]: value,
     }));
+    // Custom fields differ per project
+    if (name === "projectId") {
+      setCustomFields([]);
+      setCustomFieldValues({});
+    }
     if (errors[name]) {
       setErrors((prev) => ({
         ...prev,
@@ -108,6 +224,108 @@ export default function TaskCreationModal({ isOpen, onClose, onTaskCreated }) {
     }
   };
 
+  const handleCustomFieldChange = (field, value) => {
+    setCustomFieldValues((prev) => ({ ...prev, [field.key]: value }));
+    if (errors[`cf.${field.key}`]) {
+      setErrors((prev) => ({ ...prev, [`cf.${field.key}`]: "" }));
+    }
+  };
+
+  const renderCustomFieldInput = (field) => {
+    const id = `cf-${field.key}`;
+    const value = customFieldValues[field.key] ?? "";
+    const className = `${styles.input} ${
+      errors[`cf.${field.key}`] ? styles.inputError : ""
+    }`;
+
+    switch (field.type) {
+      case "NUMBER":
+        return (
+          <input
+            id={id}
+            type="number"
+            step="any"
+            value={value}
+            onChange={(e) => handleCustomFieldChange(field, e.target.value)}
+            className={className}
+          />
+        );
+      case "DATE":
+        return (
+          <input
+            id={id}
+            type="date"
+            value={value}
+            onChange={(e) => handleCustomFieldChange(field, e.target.value)}
+            className={className}
+          />
+        );
+      case "SELECT":
+        return (
+          <select
+            id={id}
+            value={value}
+            onChange={(e) => handleCustomFieldChange(field, e.target.value)}
+            className={className}
+          >
+            <option value="">Select...</option>
+            {field.options.map((option) => (
+              <option key={option} value={option}>
+                {option}
+              </option>
+            ))}
+          </select>
+        );
+      case "MULTI_SELECT":
+        return (
+          <select
+            id={id}
+            multiple
+            value={value || []}
+            onChange={(e) =>
+              handleCustomFieldChange(
+                field,
+                Array.from(e.target.selectedOptions, (option) => option.value)
+              )
+            }
+            className={className}
+          >
+            {field.options.map((option) => (
+              <option key={option} value={option}>
+                {option}
+              </option>
+            ))}
+          </select>
+        );
+      case "USER":
+        return (
+          <select
+            id={id}
+            value={value}
+            onChange={(e) => handleCustomFieldChange(field, e.target.value)}
+            className={className}
+          >
+            <option value="">Nobody</option>
+            {projectMembers.map((member) => (
+              <option key={member.id} value={member.id}>
+                {member.name}
+              </option>
+            ))}
+          </select>
+        );
+      default:
+        return (
+          <input
+            id={id}
+            type="text"
+            value={value}
+            onChange={(e) => handleCustomFieldChange(field, e.target.value)}
+            className={className}
+          />
+        );
+    }
+  };
+
   const handleSubmit = async (e) => {
     e.preventDefault();
     setGeneralError("");
@@ -123,7 +341,18 @@ export default function TaskCreationModal({ isOpen, onClose, onTaskCreated }) {
         description: formData.description.trim(),
         priority: formData.priority,
         assignedTo: formData.assignedTo || undefined,
-        dueDate: formData.dueDate || undefined,
+        dueDate: formData.dueDate
+          ? new Date(formData.dueDate).toISOString()
+          : undefined,
+        customFields: buildCustomFieldPayload(),
+        // Sent in minutes
+        originalEstimate:
+          formData.estimateHours !== ""
+            ? Math.round(Number(formData.estimateHours) * 60)
+            : undefined,
+        recurrence: recurrence.freq
+          ? buildRecurrenceRule(recurrence)
+          : undefined,
       });
 
       setFormData({
@@ -132,8 +361,11 @@ export default function TaskCreationModal({ isOpen, onClose, onTaskCreated }) {
         priority: "Medium",
         assignedTo: null,
         dueDate: "",
+        estimateHours: "",
         projectId: "",
       });
+      setCustomFieldValues({});
+      setRecurrence(EMPTY_RECURRENCE);
       setErrors({});
       onTaskCreated();
       onClose();
@@ -315,12 +547,193 @@ export default function TaskCreationModal({ isOpen, onClose, onTaskCreated }) {
                 name="dueDate"
                 value={formData.dueDate}
                 onChange={handleChange}
-                className={styles.input}
+                className={`${styles.input} ${errors.dueDate ? styles.inputError : ""}`}
                 disabled={!formData.projectId}
               />
+              {errors.dueDate && (
+                <span className={styles.errorText}>{errors.dueDate}</span>
+              )}
             </div>
           </div>
 
+          {/* Estimate */}
+          <div className={styles.formGroup}>
+            <label htmlFor="estimateHours" className={styles.label}>
+              ⏱ Estimate (hours)
+            </label>
+            <input
+              id="estimateHours"
+              type="number"
+              name="estimateHours"
+              min="0"
+              step="0.25"
+              placeholder="e.g. 4"
+              value={formData.estimateHours}
+              onChange={handleChange}
+              className={`${styles.input} ${errors.estimateHours ? styles.inputError : ""}`}
+              disabled={!formData.projectId}
+            />
+            {errors.estimateHours && (
+              <span className={styles.errorText}>{errors.estimateHours}</span>
+            )}
+          </div>
+
+          {/* Repeat */}
+          <div className={styles.formRow}>
+            <div className={styles.formGroup}>
+              <label htmlFor="recurrenceFreq" className={styles.label}>
+                🔁 Repeat
+              </label>
+              <select
+                id="recurrenceFreq"
+                value={recurrence.freq}
+                onChange={(e) =>
+                  setRecurrence((prev) => ({ ...prev, freq: e.target.value }))
+                }
+                className={styles.input}
+                disabled={!formData.projectId}
+              >
+                <option value="">Does not repeat</option>
+                <option value="DAILY">Daily</option>
+                <option value="WEEKLY">Weekly</option>
+                <option value="MONTHLY">Monthly (same day)</option>
+              </select>
+            </div>
+
+            {recurrence.freq && (
+              <div className={styles.formGroup}>
+                <label htmlFor="recurrenceInterval" className={styles.label}>
+                  Every
+                </label>
+                <input
+                  id="recurrenceInterval"
+                  type="number"
+                  min="1"
+                  max="365"
+                  value={recurrence.interval}
+                  onChange={(e) =>
+                    setRecurrence((prev) => ({
+                      ...prev,
+                      interval: e.target.value,
+                    }))
+                  }
+                  className={styles.input}
+                />
+              </div>
+            )}
+          </div>
+
+          {recurrence.freq === "WEEKLY" && (
+            <div className={styles.formGroup}>
+              <span className={styles.label}>On</span>
+              <div className={styles.weekdayPicker}>
+                {WEEKDAYS.map(({ code, label }) => (
+                  <label key={code} className={styles.weekday}>
+                    <input
+                      type="checkbox"
+                      checked={recurrence.byDay.includes(code)}
+                      onChange={(e) =>
+                        setRecurrence((prev) => ({
+                          ...prev,
+                          byDay: e.target.checked
+                            ? WEEKDAYS.map((day) => day.code).filter(
+                                (day) => day === code || prev.byDay.includes(day)
+                              )
+                            : prev.byDay.filter((day) => day !== code),
+                        }))
+                      }
+                    />
+                    {label}
+                  </label>
+                ))}
+              </div>
+            </div>
+          )}
+
+          {recurrence.freq && (
+            <div className={styles.formRow}>
+              <div className={styles.formGroup}>
+                <label htmlFor="recurrenceEnd" className={styles.label}>
+                  Ends
+                </label>
+                <select
+                  id="recurrenceEnd"
+                  value={recurrence.end}
+                  onChange={(e) =>
+                    setRecurrence((prev) => ({ ...prev, end: e.target.value }))
+                  }
+                  className={styles.input}
+                >
+                  <option value="never">Never</option>
+                  <option value="until">On date</option>
+                  <option value="count">After a number of times</option>
+                </select>
+              </div>
+
+              {recurrence.end === "until" && (
+                <div className={styles.formGroup}>
+                  <label htmlFor="recurrenceUntil" className={styles.label}>
+                    Last date
+                  </label>
+                  <input
+                    id="recurrenceUntil"
+                    type="date"
+                    value={recurrence.until}
+                    onChange={(e) =>
+                      setRecurrence((prev) => ({
+                        ...prev,
+                        until: e.target.value,
+                      }))
+                    }
+                    className={styles.input}
+                  />
+                </div>
+              )}
+
+              {recurrence.end === "count" && (
+                <div className={styles.formGroup}>
+                  <label htmlFor="recurrenceCount" className={styles.label}>
+                    Times
+                  </label>
+                  <input
+                    id="recurrenceCount"
+                    type="number"
+                    min="1"
+                    max="1000"
+                    value={recurrence.count}
+                    onChange={(e) =>
+                      setRecurrence((prev) => ({
+                        ...prev,
+                        count: e.target.value,
+                      }))
+                    }
+                    className={styles.input}
+                  />
+                </div>
+              )}
+            </div>
+          )}
+          {errors.recurrence && (
+            <span className={styles.errorText}>{errors.recurrence}</span>
+          )}
+
+          {/* Custom Fields of the selected project */}
+          {formData.projectId &&
+            customFields.map((field) => (
+              <div key={field.key} className={styles.formGroup}>
+                <label htmlFor={`cf-${field.key}`} className={styles.label}>
+                  {field.name}
+                  {field.required && " *"}
+                </label>
+                {renderCustomFieldInput(field)}
+                {errors[`cf.${field.key}`] && (
+                  <span className={styles.errorText}>
+                    {errors[`cf.${field.key}`]}
+                  </span>
+                )}
+              </div>
+            ))}
+
           {/* Action Buttons */}
           <div className={styles.formActions}>
             <button
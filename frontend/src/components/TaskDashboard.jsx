@@ -1,16 +1,135 @@
 import { useState, useEffect, useCallback, useMemo } from "react";
 import {
   getProjectTasks,
+  getProjectWorkflow,
+  getProjectCustomFields,
+  getProjectLabels,
+  exportProjectTasks,
   patchTask,
+  ConflictError,
   getTask,
+  getTaskHistory,
+  getTaskSeries,
+  updateTaskSeries,
+  stopTaskSeries,
+  getRunningTimer,
+  startTimer,
+  stopTimer,
+  getTaskWorklogs,
+  addWorklog,
+  deleteWorklog,
+  getTaskWatchers,
+  watchTask,
+  unwatchTask,
   getCurrentUser,
+  getProjects,
+  moveTask,
+  cloneTask,
 } from "../services/api";
+import TaskAttachments from "./TaskAttachments";
+import TaskChecklist from "./TaskChecklist";
+import TaskComments from "./TaskComments";
 import styles from "./TaskDashboard.module.css";
 
-const TASK_STATUS = {
-  TODO: "TODO",
-  IN_PROGRESS: "IN_PROGRESS",
-  DONE: "DONE",
+// Statuses are per project; colors follow the status category
+const STATUS_CATEGORY_COLORS = {
+  TODO: "#64748b",
+  ACTIVE: "#f59e0b",
+  DONE: "#10b981",
+};
+
+const STATUS_CATEGORY_ICONS = {
+  TODO: "📋",
+  ACTIVE: "⚙️",
+  DONE: "✅",
+};
+
+// How each history action reads in the timeline
+const HISTORY_ACTION_LABELS = {
+  CREATED: "created the task",
+  UPDATED: "updated the task",
+  STATUS_CHANGED: "changed the status",
+  ASSIGNED: "changed the assignee",
+  COMMENTED: "commented",
+  COMMENT_DELETED: "deleted a comment",
+  ATTACHED: "attached a file",
+  DETACHED: "removed a file",
+  CHECKLIST_UPDATED: "updated the checklist",
+  MOVED: "moved the task",
+  DELETED: "deleted the task",
+};
+
+const CHECKLIST_CHANGE_LABELS = {
+  ADDED: "Added",
+  UPDATED: "Edited",
+  CHECKED: "Checked",
+  UNCHECKED: "Unchecked",
+  REMOVED: "Removed",
+  REORDERED: "Reordered the items",
+};
+
+const HISTORY_FIELD_LABELS = {
+  title: "Title",
+  description: "Description",
+  status: "Status",
+  priority: "Priority",
+  assignedTo: "Assignee",
+  dueDate: "Due date",
+  parentId: "Parent task",
+  labels: "Labels",
+  originalEstimate: "Original estimate",
+  remainingEstimate: "Remaining estimate",
+};
+
+const RECURRENCE_UNITS = { DAILY: "day", WEEKLY: "week", MONTHLY: "month" };
+
+// Short description of a stored RRULE ("Every 2 weeks on MO, TH")
+const describeRecurrence = (rrule) => {
+  const parts = Object.fromEntries(
+    rrule.split(";").map((part) => part.split("="))
+  );
+  const interval = Number(parts.INTERVAL || 1);
+  const unit = RECURRENCE_UNITS[parts.FREQ];
+
+  let text = interval > 1 ? `Every ${interval} ${unit}s` : `Every ${unit}`;
+  if (parts.BYDAY) text += ` on ${parts.BYDAY.split(",").join(", ")}`;
+  if (parts.COUNT) text += `, ${parts.COUNT} times`;
+  if (parts.UNTIL) {
+    const until = parts.UNTIL;
+    text += ` until ${until.slice(0, 4)}-${until.slice(4, 6)}-${until.slice(6, 8)}`;
+  }
+  return text;
+};
+
+// Minutes as "2h 30m"
+const formatMinutes = (minutes) => {
+  const hours = Math.floor(minutes / 60);
+  const rest = minutes % 60;
+  if (!hours) return `${rest}m`;
+  return rest ? `${hours}h ${rest}m` : `${hours}h`;
+};
+
+// Minutes from "2h 30m", "1.5h", "90m" or a bare number of minutes;
+// null when the text is not a duration
+const parseDuration = (text) => {
+  const value = text.trim().toLowerCase();
+  if (/^\d+$/.test(value)) return Number(value);
+
+  const match = /^(?:(\d+(?:\.\d+)?)\s*h)?\s*(?:(\d+)\s*m)?$/.exec(value);
+  if (!match || (!match[1] && !match[2])) return null;
+  return Math.round(Number(match[1] || 0) * 60) + Number(match[2] || 0);
+};
+
+// Checklist progress as "3/6 done" plus any required items left
+const checklistProgress = (task) => {
+  const done = task.checklist.filter((item) => item.done).length;
+  const requiredLeft = task.checklist.filter(
+    (item) => item.required && !item.done
+  ).length;
+  return (
+    `${done}/${task.checklist.length} done` +
+    (requiredLeft ? ` (${requiredLeft} required left)` : "")
+  );
 };
 
 const TASK_PRIORITY = {
@@ -33,6 +152,9 @@ const TASK_PRIORITY = {
 export default function TaskDashboard({ projectId, user }) {
   // State for tasks and pagination
   const [tasks, setTasks] = useState([]);
+  const [workflow, setWorkflow] = useState(null);
+  const [customFields, setCustomFields] = useState([]);
+  const [labels, setLabels] = useState([]);
   const [pagination, setPagination] = useState({
     page: 1,
     limit: 10,
@@ -50,6 +172,7 @@ export default function TaskDashboard({ projectId, user }) {
   const [filters, setFilters] = useState({
     status: null,
     priority: null,
+    label: null,
   });
   const [sortBy, setSortBy] = useState("createdAt");
   const [sortOrder, setSortOrder] = useState("desc");
@@ -59,6 +182,41 @@ export default function TaskDashboard({ projectId, user }) {
   const [editingTask, setEditingTask] = useState(null);
   const [isModalOpen, setIsModalOpen] = useState(false);
 
+  // The current user's running timer (one at a time, on any task)
+  const [runningTimer, setRunningTimer] = useState(null);
+
+  // Load the project's workflow (statuses and allowed transitions)
+  useEffect(() => {
+    if (!projectId) return;
+
+    getProjectWorkflow(projectId)
+      .then((response) => setWorkflow(response.data))
+      .catch((err) => {
+        console.error("Failed to load workflow:", err);
+        setWorkflow(null);
+      });
+
+    getProjectCustomFields(projectId)
+      .then((response) => setCustomFields(response.data || []))
+      .catch((err) => {
+        console.error("Failed to load custom fields:", err);
+        setCustomFields([]);
+      });
+
+    getProjectLabels(projectId)
+      .then((response) => setLabels(response.data || []))
+      .catch((err) => {
+        console.error("Failed to load labels:", err);
+        setLabels([]);
+      });
+  }, [projectId]);
+
+  useEffect(() => {
+    getRunningTimer()
+      .then((response) => setRunningTimer(response.data))
+      .catch((err) => console.error("Failed to load timer:", err));
+  }, []);
+
   // Load tasks when filters, sort, or page changes
   useEffect(() => {
     loadTasks();
@@ -85,6 +243,7 @@ export default function TaskDashboard({ projectId, user }) {
         order: sortOrder,
         ...(filters.status && { status: filters.status }),
         ...(filters.priority && { priority: filters.priority }),
+        ...(filters.label && { label: filters.label }),
       };
 
       const response = await getProjectTasks(projectId, queryParams);
@@ -104,6 +263,31 @@ export default function TaskDashboard({ projectId, user }) {
     }
   }, [projectId, filters, sortBy, sortOrder, pagination.page, pagination.limit]);
 
+  /**
+   * Download the tasks matching the current filters
+   */
+  const handleExport = async (format) => {
+    try {
+      const blob = await exportProjectTasks(projectId, format, {
+        sortBy,
+        order: sortOrder,
+        ...(filters.status && { status: filters.status }),
+        ...(filters.priority && { priority: filters.priority }),
+        ...(filters.label && { label: filters.label }),
+      });
+
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement("a");
+      link.href = url;
+      link.download = `tasks-${projectId}.${format}`;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (err) {
+      console.error("Failed to export tasks:", err);
+      setError(err.message || "Failed to export tasks");
+    }
+  };
+
   /**
    * Check if user can perform certain actions
    */
@@ -136,6 +320,31 @@ export default function TaskDashboard({ projectId, user }) {
     return false;
   }, [user]);
 
+  /**
+   * Replace a task with the server's copy after a save (keeps its version
+   * current for the next If-Match)
+   */
+  const applyServerTask = useCallback((taskId, serverTask) => {
+    if (!serverTask) return;
+    setTasks((prev) =>
+      prev.map((task) =>
+        task._id === taskId ? { ...task, ...serverTask } : task
+      )
+    );
+  }, []);
+
+  /**
+   * Undo an optimistic update. After a lost conflict the task shows what
+   * was saved by the other user instead of what we had before
+   */
+  const revertTaskUpdate = useCallback(
+    (err, taskId, originalTasks) => {
+      setTasks(originalTasks);
+      if (err instanceof ConflictError) applyServerTask(taskId, err.current);
+    },
+    [applyServerTask]
+  );
+
   /**
    * Handle status change with optimistic UI update
    */
@@ -155,19 +364,25 @@ export default function TaskDashboard({ projectId, user }) {
       setUpdating((prev) => ({ ...prev, [taskId]: true }));
 
       try {
-        await patchTask(taskId, { status: newStatus });
+        const response = await patchTask(
+          taskId,
+          { status: newStatus },
+          originalTasks.find((t) => t._id === taskId)?.__v
+        );
+        // The status category and version come from the server
+        applyServerTask(taskId, response.data);
         setSuccessMessage("Task status updated successfully");
         setTimeout(() => setSuccessMessage(""), 3000);
       } catch (err) {
         // Revert optimistic update on error
-        setTasks(originalTasks);
+        revertTaskUpdate(err, taskId, originalTasks);
         setError(err.message || "Failed to update task status");
         console.error(err);
       } finally {
         setUpdating((prev) => ({ ...prev, [taskId]: false }));
       }
     },
-    [tasks, canUserChangeStatus]
+    [tasks, canUserChangeStatus, applyServerTask, revertTaskUpdate]
   );
 
   /**
@@ -188,25 +403,48 @@ export default function TaskDashboard({ projectId, user }) {
       setUpdating((prev) => ({ ...prev, [taskId]: true }));
 
       try {
-        await patchTask(taskId, { priority: newPriority });
+        const response = await patchTask(
+          taskId,
+          { priority: newPriority },
+          originalTasks.find((t) => t._id === taskId)?.__v
+        );
+        applyServerTask(taskId, response.data);
         setSuccessMessage("Task priority updated successfully");
         setTimeout(() => setSuccessMessage(""), 3000);
       } catch (err) {
-        setTasks(originalTasks);
+        revertTaskUpdate(err, taskId, originalTasks);
         setError(err.message || "Failed to update task priority");
         console.error(err);
       } finally {
         setUpdating((prev) => ({ ...prev, [taskId]: false }));
       }
     },
-    [tasks, canUserEdit]
+    [tasks, canUserEdit, applyServerTask, revertTaskUpdate]
   );
 
   /**
    * Handle task description update via modal
+   * scope "series" edits every open occurrence of a repeating task
    */
   const handleSaveTaskDetails = useCallback(
-    async (taskId, updates) => {
+    async (taskId, updates, scope = "occurrence") => {
+      if (scope === "series") {
+        setUpdating((prev) => ({ ...prev, [taskId]: true }));
+        try {
+          await updateTaskSeries(taskId, updates);
+          await loadTasks();
+          setSuccessMessage("All open occurrences updated successfully");
+          setTimeout(() => setSuccessMessage(""), 3000);
+          setIsModalOpen(false);
+        } catch (err) {
+          setError(err.message || "Failed to update the series");
+          console.error(err);
+        } finally {
+          setUpdating((prev) => ({ ...prev, [taskId]: false }));
+        }
+        return;
+      }
+
       const originalTasks = tasks;
       const updatedTasks = tasks.map((task) =>
         task._id === taskId ? { ...task, ...updates } : task
@@ -215,19 +453,63 @@ export default function TaskDashboard({ projectId, user }) {
       setUpdating((prev) => ({ ...prev, [taskId]: true }));
 
       try {
-        await patchTask(taskId, updates);
+        const response = await patchTask(
+          taskId,
+          updates,
+          originalTasks.find((t) => t._id === taskId)?.__v
+        );
+        applyServerTask(taskId, response.data);
         setSuccessMessage("Task updated successfully");
         setTimeout(() => setSuccessMessage(""), 3000);
         setIsModalOpen(false);
       } catch (err) {
-        setTasks(originalTasks);
+        revertTaskUpdate(err, taskId, originalTasks);
         setError(err.message || "Failed to update task");
         console.error(err);
       } finally {
         setUpdating((prev) => ({ ...prev, [taskId]: false }));
       }
     },
-    [tasks]
+    [tasks, loadTasks, applyServerTask, revertTaskUpdate]
+  );
+
+  /**
+   * Start a timer on a task, or stop it if it is the one running
+   * Logged time changes the task (and its version), so tasks are reloaded
+   */
+  const handleToggleTimer = useCallback(
+    async (task) => {
+      const timerTaskId = runningTimer?.taskId?._id;
+      setUpdating((prev) => ({ ...prev, [task._id]: true }));
+
+      try {
+        if (timerTaskId === task._id) {
+          const response = await stopTimer();
+          setRunningTimer(null);
+          setSuccessMessage(
+            response.data
+              ? `Logged ${formatMinutes(response.data.minutes)}`
+              : "Timer stopped"
+          );
+          await loadTasks();
+        } else {
+          const response = await startTimer(task._id);
+          setRunningTimer({
+            ...response.data.timer,
+            taskId: { _id: task._id, title: task.title },
+          });
+          setSuccessMessage(`Timer started on "${task.title}"`);
+          if (response.data.stopped) await loadTasks();
+        }
+        setTimeout(() => setSuccessMessage(""), 3000);
+      } catch (err) {
+        setError(err.message || "Failed to update the timer");
+        console.error(err);
+      } finally {
+        setUpdating((prev) => ({ ...prev, [task._id]: false }));
+      }
+    },
+    [runningTimer, loadTasks]
   );
 
   /**
@@ -266,15 +548,19 @@ export default function TaskDashboard({ projectId, user }) {
     return levels[priority] || 0;
   };
 
+  const findStatus = (status) =>
+    workflow?.statuses.find((s) => s.key === status);
+
   const getStatusColor = (status) => {
-    const colors = {
-      TODO: "#64748b",
-      IN_PROGRESS: "#f59e0b",
-      DONE: "#10b981",
-    };
-    return colors[status] || "#94a3b8";
+    return STATUS_CATEGORY_COLORS[findStatus(status)?.category] || "#94a3b8";
   };
 
+  // Statuses the workflow allows moving to from the task's current one
+  const getNextStatuses = (status) =>
+    (workflow?.transitions || [])
+      .filter((transition) => transition.from === status)
+      .map((transition) => transition.to);
+
   const getPriorityColor = (priority) => {
     const colors = {
       HIGH: "#ef4444",
@@ -294,12 +580,9 @@ export default function TaskDashboard({ projectId, user }) {
   };
 
   const getStatusLabel = (status) => {
-    const labels = {
-      TODO: "📋 To Do",
-      IN_PROGRESS: "⚙️ In Progress",
-      DONE: "✅ Done",
-    };
-    return labels[status] || status;
+    const definition = findStatus(status);
+    if (!definition) return status;
+    return `${STATUS_CATEGORY_ICONS[definition.category]} ${definition.name}`;
   };
 
   /**
@@ -360,6 +643,12 @@ export default function TaskDashboard({ projectId, user }) {
         <div className={styles.successMessage}>✅ {successMessage}</div>
       )}
       {error && <div className={styles.errorMessage}>⚠️ {error}</div>}
+      {runningTimer && (
+        <div className={styles.timerBanner}>
+          ⏱ Timer running on "{runningTimer.taskId?.title}" since{" "}
+          {new Date(runningTimer.startedAt).toLocaleTimeString()}
+        </div>
+      )}
 
       {/* Controls Section */}
       <div className={styles.controlsSection}>
@@ -375,9 +664,11 @@ export default function TaskDashboard({ projectId, user }) {
             }
           >
             <option value="">All Statuses</option>
-            <option value={TASK_STATUS.TODO}>To Do</option>
-            <option value={TASK_STATUS.IN_PROGRESS}>In Progress</option>
-            <option value={TASK_STATUS.DONE}>Done</option>
+            {workflow?.statuses.map((status) => (
+              <option key={status.key} value={status.key}>
+                {status.name}
+              </option>
+            ))}
           </select>
         </div>
 
@@ -399,12 +690,41 @@ export default function TaskDashboard({ projectId, user }) {
           </select>
         </div>
 
+        {labels.length > 0 && (
+          <div className={styles.filterGroup}>
+            <label>Filter by Label:</label>
+            <select
+              value={filters.label || ""}
+              onChange={(e) =>
+                setFilters((prev) => ({
+                  ...prev,
+                  label: e.target.value || null,
+                }))
+              }
+            >
+              <option value="">All Labels</option>
+              {labels.map((label) => (
+                <option key={label._id} value={label._id}>
+                  {label.name}
+                </option>
+              ))}
+            </select>
+          </div>
+        )}
+
         <div className={styles.filterGroup}>
           <label>Sort by:</label>
           <select value={sortBy} onChange={(e) => setSortBy(e.target.value)}>
             <option value="createdAt">Created Date</option>
             <option value="priority">Priority</option>
             <option value="dueDate">Due Date</option>
+            {customFields
+              .filter((field) => field.type !== "MULTI_SELECT")
+              .map((field) => (
+                <option key={field.key} value={`cf.${field.key}`}>
+                  {field.name}
+                </option>
+              ))}
           </select>
         </div>
 
@@ -418,6 +738,16 @@ export default function TaskDashboard({ projectId, user }) {
             <option value="asc">Ascending</option>
           </select>
         </div>
+
+        <div className={styles.filterGroup}>
+          <label>Export:</label>
+          <button type="button" onClick={() => handleExport("csv")}>
+            CSV
+          </button>
+          <button type="button" onClick={() => handleExport("json")}>
+            JSON
+          </button>
+        </div>
       </div>
 
       {/* Tasks List */}
@@ -432,7 +762,7 @@ export default function TaskDashboard({ projectId, user }) {
           <div className={styles.emptyState}>
             <p>
               📭 No tasks found
-              {filters.status || filters.priority
+              {filters.status || filters.priority || filters.label
                 ? " matching your filters"
                 : ""}
             </p>
@@ -443,7 +773,7 @@ export default function TaskDashboard({ projectId, user }) {
               <div
                 key={task._id}
                 className={`${styles.taskCard} ${
-                  task.status === TASK_STATUS.DONE ? styles.completed : ""
+                  task.statusCategory === "DONE" ? styles.completed : ""
                 }`}
               >
                 <div className={styles.taskHeader}>
@@ -473,6 +803,20 @@ export default function TaskDashboard({ projectId, user }) {
                   {task.description || "No description"}
                 </p>
 
+                {task.labels?.length > 0 && (
+                  <div className={styles.labelList}>
+                    {task.labels.map((label) => (
+                      <span
+                        key={label._id}
+                        className={styles.labelChip}
+                        style={{ backgroundColor: label.color }}
+                      >
+                        {label.name}
+                      </span>
+                    ))}
+                  </div>
+                )}
+
                 <div className={styles.taskMeta}>
                   <div className={styles.metaItem}>
                     <span className={styles.metaLabel}>Assigned to:</span>
@@ -486,6 +830,29 @@ export default function TaskDashboard({ projectId, user }) {
                       <span className={styles.metaLabel}>Due:</span>
                       <span className={styles.metaValue}>
                         {new Date(task.dueDate).toLocaleDateString()}
+                        {task.seriesId && " 🔁"}
+                      </span>
+                    </div>
+                  )}
+
+                  {(task.timeSpent > 0 || task.originalEstimate != null) && (
+                    <div className={styles.metaItem}>
+                      <span className={styles.metaLabel}>Time:</span>
+                      <span className={styles.metaValue}>
+                        {formatMinutes(task.timeSpent || 0)}
+                        {task.originalEstimate != null &&
+                          ` of ${formatMinutes(task.originalEstimate)}`}
+                        {task.remainingEstimate != null &&
+                          ` (${formatMinutes(task.remainingEstimate)} left)`}
+                      </span>
+                    </div>
+                  )}
+
+                  {task.checklist?.length > 0 && (
+                    <div className={styles.metaItem}>
+                      <span className={styles.metaLabel}>Checklist:</span>
+                      <span className={styles.metaValue}>
+                        {checklistProgress(task)}
                       </span>
                     </div>
                   )}
@@ -510,11 +877,13 @@ export default function TaskDashboard({ projectId, user }) {
                         disabled={updating[task._id]}
                         className={styles.statusSelect}
                       >
-                        <option value={TASK_STATUS.TODO}>To Do</option>
-                        <option value={TASK_STATUS.IN_PROGRESS}>
-                          In Progress
-                        </option>
-                        <option value={TASK_STATUS.DONE}>Done</option>
+                        {[task.status, ...getNextStatuses(task.status)].map(
+                          (status) => (
+                            <option key={status} value={status}>
+                              {findStatus(status)?.name || status}
+                            </option>
+                          )
+                        )}
                       </select>
                     </div>
                   )}
@@ -550,6 +919,23 @@ export default function TaskDashboard({ projectId, user }) {
                     </>
                   )}
 
+                  <button
+                    className={styles.editButton}
+                    onClick={() => setSelectedTask(task)}
+                  >
+                    🕘 History
+                  </button>
+
+                  <button
+                    className={styles.editButton}
+                    onClick={() => handleToggleTimer(task)}
+                    disabled={updating[task._id]}
+                  >
+                    {runningTimer?.taskId?._id === task._id
+                      ? "⏹ Stop timer"
+                      : "▶ Start timer"}
+                  </button>
+
                   {canUserDelete(task) && (
                     <button
                       className={styles.deleteButton}
@@ -608,6 +994,488 @@ export default function TaskDashboard({ projectId, user }) {
           isUpdating={updating[editingTask._id]}
         />
       )}
+
+      {/* Task Detail Modal with change history */}
+      {selectedTask && !isModalOpen && (
+        <TaskDetailModal
+          task={selectedTask}
+          workflow={workflow}
+          customFields={customFields}
+          canEdit={canUserEdit(selectedTask)}
+          userId={user?.id}
+          projectId={projectId}
+          onTimeLogged={loadTasks}
+          onTaskChanged={(serverTask) =>
+            applyServerTask(serverTask._id, serverTask)
+          }
+          onTaskMoved={() => {
+            setSelectedTask(null);
+            loadTasks();
+          }}
+          onTaskCopied={loadTasks}
+          onClose={() => setSelectedTask(null)}
+        />
+      )}
+    </div>
+  );
+}
+
+/**
+ * TaskDetailModal - Task summary, checklist, files, comments, logged time
+ * and its change history as a timeline. The task can be copied, or moved
+ * to another project by those who can edit it
+ */
+function TaskDetailModal({
+  task,
+  workflow,
+  customFields,
+  canEdit,
+  userId,
+  projectId,
+  onTimeLogged,
+  onTaskChanged,
+  onTaskMoved,
+  onTaskCopied,
+  onClose,
+}) {
+  const [history, setHistory] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [series, setSeries] = useState(null);
+  const [seriesError, setSeriesError] = useState(null);
+  const [worklogs, setWorklogs] = useState(null);
+  const [worklogError, setWorklogError] = useState(null);
+  const [logForm, setLogForm] = useState({ duration: "", note: "" });
+  const [watchers, setWatchers] = useState(null);
+  const [watchError, setWatchError] = useState(null);
+  // Projects to move or copy to, loaded when the form is opened
+  const [projects, setProjects] = useState(null);
+  const [transfer, setTransfer] = useState({
+    projectId,
+    includeSubtasks: false,
+  });
+  const [transferError, setTransferError] = useState(null);
+  const [transferNote, setTransferNote] = useState(null);
+
+  useEffect(() => {
+    getTaskHistory(task._id)
+      .then((response) => setHistory(response.data || []))
+      .catch((err) => setError(err.message || "Failed to load history"))
+      .finally(() => setLoading(false));
+  }, [task._id]);
+
+  useEffect(() => {
+    if (!task.seriesId) return;
+    getTaskSeries(task._id)
+      .then((response) => setSeries(response.data))
+      .catch((err) => setSeriesError(err.message || "Failed to load series"));
+  }, [task._id, task.seriesId]);
+
+  useEffect(() => {
+    getTaskWatchers(task._id)
+      .then((response) => setWatchers(response.data))
+      .catch((err) => setWatchError(err.message || "Failed to load watchers"));
+  }, [task._id]);
+
+  const handleToggleWatch = () => {
+    setWatchError(null);
+    (watchers.watching ? unwatchTask : watchTask)(task._id)
+      .then((response) => setWatchers(response.data))
+      .catch((err) =>
+        setWatchError(err.message || "Failed to change watching")
+      );
+  };
+
+  const loadWorklogs = useCallback(
+    () =>
+      getTaskWorklogs(task._id)
+        .then((response) => setWorklogs(response.data))
+        .catch((err) =>
+          setWorklogError(err.message || "Failed to load worklogs")
+        ),
+    [task._id]
+  );
+
+  useEffect(() => {
+    loadWorklogs();
+  }, [loadWorklogs]);
+
+  const handleLogTime = (e) => {
+    e.preventDefault();
+    const minutes = parseDuration(logForm.duration);
+    if (!minutes) {
+      setWorklogError('Enter the time spent like "1h 30m" or "45m"');
+      return;
+    }
+
+    setWorklogError(null);
+    addWorklog(task._id, { minutes, note: logForm.note.trim() })
+      .then(() => {
+        setLogForm({ duration: "", note: "" });
+        onTimeLogged();
+        return loadWorklogs();
+      })
+      .catch((err) => setWorklogError(err.message || "Failed to log time"));
+  };
+
+  const handleDeleteWorklog = (worklogId) => {
+    if (!window.confirm("Delete this worklog?")) return;
+    deleteWorklog(task._id, worklogId)
+      .then(() => {
+        onTimeLogged();
+        return loadWorklogs();
+      })
+      .catch((err) =>
+        setWorklogError(err.message || "Failed to delete worklog")
+      );
+  };
+
+  const handleStopSeries = () => {
+    if (!window.confirm("Stop this task repeating? Existing tasks are kept.")) {
+      return;
+    }
+    stopTaskSeries(task._id)
+      .then((response) => setSeries(response.data))
+      .catch((err) => setSeriesError(err.message || "Failed to stop series"));
+  };
+
+  const handleOpenTransfer = () => {
+    setTransferError(null);
+    getProjects()
+      .then((response) => setProjects(response.data || []))
+      .catch((err) =>
+        setTransferError(err.message || "Failed to load projects")
+      );
+  };
+
+  const handleMove = () => {
+    const target = projects.find((p) => p._id === transfer.projectId);
+    if (
+      !window.confirm(
+        `Move "${task.title}" and its subtasks to ${target?.name}? ` +
+          "Statuses, labels and assignees that don't exist there are changed."
+      )
+    ) {
+      return;
+    }
+    setTransferError(null);
+    moveTask(task._id, { projectId: transfer.projectId })
+      .then(() => onTaskMoved())
+      .catch((err) => setTransferError(err.message || "Failed to move task"));
+  };
+
+  const handleCopy = () => {
+    setTransferError(null);
+    setTransferNote(null);
+    cloneTask(task._id, transfer)
+      .then((response) => {
+        setTransferNote(`Copied as "${response.data.title}"`);
+        if (transfer.projectId === projectId) onTaskCopied();
+      })
+      .catch((err) => setTransferError(err.message || "Failed to copy task"));
+  };
+
+  const fieldLabel = (field) => {
+    if (field.startsWith("customFields.")) {
+      const key = field.slice("customFields.".length);
+      return customFields.find((f) => f.key === key)?.name || key;
+    }
+    return HISTORY_FIELD_LABELS[field] || field;
+  };
+
+  const formatValue = (field, value) => {
+    if (value === null || value === undefined || value === "") return "none";
+    if (Array.isArray(value)) {
+      return value.length
+        ? value.map((item) => item?.name || item).join(", ")
+        : "none";
+    }
+    if (typeof value === "object") return value.name || value._id;
+    if (field === "status") {
+      return workflow?.statuses.find((s) => s.key === value)?.name || value;
+    }
+    if (field === "dueDate") return new Date(value).toLocaleDateString();
+    if (field.endsWith("Estimate")) return formatMinutes(value);
+    return String(value);
+  };
+
+  return (
+    <div className={styles.modalOverlay} onClick={onClose}>
+      <div
+        className={styles.modalContent}
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className={styles.modalHeader}>
+          <h3>{task.title}</h3>
+          <button className={styles.closeButton} onClick={onClose}>
+            ✕
+          </button>
+        </div>
+
+        <div className={styles.detailBody}>
+          <p className={styles.description}>
+            {task.description || "No description"}
+          </p>
+
+          {watchError && (
+            <div className={styles.errorMessage}>⚠️ {watchError}</div>
+          )}
+          {watchers && (
+            <div className={styles.watchBar}>
+              <span
+                title={watchers.watchers.map((w) => w.name).join(", ")}
+              >
+                👁 {watchers.watchers.length} watching
+              </span>
+              <button className={styles.editButton} onClick={handleToggleWatch}>
+                {watchers.watching ? "Unwatch" : "Watch"}
+              </button>
+            </div>
+          )}
+
+          {task.seriesId && (
+            <div className={styles.seriesInfo}>
+              <h4>Repeats</h4>
+              {seriesError ? (
+                <div className={styles.errorMessage}>⚠️ {seriesError}</div>
+              ) : !series ? (
+                <p>Loading...</p>
+              ) : (
+                <>
+                  <p>
+                    {series.active
+                      ? describeRecurrence(series.rrule)
+                      : "No longer repeats"}
+                  </p>
+                  {series.upcoming.length > 0 && (
+                    <p>
+                      Next:{" "}
+                      {series.upcoming
+                        .map((date) => new Date(date).toLocaleDateString())
+                        .join(", ")}
+                    </p>
+                  )}
+                  {canEdit && series.active && (
+                    <button
+                      className={styles.deleteButton}
+                      onClick={handleStopSeries}
+                    >
+                      Stop repeating
+                    </button>
+                  )}
+                </>
+              )}
+            </div>
+          )}
+
+          <TaskChecklist
+            task={task}
+            projectId={projectId}
+            userId={userId}
+            canEdit={canEdit}
+            onChange={onTaskChanged}
+          />
+
+          <TaskAttachments
+            taskId={task._id}
+            userId={userId}
+            canManage={canEdit}
+          />
+
+          <TaskComments
+            taskId={task._id}
+            userId={userId}
+            canManage={canEdit}
+          />
+
+          <div className={styles.seriesInfo}>
+            <h4>Time</h4>
+            {worklogs && (
+              <p>
+                {formatMinutes(worklogs.timeSpent)} logged
+                {worklogs.originalEstimate != null &&
+                  ` of ${formatMinutes(worklogs.originalEstimate)} estimated`}
+                {worklogs.remainingEstimate != null &&
+                  `, ${formatMinutes(worklogs.remainingEstimate)} remaining`}
+              </p>
+            )}
+            {worklogError && (
+              <div className={styles.errorMessage}>⚠️ {worklogError}</div>
+            )}
+            {worklogs?.worklogs.length > 0 && (
+              <ul className={styles.worklogList}>
+                {worklogs.worklogs.map((worklog) => (
+                  <li key={worklog._id}>
+                    <strong>{worklog.userId?.name || "Someone"}</strong>{" "}
+                    {worklog.running
+                      ? "timer running"
+                      : formatMinutes(worklog.minutes)}{" "}
+                    on {new Date(worklog.startedAt).toLocaleDateString()}
+                    {worklog.note && ` - ${worklog.note}`}
+                    {!worklog.running &&
+                      (canEdit || worklog.userId?._id === userId) && (
+                        <button
+                          type="button"
+                          className={styles.closeButton}
+                          onClick={() => handleDeleteWorklog(worklog._id)}
+                          title="Delete worklog"
+                        >
+                          ✕
+                        </button>
+                      )}
+                  </li>
+                ))}
+              </ul>
+            )}
+            <form onSubmit={handleLogTime} className={styles.worklogForm}>
+              <input
+                type="text"
+                placeholder="Time spent (1h 30m)"
+                value={logForm.duration}
+                onChange={(e) =>
+                  setLogForm((prev) => ({ ...prev, duration: e.target.value }))
+                }
+              />
+              <input
+                type="text"
+                placeholder="Note (optional)"
+                maxLength={500}
+                value={logForm.note}
+                onChange={(e) =>
+                  setLogForm((prev) => ({ ...prev, note: e.target.value }))
+                }
+              />
+              <button type="submit" className={styles.editButton}>
+                Log time
+              </button>
+            </form>
+          </div>
+
+          <div className={styles.seriesInfo}>
+            <h4>Move or copy</h4>
+            {transferError && (
+              <div className={styles.errorMessage}>⚠️ {transferError}</div>
+            )}
+            {transferNote && <p>{transferNote}</p>}
+            {!projects ? (
+              <button
+                className={styles.editButton}
+                onClick={handleOpenTransfer}
+              >
+                Move or copy...
+              </button>
+            ) : (
+              <div className={styles.worklogForm}>
+                <select
+                  value={transfer.projectId}
+                  onChange={(e) =>
+                    setTransfer((prev) => ({
+                      ...prev,
+                      projectId: e.target.value,
+                    }))
+                  }
+                >
+                  {projects.map((project) => (
+                    <option key={project._id} value={project._id}>
+                      {project.name}
+                      {project._id === projectId && " (this project)"}
+                    </option>
+                  ))}
+                </select>
+                <label>
+                  <input
+                    type="checkbox"
+                    checked={transfer.includeSubtasks}
+                    onChange={(e) =>
+                      setTransfer((prev) => ({
+                        ...prev,
+                        includeSubtasks: e.target.checked,
+                      }))
+                    }
+                  />{" "}
+                  Copy subtasks
+                </label>
+                <button className={styles.editButton} onClick={handleCopy}>
+                  Copy
+                </button>
+                {canEdit && transfer.projectId !== projectId && (
+                  <button className={styles.deleteButton} onClick={handleMove}>
+                    Move
+                  </button>
+                )}
+              </div>
+            )}
+          </div>
+
+          <h4>History</h4>
+          {loading ? (
+            <p>Loading history...</p>
+          ) : error ? (
+            <div className={styles.errorMessage}>⚠️ {error}</div>
+          ) : history.length === 0 ? (
+            <p>No changes recorded yet</p>
+          ) : (
+            <ul className={styles.timeline}>
+              {history.map((entry) => (
+                <li key={entry._id} className={styles.timelineEntry}>
+                  <div className={styles.timelineHeader}>
+                    <strong>{entry.actorId?.name || "Someone"}</strong>{" "}
+                    {HISTORY_ACTION_LABELS[entry.action] || entry.action}
+                    <span className={styles.timelineTime}>
+                      {new Date(entry.createdAt).toLocaleString()}
+                    </span>
+                  </div>
+
+                  {entry.action !== "CREATED" && entry.changes.length > 0 && (
+                    <ul className={styles.timelineChanges}>
+                      {entry.changes.map((change) => (
+                        <li key={change.field}>
+                          {fieldLabel(change.field)}:{" "}
+                          {formatValue(change.field, change.from)} →{" "}
+                          {formatValue(change.field, change.to)}
+                        </li>
+                      ))}
+                    </ul>
+                  )}
+
+                  {entry.action === "COMMENTED" && entry.details?.text && (
+                    <p className={styles.timelineComment}>
+                      {entry.details.text}
+                    </p>
+                  )}
+
+                  {entry.action === "COMMENTED" && entry.details?.deleted && (
+                    <p className={styles.timelineComment}>
+                      <em>This comment was deleted</em>
+                    </p>
+                  )}
+
+                  {entry.action === "CHECKLIST_UPDATED" && entry.details && (
+                    <p className={styles.timelineComment}>
+                      ☑ {CHECKLIST_CHANGE_LABELS[entry.details.change]}
+                      {entry.details.text && `: ${entry.details.text}`}
+                    </p>
+                  )}
+
+                  {entry.action === "MOVED" && entry.details && (
+                    <p className={styles.timelineComment}>
+                      From {entry.details.fromProject} to{" "}
+                      {entry.details.toProject}
+                      {entry.details.withParentTaskId && " with its parent task"}
+                    </p>
+                  )}
+
+                  {entry.details?.fileName && (
+                    <p className={styles.timelineComment}>
+                      📎 {entry.details.fileName}
+                    </p>
+                  )}
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      </div>
     </div>
   );
 }
@@ -620,7 +1488,15 @@ function TaskEditModal({ task, onClose, onSave, isUpdating }) {
     title: task.title,
     description: task.description || "",
     priority: task.priority,
+    originalEstimate:
+      task.originalEstimate != null ? formatMinutes(task.originalEstimate) : "",
+    remainingEstimate:
+      task.remainingEstimate != null
+        ? formatMinutes(task.remainingEstimate)
+        : "",
   });
+  // Repeating tasks: change just this one or every open occurrence
+  const [scope, setScope] = useState("occurrence");
 
   const [errors, setErrors] = useState({});
 
@@ -639,6 +1515,12 @@ function TaskEditModal({ task, onClose, onSave, isUpdating }) {
       newErrors.description = "Description cannot exceed 1000 characters";
     }
 
+    for (const field of ["originalEstimate", "remainingEstimate"]) {
+      if (formData[field].trim() && parseDuration(formData[field]) === null) {
+        newErrors[field] = 'Enter a time like "4h" or "1h 30m"';
+      }
+    }
+
     return newErrors;
   };
 
@@ -651,11 +1533,23 @@ function TaskEditModal({ task, onClose, onSave, isUpdating }) {
       return;
     }
 
-    onSave(task._id, {
+    const updates = {
       title: formData.title,
       description: formData.description,
       priority: formData.priority,
-    });
+    };
+
+    // Estimates belong to this task only, and are sent when changed
+    if (scope === "occurrence") {
+      for (const field of ["originalEstimate", "remainingEstimate"]) {
+        const minutes = formData[field].trim()
+          ? parseDuration(formData[field])
+          : null;
+        if (minutes !== (task[field] ?? null)) updates[field] = minutes;
+      }
+    }
+
+    onSave(task._id, updates, scope);
   };
 
   return (
@@ -735,6 +1629,48 @@ function TaskEditModal({ task, onClose, onSave, isUpdating }) {
             </select>
           </div>
 
+          {["originalEstimate", "remainingEstimate"].map((field) => (
+            <div key={field} className={styles.formGroup}>
+              <label htmlFor={field}>
+                {field === "originalEstimate"
+                  ? "Original estimate"
+                  : "Remaining estimate"}
+              </label>
+              <input
+                id={field}
+                type="text"
+                placeholder="e.g. 4h or 1h 30m"
+                value={formData[field]}
+                onChange={(e) => {
+                  setFormData((prev) => ({ ...prev, [field]: e.target.value }));
+                  if (errors[field]) {
+                    setErrors((prev) => ({ ...prev, [field]: "" }));
+                  }
+                }}
+                disabled={isUpdating || scope === "series"}
+                className={errors[field] ? styles.inputError : ""}
+              />
+              {errors[field] && (
+                <span className={styles.errorText}>{errors[field]}</span>
+              )}
+            </div>
+          ))}
+
+          {task.seriesId && (
+            <div className={styles.formGroup}>
+              <label htmlFor="scope">Apply changes to</label>
+              <select
+                id="scope"
+                value={scope}
+                onChange={(e) => setScope(e.target.value)}
+                disabled={isUpdating}
+              >
+                <option value="occurrence">This occurrence</option>
+                <option value="series">All open occurrences (whole series)</option>
+              </select>
+            </div>
+          )}
+
           <div className={styles.modalFooter}>
             <button
               type="button"
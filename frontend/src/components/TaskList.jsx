@@ -1,12 +1,50 @@
 import { useState, useEffect } from "react";
-import { getProjectTasks, updateTaskStatus, deleteTask } from "../services/api";
+import {
+  getProjectTasks,
+  getProjectWorkflow,
+  updateTaskStatus,
+  ConflictError,
+  deleteTask,
+} from "../services/api";
 import styles from "./TaskList.module.css";
 
+const CATEGORY_ICONS = {
+  TODO: "📋",
+  ACTIVE: "⚙️",
+  DONE: "✅",
+};
+
+const CATEGORY_COLORS = {
+  TODO: "#94a3b8",
+  ACTIVE: "#f59e0b",
+  DONE: "#10b981",
+};
+
+const countDone = (checklist) => checklist.filter((item) => item.done).length;
+
 export default function TaskList({ projectId, refreshKey }) {
   const [tasks, setTasks] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const [filter, setFilter] = useState("TODO");
+  const [workflow, setWorkflow] = useState(null);
+
+  useEffect(() => {
+    if (!projectId) return;
+
+    getProjectWorkflow(projectId)
+      .then((response) => {
+        const loaded = response.data;
+        setWorkflow(loaded);
+        // Custom workflows may not have the status being filtered on
+        setFilter((current) =>
+          loaded.statuses.some((s) => s.key === current)
+            ? current
+            : loaded.initialStatus
+        );
+      })
+      .catch((err) => console.error(err));
+  }, [projectId]);
 
   useEffect(() => {
     loadTasks();
@@ -35,19 +73,19 @@ export default function TaskList({ projectId, refreshKey }) {
     }
   };
 
-  const handleStatusChange = async (taskId, currentStatus) => {
-    const transitions = {
-      TODO: "IN_PROGRESS",
-      IN_PROGRESS: "DONE",
-      DONE: "TODO",
-    };
-
-    const newStatus = transitions[currentStatus];
+  const handleStatusChange = async (taskId, currentStatus, version) => {
+    // Advance along the first transition the workflow defines
+    const newStatus = workflow?.transitions.find(
+      (transition) => transition.from === currentStatus
+    )?.to;
+    if (!newStatus) return;
 
     try {
-      await updateTaskStatus(taskId, newStatus);
+      await updateTaskStatus(taskId, newStatus, version);
       loadTasks();
     } catch (err) {
+      // Lost a conflict: show what was saved instead
+      if (err instanceof ConflictError) loadTasks();
       setError(err.message || "Failed to update task status");
       console.error(err);
     }
@@ -68,16 +106,8 @@ export default function TaskList({ projectId, refreshKey }) {
   };
 
   const getStatusColor = (status) => {
-    switch (status) {
-      case "TODO":
-        return "#94a3b8";
-      case "IN_PROGRESS":
-        return "#f59e0b";
-      case "DONE":
-        return "#10b981";
-      default:
-        return "#64748b";
-    }
+    const category = workflow?.statuses.find((s) => s.key === status)?.category;
+    return CATEGORY_COLORS[category] || "#64748b";
   };
 
   const getPriorityIcon = (priority) => {
@@ -129,18 +159,16 @@ export default function TaskList({ projectId, refreshKey }) {
   return (
     <div className={styles.taskListContainer}>
       <div className={styles.filterButtons}>
-        {["TODO", "IN_PROGRESS", "DONE"].map((status) => (
+        {(workflow?.statuses || []).map((status) => (
           <button
-            key={status}
+            key={status.key}
             className={`${styles.filterButton} ${
-              filter === status ? styles.active : ""
+              filter === status.key ? styles.active : ""
             }`}
-            onClick={() => setFilter(status)}
+            onClick={() => setFilter(status.key)}
           >
-            {status === "TODO" && "📋"}
-            {status === "IN_PROGRESS" && "⚙️"}
-            {status === "DONE" && "✅"}
-            {status}
+            {CATEGORY_ICONS[status.category]}
+            {status.name}
           </button>
         ))}
       </div>
@@ -159,7 +187,7 @@ export default function TaskList({ projectId, refreshKey }) {
                 <button
                   className={styles.statusButton}
                   onClick={() =>
-                    handleStatusChange(task._id, task.status)
+                    handleStatusChange(task._id, task.status, task.__v)
                   }
                   style={{ color: getStatusColor(task.status) }}
                 >
@@ -189,6 +217,14 @@ export default function TaskList({ projectId, refreshKey }) {
                   📅 {new Date(task.dueDate).toLocaleDateString()}
                 </span>
               )}
+              {task.checklist?.length > 0 && (
+                <span
+                  className={styles.checklist}
+                  title="Checklist items done"
+                >
+                  ☑ {countDone(task.checklist)}/{task.checklist.length}
+                </span>
+              )}
               <span
                 className={styles.statusBadge}
                 style={{ backgroundColor: getStatusColor(task.status) }}
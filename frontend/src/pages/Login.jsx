@@ -1,5 +1,13 @@
-import { useState } from "react";
-import { loginUser, registerUser, setToken } from "../services/api";
+import { useState, useEffect } from "react";
+import {
+  loginUser,
+  registerUser,
+  setToken,
+  setRefreshToken,
+  verifyMfaLogin,
+  getOidcStatus,
+  getOidcLoginUrl,
+} from "../services/api";
 
 const styles = {
   container: {
@@ -138,6 +146,18 @@ const styles = {
     transition: "all 0.3s ease",
     boxShadow: "0 4px 15px rgba(102, 126, 234, 0.3)",
   },
+  ssoButton: {
+    width: "100%",
+    padding: "12px 16px",
+    backgroundColor: "white",
+    color: "#667eea",
+    border: "2px solid #667eea",
+    borderRadius: "8px",
+    fontSize: "16px",
+    fontWeight: "600",
+    cursor: "pointer",
+    transition: "all 0.3s ease",
+  },
   toggleText: {
     textAlign: "center",
     marginTop: "24px",
@@ -222,12 +242,18 @@ const styles = {
   },
 };
 
+// Single sign-on redirects back with its result in the URL fragment
+const ssoResult = new URLSearchParams(window.location.hash.slice(1));
+
 export default function Login() {
   const [isRegister, setIsRegister] = useState(false);
   const [loading, setLoading] = useState(false);
-  const [error, setError] = useState("");
+  const [error, setError] = useState(() => ssoResult.get("error") || "");
   const [success, setSuccess] = useState("");
   const [focusedField, setFocusedField] = useState(null);
+  const [mfaToken, setMfaToken] = useState(() => ssoResult.get("mfaToken"));
+  const [mfaCode, setMfaCode] = useState("");
+  const [ssoEnabled, setSsoEnabled] = useState(false);
 
   const [formData, setFormData] = useState({
     name: "",
@@ -236,6 +262,23 @@ export default function Login() {
     confirmPassword: "",
   });
 
+  useEffect(() => {
+    if (window.location.hash) {
+      window.history.replaceState(null, "", window.location.pathname);
+    }
+
+    if (ssoResult.get("token")) {
+      setToken(ssoResult.get("token"));
+      setRefreshToken(ssoResult.get("refreshToken"));
+      window.location.href = "/";
+      return;
+    }
+
+    getOidcStatus()
+      .then((response) => setSsoEnabled(response.enabled))
+      .catch(() => setSsoEnabled(false));
+  }, []);
+
   const calculatePasswordStrength = (password) => {
     if (!password) return 0;
     let strength = 0;
@@ -307,13 +350,34 @@ export default function Login() {
           setIsRegister(false);
           setSuccess("");
         }, 2000);
+      } else if (mfaToken) {
+        if (!mfaCode.trim()) {
+          throw new Error("Authentication code is required");
+        }
+
+        const response = await verifyMfaLogin(mfaToken, mfaCode.trim());
+        setToken(response.token);
+        setRefreshToken(response.refreshToken);
+        setSuccess("Login successful! Redirecting...");
+
+        setTimeout(() => {
+          window.location.href = "/";
+        }, 1500);
       } else {
         if (!formData.email.trim() || !formData.password.trim()) {
           throw new Error("Email and password are required");
         }
 
         const response = await loginUser(formData.email, formData.password);
+
+        // Account has two-factor auth - ask for the code next
+        if (response.mfaRequired) {
+          setMfaToken(response.mfaToken);
+          return;
+        }
+
         setToken(response.token);
+        setRefreshToken(response.refreshToken);
         setSuccess("Login successful! Redirecting...");
 
         setTimeout(() => {
@@ -393,6 +457,27 @@ export default function Login() {
             )}
 
             <form style={styles.form} onSubmit={handleSubmit}>
+              {mfaToken && (
+                <div style={styles.formGroup}>
+                  <label style={styles.label}>Authentication Code</label>
+                  <input
+                    type="text"
+                    name="mfaCode"
+                    value={mfaCode}
+                    onChange={(e) => setMfaCode(e.target.value)}
+                    placeholder="6-digit code or recovery code"
+                    autoComplete="one-time-code"
+                    style={{
+                      ...styles.input,
+                      ...(focusedField === "mfaCode" ? styles.inputFocus : {}),
+                    }}
+                    onFocus={() => setFocusedField("mfaCode")}
+                    onBlur={() => setFocusedField(null)}
+                    disabled={loading}
+                  />
+                </div>
+              )}
+
               {isRegister && (
                 <div style={styles.formGroup}>
                   <label style={styles.label}>Full Name</label>
@@ -413,64 +498,68 @@ export default function Login() {
                 </div>
               )}
 
-              <div style={styles.formGroup}>
-                <label style={styles.label}>Email Address</label>
-                <input
-                  type="email"
-                  name="email"
-                  value={formData.email}
-                  onChange={handleChange}
-                  placeholder="Enter your email"
-                  style={{
-                    ...styles.input,
-                    ...(focusedField === "email" ? styles.inputFocus : {}),
-                  }}
-                  onFocus={() => setFocusedField("email")}
-                  onBlur={() => setFocusedField(null)}
-                  disabled={loading}
-                />
-              </div>
+              {!mfaToken && (
+                <>
+                  <div style={styles.formGroup}>
+                    <label style={styles.label}>Email Address</label>
+                    <input
+                      type="email"
+                      name="email"
+                      value={formData.email}
+                      onChange={handleChange}
+                      placeholder="Enter your email"
+                      style={{
+                        ...styles.input,
+                        ...(focusedField === "email" ? styles.inputFocus : {}),
+                      }}
+                      onFocus={() => setFocusedField("email")}
+                      onBlur={() => setFocusedField(null)}
+                      disabled={loading}
+                    />
+                  </div>
 
-              <div style={styles.formGroup}>
-                <label style={styles.label}>Password</label>
-                <input
-                  type="password"
-                  name="password"
-                  value={formData.password}
-                  onChange={handleChange}
-                  placeholder="Enter your password"
-                  style={{
-                    ...styles.input,
-                    ...(focusedField === "password" ? styles.inputFocus : {}),
-                  }}
-                  onFocus={() => setFocusedField("password")}
-                  onBlur={() => setFocusedField(null)}
-                  disabled={loading}
-                />
-                {isRegister && formData.password && (
-                  <div style={styles.passwordStrength}>
-                    <div style={styles.passwordBar}>
-                      <div
-                        style={{
-                          ...styles.passwordBarFill,
-                          width: `${passwordStrength}%`,
-                          backgroundColor: getPasswordStrengthColor(
-                            passwordStrength
-                          ),
-                        }}
-                      />
-                    </div>
-                    <span
+                  <div style={styles.formGroup}>
+                    <label style={styles.label}>Password</label>
+                    <input
+                      type="password"
+                      name="password"
+                      value={formData.password}
+                      onChange={handleChange}
+                      placeholder="Enter your password"
                       style={{
-                        color: getPasswordStrengthColor(passwordStrength),
-                        fontWeight: "600",
+                        ...styles.input,
+                        ...(focusedField === "password" ? styles.inputFocus : {}),
                       }}
-                    >
-                      {getPasswordStrengthText(passwordStrength)} password
-                    </span>
+                      onFocus={() => setFocusedField("password")}
+                      onBlur={() => setFocusedField(null)}
+                      disabled={loading}
+                    />
+                    {isRegister && formData.password && (
+                      <div style={styles.passwordStrength}>
+                        <div style={styles.passwordBar}>
+                          <div
+                            style={{
+                              ...styles.passwordBarFill,
+                              width: `${passwordStrength}%`,
+                              backgroundColor: getPasswordStrengthColor(
+                                passwordStrength
+                              ),
+                            }}
+                          />
+                        </div>
+                        <span
+                          style={{
+                            color: getPasswordStrengthColor(passwordStrength),
+                            fontWeight: "600",
+                          }}
+                        >
+                          {getPasswordStrengthText(passwordStrength)} password
+                        </span>
+                      </div>
+                    )}
                   </div>
-                )}
-              </div>
+                </>
+              )}
 
               {isRegister && (
                 <div style={styles.formGroup}>
@@ -519,6 +608,8 @@ export default function Login() {
                     : "Signing In..."
                   : isRegister
                   ? "Create Account"
+                  : mfaToken
+                  ? "Verify Code"
                   : "Sign In"}
               </button>
             </form>
@@ -529,6 +620,19 @@ export default function Login() {
               <div style={styles.dividerLine} />
             </div>
 
+            {ssoEnabled && !isRegister && !mfaToken && (
+              <button
+                type="button"
+                style={styles.ssoButton}
+                onClick={() => {
+                  window.location.href = getOidcLoginUrl();
+                }}
+                disabled={loading}
+              >
+                Sign in with SSO
+              </button>
+            )}
+
             <div style={styles.toggleText}>
               {isRegister ? "Already have an account?" : "Don't have an account?"}
               <button
@@ -538,6 +642,8 @@ export default function Login() {
                 }}
                 onClick={() => {
                   setIsRegister(!isRegister);
+                  setMfaToken(null);
+                  setMfaCode("");
                   setError("");
                   setSuccess("");
                   setFormData({
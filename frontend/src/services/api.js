@@ -1,8 +1,78 @@
 // API service for frontend
 const API_BASE_URL = import.meta.env.VITE_API_URL || "http://localhost:5000";
 
+// In-flight refresh, shared so parallel 401s don't rotate the same token twice
+let refreshPromise = null;
+
+// Exchange the stored refresh token for a new token pair
+const refreshSession = async () => {
+  const refreshToken = getRefreshToken();
+  if (!refreshToken) return false;
+
+  if (!refreshPromise) {
+    refreshPromise = fetch(`${API_BASE_URL}/auth/refresh`, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+      },
+      body: JSON.stringify({ refreshToken }),
+    })
+      .then(async (response) => {
+        if (!response.ok) {
+          clearTokens();
+          return false;
+        }
+
+        const data = await response.json();
+        setToken(data.token);
+        setRefreshToken(data.refreshToken);
+        return true;
+      })
+      .catch(() => false)
+      .finally(() => {
+        refreshPromise = null;
+      });
+  }
+
+  return refreshPromise;
+};
+
+// Auth calls whose 401 means bad credentials, not an expired access token
+const NO_REFRESH_ENDPOINTS = [
+  "/auth/login",
+  "/auth/register",
+  "/auth/refresh",
+  "/auth/logout",
+  "/auth/mfa/verify",
+];
+
+// Thrown when an update lost a version conflict and was not retried
+// current is the server's copy of the resource
+export class ConflictError extends Error {
+  constructor(message, current) {
+    super(message);
+    this.name = "ConflictError";
+    this.current = current;
+  }
+}
+
+// Asked how to resolve a version conflict (see ConflictDialog). Resolves
+// to the body to save over the current version, or null to give up
+let conflictHandler = null;
+
+export const setConflictHandler = (handler) => {
+  conflictHandler = handler;
+};
+
 // Helper function to make API calls
-const apiCall = async (endpoint, method = "GET", body = null) => {
+// version is the resource version the change was made against (If-Match)
+const apiCall = async (
+  endpoint,
+  method = "GET",
+  body = null,
+  retry = true,
+  { version } = {}
+) => {
   const options = {
     method,
     headers: {
@@ -16,6 +86,10 @@ const apiCall = async (endpoint, method = "GET", body = null) => {
     options.headers.Authorization = `Bearer ${token}`;
   }
 
+  if (version !== undefined) {
+    options.headers["If-Match"] = `"${version}"`;
+  }
+
   // Add body for POST/PUT requests
   if (body) {
     options.body = JSON.stringify(body);
@@ -23,14 +97,42 @@ const apiCall = async (endpoint, method = "GET", body = null) => {
 
   try {
     const response = await fetch(`${API_BASE_URL}${endpoint}`, options);
+
+    // Access token expired or revoked - refresh once and replay the request
+    if (
+      response.status === 401 &&
+      retry &&
+      !NO_REFRESH_ENDPOINTS.includes(endpoint)
+    ) {
+      if (await refreshSession()) {
+        return apiCall(endpoint, method, body, false, { version });
+      }
+    }
+
     const data = await response.json();
 
+    // Someone else saved first: let the user merge, then retry against
+    // the version they just saw
+    const isConflict = response.status === 409 || response.status === 412;
+    if (isConflict && version !== undefined && data.data) {
+      const resolved = conflictHandler
+        ? await conflictHandler({ current: data.data, attempted: body })
+        : null;
+      if (resolved) {
+        return apiCall(endpoint, method, resolved, retry, {
+          version: data.data.__v,
+        });
+      }
+      throw new ConflictError(data.error, data.data);
+    }
+
     if (!response.ok) {
       throw new Error(data.error || "An error occurred");
     }
 
     return data;
   } catch (error) {
+    if (error instanceof ConflictError) throw error;
     throw new Error(error.message);
   }
 };
@@ -50,14 +152,38 @@ export const loginUser = async (email, password) => {
   return apiCall("/auth/login", "POST", { email, password });
 };
 
+// Complete a two-step login with an authenticator or recovery code
+export const verifyMfaLogin = async (mfaToken, code) => {
+  const factor = /^\d{6}$/.test(code) ? { code } : { recoveryCode: code };
+  return apiCall("/auth/mfa/verify", "POST", { mfaToken, ...factor });
+};
+
+// Check whether single sign-on is configured on the server
+export const getOidcStatus = async () => {
+  return apiCall("/auth/oidc", "GET");
+};
+
+// Browser URL that starts the single sign-on redirect
+export const getOidcLoginUrl = () => `${API_BASE_URL}/auth/oidc/login`;
+
 // Get current user info (protected)
 export const getCurrentUser = async () => {
   return apiCall("/auth/me", "GET");
 };
 
-// Logout user (clear token from localStorage)
-export const logoutUser = () => {
-  localStorage.removeItem("token");
+// Logout user (revoke the session server-side, then clear stored tokens)
+export const logoutUser = async () => {
+  const refreshToken = getRefreshToken();
+
+  try {
+    if (refreshToken) {
+      await apiCall("/auth/logout", "POST", { refreshToken }, false);
+    }
+  } catch (error) {
+    console.warn("Failed to revoke session:", error.message);
+  } finally {
+    clearTokens();
+  }
 };
 
 // Get token from localStorage
@@ -70,6 +196,22 @@ export const setToken = (token) => {
   localStorage.setItem("token", token);
 };
 
+// Get refresh token from localStorage
+export const getRefreshToken = () => {
+  return localStorage.getItem("refreshToken");
+};
+
+// Set refresh token in localStorage
+export const setRefreshToken = (refreshToken) => {
+  localStorage.setItem("refreshToken", refreshToken);
+};
+
+// Remove both tokens from localStorage
+export const clearTokens = () => {
+  localStorage.removeItem("token");
+  localStorage.removeItem("refreshToken");
+};
+
 // Check if user is authenticated
 export const isAuthenticated = () => {
   return !!getToken();
@@ -97,6 +239,28 @@ export const createProject = async (projectData) => {
   return apiCall("/projects", "POST", projectData);
 };
 
+// Update a project (version: the project's __v when it was loaded)
+export const updateProject = async (projectId, projectData, version) => {
+  return apiCall(`/projects/${projectId}`, "PUT", projectData, true, {
+    version,
+  });
+};
+
+// Get the statuses and transitions tasks of a project follow
+export const getProjectWorkflow = async (projectId) => {
+  return apiCall(`/projects/${projectId}/workflow`, "GET");
+};
+
+// Get the custom fields tasks of a project carry
+export const getProjectCustomFields = async (projectId) => {
+  return apiCall(`/projects/${projectId}/custom-fields`, "GET");
+};
+
+// Get the labels of a project
+export const getProjectLabels = async (projectId) => {
+  return apiCall(`/projects/${projectId}/labels`, "GET");
+};
+
 // ===== Task APIs =====
 
 // Create a new task
@@ -118,19 +282,39 @@ export const getTask = async (taskId) => {
   return apiCall(`/tasks/${taskId}`, "GET");
 };
 
-// Update a task
-export const updateTask = async (taskId, taskData) => {
-  return apiCall(`/tasks/${taskId}`, "PUT", taskData);
+// Update a task (version: the task's __v when it was loaded)
+export const updateTask = async (taskId, taskData, version) => {
+  return apiCall(`/tasks/${taskId}`, "PUT", taskData, true, { version });
 };
 
 // Patch a task (can be partial updates including status)
-export const patchTask = async (taskId, taskData) => {
-  return apiCall(`/tasks/${taskId}`, "PATCH", taskData);
+export const patchTask = async (taskId, taskData, version) => {
+  return apiCall(`/tasks/${taskId}`, "PATCH", taskData, true, { version });
 };
 
 // Update task status
-export const updateTaskStatus = async (taskId, status) => {
-  return apiCall(`/tasks/${taskId}`, "PATCH", { status });
+export const updateTaskStatus = async (taskId, status, version) => {
+  return apiCall(`/tasks/${taskId}`, "PATCH", { status }, true, { version });
+};
+
+// Get the change history of a task (newest first)
+export const getTaskHistory = async (taskId, page = 1) => {
+  return apiCall(`/tasks/${taskId}/history?page=${page}`, "GET");
+};
+
+// Get the series a repeating task belongs to, with its next dates
+export const getTaskSeries = async (taskId) => {
+  return apiCall(`/tasks/${taskId}/series`, "GET");
+};
+
+// Edit every open occurrence of a repeating task (or make a task repeat)
+export const updateTaskSeries = async (taskId, seriesData) => {
+  return apiCall(`/tasks/${taskId}/series`, "PUT", seriesData);
+};
+
+// Stop a task repeating; its existing occurrences stay
+export const stopTaskSeries = async (taskId) => {
+  return apiCall(`/tasks/${taskId}/series`, "DELETE");
 };
 
 // Delete a task
@@ -138,7 +322,251 @@ export const deleteTask = async (taskId) => {
   return apiCall(`/tasks/${taskId}`, "DELETE");
 };
 
+// Move a task, with its subtasks, to another project
+export const moveTask = async (taskId, moveData) => {
+  return apiCall(`/tasks/${taskId}/move`, "POST", moveData);
+};
+
+// Copy a task (optionally with its subtasks), into its project or another
+export const cloneTask = async (taskId, cloneData = {}) => {
+  return apiCall(`/tasks/${taskId}/clone`, "POST", cloneData);
+};
+
+// Download a project's tasks as a CSV or JSON file
+export const exportProjectTasks = async (
+  projectId,
+  format = "csv",
+  filters = {},
+  retry = true
+) => {
+  const queryString = new URLSearchParams({ ...filters, format }).toString();
+  const response = await fetch(
+    `${API_BASE_URL}/projects/${projectId}/tasks/export?${queryString}`,
+    { headers: { Authorization: `Bearer ${getToken()}` } }
+  );
+
+  if (response.status === 401 && retry && (await refreshSession())) {
+    return exportProjectTasks(projectId, format, filters, false);
+  }
+  if (!response.ok) {
+    const data = await response.json().catch(() => ({}));
+    throw new Error(data.error || "Export failed");
+  }
+
+  return response.blob();
+};
+
 // Get task statistics
 export const getTaskStats = async (projectId) => {
   return apiCall(`/projects/${projectId}/tasks/stats`, "GET");
 };
+
+// ===== Time Tracking APIs =====
+
+// Get the running timer of the current user (data is null when none)
+export const getRunningTimer = async () => {
+  return apiCall("/timer", "GET");
+};
+
+// Start a timer on a task (stops the one running on another task)
+export const startTimer = async (taskId, note) => {
+  return apiCall(`/tasks/${taskId}/timer`, "POST", { note });
+};
+
+// Stop the running timer and log its time
+export const stopTimer = async (note) => {
+  return apiCall("/timer/stop", "POST", { note });
+};
+
+// Get a task's worklogs and time totals
+export const getTaskWorklogs = async (taskId) => {
+  return apiCall(`/tasks/${taskId}/worklogs`, "GET");
+};
+
+// Log time on a task by hand (minutes, optional startedAt and note)
+export const addWorklog = async (taskId, worklogData) => {
+  return apiCall(`/tasks/${taskId}/worklogs`, "POST", worklogData);
+};
+
+// Correct a worklog
+export const updateWorklog = async (taskId, worklogId, worklogData) => {
+  return apiCall(`/tasks/${taskId}/worklogs/${worklogId}`, "PUT", worklogData);
+};
+
+// Delete a worklog
+export const deleteWorklog = async (taskId, worklogId) => {
+  return apiCall(`/tasks/${taskId}/worklogs/${worklogId}`, "DELETE");
+};
+
+// Get the time logged on a project (filters: from, to, userId)
+export const getProjectTimesheet = async (projectId, filters = {}) => {
+  const queryString = new URLSearchParams(filters).toString();
+  const url = queryString
+    ? `/projects/${projectId}/timesheet?${queryString}`
+    : `/projects/${projectId}/timesheet`;
+  return apiCall(url, "GET");
+};
+
+// ===== Attachment APIs =====
+
+// Authorized fetch of a file (downloads can't go through apiCall's JSON)
+const fetchFile = async (endpoint, retry = true) => {
+  const response = await fetch(`${API_BASE_URL}${endpoint}`, {
+    headers: { Authorization: `Bearer ${getToken()}` },
+  });
+
+  if (response.status === 401 && retry && (await refreshSession())) {
+    return fetchFile(endpoint, false);
+  }
+  if (!response.ok) {
+    const data = await response.json().catch(() => ({}));
+    throw new Error(data.error || "Download failed");
+  }
+
+  return response.blob();
+};
+
+// List a task's attachments
+export const getTaskAttachments = async (taskId) => {
+  return apiCall(`/tasks/${taskId}/attachments`, "GET");
+};
+
+// Upload a file to a task (commentId attaches it to one of your comments)
+export const uploadAttachment = async (
+  taskId,
+  file,
+  commentId,
+  retry = true
+) => {
+  const formData = new FormData();
+  formData.append("file", file);
+  if (commentId) formData.append("commentId", commentId);
+
+  // No Content-Type header: the browser sets the multipart boundary
+  const response = await fetch(`${API_BASE_URL}/tasks/${taskId}/attachments`, {
+    method: "POST",
+    headers: { Authorization: `Bearer ${getToken()}` },
+    body: formData,
+  });
+
+  if (response.status === 401 && retry && (await refreshSession())) {
+    return uploadAttachment(taskId, file, commentId, false);
+  }
+
+  const data = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    throw new Error(data.error || "Upload failed");
+  }
+  return data;
+};
+
+// Download an attachment as a Blob
+export const downloadAttachment = async (taskId, attachmentId) => {
+  return fetchFile(`/tasks/${taskId}/attachments/${attachmentId}`);
+};
+
+// Get an image attachment's thumbnail as a Blob
+export const getAttachmentThumbnail = async (taskId, attachmentId) => {
+  return fetchFile(`/tasks/${taskId}/attachments/${attachmentId}/thumbnail`);
+};
+
+// Delete an attachment
+export const deleteAttachment = async (taskId, attachmentId) => {
+  return apiCall(`/tasks/${taskId}/attachments/${attachmentId}`, "DELETE");
+};
+
+// ===== Checklist APIs =====
+// Each returns the updated task
+
+// Add an item to a task's checklist (optional required, assignedTo, position)
+export const addChecklistItem = async (taskId, itemData) => {
+  return apiCall(`/tasks/${taskId}/checklist`, "POST", itemData);
+};
+
+// Edit, check/uncheck or assign a checklist item
+export const updateChecklistItem = async (taskId, itemId, itemData) => {
+  return apiCall(`/tasks/${taskId}/checklist/${itemId}`, "PATCH", itemData);
+};
+
+// Put a task's checklist in a new order (every item id, in order)
+export const reorderChecklist = async (taskId, itemIds) => {
+  return apiCall(`/tasks/${taskId}/checklist/order`, "PUT", { itemIds });
+};
+
+// Remove a checklist item
+export const deleteChecklistItem = async (taskId, itemId) => {
+  return apiCall(`/tasks/${taskId}/checklist/${itemId}`, "DELETE");
+};
+
+// ===== Watcher APIs =====
+// Each returns { watching, watchers }
+
+// Get who watches a task
+export const getTaskWatchers = async (taskId) => {
+  return apiCall(`/tasks/${taskId}/watchers`, "GET");
+};
+
+// Start watching a task
+export const watchTask = async (taskId) => {
+  return apiCall(`/tasks/${taskId}/watch`, "POST");
+};
+
+// Stop watching a task
+export const unwatchTask = async (taskId) => {
+  return apiCall(`/tasks/${taskId}/watch`, "DELETE");
+};
+
+// ===== Comment APIs =====
+// Comments come back with reactions grouped as { emoji, count, reacted }
+
+// Get a task's comments oldest first, or the replies of one (parentId);
+// pass the nextCursor of a page as cursor for the next one
+export const getTaskComments = async (taskId, { parentId, cursor } = {}) => {
+  const params = new URLSearchParams();
+  if (parentId) params.set("parentId", parentId);
+  if (cursor) params.set("cursor", cursor);
+  const query = params.toString();
+  return apiCall(
+    `/tasks/${taskId}/comments${query ? `?${query}` : ""}`,
+    "GET"
+  );
+};
+
+// Comment on a task, or reply to a comment (parentId)
+export const createComment = async (taskId, text, parentId) => {
+  return apiCall(`/tasks/${taskId}/comments`, "POST", {
+    text,
+    ...(parentId && { parentId }),
+  });
+};
+
+// Edit one of your comments
+export const updateComment = async (taskId, commentId, text) => {
+  return apiCall(`/tasks/${taskId}/comments/${commentId}`, "PATCH", { text });
+};
+
+// Delete a comment
+export const deleteComment = async (taskId, commentId) => {
+  return apiCall(`/tasks/${taskId}/comments/${commentId}`, "DELETE");
+};
+
+// Get the earlier versions of a comment, newest first
+export const getCommentEdits = async (taskId, commentId) => {
+  return apiCall(`/tasks/${taskId}/comments/${commentId}/edits`, "GET");
+};
+
+// React to a comment with an emoji
+export const addCommentReaction = async (taskId, commentId, emoji) => {
+  return apiCall(
+    `/tasks/${taskId}/comments/${commentId}/reactions/${encodeURIComponent(emoji)}`,
+    "PUT"
+  );
+};
+
+// Take back your reaction to a comment
+export const removeCommentReaction = async (taskId, commentId, emoji) => {
+  return apiCall(
+    `/tasks/${taskId}/comments/${commentId}/reactions/${encodeURIComponent(emoji)}`,
+    "DELETE"
+  );
+};